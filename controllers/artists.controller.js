@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Controller voor artists resource (afgeleid van de artiesten van tracks)
+ * @module controllers/artists
+ */
+
+const Joi = require('joi');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { parseSort, sortItems } = require('../utils/sort');
+const { nextVersion } = require('../utils/conditional');
+const { withoutDeleted } = require('../utils/trash');
+const { buildProblem, sendProblem, sendValidationProblem, sendNotFound, sendServerError } = require('../utils/problem');
+const { executeOperation, sendOperationResult } = require('../utils/operations');
+const { recordAudit } = require('../utils/audit');
+const { getRepository, withLock, nextId } = require('../storage');
+const { cleanArtistName, artistKey, artistNames } = require('../models/artists.model');
+
+const artistsRepository = getRepository('artists');
+const tracksRepository = getRepository('tracks');
+
+/**
+ * Velden waarop artists gesorteerd kunnen worden via de sort query parameter
+ * @type {string[]}
+ */
+const ARTIST_SORT_FIELDS = ['id', 'naam', 'track_count'];
+
+/**
+ * Joi validatie schema voor het aanmaken en hernoemen van een artist (POST/PUT)
+ * @type {Joi.ObjectSchema}
+ */
+const artistSchema = Joi.object({
+  id: Joi.number().integer().optional(),
+  naam: Joi.string().trim().min(1).required()
+});
+
+/**
+ * Vult een artist aan met het aantal tracks, de genres en de track IDs
+ * @param {Object} artist - Artist object
+ * @param {Array} tracks - Array van alle track objecten
+ * @returns {Object} Artist met track_count, genres en track_ids
+ */
+const withTrackStats = (artist, tracks) => {
+  const artistTracks = tracks.filter(t => (t.artiest_ids || []).includes(artist.id));
+  const genreCounts = {};
+
+  artistTracks.forEach(t => t.genres.forEach(g => {
+    genreCounts[g] = (genreCounts[g] || 0) + 1;
+  }));
+
+  return {
+    ...artist,
+    track_count: artistTracks.length,
+    genres: Object.keys(genreCounts).sort((a, b) => genreCounts[b] - genreCounts[a] || a.localeCompare(b)),
+    track_ids: artistTracks.map(t => t.id)
+  };
+};
+
+/**
+ * Zoekt een andere artist met dezelfde (genormaliseerde) naam
+ * @param {Array} artists - Array van artist objecten
+ * @param {string} naam - Artiestnaam
+ * @param {number} [exceptId] - ID van de artist die genegeerd wordt
+ * @returns {Object|undefined} De artist met dezelfde naam
+ */
+const findDuplicateArtist = (artists, naam, exceptId) => {
+  return artists.find(a => a.id !== exceptId && artistKey(a.naam) === artistKey(naam));
+};
+
+/**
+ * Haalt alle artists op met track count en genres, optioneel gefilterd, gesorteerd en gepagineerd
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.naam] - Filter op naam (case-insensitive)
+ * @param {string} [req.query.sort] - Sorteervelden, bv. '-track_count,naam'
+ * @param {string} [req.query.limit] - Maximaal aantal artists per pagina
+ * @param {string} [req.query.offset] - Positie van de eerste artist
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met artists array, count, total en next/previous links
+ */
+const getAllArtists = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return sendValidationProblem(res, pagination.error);
+    }
+
+    const tracks = withoutDeleted(await tracksRepository.all());
+    let artists = (await artistsRepository.all()).map(artist => withTrackStats(artist, tracks));
+    const { sort, naam } = req.query;
+
+    // Filter op naam
+    if (naam) {
+      artists = artists.filter(a => a.naam.toLowerCase().includes(naam.toLowerCase()));
+    }
+
+    // Sorteren
+    if (sort !== undefined) {
+      const sortKeys = parseSort(sort, ARTIST_SORT_FIELDS);
+
+      if (sortKeys.error) {
+        return sendValidationProblem(res, [{ field: 'sort', message: sortKeys.error }], { allowed_fields: sortKeys.allowedFields });
+      }
+
+      artists = sortItems(artists, sortKeys.value);
+    }
+
+    const page = paginate(artists, pagination.value, req, res);
+
+    res.json({
+      success: true,
+      data: page.data,
+      count: page.data.length,
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      next: page.next,
+      previous: page.previous
+    });
+  } catch {
+    sendServerError(res, 'Error retrieving artists');
+  }
+};
+
+/**
+ * Haalt een specifieke artist op via ID
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Artist ID
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met artist data of 404
+ */
+const getArtistById = async (req, res) => {
+  try {
+    const artists = await artistsRepository.all();
+    const artist = artists.find(a => a.id === parseInt(req.params.id));
+
+    if (!artist) {
+      return sendNotFound(res, `Artist ${req.params.id} not found`);
+    }
+
+    res.json({
+      success: true,
+      data: withTrackStats(artist, withoutDeleted(await tracksRepository.all()))
+    });
+  } catch {
+    sendServerError(res, 'Error retrieving artist');
+  }
+};
+
+/**
+ * Maakt een nieuwe artist aan met Joi validatie
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body met artist data
+ * @param {string} req.body.naam - Naam van de artist
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met nieuwe artist (201), of error (400/409)
+ */
+const createArtist = async (req, res) => {
+  try {
+    const { error, value } = artistSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationProblem(res, error);
+    }
+
+    await withLock(['artists'], async () => {
+      const artists = await artistsRepository.all();
+      const duplicate = findDuplicateArtist(artists, value.naam);
+
+      if (duplicate) {
+        return sendProblem(res, 409, 'artist_exists', `Artist "${duplicate.naam}" already exists with id ${duplicate.id}`);
+      }
+
+      const newId = nextId(artists);
+      const newArtist = {
+        id: newId,
+        naam: cleanArtistName(value.naam)
+      };
+
+      artists.push(newArtist);
+      await artistsRepository.saveAll(artists);
+
+      res.status(201).json({
+        success: true,
+        data: withTrackStats(newArtist, [])
+      });
+    });
+  } catch {
+    sendServerError(res, 'Error creating artist');
+  }
+};
+
+/**
+ * Hernoemt een artist en past de artiestnamen aan in alle tracks die ernaar verwijzen (met een
+ * entry 'rename_artist' in de audit log per track)
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Artist ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.naam - Nieuwe naam van de artist
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met geüpdatete artist, of error (400/404/409)
+ */
+const updateArtist = async (req, res) => {
+  try {
+    const { error, value } = artistSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationProblem(res, error);
+    }
+
+    const result = await executeOperation(['artists', 'tracks'], state => {
+      const { artists, tracks } = state.data;
+      const artistIndex = artists.findIndex(a => a.id === parseInt(req.params.id));
+
+      if (artistIndex === -1) {
+        return { problem: buildProblem(404, 'not_found', `Artist ${req.params.id} not found`) };
+      }
+
+      const duplicate = findDuplicateArtist(artists, value.naam, artists[artistIndex].id);
+
+      if (duplicate) {
+        return { problem: buildProblem(409, 'artist_exists', `Artist "${duplicate.naam}" already exists with id ${duplicate.id}`) };
+      }
+
+      const updatedArtist = { ...artists[artistIndex], naam: cleanArtistName(value.naam) };
+      artists[artistIndex] = updatedArtist;
+      state.changed.add('artists');
+
+      // Artiestnamen in de tracks bijwerken, met een entry in de audit log per track
+      const now = new Date().toISOString();
+
+      tracks.forEach((track, index) => {
+        if ((track.artiest_ids || []).includes(updatedArtist.id)) {
+          const updatedTrack = { ...track, artiesten: artistNames(track.artiest_ids, artists), version: nextVersion(track), updated_at: now };
+
+          recordAudit(state, { collection: 'tracks', action: 'rename_artist', before: track, after: updatedTrack }, req.user);
+          tracks[index] = updatedTrack;
+          state.changed.add('tracks');
+        }
+      });
+
+      return { status: 200, value: withTrackStats(updatedArtist, tracks) };
+    });
+
+    sendOperationResult(res, result);
+  } catch {
+    sendServerError(res, 'Error updating artist');
+  }
+};
+
+/**
+ * Verwijdert een artist die door geen enkele track meer gebruikt wordt
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Artist ID
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met verwijderde artist, 404 of error bij 409
+ */
+const deleteArtist = async (req, res) => {
+  try {
+    await withLock(['artists', 'tracks'], async () => {
+      const artists = await artistsRepository.all();
+      const artistIndex = artists.findIndex(a => a.id === parseInt(req.params.id));
+
+      if (artistIndex === -1) {
+        return sendNotFound(res, `Artist ${req.params.id} not found`);
+      }
+
+      // Tracks in de prullenbak houden een artist niet tegen; een restore maakt ze opnieuw aan
+      const artist = withTrackStats(artists[artistIndex], withoutDeleted(await tracksRepository.all()));
+
+      if (artist.track_count > 0) {
+        return sendProblem(res, 409, 'artist_in_use', `Artist is still used by ${artist.track_count} track(s)`);
+      }
+
+      artists.splice(artistIndex, 1);
+      await artistsRepository.saveAll(artists);
+
+      res.json({
+        success: true,
+        data: artist
+      });
+    });
+  } catch {
+    sendServerError(res, 'Error deleting artist');
+  }
+};
+
+module.exports = {
+  artistSchema,
+  getAllArtists,
+  getArtistById,
+  createArtist,
+  updateArtist,
+  deleteArtist
+};
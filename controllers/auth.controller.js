@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Controller voor registratie, login en de huidige user
+ * @module controllers/auth
+ */
+
+const Joi = require('joi');
+const { getRepository, withLock, nextId } = require('../storage');
+const { hashPassword, verifyPassword, signToken } = require('../utils/auth');
+const { sendProblem, sendValidationProblem, sendServerError } = require('../utils/problem');
+const { DEFAULT_ROLE, findUserByUsername, publicUser } = require('../models/users.model');
+
+const usersRepository = getRepository('users');
+
+/**
+ * Joi validatie schema voor het registreren van een user
+ * @type {Joi.ObjectSchema}
+ */
+const registerSchema = Joi.object({
+  username: Joi.string().trim().lowercase().pattern(/^[a-z0-9][a-z0-9._-]{2,29}$/).required()
+    .messages({ 'string.pattern.base': '"username" must be 3-30 characters: letters, digits, ".", "_" or "-"' }),
+  password: Joi.string().min(8).max(128).required(),
+  naam: Joi.string().trim().min(1).optional()
+});
+
+/**
+ * Joi validatie schema voor het inloggen
+ * @type {Joi.ObjectSchema}
+ */
+const loginSchema = Joi.object({
+  username: Joi.string().required(),
+  password: Joi.string().required()
+});
+
+/**
+ * Bouwt de response data met een nieuw token voor een user
+ * @param {Object} user - User object
+ * @returns {Object} Object met token, token_type, expires_in en de publieke user
+ */
+const tokenResponse = (user) => {
+  const { token, expires_in } = signToken(user);
+
+  return {
+    token,
+    token_type: 'Bearer',
+    expires_in,
+    user: publicUser(user)
+  };
+};
+
+/**
+ * Registreert een nieuwe user en geeft meteen een token terug
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.username - Username (uniek, 3-30 tekens)
+ * @param {string} req.body.password - Wachtwoord (minstens 8 tekens)
+ * @param {string} [req.body.naam] - Weergavenaam (standaard de username)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met token en user (201), of error (400/409)
+ */
+const register = async (req, res) => {
+  try {
+    const { error, value } = registerSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationProblem(res, error);
+    }
+
+    // Hashen buiten de lock, zodat trage scrypt berekeningen andere registraties niet ophouden
+    const passwordHash = await hashPassword(value.password);
+
+    await withLock(['users'], async () => {
+      const users = await usersRepository.all();
+
+      if (findUserByUsername(users, value.username)) {
+        return sendProblem(res, 409, 'username_taken', `Username "${value.username}" is already taken`);
+      }
+
+      const newUser = {
+        id: nextId(users),
+        username: value.username,
+        naam: value.naam || value.username,
+        role: DEFAULT_ROLE,
+        password_hash: passwordHash,
+        created_at: new Date().toISOString()
+      };
+
+      users.push(newUser);
+      await usersRepository.saveAll(users);
+
+      res.status(201).json({
+        success: true,
+        data: tokenResponse(newUser)
+      });
+    });
+  } catch {
+    sendServerError(res, 'Error registering user');
+  }
+};
+
+/**
+ * Logt een user in met username en wachtwoord
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.username - Username
+ * @param {string} req.body.password - Wachtwoord
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met token en user, of error (400/401)
+ */
+const login = async (req, res) => {
+  try {
+    const { error, value } = loginSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationProblem(res, error);
+    }
+
+    const users = await usersRepository.all();
+    const user = findUserByUsername(users, value.username);
+
+    // Zelfde boodschap voor een onbekende user en een fout wachtwoord
+    if (!user || !(await verifyPassword(value.password, user.password_hash))) {
+      return sendProblem(res, 401, 'invalid_credentials', 'Invalid username or password');
+    }
+
+    res.json({
+      success: true,
+      data: tokenResponse(user)
+    });
+  } catch {
+    sendServerError(res, 'Error logging in');
+  }
+};
+
+/**
+ * Geeft de geauthenticeerde user terug
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Geauthenticeerde user (via de auth middleware)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de user
+ */
+const getMe = (req, res) => {
+  res.json({
+    success: true,
+    data: publicUser(req.user)
+  });
+};
+
+module.exports = {
+  registerSchema,
+  loginSchema,
+  register,
+  login,
+  getMe
+};
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Controller voor het opsporen en samenvoegen van dubbele tracks
+ * @description Een cluster is een groep tracks die waarschijnlijk dezelfde song zijn (zie
+ * utils/duplicates). Bij het samenvoegen blijft een canonieke track over: de andere tracks gaan naar
+ * de prullenbak met merged_into, en alle playlists die naar hen verwezen, verwijzen voortaan naar
+ * de canonieke track.
+ * @module controllers/duplicates
+ */
+
+const Joi = require('joi');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { versionETag, nextVersion, ifMatchSatisfied, preconditionFailed } = require('../utils/conditional');
+const { buildProblem, buildValidationProblem, sendValidationProblem, sendServerError } = require('../utils/problem');
+const { executeOperation, sendOperationResult } = require('../utils/operations');
+const { isDeleted, markDeleted } = require('../utils/trash');
+const { recordAudit } = require('../utils/audit');
+const { toleranceSchema, duplicateClusters, canonicalTrack } = require('../utils/duplicates');
+const { getRepository } = require('../storage');
+const { TRACK_COLLECTIONS } = require('./tracks.controller');
+const { replaceTrackInPlaylists } = require('./playlists.controller');
+
+const tracksRepository = getRepository('tracks');
+
+/**
+ * Joi validatie schema voor de query van GET /api/tracks/duplicates
+ * @type {Joi.ObjectSchema}
+ */
+const duplicatesQuerySchema = Joi.object({
+  tolerance: toleranceSchema
+}).unknown(true);
+
+/**
+ * Joi validatie schema voor de body van een merge
+ * @type {Joi.ObjectSchema}
+ */
+const mergeSchema = Joi.object({
+  canonical_id: Joi.number().integer().required(),
+  duplicate_ids: Joi.array().items(
+    Joi.number().integer().invalid(Joi.ref('...canonical_id')).messages({ 'any.invalid': '"duplicate_ids" must not contain canonical_id' })
+  ).min(1).unique().required(),
+  tolerance: toleranceSchema,
+  force: Joi.boolean().default(false)
+});
+
+/**
+ * Beschrijft een cluster van dubbele tracks
+ * @param {Object[]} cluster - Tracks van de cluster, oplopend op id
+ * @returns {Object} Cluster met naam en artiesten (van de canonieke track), canonical_id, track_ids en tracks
+ */
+const describeCluster = (cluster) => {
+  const canonical = canonicalTrack(cluster);
+
+  return {
+    naam: canonical.naam,
+    artiesten: canonical.artiesten,
+    canonical_id: canonical.id,
+    track_ids: cluster.map(track => track.id),
+    tracks: cluster
+  };
+};
+
+/**
+ * Voegt dubbele tracks samen tot een canonieke track in een state: de dubbels gaan naar de
+ * prullenbak (met merged_into), hun playlist entries verwijzen voortaan naar de canonieke track en
+ * de canonieke track neemt de Spotify link van een dubbel over als ze er zelf geen heeft
+ * @param {Object} state - State met de TRACK_COLLECTIONS
+ * @param {Object} input - Input van de operatie
+ * @param {Object} input.data - Body met canonical_id, duplicate_ids, tolerance en force (zie mergeSchema)
+ * @param {string} [input.if_match] - Verwachte ETag van de canonieke track
+ * @param {Object|null} user - Geauthenticeerde user (voor de audit log)
+ * @returns {Object} Operatieresultaat met de canonieke track, merged_ids en playlist_ids, of een problem
+ * (400, 404, 409 als de tracks zonder force geen cluster vormen, 412)
+ */
+const mergeTracksOperation = (state, { data, if_match }, user) => {
+  const { error, value } = mergeSchema.validate(data, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  const { tracks } = state.data;
+  const ids = [value.canonical_id, ...value.duplicate_ids];
+  const missing = ids.filter(id => !tracks.some(t => t.id === id && !isDeleted(t)));
+
+  if (missing.length > 0) {
+    return { problem: buildProblem(404, 'not_found', `Track(s) ${missing.join(', ')} not found`) };
+  }
+
+  const canonicalIndex = tracks.findIndex(t => t.id === value.canonical_id && !isDeleted(t));
+  const canonical = tracks[canonicalIndex];
+
+  if (!ifMatchSatisfied(if_match, canonical)) {
+    return preconditionFailed(canonical);
+  }
+
+  const duplicates = value.duplicate_ids.map(id => tracks.find(t => t.id === id && !isDeleted(t)));
+  const clusters = duplicateClusters([canonical, ...duplicates], value.tolerance);
+
+  if (!value.force && (clusters.length !== 1 || clusters[0].length !== ids.length)) {
+    return {
+      problem: buildProblem(409, 'not_duplicates', `Tracks ${ids.join(', ')} are not likely duplicates; use force to merge them anyway`)
+    };
+  }
+
+  const now = new Date();
+
+  duplicates.forEach(track => {
+    const merged = { ...markDeleted(track, now), deleted_from_playlists: [], merged_into: canonical.id };
+
+    recordAudit(state, { collection: 'tracks', action: 'merge', before: track, after: merged }, user);
+    tracks[tracks.indexOf(track)] = merged;
+  });
+
+  const linked = canonical.spotify_id ? null : duplicates.find(track => track.spotify_id);
+  const mergedTrack = {
+    ...canonical,
+    ...(linked ? { spotify_url: linked.spotify_url, spotify_id: linked.spotify_id } : {}),
+    updated_at: now.toISOString(),
+    version: nextVersion(canonical)
+  };
+
+  recordAudit(state, { collection: 'tracks', action: 'merge', before: canonical, after: mergedTrack }, user);
+  tracks[canonicalIndex] = mergedTrack;
+  state.changed.add('tracks');
+
+  const playlistIds = replaceTrackInPlaylists(state, value.duplicate_ids, canonical.id, user);
+
+  return {
+    status: 200,
+    value: { track: mergedTrack, merged_ids: value.duplicate_ids, playlist_ids: playlistIds },
+    headers: { ETag: versionETag(mergedTrack) }
+  };
+};
+
+/**
+ * Haalt de clusters van waarschijnlijk dubbele tracks op, met een voorgestelde canonieke track
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.tolerance=3] - Maximaal verschil in duur (seconden)
+ * @param {string} [req.query.limit] - Maximaal aantal clusters per pagina
+ * @param {string} [req.query.offset] - Positie van de eerste cluster
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met clusters, count, total en tolerance, of error (400)
+ */
+const getDuplicates = async (req, res) => {
+  try {
+    const { error, value } = duplicatesQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+      return sendValidationProblem(res, error);
+    }
+
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return sendValidationProblem(res, pagination.error);
+    }
+
+    const clusters = duplicateClusters(await tracksRepository.all(), value.tolerance).map(describeCluster);
+    const page = paginate(clusters, pagination.value, req, res);
+
+    res.json({
+      success: true,
+      data: page.data,
+      count: page.data.length,
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      next: page.next,
+      previous: page.previous,
+      tolerance: value.tolerance
+    });
+  } catch {
+    sendServerError(res, 'Error retrieving duplicate tracks');
+  }
+};
+
+/**
+ * Voegt dubbele tracks samen tot een canonieke track
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.canonical_id - ID van de track die overblijft
+ * @param {number[]} req.body.duplicate_ids - IDs van de tracks die erin opgaan
+ * @param {number} [req.body.tolerance=3] - Maximaal verschil in duur (seconden) voor de controle
+ * @param {boolean} [req.body.force=false] - true om ook tracks samen te voegen die geen cluster vormen
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de canonieke track, merged_ids en playlist_ids, of error (400, 404, 409, 412)
+ */
+const mergeDuplicates = async (req, res) => {
+  try {
+    const result = await executeOperation(TRACK_COLLECTIONS, state => mergeTracksOperation(state, {
+      data: req.body,
+      if_match: req.get('If-Match')
+    }, req.user));
+    sendOperationResult(res, result);
+  } catch {
+    sendServerError(res, 'Error merging duplicate tracks');
+  }
+};
+
+module.exports = {
+  duplicatesQuerySchema,
+  mergeSchema,
+  getDuplicates,
+  mergeDuplicates
+};
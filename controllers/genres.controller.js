@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Controller voor genres resource (taxonomie met hiërarchie en aliassen)
+ * @module controllers/genres
+ */
+
+const Joi = require('joi');
+const { nextVersion } = require('../utils/conditional');
+const { withoutDeleted } = require('../utils/trash');
+const { buildProblem, buildValidationProblem, sendProblem, sendValidationProblem, sendNotFound, sendServerError } = require('../utils/problem');
+const { executeOperation, sendOperationResult } = require('../utils/operations');
+const { recordAudit } = require('../utils/audit');
+const { getRepository, withLock, nextId } = require('../storage');
+const {
+  cleanGenreName,
+  findGenreByName,
+  descendantIds
+} = require('../models/genres.model');
+
+const genresRepository = getRepository('genres');
+const tracksRepository = getRepository('tracks');
+
+/**
+ * Joi validatie schema voor het aanmaken en updaten van een genre (POST/PUT)
+ * @type {Joi.ObjectSchema}
+ */
+const genreSchema = Joi.object({
+  id: Joi.number().integer().optional(),
+  naam: Joi.string().trim().min(1).required(),
+  parent_id: Joi.number().integer().allow(null).default(null),
+  aliases: Joi.array().items(Joi.string().trim().min(1)).default([])
+});
+
+/**
+ * Vult een genre aan met het aantal tracks dat het genre (rechtstreeks) gebruikt
+ * @param {Object} genre - Genre object
+ * @param {Array} tracks - Array van alle track objecten
+ * @returns {Object} Genre met track_count
+ */
+const withTrackCount = (genre, tracks) => {
+  return {
+    ...genre,
+    track_count: tracks.filter(t => t.genres.includes(genre.naam)).length
+  };
+};
+
+/**
+ * Bouwt een geneste boom van genres met hun subgenres
+ * @param {Array} genres - Array van genre objecten (met track_count)
+ * @param {number|null} parentId - ID van het bovenliggende genre (null = hoofdgenres)
+ * @returns {Array} Genres met een geneste children array
+ */
+const buildTree = (genres, parentId) => {
+  return genres
+    .filter(g => g.parent_id === parentId)
+    .map(g => ({ ...g, children: buildTree(genres, g.id) }));
+};
+
+/**
+ * Controleert of een naam of alias al door een ander genre gebruikt wordt
+ * @param {Array} genres - Array van genre objecten
+ * @param {string[]} names - Naam en aliassen van het genre
+ * @param {number} [exceptId] - ID van het genre dat genegeerd wordt
+ * @returns {string|null} Foutmelding of null
+ */
+const findNameConflict = (genres, names, exceptId) => {
+  const others = genres.filter(g => g.id !== exceptId);
+
+  for (const name of names) {
+    const existing = findGenreByName(name, others);
+
+    if (existing) {
+      return `"${name}" is already used by genre "${existing.naam}" (id ${existing.id})`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Haalt alle genres op, als platte lijst of als boom
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.tree] - 'true' om de genres als geneste boom terug te geven
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met genres array en count
+ */
+const getAllGenres = async (req, res) => {
+  try {
+    const tracks = withoutDeleted(await tracksRepository.all());
+    const genres = (await genresRepository.all()).map(genre => withTrackCount(genre, tracks));
+    const data = req.query.tree === 'true' ? buildTree(genres, null) : genres;
+
+    res.json({
+      success: true,
+      data,
+      count: genres.length
+    });
+  } catch {
+    sendServerError(res, 'Error retrieving genres');
+  }
+};
+
+/**
+ * Haalt een specifiek genre op via ID, met subgenres en bovenliggende genres
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Genre ID
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met genre data of 404
+ */
+const getGenreById = async (req, res) => {
+  try {
+    const genres = await genresRepository.all();
+    const genre = genres.find(g => g.id === parseInt(req.params.id));
+
+    if (!genre) {
+      return sendNotFound(res, `Genre ${req.params.id} not found`);
+    }
+
+    const ancestors = [];
+    let parent = genres.find(g => g.id === genre.parent_id);
+    while (parent) {
+      ancestors.unshift({ id: parent.id, naam: parent.naam });
+      parent = genres.find(g => g.id === parent.parent_id);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...withTrackCount(genre, withoutDeleted(await tracksRepository.all())),
+        ancestors,
+        children: genres.filter(g => g.parent_id === genre.id).map(g => ({ id: g.id, naam: g.naam }))
+      }
+    });
+  } catch {
+    sendServerError(res, 'Error retrieving genre');
+  }
+};
+
+/**
+ * Maakt een nieuw genre aan met Joi validatie
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body met genre data
+ * @param {string} req.body.naam - Naam van het genre
+ * @param {number|null} [req.body.parent_id] - ID van het bovenliggende genre
+ * @param {string[]} [req.body.aliases] - Alternatieve schrijfwijzen, bv. ['RnB']
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met nieuw genre (201), of error (400/409)
+ */
+const createGenre = async (req, res) => {
+  try {
+    const { error, value } = genreSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationProblem(res, error);
+    }
+
+    await withLock(['genres'], async () => {
+      const genres = await genresRepository.all();
+
+      if (value.parent_id !== null && !genres.some(g => g.id === value.parent_id)) {
+        return sendValidationProblem(res, [{ field: 'parent_id', message: `Unknown parent genre id: ${value.parent_id}` }]);
+      }
+
+      const conflict = findNameConflict(genres, [value.naam, ...value.aliases]);
+
+      if (conflict) {
+        return sendProblem(res, 409, 'genre_exists', conflict);
+      }
+
+      const newId = nextId(genres);
+      const newGenre = {
+        id: newId,
+        naam: cleanGenreName(value.naam),
+        parent_id: value.parent_id,
+        aliases: value.aliases.map(cleanGenreName)
+      };
+
+      genres.push(newGenre);
+      await genresRepository.saveAll(genres);
+
+      res.status(201).json({
+        success: true,
+        data: withTrackCount(newGenre, [])
+      });
+    });
+  } catch {
+    sendServerError(res, 'Error creating genre');
+  }
+};
+
+/**
+ * Update een volledig genre; een nieuwe naam wordt ook in alle tracks doorgevoerd (met een entry
+ * 'rename_genre' in de audit log per track)
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Genre ID
+ * @param {Object} req.body - Request body met genre data
+ * @param {string} req.body.naam - Naam van het genre
+ * @param {number|null} [req.body.parent_id] - ID van het bovenliggende genre
+ * @param {string[]} [req.body.aliases] - Alternatieve schrijfwijzen
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met geüpdatet genre of error
+ */
+const updateGenre = async (req, res) => {
+  try {
+    const { error, value } = genreSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationProblem(res, error);
+    }
+
+    const result = await executeOperation(['genres', 'tracks'], state => {
+      const { genres, tracks } = state.data;
+      const genreIndex = genres.findIndex(g => g.id === parseInt(req.params.id));
+
+      if (genreIndex === -1) {
+        return { problem: buildProblem(404, 'not_found', `Genre ${req.params.id} not found`) };
+      }
+
+      const current = genres[genreIndex];
+
+      if (value.parent_id !== null) {
+        if (!genres.some(g => g.id === value.parent_id)) {
+          return { problem: buildValidationProblem([{ field: 'parent_id', message: `Unknown parent genre id: ${value.parent_id}` }]) };
+        }
+
+        if (value.parent_id === current.id || descendantIds(current.id, genres).includes(value.parent_id)) {
+          return { problem: buildValidationProblem([{ field: 'parent_id', message: 'A genre cannot be its own parent or a parent of its ancestors' }]) };
+        }
+      }
+
+      const conflict = findNameConflict(genres, [value.naam, ...value.aliases], current.id);
+
+      if (conflict) {
+        return { problem: buildProblem(409, 'genre_exists', conflict) };
+      }
+
+      const updatedGenre = {
+        id: current.id,
+        naam: cleanGenreName(value.naam),
+        parent_id: value.parent_id,
+        aliases: value.aliases.map(cleanGenreName)
+      };
+
+      genres[genreIndex] = updatedGenre;
+      state.changed.add('genres');
+
+      // Genrenaam in de tracks bijwerken, met een entry in de audit log per track
+      if (current.naam !== updatedGenre.naam) {
+        const now = new Date().toISOString();
+
+        tracks.forEach((track, index) => {
+          if (track.genres.includes(current.naam)) {
+            const updatedTrack = {
+              ...track,
+              genres: track.genres.map(g => g === current.naam ? updatedGenre.naam : g),
+              version: nextVersion(track),
+              updated_at: now
+            };
+
+            recordAudit(state, { collection: 'tracks', action: 'rename_genre', before: track, after: updatedTrack }, req.user);
+            tracks[index] = updatedTrack;
+            state.changed.add('tracks');
+          }
+        });
+      }
+
+      return { status: 200, value: withTrackCount(updatedGenre, tracks) };
+    });
+
+    sendOperationResult(res, result);
+  } catch {
+    sendServerError(res, 'Error updating genre');
+  }
+};
+
+/**
+ * Verwijdert een genre dat door geen enkele track gebruikt wordt en geen subgenres heeft
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Genre ID
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met verwijderd genre, 404 of error bij 409
+ */
+const deleteGenre = async (req, res) => {
+  try {
+    await withLock(['genres', 'tracks'], async () => {
+      const genres = await genresRepository.all();
+      const genreIndex = genres.findIndex(g => g.id === parseInt(req.params.id));
+
+      if (genreIndex === -1) {
+        return sendNotFound(res, `Genre ${req.params.id} not found`);
+      }
+
+      // Tracks in de prullenbak houden een genre niet tegen; een restore maakt het opnieuw aan
+      const genre = withTrackCount(genres[genreIndex], withoutDeleted(await tracksRepository.all()));
+
+      if (genre.track_count > 0) {
+        return sendProblem(res, 409, 'genre_in_use', `Genre is still used by ${genre.track_count} track(s)`);
+      }
+
+      if (genres.some(g => g.parent_id === genre.id)) {
+        return sendProblem(res, 409, 'genre_has_subgenres', 'Genre still has subgenres');
+      }
+
+      genres.splice(genreIndex, 1);
+      await genresRepository.saveAll(genres);
+
+      res.json({
+        success: true,
+        data: genre
+      });
+    });
+  } catch {
+    sendServerError(res, 'Error deleting genre');
+  }
+};
+
+module.exports = {
+  genreSchema,
+  getAllGenres,
+  getGenreById,
+  createGenre,
+  updateGenre,
+  deleteGenre
+};
@@ -0,0 +1,491 @@
+/**
+ * @fileoverview Controller voor het importeren en exporteren van tracks en playlists
+ * @description Collecties worden uitgewisseld als CSV of NDJSON: exports volgen dezelfde filters en
+ * sortering als de lijst endpoints (zonder paginering) en worden gestreamd. Een import valideert elke
+ * regel apart met trackSchemaCreate, bewaart alle geldige regels in een schrijfbeurt en rapporteert
+ * de geweigerde regels met hun regelnummer. Een enkele playlist wordt uitgewisseld met mediaspelers
+ * als M3U8, XSPF of JSPF.
+ * @module controllers/import-export
+ */
+
+const Joi = require('joi');
+const { parseExportFormat, streamExport } = require('../utils/export');
+const { parseCsv, splitMultiValue } = require('../utils/csv');
+const { PLAYLIST_FORMATS, renderPlaylist, parsePlaylist } = require('../utils/playlist-formats');
+const { executeOperation, sendOperationResult } = require('../utils/operations');
+const { withoutDeleted } = require('../utils/trash');
+const { parseSpotifyId } = require('../utils/spotify');
+const { buildValidationProblem, sendProblem, sendBuiltProblem, sendValidationProblem, sendNotFound, sendServerError } = require('../utils/problem');
+const { getRepository } = require('../storage');
+const { TRACK_COLLECTIONS, trackSchemaCreate, createTrackQuerySchema, selectTracks, createTrackOperation } = require('./tracks.controller');
+const { PLAYLIST_COLLECTIONS, selectPlaylists, canViewPlaylist, createPlaylistOperation } = require('./playlists.controller');
+
+const tracksRepository = getRepository('tracks');
+const playlistsRepository = getRepository('playlists');
+
+/**
+ * Content types die een import aanvaardt
+ * @type {string[]}
+ */
+const IMPORT_CONTENT_TYPES = ['text/csv', 'application/x-ndjson'];
+
+/**
+ * Kolommen van een track export (CSV)
+ * @type {string[]}
+ */
+const TRACK_EXPORT_COLUMNS = ['id', 'naam', 'bpm', 'duur', 'jaar', 'artiest_ids', 'artiesten', 'genres', 'spotify_url'];
+
+/**
+ * Kolommen van een playlist export (CSV); track_ids bevat de tracks in volgorde
+ * @type {string[]}
+ */
+const PLAYLIST_EXPORT_COLUMNS = ['id', 'naam', 'beschrijving', 'author', 'owner_id', 'visibility', 'spotify_url', 'track_ids'];
+
+/**
+ * Kolommen die een track import kan bevatten
+ * @type {string[]}
+ */
+const TRACK_IMPORT_COLUMNS = ['naam', 'bpm', 'duur', 'jaar', 'artiest_ids', 'artiesten', 'genres', 'spotify_url'];
+
+/**
+ * Kolommen uit een export die bij een import genegeerd worden (ids worden altijd nieuw toegekend,
+ * de spotify_id volgt uit de spotify_url)
+ * @type {string[]}
+ */
+const IGNORED_IMPORT_COLUMNS = ['id', 'spotify_id', 'created_at', 'updated_at', 'version'];
+
+/**
+ * Kolommen met meerdere waarden, gescheiden door '|'
+ * @type {string[]}
+ */
+const MULTI_VALUE_COLUMNS = ['artiest_ids', 'artiesten', 'genres'];
+
+/**
+ * Joi validatie schema voor de query parameters van een playlist import
+ * @type {Joi.ObjectSchema}
+ */
+const playlistImportQuerySchema = Joi.object({
+  visibility: Joi.string().valid('public', 'private').default('private')
+}).unknown(true);
+
+/**
+ * Bouwt een geweigerde regel met een enkele fout
+ * @param {number} line - Regelnummer
+ * @param {string} message - Foutboodschap
+ * @param {string} code - Foutcode
+ * @returns {Object} Geweigerde regel met line en errors
+ */
+const rejectedLine = (line, message, code) => {
+  return { line, errors: [{ field: '', message, code }] };
+};
+
+/**
+ * Leest de regels van een CSV import; de eerste regel bevat de kolomnamen
+ * @param {string} text - CSV document
+ * @returns {Object} Object met rows (elk met line en data, of line en errors) of problem (ongeldige header)
+ */
+const readCsvRows = (text) => {
+  const [header, ...records] = parseCsv(text);
+
+  if (!header || header.error) {
+    return { problem: buildValidationProblem([{ field: 'header', message: 'CSV must start with a header row', code: 'csv.header' }]) };
+  }
+
+  const columns = header.values.map(column => column.trim());
+  const unknown = columns.filter(column => !TRACK_IMPORT_COLUMNS.includes(column) && !IGNORED_IMPORT_COLUMNS.includes(column));
+
+  if (unknown.length > 0) {
+    return {
+      problem: buildValidationProblem([{ field: 'header', message: `Unknown columns: ${unknown.join(', ')}`, code: 'csv.header' }], {
+        allowed_columns: TRACK_IMPORT_COLUMNS
+      })
+    };
+  }
+
+  const rows = records.map(record => {
+    if (record.error) {
+      return rejectedLine(record.line, record.error, 'csv.syntax');
+    }
+    if (record.values.length !== columns.length) {
+      return rejectedLine(record.line, `Expected ${columns.length} fields, got ${record.values.length}`, 'csv.field_count');
+    }
+
+    const data = {};
+
+    columns.forEach((column, index) => {
+      const value = record.values[index].trim();
+
+      if (IGNORED_IMPORT_COLUMNS.includes(column) || value === '') {
+        return;
+      }
+      data[column] = MULTI_VALUE_COLUMNS.includes(column) ? splitMultiValue(value) : value;
+    });
+
+    return { line: record.line, data };
+  });
+
+  return { rows };
+};
+
+/**
+ * Leest de regels van een NDJSON import (een JSON object per regel)
+ * @param {string} text - NDJSON document
+ * @returns {Object} Object met rows (elk met line en data, of line en errors)
+ */
+const readNdjsonRows = (text) => {
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((content, index) => {
+    const line = index + 1;
+
+    if (content.trim() === '') {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(content);
+
+      if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        rows.push(rejectedLine(line, 'Line must contain a JSON object', 'ndjson.object'));
+        return;
+      }
+
+      IGNORED_IMPORT_COLUMNS.forEach(column => delete data[column]);
+      rows.push({ line, data });
+    } catch (error) {
+      rows.push(rejectedLine(line, `Invalid JSON: ${error.message}`, 'ndjson.syntax'));
+    }
+  });
+
+  return { rows };
+};
+
+/**
+ * Exporteert tracks als CSV of NDJSON, met dezelfde filters en sortering als GET /api/tracks
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters (filters en sort zoals bij GET /api/tracks)
+ * @param {string} [req.query.format='csv'] - 'csv' of 'ndjson'
+ * @param {Object} res - Express response object
+ * @returns {void} Gestreamde export als bijlage, of error (400)
+ */
+const exportTracks = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query);
+
+    if (format.error) {
+      return sendValidationProblem(res, format.error);
+    }
+
+    const selection = await selectTracks(req.query);
+
+    if (selection.problem) {
+      return sendBuiltProblem(res, selection.problem);
+    }
+
+    streamExport(res, {
+      format: format.value,
+      filename: 'tracks',
+      columns: TRACK_EXPORT_COLUMNS,
+      records: selection.value
+    });
+  } catch {
+    sendServerError(res, 'Error exporting tracks');
+  }
+};
+
+/**
+ * Exporteert de zichtbare playlists als CSV of NDJSON, met dezelfde filters en sortering als GET /api/playlists
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters (filters en sort zoals bij GET /api/playlists)
+ * @param {string} [req.query.format='csv'] - 'csv' of 'ndjson'
+ * @param {Object} res - Express response object
+ * @returns {void} Gestreamde export als bijlage, of error (400)
+ */
+const exportPlaylists = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query);
+
+    if (format.error) {
+      return sendValidationProblem(res, format.error);
+    }
+
+    const selection = await selectPlaylists(req.query, req.user);
+
+    if (selection.problem) {
+      return sendBuiltProblem(res, selection.problem);
+    }
+
+    streamExport(res, {
+      format: format.value,
+      filename: 'playlists',
+      columns: PLAYLIST_EXPORT_COLUMNS,
+      records: selection.value,
+      toCsvRecord: playlist => ({ ...playlist, track_ids: (playlist.tracks || []).map(entry => entry.track_id) })
+    });
+  } catch {
+    sendServerError(res, 'Error exporting playlists');
+  }
+};
+
+/**
+ * Importeert tracks uit een CSV (text/csv) of NDJSON (application/x-ndjson) document. Elke regel
+ * wordt apart gevalideerd; geldige regels worden samen bewaard, ongeldige regels gerapporteerd.
+ * Waarschijnlijke dubbels van bestaande (of eerder geïmporteerde) tracks komen in warnings, of worden
+ * geweigerd met on_duplicate 'reject'.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.body - CSV met een header (naam, bpm, duur, jaar, artiesten, genres, ...) of NDJSON
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.on_duplicate='warn'] - 'warn' of 'reject' bij een waarschijnlijke dubbel
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de nieuwe tracks, imported, rejected en warnings (201, of 207 als er
+ * regels geweigerd werden), of error (400, 415)
+ */
+const importTracks = async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.is(IMPORT_CONTENT_TYPES)) {
+      return sendProblem(res, 415, 'unsupported_media_type', `Unsupported Content-Type; use ${IMPORT_CONTENT_TYPES.join(' or ')}`);
+    }
+
+    const query = createTrackQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (query.error) {
+      return sendValidationProblem(res, query.error);
+    }
+
+    const parsed = req.is('text/csv') ? readCsvRows(req.body) : readNdjsonRows(req.body);
+
+    if (parsed.problem) {
+      return sendBuiltProblem(res, parsed.problem);
+    }
+
+    if (parsed.rows.length === 0) {
+      return sendValidationProblem(res, [{ field: '', message: 'Import contains no rows', code: 'import.empty' }]);
+    }
+
+    const result = await executeOperation(TRACK_COLLECTIONS, state => {
+      const created = [];
+      const rejected = [];
+      const warnings = [];
+
+      parsed.rows.forEach(row => {
+        if (row.errors) {
+          rejected.push(row);
+          return;
+        }
+
+        const { error, value } = trackSchemaCreate.validate(row.data, { abortEarly: false });
+
+        if (error) {
+          rejected.push({ line: row.line, errors: buildValidationProblem(error).errors });
+          return;
+        }
+
+        const operation = createTrackOperation(state, { data: value, on_duplicate: query.value.on_duplicate }, req.user);
+
+        if (operation.problem) {
+          const { errors, detail, code } = operation.problem;
+          rejected.push({ line: row.line, errors: errors || [{ field: '', message: detail, code }] });
+          return;
+        }
+        created.push(operation.value);
+        (operation.warnings || []).forEach(warning => warnings.push({ line: row.line, ...warning }));
+      });
+
+      return { status: rejected.length > 0 ? 207 : 201, value: { created, rejected, warnings } };
+    });
+
+    res.status(result.status).json({
+      success: true,
+      data: result.value.created,
+      imported: result.value.created.length,
+      rejected: result.value.rejected,
+      warnings: result.value.warnings
+    });
+  } catch {
+    sendServerError(res, 'Error importing tracks');
+  }
+};
+
+/**
+ * Zet een naam om voor een vergelijking zonder verschil in hoofdletters of witruimte
+ * @param {string} [value] - Naam
+ * @returns {string} Genormaliseerde naam
+ */
+const normalizeName = (value) => {
+  return String(value || '').trim().toLowerCase();
+};
+
+/**
+ * Zoekt de track die overeenkomt met een entry uit een playlist bestand: de track met dezelfde
+ * Spotify link als location, of anders dezelfde naam en, als de entry een creator heeft, minstens
+ * een gemeenschappelijke artiest
+ * @param {Array} tracks - Array van alle track objecten
+ * @param {Object} entry - Entry met title, creator (bv. 'Queen, David Bowie') en location
+ * @returns {Object|undefined} Eerste overeenkomende track
+ */
+const findMatchingTrack = (tracks, entry) => {
+  const spotifyId = entry.location ? parseSpotifyId(entry.location, 'track') : null;
+  const linked = spotifyId ? tracks.find(track => track.spotify_id === spotifyId) : undefined;
+
+  if (linked) {
+    return linked;
+  }
+
+  if (!entry.title) {
+    return undefined;
+  }
+
+  const creators = entry.creator
+    ? [entry.creator, ...entry.creator.split(/,|&|\bfeat\.?\s|\bft\.?\s/i)].map(normalizeName).filter(name => name !== '')
+    : [];
+
+  return tracks.find(track => {
+    return normalizeName(track.naam) === normalizeName(entry.title) &&
+      (creators.length === 0 || (track.artiesten || []).some(artist => creators.includes(normalizeName(artist))));
+  });
+};
+
+/**
+ * Exporteert een playlist voor mediaspelers als M3U8, XSPF of JSPF. Tracks zonder spotify_url krijgen
+ * een mockify:track:<id> location.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Playlist ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.format='m3u8'] - 'm3u8', 'xspf' of 'jspf'
+ * @param {Object} res - Express response object
+ * @returns {Object} Playlist bestand als bijlage, of error (400, 404)
+ */
+const exportPlaylistFile = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query, Object.keys(PLAYLIST_FORMATS));
+
+    if (format.error) {
+      return sendValidationProblem(res, format.error);
+    }
+
+    const playlists = withoutDeleted(await playlistsRepository.all());
+    const playlist = playlists.find(p => p.id === parseInt(req.params.id));
+
+    if (!playlist || !canViewPlaylist(playlist, req.user)) {
+      return sendNotFound(res, `Playlist ${req.params.id} not found`);
+    }
+
+    const tracks = withoutDeleted(await tracksRepository.all());
+    const entries = (playlist.tracks || [])
+      .map(entry => tracks.find(t => t.id === entry.track_id))
+      .filter(track => track !== undefined)
+      .map(track => ({
+        title: track.naam,
+        creator: (track.artiesten || []).join(', '),
+        duration: track.duur,
+        location: track.spotify_url || `mockify:track:${track.id}`
+      }));
+
+    res.attachment(`playlist-${playlist.id}.${format.value}`);
+    res.set('Content-Type', PLAYLIST_FORMATS[format.value].contentType);
+    res.send(renderPlaylist(format.value, {
+      title: playlist.naam,
+      creator: playlist.author,
+      annotation: playlist.beschrijving,
+      entries
+    }));
+  } catch {
+    sendServerError(res, 'Error exporting playlist');
+  }
+};
+
+/**
+ * Importeert een M3U8, XSPF of JSPF bestand als nieuwe playlist van de user. Het formaat volgt uit het
+ * Content-Type; entries worden gekoppeld aan bestaande tracks op Spotify link, of op naam en artiest.
+ * De user is de author en staat in added_by van elke entry; de creator uit het bestand telt niet.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string|Object} req.body - Playlist bestand
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.visibility='private'] - Zichtbaarheid van de nieuwe playlist
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de nieuwe playlist, matched en unmatched (201), of error (400, 415)
+ */
+const importPlaylistFile = async (req, res) => {
+  try {
+    const format = Object.keys(PLAYLIST_FORMATS).find(key => req.is(PLAYLIST_FORMATS[key].accepts));
+
+    if (!format || req.body === undefined) {
+      const accepted = Object.values(PLAYLIST_FORMATS).map(definition => definition.contentType);
+      return sendProblem(res, 415, 'unsupported_media_type', `Unsupported Content-Type; use ${accepted.join(', ')}`);
+    }
+
+    const query = playlistImportQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (query.error) {
+      return sendValidationProblem(res, query.error);
+    }
+
+    let parsed;
+
+    try {
+      parsed = parsePlaylist(format, req.body);
+    } catch (error) {
+      return sendValidationProblem(res, [{ field: '', message: error.message, code: 'playlist.parse' }]);
+    }
+
+    const result = await executeOperation([...PLAYLIST_COLLECTIONS, 'tracks'], state => {
+      const author = req.user.naam;
+      const addedAt = new Date().toISOString();
+      const unmatched = [];
+
+      const tracks = withoutDeleted(state.data.tracks);
+
+      const entries = parsed.entries.flatMap((entry, position) => {
+        const track = findMatchingTrack(tracks, entry);
+
+        if (!track) {
+          unmatched.push({ position, title: entry.title || null, creator: entry.creator || null, location: entry.location || null });
+          return [];
+        }
+        return [{ track_id: track.id, added_at: addedAt, added_by: author }];
+      });
+
+      const created = createPlaylistOperation(state, {
+        data: {
+          naam: parsed.title || 'Imported playlist',
+          beschrijving: parsed.annotation || `Imported from ${format.toUpperCase()}`,
+          author,
+          visibility: query.value.visibility
+        },
+        tracks: entries
+      }, req.user);
+
+      return created.problem ? created : { ...created, unmatched };
+    });
+
+    if (result.problem) {
+      return sendOperationResult(res, result);
+    }
+
+    res.set(result.headers);
+    res.status(201).json({
+      success: true,
+      data: result.value,
+      matched: result.value.tracks.length,
+      unmatched: result.unmatched
+    });
+  } catch {
+    sendServerError(res, 'Error importing playlist');
+  }
+};
+
+module.exports = {
+  IMPORT_CONTENT_TYPES,
+  playlistImportQuerySchema,
+  exportTracks,
+  exportPlaylists,
+  importTracks,
+  exportPlaylistFile,
+  importPlaylistFile
+};
@@ -0,0 +1,373 @@
+/**
+ * @fileoverview Controller voor de tracks binnen een playlist (geneste resource)
+ * @module controllers/playlist-tracks
+ */
+
+const Joi = require('joi');
+const { nestFields, parseFields, projectFields } = require('../utils/fields');
+const { versionETag } = require('../utils/conditional');
+const { withoutDeleted } = require('../utils/trash');
+const { buildValidationProblem, sendValidationProblem, sendNotFound, sendServerError } = require('../utils/problem');
+const { executeOperation, sendOperationResult } = require('../utils/operations');
+const { getRepository } = require('../storage');
+const { TRACK_FIELDS } = require('./tracks.controller');
+const { PLAYLIST_COLLECTIONS, findModifiablePlaylist, replacePlaylistEntries, canViewPlaylist } = require('./playlists.controller');
+
+const tracksRepository = getRepository('tracks');
+const playlistsRepository = getRepository('playlists');
+
+/**
+ * Velden van een playlist entry die via de fields query parameter opgevraagd kunnen worden,
+ * inclusief de velden van de ingebedde track
+ * @type {string[]}
+ */
+const PLAYLIST_TRACK_FIELDS = [
+  'position', 'added_at', 'added_by', 'track',
+  ...nestFields('track', TRACK_FIELDS)
+];
+
+/**
+ * Collecties die de mutaties van de tracks van een playlist lezen en aanpassen
+ * @type {string[]}
+ */
+const PLAYLIST_TRACKS_COLLECTIONS = [...PLAYLIST_COLLECTIONS, 'tracks'];
+
+/**
+ * Joi validatie schema voor het toevoegen van tracks aan een playlist (POST)
+ * @type {Joi.ObjectSchema}
+ */
+const playlistTracksSchemaAdd = Joi.object({
+  track_ids: Joi.array().items(Joi.number().integer()).min(1).required(),
+  position: Joi.number().integer().min(0).optional()
+});
+
+/**
+ * Joi validatie schema voor het verwijderen van tracks uit een playlist (DELETE)
+ * @type {Joi.ObjectSchema}
+ */
+const playlistTracksSchemaRemove = Joi.object({
+  track_ids: Joi.array().items(Joi.number().integer()).min(1),
+  positions: Joi.array().items(Joi.number().integer().min(0)).min(1)
+}).xor('track_ids', 'positions');
+
+/**
+ * Joi validatie schema voor het herschikken van tracks in een playlist (PUT)
+ * @type {Joi.ObjectSchema}
+ */
+const playlistTracksSchemaReorder = Joi.object({
+  range_start: Joi.number().integer().min(0).required(),
+  insert_before: Joi.number().integer().min(0).required(),
+  range_length: Joi.number().integer().min(1).default(1)
+});
+
+/**
+ * Zet de track referenties van een playlist om naar volledige track objecten
+ * @param {Object} playlist - Playlist object
+ * @param {Array} tracks - Array van alle track objecten
+ * @returns {Array} Array van entries met position, added_at, added_by en track
+ */
+const expandPlaylistTracks = (playlist, tracks) => {
+  return (playlist.tracks || []).map((entry, position) => ({
+    position,
+    added_at: entry.added_at,
+    added_by: entry.added_by,
+    track: tracks.find(t => t.id === entry.track_id) || null
+  }));
+};
+
+/**
+ * Haalt alle tracks van een playlist op als volledige track objecten
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Playlist ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.fields] - Komma-gescheiden lijst van velden, bv. 'position,track.naam'
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met playlist tracks en count
+ */
+const getPlaylistTracks = async (req, res) => {
+  try {
+    const fields = parseFields(req.query.fields, PLAYLIST_TRACK_FIELDS);
+
+    if (fields.error) {
+      return sendValidationProblem(res, [{ field: 'fields', message: fields.error }], { allowed_fields: fields.allowedFields });
+    }
+
+    const playlists = withoutDeleted(await playlistsRepository.all());
+    const playlist = playlists.find(p => p.id === parseInt(req.params.id));
+
+    if (!playlist || !canViewPlaylist(playlist, req.user)) {
+      return sendNotFound(res, `Playlist ${req.params.id} not found`);
+    }
+
+    const tracks = await tracksRepository.all();
+    const items = expandPlaylistTracks(playlist, tracks);
+
+    res.json({
+      success: true,
+      data: projectFields(items, fields.value),
+      count: items.length
+    });
+  } catch {
+    sendServerError(res, 'Error retrieving playlist tracks');
+  }
+};
+
+/**
+ * Stuurt het resultaat van een operatie op de tracks van een playlist terug: de entries als JSON met
+ * count en de ETag van de playlist, of een problem+json
+ * @param {Object} res - Express response object
+ * @param {Object} result - Operatieresultaat met de entries in value
+ * @returns {Object} Express response
+ */
+const sendPlaylistTracksResult = (res, result) => {
+  if (result.problem) {
+    return sendOperationResult(res, result);
+  }
+
+  res.set(result.headers);
+  return res.status(result.status).json({
+    success: true,
+    data: result.value,
+    count: result.value.length
+  });
+};
+
+/**
+ * Bewaart nieuwe entries van een playlist in een state (met een entry in de audit log) en bouwt het
+ * operatieresultaat
+ * @param {Object} state - State met de PLAYLIST_TRACKS_COLLECTIONS
+ * @param {number} index - Index van de playlist
+ * @param {Object[]} entries - Nieuwe entries van de playlist
+ * @param {string} action - Actie voor de audit log: 'add_tracks', 'remove_tracks' of 'reorder_tracks'
+ * @param {Object} user - Geauthenticeerde user (voor de audit log)
+ * @param {number} status - HTTP status code (200 of 201)
+ * @returns {Object} Operatieresultaat met de entries als volledige track objecten en de ETag van de playlist
+ */
+const savePlaylistEntries = (state, index, entries, action, user, status) => {
+  const playlist = replacePlaylistEntries(state, index, entries, action, user);
+  return { status, value: expandPlaylistTracks(playlist, state.data.tracks), headers: { ETag: versionETag(playlist) } };
+};
+
+/**
+ * Voegt tracks toe aan een playlist in een state
+ * @param {Object} state - State met de PLAYLIST_TRACKS_COLLECTIONS
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Playlist ID
+ * @param {Object} input.data - Body met track_ids en position (zie playlistTracksSchemaAdd)
+ * @param {string} [input.if_match] - Verwachte ETag van de playlist
+ * @param {Object} user - Geauthenticeerde user (wordt added_by)
+ * @returns {Object} Operatieresultaat met de entries (201) of een problem (400, 403, 404, 412)
+ */
+const addPlaylistTracksOperation = (state, { id, data, if_match }, user) => {
+  const { error, value } = playlistTracksSchemaAdd.validate(data, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  const found = findModifiablePlaylist(state.data.playlists, id, user, if_match);
+
+  if (found.problem) {
+    return found;
+  }
+
+  const tracks = withoutDeleted(state.data.tracks);
+  const unknownIds = value.track_ids.filter(trackId => !tracks.some(t => t.id === trackId));
+
+  if (unknownIds.length > 0) {
+    return { problem: buildValidationProblem([{ field: 'track_ids', message: `Unknown track ids: ${unknownIds.join(', ')}` }]) };
+  }
+
+  const entries = [...(state.data.playlists[found.index].tracks || [])];
+
+  if (value.position !== undefined && value.position > entries.length) {
+    return {
+      problem: buildValidationProblem([{ field: 'position', message: `"position" must be less than or equal to ${entries.length}`, code: 'number.max' }])
+    };
+  }
+
+  const addedAt = new Date().toISOString();
+  const newEntries = value.track_ids.map(trackId => ({
+    track_id: trackId,
+    added_at: addedAt,
+    added_by: user.naam
+  }));
+
+  entries.splice(value.position !== undefined ? value.position : entries.length, 0, ...newEntries);
+  return savePlaylistEntries(state, found.index, entries, 'add_tracks', user, 201);
+};
+
+/**
+ * Verwijdert tracks uit een playlist in een state, op track ID (alle voorkomens) of op positie.
+ * Als er geen entry verwijderd wordt, blijft de playlist (en haar version) ongewijzigd.
+ * @param {Object} state - State met de PLAYLIST_TRACKS_COLLECTIONS
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Playlist ID
+ * @param {Object} input.data - Body met track_ids of positions (zie playlistTracksSchemaRemove)
+ * @param {string} [input.if_match] - Verwachte ETag van de playlist
+ * @param {Object} user - Geauthenticeerde user
+ * @returns {Object} Operatieresultaat met de entries of een problem (400, 403, 404, 412)
+ */
+const removePlaylistTracksOperation = (state, { id, data, if_match }, user) => {
+  const { error, value } = playlistTracksSchemaRemove.validate(data, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  const found = findModifiablePlaylist(state.data.playlists, id, user, if_match);
+
+  if (found.problem) {
+    return found;
+  }
+
+  const playlist = state.data.playlists[found.index];
+  const entries = playlist.tracks || [];
+
+  if (value.positions) {
+    const invalidPositions = value.positions.filter(p => p >= entries.length);
+
+    if (invalidPositions.length > 0) {
+      return { problem: buildValidationProblem([{ field: 'positions', message: `Invalid positions: ${invalidPositions.join(', ')}` }]) };
+    }
+  }
+
+  const remaining = value.positions
+    ? entries.filter((entry, position) => !value.positions.includes(position))
+    : entries.filter(entry => !value.track_ids.includes(entry.track_id));
+
+  if (remaining.length === entries.length) {
+    return { status: 200, value: expandPlaylistTracks(playlist, state.data.tracks), headers: { ETag: versionETag(playlist) } };
+  }
+
+  return savePlaylistEntries(state, found.index, remaining, 'remove_tracks', user, 200);
+};
+
+/**
+ * Verplaatst een reeks tracks binnen een playlist in een state (zelfde semantiek als de Spotify API)
+ * @param {Object} state - State met de PLAYLIST_TRACKS_COLLECTIONS
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Playlist ID
+ * @param {Object} input.data - Body met range_start, insert_before en range_length (zie playlistTracksSchemaReorder)
+ * @param {string} [input.if_match] - Verwachte ETag van de playlist
+ * @param {Object} user - Geauthenticeerde user
+ * @returns {Object} Operatieresultaat met de herschikte entries of een problem (400, 403, 404, 412)
+ */
+const reorderPlaylistTracksOperation = (state, { id, data, if_match }, user) => {
+  const { error, value } = playlistTracksSchemaReorder.validate(data, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  const found = findModifiablePlaylist(state.data.playlists, id, user, if_match);
+
+  if (found.problem) {
+    return found;
+  }
+
+  const entries = [...(state.data.playlists[found.index].tracks || [])];
+  const { range_start, insert_before, range_length } = value;
+
+  if (range_start + range_length > entries.length || insert_before > entries.length) {
+    return { problem: buildValidationProblem([{ field: 'range_start', message: `Range is out of bounds for a playlist with ${entries.length} tracks` }]) };
+  }
+
+  // Invoegen binnen de eigen reeks laat de volgorde ongewijzigd
+  if (insert_before < range_start || insert_before > range_start + range_length) {
+    const moved = entries.splice(range_start, range_length);
+    const target = insert_before > range_start ? insert_before - range_length : insert_before;
+    entries.splice(target, 0, ...moved);
+  }
+
+  return savePlaylistEntries(state, found.index, entries, 'reorder_tracks', user, 200);
+};
+
+/**
+ * Voegt een of meerdere tracks toe aan een playlist, optioneel op een positie. added_by is de naam
+ * van de geauthenticeerde user.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Playlist ID
+ * @param {Object} req.body - Request body
+ * @param {number[]} req.body.track_ids - IDs van de toe te voegen tracks
+ * @param {number} [req.body.position] - Positie waarop de tracks ingevoegd worden (standaard achteraan)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de bijgewerkte playlist tracks of error (400, 403, 404, 412)
+ */
+const addPlaylistTracks = async (req, res) => {
+  try {
+    const result = await executeOperation(PLAYLIST_TRACKS_COLLECTIONS, state => addPlaylistTracksOperation(state, {
+      id: req.params.id,
+      data: req.body,
+      if_match: req.get('If-Match')
+    }, req.user));
+    sendPlaylistTracksResult(res, result);
+  } catch {
+    sendServerError(res, 'Error adding tracks to playlist');
+  }
+};
+
+/**
+ * Verwijdert tracks uit een playlist, op track ID (alle voorkomens) of op positie
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Playlist ID
+ * @param {Object} req.body - Request body (track_ids of positions)
+ * @param {number[]} [req.body.track_ids] - IDs van de te verwijderen tracks
+ * @param {number[]} [req.body.positions] - Posities van de te verwijderen entries
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de bijgewerkte playlist tracks of error (400, 403, 404, 412)
+ */
+const removePlaylistTracks = async (req, res) => {
+  try {
+    const result = await executeOperation(PLAYLIST_TRACKS_COLLECTIONS, state => removePlaylistTracksOperation(state, {
+      id: req.params.id,
+      data: req.body,
+      if_match: req.get('If-Match')
+    }, req.user));
+    sendPlaylistTracksResult(res, result);
+  } catch {
+    sendServerError(res, 'Error removing tracks from playlist');
+  }
+};
+
+/**
+ * Verplaatst een reeks tracks binnen een playlist (zelfde semantiek als de Spotify API)
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Playlist ID
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.range_start - Positie van de eerste te verplaatsen track
+ * @param {number} req.body.insert_before - Positie waarvoor de reeks ingevoegd wordt
+ * @param {number} [req.body.range_length=1] - Aantal te verplaatsen tracks
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de herschikte playlist tracks of error (400, 403, 404, 412)
+ */
+const reorderPlaylistTracks = async (req, res) => {
+  try {
+    const result = await executeOperation(PLAYLIST_TRACKS_COLLECTIONS, state => reorderPlaylistTracksOperation(state, {
+      id: req.params.id,
+      data: req.body,
+      if_match: req.get('If-Match')
+    }, req.user));
+    sendPlaylistTracksResult(res, result);
+  } catch {
+    sendServerError(res, 'Error reordering playlist tracks');
+  }
+};
+
+module.exports = {
+  playlistTracksSchemaAdd,
+  playlistTracksSchemaRemove,
+  playlistTracksSchemaReorder,
+  getPlaylistTracks,
+  addPlaylistTracks,
+  removePlaylistTracks,
+  reorderPlaylistTracks
+};
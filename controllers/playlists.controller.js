@@ -3,11 +3,45 @@
  * @module controllers/playlists
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const Joi = require('joi');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { parseSort, sortItems } = require('../utils/sort');
+const { nestFields, parseFields, projectFields } = require('../utils/fields');
+const { versionETag, nextVersion, ifMatchSatisfied, preconditionFailed } = require('../utils/conditional');
+const { patchFormat, resolvePatch, sendUnsupportedPatchType } = require('../utils/patch');
+const { buildProblem, buildValidationProblem, sendProblem, sendBuiltProblem, sendValidationProblem, sendNotFound, sendServerError } = require('../utils/problem');
+const { executeOperation, sendOperationResult, executeBulk, sendBulkResult } = require('../utils/operations');
+const { isDeleted, withoutDeleted, markDeleted, unmarkDeleted } = require('../utils/trash');
+const { AUDIT_LOG, SEQUENCES_COLLECTION, revertSchema, recordAudit, nextRecordId, recordHistory, findRevision } = require('../utils/audit');
+const { spotifyUrlSchema, spotifyFields } = require('../utils/spotify');
+const { getRepository, getLog } = require('../storage');
+
+const playlistsRepository = getRepository('playlists');
+const auditLog = getLog(AUDIT_LOG);
 
-const playlistsFilePath = path.join(__dirname, '../models/playlists.json');
+/**
+ * Velden waarop playlists gesorteerd kunnen worden via de sort query parameter
+ * @type {string[]}
+ */
+const PLAYLIST_SORT_FIELDS = ['id', 'naam', 'author', 'visibility', 'created_at', 'updated_at'];
+
+/**
+ * Velden van een playlist die via de fields query parameter opgevraagd kunnen worden,
+ * inclusief de velden van de geneste track entries
+ * @type {string[]}
+ */
+const PLAYLIST_FIELDS = [
+  'id', 'naam', 'beschrijving', 'author', 'owner_id', 'visibility', 'spotify_url', 'spotify_id', 'tracks', 'created_at', 'updated_at', 'version',
+  ...nestFields('tracks', ['track_id', 'added_at', 'added_by'])
+];
+
+/**
+ * Joi validatie schema voor de filter query parameters van GET /api/playlists
+ * @type {Joi.ObjectSchema}
+ */
+const playlistQuerySchema = Joi.object({
+  updated_since: Joi.date().iso()
+}).unknown(true);
 
 /**
  * Joi validatie schema voor het aanmaken van een playlist (POST)
@@ -16,9 +50,9 @@ const playlistsFilePath = path.join(__dirname, '../models/playlists.json');
 const playlistSchemaCreate = Joi.object({
   naam: Joi.string().required(),
   beschrijving: Joi.string().required(),
-  author: Joi.string().required(),
+  author: Joi.string().optional(),
   visibility: Joi.string().valid('public', 'private').required(),
-  spotify_url: Joi.string().allow('').optional()
+  spotify_url: spotifyUrlSchema('playlist').allow('').optional()
 });
 
 /**
@@ -29,43 +63,122 @@ const playlistSchemaUpdate = Joi.object({
   id: Joi.number().integer().required(),
   naam: Joi.string().required(),
   beschrijving: Joi.string().required(),
-  author: Joi.string().required(),
+  author: Joi.string().optional(),
   visibility: Joi.string().valid('public', 'private').required(),
-  spotify_url: Joi.string().allow('').optional()
+  spotify_url: spotifyUrlSchema('playlist').allow('').optional()
 });
 
 /**
- * Leest alle playlists uit het JSON bestand
- * @async
- * @returns {Promise<Array>} Array van playlist objecten
+ * Velden van een playlist die via PATCH aangepast kunnen worden (tracks via /:id/tracks)
+ * @type {string[]}
  */
-const readPlaylists = async () => {
-  try {
-    const data = await fs.readFile(playlistsFilePath, 'utf8');
-    return JSON.parse(data);
-  } catch {
-    return [];
-  }
-};
+const PLAYLIST_PATCH_FIELDS = ['naam', 'beschrijving', 'author', 'visibility', 'spotify_url'];
 
 /**
- * Schrijft playlists array naar het JSON bestand
- * @async
- * @param {Array} playlists - Array van playlist objecten
- * @returns {Promise<void>}
+ * Joi validatie schema voor de wijzigingen van een PATCH (alle velden optioneel, null enkel
+ * voor spotify_url om de URL te wissen)
+ * @type {Joi.ObjectSchema}
  */
-const writePlaylists = async (playlists) => {
-  await fs.writeFile(playlistsFilePath, JSON.stringify(playlists, null, 2));
-};
+const playlistSchemaPatch = Joi.object({
+  naam: Joi.string(),
+  beschrijving: Joi.string(),
+  author: Joi.string(),
+  visibility: Joi.string().valid('public', 'private'),
+  spotify_url: spotifyUrlSchema('playlist').allow('', null)
+});
 
 /**
- * Zoekt de index van een playlist in de array op basis van ID
+ * Zoekt de index van een playlist in de array op basis van ID; verwijderde playlists tellen niet mee
  * @param {Array} playlists - Array van playlist objecten
  * @param {string|number} id - Playlist ID
- * @returns {number} Index van de playlist, of -1 als niet gevonden
+ * @returns {number} Index van de playlist, of -1 als niet gevonden of verwijderd
  */
 const findPlaylistIndex = (playlists, id) => {
-  return playlists.findIndex(p => p.id === parseInt(id));
+  return playlists.findIndex(p => p.id === parseInt(id) && !isDeleted(p));
+};
+
+/**
+ * Controleert of een user de owner van een playlist is
+ * @param {Object} playlist - Playlist object
+ * @param {Object|null} user - Geauthenticeerde user (null voor anonieme requests)
+ * @returns {boolean} true als de user de playlist bezit
+ */
+const isPlaylistOwner = (playlist, user) => {
+  return Boolean(user) && playlist.owner_id === user.id;
+};
+
+/**
+ * Controleert of een user een playlist mag aanpassen: enkel de owner, ook voor admins
+ * @param {Object} playlist - Playlist object
+ * @param {Object|null} user - Geauthenticeerde user (null voor anonieme requests)
+ * @returns {boolean} true als de user de playlist mag aanpassen
+ */
+const canModifyPlaylist = (playlist, user) => {
+  return isPlaylistOwner(playlist, user);
+};
+
+/**
+ * Controleert of een user een playlist mag zien: publieke playlists zijn zichtbaar voor
+ * iedereen, private playlists enkel voor hun owner
+ * @param {Object} playlist - Playlist object
+ * @param {Object|null} user - Geauthenticeerde user (null voor anonieme requests)
+ * @returns {boolean} true als de playlist zichtbaar is
+ */
+const canViewPlaylist = (playlist, user) => {
+  return playlist.visibility !== 'private' || canModifyPlaylist(playlist, user);
+};
+
+/**
+ * Selecteert de zichtbare playlists die voldoen aan de filter en sort query parameters van de
+ * lijst endpoint (zonder paginering); gedeeld met de export
+ * @async
+ * @param {Object} query - Query parameters (zie getAllPlaylists)
+ * @param {Object|null} user - Geauthenticeerde user
+ * @returns {Promise<Object>} Object met value (gefilterde en gesorteerde playlists) of problem (400)
+ */
+const selectPlaylists = async (query, user) => {
+  const filters = playlistQuerySchema.validate(query, { abortEarly: false });
+
+  if (filters.error) {
+    return { problem: buildValidationProblem(filters.error) };
+  }
+
+  let playlists = withoutDeleted(await playlistsRepository.all()).filter(p => canViewPlaylist(p, user));
+  const { sort, naam, author, visibility } = query;
+  const { updated_since } = filters.value;
+
+  // Filter op naam
+  if (naam) {
+    playlists = playlists.filter(p => p.naam.toLowerCase().includes(naam.toLowerCase()));
+  }
+
+  // Filter op author
+  if (author) {
+    playlists = playlists.filter(p => p.author.toLowerCase().includes(author.toLowerCase()));
+  }
+
+  // Filter op visibility
+  if (visibility) {
+    playlists = playlists.filter(p => p.visibility === visibility);
+  }
+
+  // Enkel playlists die sinds een tijdstip gewijzigd zijn (incrementele sync)
+  if (updated_since) {
+    playlists = playlists.filter(p => p.updated_at && new Date(p.updated_at) >= updated_since);
+  }
+
+  // Sorteren
+  if (sort !== undefined) {
+    const sortKeys = parseSort(sort, PLAYLIST_SORT_FIELDS);
+
+    if (sortKeys.error) {
+      return { problem: buildValidationProblem([{ field: 'sort', message: sortKeys.error }], { allowed_fields: sortKeys.allowedFields }) };
+    }
+
+    playlists = sortItems(playlists, sortKeys.value);
+  }
+
+  return { value: playlists };
 };
 
 /**
@@ -73,50 +186,52 @@ const findPlaylistIndex = (playlists, id) => {
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
- * @param {string} [req.query.sort] - Sorteerrichting ('asc' of 'desc')
+ * @param {string} [req.query.sort] - Sorteervelden, bv. '-jaar,naam' ('-' = aflopend), of 'asc'/'desc' op naam
  * @param {string} [req.query.naam] - Filter op naam (case-insensitive)
  * @param {string} [req.query.author] - Filter op author (case-insensitive)
  * @param {string} [req.query.visibility] - Filter op visibility ('public' of 'private')
+ * @param {string} [req.query.updated_since] - Enkel playlists die op of na dit ISO 8601 tijdstip gewijzigd zijn
+ * @param {string} [req.query.limit] - Maximaal aantal playlists per pagina
+ * @param {string} [req.query.offset] - Positie van de eerste playlist
+ * @param {string} [req.query.cursor] - Opaque cursor uit een next/previous link
+ * @param {string} [req.query.fields] - Komma-gescheiden lijst van (geneste) velden om terug te geven
  * @param {Object} res - Express response object
- * @returns {Object} JSON response met playlists array en count
+ * @returns {Object} JSON response met playlists array, count, total en next/previous links
  */
 const getAllPlaylists = async (req, res) => {
   try {
-    let playlists = await readPlaylists();
-    const { sort, naam, author, visibility } = req.query;
+    const pagination = parsePagination(req.query);
 
-    // Filter op naam
-    if (naam) {
-      playlists = playlists.filter(p => p.naam.toLowerCase().includes(naam.toLowerCase()));
+    if (pagination.error) {
+      return sendValidationProblem(res, pagination.error);
     }
 
-    // Filter op author
-    if (author) {
-      playlists = playlists.filter(p => p.author.toLowerCase().includes(author.toLowerCase()));
-    }
+    const fields = parseFields(req.query.fields, PLAYLIST_FIELDS);
 
-    // Filter op visibility
-    if (visibility) {
-      playlists = playlists.filter(p => p.visibility === visibility);
+    if (fields.error) {
+      return sendValidationProblem(res, [{ field: 'fields', message: fields.error }], { allowed_fields: fields.allowedFields });
     }
 
-    // Sorteren
-    if (sort === 'asc') {
-      playlists.sort((a, b) => a.naam.localeCompare(b.naam));
-    } else if (sort === 'desc') {
-      playlists.sort((a, b) => b.naam.localeCompare(a.naam));
+    const selection = await selectPlaylists(req.query, req.user);
+
+    if (selection.problem) {
+      return sendBuiltProblem(res, selection.problem);
     }
 
+    const page = paginate(selection.value, pagination.value, req, res);
+
     res.json({
       success: true,
-      data: playlists,
-      count: playlists.length
+      data: projectFields(page.data, fields.value),
+      count: page.data.length,
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      next: page.next,
+      previous: page.previous
     });
   } catch {
-    res.status(500).json({
-      success: false,
-      message: 'Error retrieving playlists'
-    });
+    sendServerError(res, 'Error retrieving playlists');
   }
 };
 
@@ -126,28 +241,312 @@ const getAllPlaylists = async (req, res) => {
  * @param {Object} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {string} req.params.id - Playlist ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.fields] - Komma-gescheiden lijst van (geneste) velden om terug te geven
  * @param {Object} res - Express response object
- * @returns {Object} JSON response met playlist data of leeg object bij 404
+ * @returns {Object} JSON response met playlist data of 404
  */
 const getPlaylistById = async (req, res) => {
   try {
-    const playlists = await readPlaylists();
+    const fields = parseFields(req.query.fields, PLAYLIST_FIELDS);
+
+    if (fields.error) {
+      return sendValidationProblem(res, [{ field: 'fields', message: fields.error }], { allowed_fields: fields.allowedFields });
+    }
+
+    const playlists = withoutDeleted(await playlistsRepository.all());
     const playlist = playlists.find(p => p.id === parseInt(req.params.id));
 
-    if (!playlist) {
-      return res.status(404).json({});
+    if (!playlist || !canViewPlaylist(playlist, req.user)) {
+      return sendNotFound(res, `Playlist ${req.params.id} not found`);
     }
 
+    // Een projectie is een andere representatie en krijgt de ETag van de body
+    if (fields.value === null) {
+      res.set('ETag', versionETag(playlist));
+    }
     res.json({
       success: true,
-      data: playlist
+      data: projectFields(playlist, fields.value)
     });
   } catch {
-    res.status(500).json({
-      success: false,
-      message: 'Error retrieving playlist'
-    });
+    sendServerError(res, 'Error retrieving playlist');
+  }
+};
+
+/**
+ * Collecties die een mutatie van playlists leest en aanpast (de playlists en de ids van gepurgede
+ * playlists); de audit log wordt niet ingelezen
+ * @type {string[]}
+ */
+const PLAYLIST_COLLECTIONS = ['playlists', SEQUENCES_COLLECTION];
+
+/**
+ * Zoekt een playlist die de user mag aanpassen
+ * @param {Array} playlists - Array van playlist objecten
+ * @param {string|number} id - Playlist ID
+ * @param {Object} user - Geauthenticeerde user
+ * @param {string} [ifMatch] - Verwachte ETag
+ * @returns {Object} Object met index, of problem (404 als de playlist onbekend of onzichtbaar is, 403, 412)
+ */
+const findModifiablePlaylist = (playlists, id, user, ifMatch) => {
+  const index = findPlaylistIndex(playlists, id);
+
+  if (index === -1 || !canViewPlaylist(playlists[index], user)) {
+    return { problem: buildProblem(404, 'not_found', `Playlist ${id} not found`) };
+  }
+
+  if (!canModifyPlaylist(playlists[index], user)) {
+    return { problem: buildProblem(403, 'not_playlist_owner', 'Only the owner can modify this playlist') };
+  }
+
+  if (!ifMatchSatisfied(ifMatch, playlists[index])) {
+    return preconditionFailed(playlists[index]);
+  }
+
+  return { index };
+};
+
+/**
+ * Bouwt het operatieresultaat voor een geslaagde mutatie, met de ETag van de playlist
+ * @param {number} status - HTTP status code (200 of 201)
+ * @param {Object} playlist - Aangemaakte of gewijzigde playlist
+ * @returns {Object} Operatieresultaat
+ */
+const playlistResult = (status, playlist) => {
+  return { status, value: playlist, headers: { ETag: versionETag(playlist) } };
+};
+
+/**
+ * Maakt een nieuwe playlist aan in een state (operatie voor POST en bulk create)
+ * @param {Object} state - State met playlists
+ * @param {Object} input - Input van de operatie
+ * @param {Object} input.data - Playlist data (zie playlistSchemaCreate)
+ * @param {Object[]} [input.tracks] - Track entries van de nieuwe playlist (bij een import)
+ * @param {Object} user - Geauthenticeerde user (wordt de owner)
+ * @returns {Object} Operatieresultaat met de nieuwe playlist (201) of een problem
+ */
+const createPlaylistOperation = (state, { data, tracks }, user) => {
+  const { error } = playlistSchemaCreate.validate(data, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  const { playlists } = state.data;
+  const now = new Date().toISOString();
+  const newPlaylist = {
+    id: nextRecordId(state, 'playlists'),
+    naam: data.naam,
+    beschrijving: data.beschrijving,
+    author: data.author || user.naam,
+    owner_id: user.id,
+    visibility: data.visibility,
+    ...spotifyFields('playlist', data.spotify_url),
+    tracks: tracks || [],
+    created_at: now,
+    updated_at: now,
+    version: 1
+  };
+
+  playlists.push(newPlaylist);
+  state.changed.add('playlists');
+  recordAudit(state, { collection: 'playlists', action: 'create', after: newPlaylist }, user);
+  return playlistResult(201, newPlaylist);
+};
+
+/**
+ * Vervangt een volledige playlist in een state (operatie voor PUT en bulk update)
+ * @param {Object} state - State met playlists
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Playlist ID
+ * @param {Object} input.data - Alle playlist velden (zie playlistSchemaUpdate)
+ * @param {string} [input.if_match] - Verwachte ETag
+ * @param {Object} user - Geauthenticeerde user
+ * @returns {Object} Operatieresultaat met de geüpdatete playlist of een problem (400, 403, 404, 412)
+ */
+const updatePlaylistOperation = (state, { id, data, if_match }, user) => {
+  const { error } = playlistSchemaUpdate.validate(data, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  const { playlists } = state.data;
+  const found = findModifiablePlaylist(playlists, id, user, if_match);
+
+  if (found.problem) {
+    return found;
+  }
+
+  const current = playlists[found.index];
+  const updatedPlaylist = {
+    id: parseInt(id),
+    naam: data.naam,
+    beschrijving: data.beschrijving,
+    author: data.author || current.author,
+    owner_id: current.owner_id,
+    visibility: data.visibility,
+    ...spotifyFields('playlist', data.spotify_url),
+    tracks: current.tracks || [],
+    created_at: current.created_at,
+    updated_at: new Date().toISOString(),
+    version: nextVersion(current)
+  };
+
+  recordAudit(state, { collection: 'playlists', action: 'update', before: current, after: updatedPlaylist }, user);
+  playlists[found.index] = updatedPlaylist;
+  state.changed.add('playlists');
+  return playlistResult(200, updatedPlaylist);
+};
+
+/**
+ * Past een patch toe op een playlist in een state (operatie voor PATCH en bulk patch)
+ * @param {Object} state - State met playlists
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Playlist ID
+ * @param {Object|Object[]} input.data - Merge patch of array van JSON Patch operaties
+ * @param {string} input.format - 'merge' of 'json-patch'
+ * @param {string} [input.if_match] - Verwachte ETag
+ * @param {Object} user - Geauthenticeerde user
+ * @returns {Object} Operatieresultaat met de geüpdatete playlist of een problem (400, 403, 404, 409, 412)
+ */
+const patchPlaylistOperation = (state, { id, data, format, if_match }, user) => {
+  const { playlists } = state.data;
+  const found = findModifiablePlaylist(playlists, id, user, if_match);
+
+  if (found.problem) {
+    return found;
+  }
+
+  const patch = resolvePatch(data, format, playlists[found.index], PLAYLIST_PATCH_FIELDS);
+
+  if (patch.problem) {
+    return patch;
   }
+
+  const { error, value: changes } = playlistSchemaPatch.validate(patch.value, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  const updatedPlaylist = { ...playlists[found.index], ...changes };
+
+  if (changes.spotify_url !== undefined) {
+    Object.assign(updatedPlaylist, spotifyFields('playlist', changes.spotify_url));
+  }
+  updatedPlaylist.updated_at = new Date().toISOString();
+  updatedPlaylist.version = nextVersion(updatedPlaylist);
+
+  recordAudit(state, { collection: 'playlists', action: 'patch', before: playlists[found.index], after: updatedPlaylist }, user);
+  playlists[found.index] = updatedPlaylist;
+  state.changed.add('playlists');
+  return playlistResult(200, updatedPlaylist);
+};
+
+/**
+ * Verplaatst een playlist naar de prullenbak (soft delete; operatie voor DELETE en bulk delete)
+ * @param {Object} state - State met playlists
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Playlist ID
+ * @param {string} [input.if_match] - Verwachte ETag
+ * @param {Object} user - Geauthenticeerde user
+ * @returns {Object} Operatieresultaat met de verwijderde playlist (met deleted_at) of een problem (403, 404, 412)
+ */
+const deletePlaylistOperation = (state, { id, if_match }, user) => {
+  const { playlists } = state.data;
+  const found = findModifiablePlaylist(playlists, id, user, if_match);
+
+  if (found.problem) {
+    return found;
+  }
+
+  const deletedPlaylist = markDeleted(playlists[found.index]);
+
+  recordAudit(state, { collection: 'playlists', action: 'delete', before: playlists[found.index], after: deletedPlaylist }, user);
+  playlists[found.index] = deletedPlaylist;
+  state.changed.add('playlists');
+  return { status: 200, value: deletedPlaylist };
+};
+
+/**
+ * Haalt een playlist terug uit de prullenbak (enkel de owner)
+ * @param {Object} state - State met playlists
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Playlist ID
+ * @param {Object} user - Geauthenticeerde user
+ * @returns {Object} Operatieresultaat met de herstelde playlist of een problem (404 als de playlist niet
+ * in de prullenbak van de user zit)
+ */
+const restorePlaylistOperation = (state, { id }, user) => {
+  const { playlists } = state.data;
+  const index = playlists.findIndex(p => p.id === parseInt(id) && isDeleted(p));
+
+  if (index === -1 || !canModifyPlaylist(playlists[index], user)) {
+    return { problem: buildProblem(404, 'not_found', `Playlist ${id} not found in trash`) };
+  }
+
+  const restoredPlaylist = unmarkDeleted(playlists[index]);
+
+  recordAudit(state, { collection: 'playlists', action: 'restore', before: playlists[index], after: restoredPlaylist }, user);
+  playlists[index] = restoredPlaylist;
+  state.changed.add('playlists');
+  return playlistResult(200, restoredPlaylist);
+};
+
+/**
+ * Zet de velden van een playlist (zie PLAYLIST_PATCH_FIELDS; de tracks niet) terug naar een
+ * eerdere revision uit de audit log; de revert krijgt zelf een nieuwe version
+ * @param {Object} state - State met de PLAYLIST_COLLECTIONS
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Playlist ID
+ * @param {Object} input.data - Body met de revision (zie revertSchema)
+ * @param {string} [input.if_match] - Verwachte ETag
+ * @param {Object[]} input.audit - Entries van de audit log
+ * @param {Object} user - Geauthenticeerde user
+ * @returns {Object} Operatieresultaat met de teruggezette playlist of een problem (400, 403, 404, 412)
+ */
+const revertPlaylistOperation = (state, { id, data, if_match, audit }, user) => {
+  const { error, value } = revertSchema.validate(data, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  const { playlists } = state.data;
+  const found = findModifiablePlaylist(playlists, id, user, if_match);
+
+  if (found.problem) {
+    return found;
+  }
+
+  const revision = findRevision(audit, 'playlists', id, value.revision);
+
+  if (!revision) {
+    return { problem: buildProblem(404, 'revision_not_found', `Revision ${value.revision} of playlist ${id} not found`) };
+  }
+
+  const current = playlists[found.index];
+  const revertedPlaylist = { ...current };
+
+  PLAYLIST_PATCH_FIELDS.forEach(field => {
+    revertedPlaylist[field] = revision[field];
+  });
+  Object.assign(revertedPlaylist, spotifyFields('playlist', revision.spotify_url));
+  revertedPlaylist.updated_at = new Date().toISOString();
+  revertedPlaylist.version = nextVersion(current);
+
+  recordAudit(state, {
+    collection: 'playlists',
+    action: 'revert',
+    before: current,
+    after: revertedPlaylist,
+    revertedTo: value.revision
+  }, user);
+  playlists[found.index] = revertedPlaylist;
+  state.changed.add('playlists');
+  return playlistResult(200, revertedPlaylist);
 };
 
 /**
@@ -159,44 +558,16 @@ const getPlaylistById = async (req, res) => {
  * @param {string} req.body.beschrijving - Beschrijving van de playlist
  * @param {string} req.body.author - Auteur van de playlist
  * @param {string} req.body.visibility - Zichtbaarheid ('public' of 'private')
- * @param {string} [req.body.spotify_url] - Spotify URL (optioneel)
+ * @param {string} [req.body.spotify_url] - Spotify playlist link of URI (optioneel, wordt genormaliseerd)
  * @param {Object} res - Express response object
  * @returns {Object} JSON response met nieuwe playlist of error
  */
 const createPlaylist = async (req, res) => {
   try {
-    const { error } = playlistSchemaCreate.validate(req.body);
-
-    if (error) {
-      return res.status(400).json({
-        error: error.details[0].message
-      });
-    }
-
-    const playlists = await readPlaylists();
-    const newId = playlists.length > 0 ? Math.max(...playlists.map(p => p.id)) + 1 : 1;
-
-    const newPlaylist = {
-      id: newId,
-      naam: req.body.naam,
-      beschrijving: req.body.beschrijving,
-      author: req.body.author,
-      visibility: req.body.visibility,
-      spotify_url: req.body.spotify_url || ''
-    };
-
-    playlists.push(newPlaylist);
-    await writePlaylists(playlists);
-
-    res.status(201).json({
-      success: true,
-      data: newPlaylist
-    });
+    const result = await executeOperation(PLAYLIST_COLLECTIONS, state => createPlaylistOperation(state, { data: req.body }, req.user));
+    sendOperationResult(res, result);
   } catch {
-    res.status(500).json({
-      success: false,
-      message: 'Error creating playlist'
-    });
+    sendServerError(res, 'Error creating playlist');
   }
 };
 
@@ -212,138 +583,332 @@ const createPlaylist = async (req, res) => {
  * @param {string} req.body.beschrijving - Beschrijving van de playlist
  * @param {string} req.body.author - Auteur van de playlist
  * @param {string} req.body.visibility - Zichtbaarheid ('public' of 'private')
- * @param {string} [req.body.spotify_url] - Spotify URL (optioneel)
+ * @param {string} [req.body.spotify_url] - Spotify playlist link of URI (optioneel, wordt genormaliseerd)
  * @param {Object} res - Express response object
  * @returns {Object} JSON response met geüpdatete playlist of error
  */
 const updatePlaylist = async (req, res) => {
   try {
-    const { error } = playlistSchemaUpdate.validate(req.body);
-
-    if (error) {
-      return res.status(400).json({
-        error: error.details[0].message
-      });
-    }
-
-    const playlists = await readPlaylists();
-    const playlistIndex = findPlaylistIndex(playlists, req.params.id);
-
-    if (playlistIndex === -1) {
-      return res.status(404).json({});
-    }
-
-    const updatedPlaylist = {
-      id: parseInt(req.params.id),
-      naam: req.body.naam,
-      beschrijving: req.body.beschrijving,
-      author: req.body.author,
-      visibility: req.body.visibility,
-      spotify_url: req.body.spotify_url || ''
-    };
-
-    playlists[playlistIndex] = updatedPlaylist;
-    await writePlaylists(playlists);
-
-    res.json({
-      success: true,
-      data: updatedPlaylist
-    });
+    const result = await executeOperation(PLAYLIST_COLLECTIONS, state => updatePlaylistOperation(state, {
+      id: req.params.id,
+      data: req.body,
+      if_match: req.get('If-Match')
+    }, req.user));
+    sendOperationResult(res, result);
   } catch {
-    res.status(500).json({
-      success: false,
-      message: 'Error updating playlist'
-    });
+    sendServerError(res, 'Error updating playlist');
   }
 };
 
 /**
- * Update specifieke velden van een playlist (PATCH)
+ * Update specifieke velden van een playlist (PATCH) met een JSON Merge Patch (application/merge-patch+json
+ * of application/json) of een JSON Patch (application/json-patch+json)
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {string} req.params.id - Playlist ID
- * @param {Object} req.body - Request body met velden om te updaten
+ * @param {Object|Object[]} req.body - Merge patch met de te wijzigen velden, of een array van JSON Patch operaties
  * @param {string} [req.body.naam] - Naam van de playlist
  * @param {string} [req.body.beschrijving] - Beschrijving van de playlist
  * @param {string} [req.body.author] - Auteur van de playlist
  * @param {string} [req.body.visibility] - Zichtbaarheid ('public' of 'private')
- * @param {string} [req.body.spotify_url] - Spotify URL
+ * @param {string|null} [req.body.spotify_url] - Spotify playlist link of URI (null wist de link)
  * @param {Object} res - Express response object
- * @returns {Object} JSON response met geüpdatete playlist of error
+ * @returns {Object} JSON response met geüpdatete playlist of error (400, 409 bij een JSON Patch die niet toepasbaar is, 415)
  */
 const patchPlaylist = async (req, res) => {
   try {
-    const playlists = await readPlaylists();
-    const playlistIndex = findPlaylistIndex(playlists, req.params.id);
+    const format = patchFormat(req);
 
-    if (playlistIndex === -1) {
-      return res.status(404).json({});
+    if (!format) {
+      return sendUnsupportedPatchType(res);
     }
 
-    const updatedPlaylist = { ...playlists[playlistIndex] };
-    const { naam, beschrijving, author, visibility, spotify_url } = req.body;
-
-    if (naam) {updatedPlaylist.naam = naam;}
-    if (beschrijving) {updatedPlaylist.beschrijving = beschrijving;}
-    if (author) {updatedPlaylist.author = author;}
-    if (visibility) {updatedPlaylist.visibility = visibility;}
-    if (spotify_url !== undefined) {updatedPlaylist.spotify_url = spotify_url;}
+    const result = await executeOperation(PLAYLIST_COLLECTIONS, state => patchPlaylistOperation(state, {
+      id: req.params.id,
+      data: req.body,
+      format,
+      if_match: req.get('If-Match')
+    }, req.user));
+    sendOperationResult(res, result);
+  } catch {
+    sendServerError(res, 'Error updating playlist');
+  }
+};
 
-    playlists[playlistIndex] = updatedPlaylist;
-    await writePlaylists(playlists);
+/**
+ * Verplaatst een playlist naar de prullenbak
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Playlist ID
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met verwijderde playlist of 404
+ */
+const deletePlaylist = async (req, res) => {
+  try {
+    const result = await executeOperation(PLAYLIST_COLLECTIONS, state => deletePlaylistOperation(state, {
+      id: req.params.id,
+      if_match: req.get('If-Match')
+    }, req.user));
+    sendOperationResult(res, result);
+  } catch {
+    sendServerError(res, 'Error deleting playlist');
+  }
+};
 
-    res.json({
-      success: true,
-      data: updatedPlaylist
-    });
+/**
+ * Voert meerdere create, update, patch en delete operaties op playlists uit met een lees- en
+ * schrijfbeurt; elke operatie volgt dezelfde owner regels als het gewone endpoint
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {boolean} [req.body.atomic=false] - true om niets te bewaren zodra een operatie faalt
+ * @param {Object[]} req.body.operations - Operaties met op, id (niet bij create), data (niet bij delete) en if_match
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met een resultaat per operatie (200 of 207), of error (400, 409 bij een mislukte atomic request)
+ */
+const bulkPlaylists = async (req, res) => {
+  try {
+    const bulk = await executeBulk(PLAYLIST_COLLECTIONS, req.body, {
+      create: createPlaylistOperation,
+      update: updatePlaylistOperation,
+      patch: patchPlaylistOperation,
+      delete: deletePlaylistOperation
+    }, req.user);
+    sendBulkResult(res, bulk);
   } catch {
-    res.status(500).json({
-      success: false,
-      message: 'Error updating playlist'
-    });
+    sendServerError(res, 'Error executing bulk playlist operations');
   }
 };
 
 /**
- * Verwijdert een playlist uit de database
+ * Haalt de audit log van een playlist op, nieuwste eerst (enkel de owner); werkt
+ * ook voor verwijderde playlists
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {string} req.params.id - Playlist ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.limit] - Maximaal aantal entries per pagina
+ * @param {string} [req.query.offset] - Positie van de eerste entry
  * @param {Object} res - Express response object
- * @returns {Object} JSON response met verwijderde playlist of leeg object bij 404
+ * @returns {Object} JSON response met de entries, count en total, of error (403, 404)
  */
-const deletePlaylist = async (req, res) => {
+const getPlaylistHistory = async (req, res) => {
   try {
-    const playlists = await readPlaylists();
-    const playlistIndex = findPlaylistIndex(playlists, req.params.id);
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return sendValidationProblem(res, pagination.error);
+    }
+
+    const playlists = await playlistsRepository.all();
+    const history = recordHistory(await auditLog.all(), 'playlists', req.params.id);
+    // Een definitief verwijderde playlist wordt beoordeeld op haar laatst gekende versie
+    const playlist = playlists.find(p => p.id === parseInt(req.params.id)) ||
+      (history.length > 0 ? history[0].after || history[0].before : null);
+
+    if (!playlist || !canViewPlaylist(playlist, req.user)) {
+      return sendNotFound(res, `Playlist ${req.params.id} not found`);
+    }
 
-    if (playlistIndex === -1) {
-      return res.status(404).json({});
+    if (!canModifyPlaylist(playlist, req.user)) {
+      return sendProblem(res, 403, 'not_playlist_owner', 'Only the owner can view the history of this playlist');
     }
 
-    const deletedPlaylist = playlists[playlistIndex];
-    playlists.splice(playlistIndex, 1);
-    await writePlaylists(playlists);
+    const page = paginate(history, pagination.value, req, res);
 
     res.json({
       success: true,
-      data: deletedPlaylist
+      data: page.data,
+      count: page.data.length,
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      next: page.next,
+      previous: page.previous
     });
   } catch {
-    res.status(500).json({
-      success: false,
-      message: 'Error deleting playlist'
-    });
+    sendServerError(res, 'Error retrieving playlist history');
   }
 };
 
+/**
+ * Zet een playlist terug naar een eerdere revision uit de audit log (enkel de owner)
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Playlist ID
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.revision - Revision (version) waarnaar de playlist teruggezet wordt
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de teruggezette playlist of error (400, 403, 404, 412)
+ */
+const revertPlaylist = async (req, res) => {
+  try {
+    const audit = await auditLog.all();
+    const result = await executeOperation(PLAYLIST_COLLECTIONS, state => revertPlaylistOperation(state, {
+      id: req.params.id,
+      data: req.body,
+      if_match: req.get('If-Match'),
+      audit
+    }, req.user));
+    sendOperationResult(res, result);
+  } catch {
+    sendServerError(res, 'Error reverting playlist');
+  }
+};
+
+/**
+ * Vervangt een playlist in een state door een versie met nieuwe entries (met een nieuwe version) en
+ * logt de wijziging in de audit log
+ * @param {Object} state - State met playlists
+ * @param {number} index - Index van de playlist
+ * @param {Object[]} entries - Nieuwe entries van de playlist
+ * @param {string} action - Actie voor de audit log, bv. 'remove_tracks'
+ * @param {Object|null} user - Geauthenticeerde user (voor de audit log)
+ * @returns {Object} De gewijzigde playlist
+ */
+const replacePlaylistEntries = (state, index, entries, action, user) => {
+  const { playlists } = state.data;
+  const updatedPlaylist = {
+    ...playlists[index],
+    tracks: entries,
+    updated_at: new Date().toISOString(),
+    version: nextVersion(playlists[index])
+  };
+
+  recordAudit(state, { collection: 'playlists', action, before: playlists[index], after: updatedPlaylist }, user);
+  playlists[index] = updatedPlaylist;
+  state.changed.add('playlists');
+  return updatedPlaylist;
+};
+
+/**
+ * Verwijdert alle verwijzingen naar een track uit de playlists in een state (met een nieuwe version
+ * en een entry 'remove_tracks' in de audit log per gewijzigde playlist)
+ * @param {Object} state - State met playlists
+ * @param {number} trackId - ID van de verwijderde track
+ * @param {Object|null} user - Geauthenticeerde user (voor de audit log)
+ * @returns {Object[]} Verwijderde entries met playlist_id, position, added_at en added_by
+ */
+const removeTrackFromPlaylists = (state, trackId, user) => {
+  const removed = [];
+
+  state.data.playlists.forEach((playlist, index) => {
+    const entries = playlist.tracks || [];
+    const remaining = entries.filter(entry => entry.track_id !== trackId);
+
+    if (remaining.length !== entries.length) {
+      entries.forEach((entry, position) => {
+        if (entry.track_id === trackId) {
+          removed.push({ playlist_id: playlist.id, position, added_at: entry.added_at, added_by: entry.added_by });
+        }
+      });
+      replacePlaylistEntries(state, index, remaining, 'remove_tracks', user);
+    }
+  });
+
+  return removed;
+};
+
+/**
+ * Zet de entries van een herstelde track terug op hun oude posities in een state (met een nieuwe
+ * version en een entry 'add_tracks' in de audit log per gewijzigde playlist); playlists die
+ * intussen definitief verwijderd zijn worden overgeslagen
+ * @param {Object} state - State met playlists
+ * @param {number} trackId - ID van de herstelde track
+ * @param {Object[]} entries - Entries uit removeTrackFromPlaylists
+ * @param {Object|null} user - Geauthenticeerde user (voor de audit log)
+ * @returns {boolean} true als minstens een playlist gewijzigd werd
+ */
+const restoreTrackToPlaylists = (state, trackId, entries, user) => {
+  const { playlists } = state.data;
+  const playlistIds = [...new Set(entries.map(entry => entry.playlist_id))];
+  let changed = false;
+
+  playlistIds.forEach(playlistId => {
+    const index = playlists.findIndex(p => p.id === playlistId);
+
+    if (index === -1) {
+      return;
+    }
+
+    const restored = [...(playlists[index].tracks || [])];
+
+    // Oplopend op positie, zodat meerdere entries in dezelfde playlist elk op hun plaats komen
+    entries
+      .filter(entry => entry.playlist_id === playlistId)
+      .sort((a, b) => a.position - b.position)
+      .forEach(entry => {
+        restored.splice(Math.min(entry.position, restored.length), 0, {
+          track_id: trackId,
+          added_at: entry.added_at,
+          added_by: entry.added_by
+        });
+      });
+
+    replacePlaylistEntries(state, index, restored, 'add_tracks', user);
+    changed = true;
+  });
+
+  return changed;
+};
+
+/**
+ * Laat de entries van een of meer tracks in een state naar een andere track verwijzen, op dezelfde
+ * posities (met een nieuwe version en een entry 'merge' in de audit log per gewijzigde playlist);
+ * gebruikt bij het samenvoegen van dubbele tracks
+ * @param {Object} state - State met playlists
+ * @param {number[]} trackIds - IDs van de tracks die vervangen worden
+ * @param {number} replacementId - ID van de track die hun plaats inneemt
+ * @param {Object|null} user - Geauthenticeerde user (voor de audit log)
+ * @returns {number[]} IDs van de gewijzigde playlists
+ */
+const replaceTrackInPlaylists = (state, trackIds, replacementId, user) => {
+  const changed = [];
+
+  state.data.playlists.forEach((playlist, index) => {
+    const entries = playlist.tracks || [];
+
+    if (!entries.some(entry => trackIds.includes(entry.track_id))) {
+      return;
+    }
+
+    const replaced = entries.map(entry => trackIds.includes(entry.track_id) ? { ...entry, track_id: replacementId } : entry);
+    replacePlaylistEntries(state, index, replaced, 'merge', user);
+    changed.push(playlist.id);
+  });
+
+  return changed;
+};
+
 module.exports = {
+  PLAYLIST_COLLECTIONS,
+  playlistQuerySchema,
+  playlistSchemaCreate,
+  playlistSchemaUpdate,
+  playlistSchemaPatch,
+  findPlaylistIndex,
+  findModifiablePlaylist,
+  replacePlaylistEntries,
+  isPlaylistOwner,
+  canModifyPlaylist,
+  canViewPlaylist,
+  removeTrackFromPlaylists,
+  restoreTrackToPlaylists,
+  replaceTrackInPlaylists,
+  selectPlaylists,
+  createPlaylistOperation,
+  restorePlaylistOperation,
   getAllPlaylists,
   getPlaylistById,
   createPlaylist,
   updatePlaylist,
   patchPlaylist,
-  deletePlaylist
-};
\ No newline at end of file
+  deletePlaylist,
+  bulkPlaylists,
+  getPlaylistHistory,
+  revertPlaylist
+};
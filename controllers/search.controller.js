@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Controller voor de gecombineerde zoek endpoint over tracks en playlists
+ * @module controllers/search
+ */
+
+const Joi = require('joi');
+const { buildPageUrl } = require('../utils/pagination');
+const { search } = require('../utils/search');
+const { sendValidationProblem, sendServerError } = require('../utils/problem');
+const { withoutDeleted } = require('../utils/trash');
+const { getRepository } = require('../storage');
+const { canViewPlaylist } = require('./playlists.controller');
+
+const tracksRepository = getRepository('tracks');
+const playlistsRepository = getRepository('playlists');
+
+/**
+ * Doorzoekbare resources met hun velden en het gewicht van elk veld in de ranking;
+ * read(user) geeft enkel de records terug die de user mag zien
+ * @type {Object}
+ */
+const SEARCH_TYPES = {
+  track: {
+    key: 'tracks',
+    read: async () => withoutDeleted(await tracksRepository.all()),
+    weights: { naam: 3, artiesten: 2, genres: 1 }
+  },
+  playlist: {
+    key: 'playlists',
+    read: async (user) => withoutDeleted(await playlistsRepository.all()).filter(p => canViewPlaylist(p, user)),
+    weights: { naam: 3, author: 2, beschrijving: 1 }
+  }
+};
+
+/**
+ * Joi validatie schema voor de query parameters van GET /api/search
+ * @type {Joi.ObjectSchema}
+ */
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).required(),
+  type: Joi.string()
+    .pattern(new RegExp(`^(${Object.keys(SEARCH_TYPES).join('|')})(,(${Object.keys(SEARCH_TYPES).join('|')}))*$`))
+    .default(Object.keys(SEARCH_TYPES).join(','))
+    .messages({ 'string.pattern.base': `"type" must be a comma-separated list of: ${Object.keys(SEARCH_TYPES).join(', ')}` }),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Zoekt in tracks en/of playlists, gerangschikt op relevantie en gegroepeerd per type
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} req.query.q - Zoekopdracht (tikfouten worden getolereerd)
+ * @param {string} [req.query.type] - Komma-gescheiden types ('track', 'playlist'), standaard beide
+ * @param {string} [req.query.limit] - Maximaal aantal resultaten per type (1-50, standaard 20)
+ * @param {string} [req.query.offset] - Positie van het eerste resultaat per type
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met per type de items, total en next/previous links
+ */
+const searchAll = async (req, res) => {
+  try {
+    const { error, value } = searchQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+      return sendValidationProblem(res, error);
+    }
+
+    const { q, limit, offset } = value;
+    const types = [...new Set(value.type.split(','))];
+    const response = { success: true, query: q };
+
+    for (const type of types) {
+      const { key, read, weights } = SEARCH_TYPES[type];
+      const results = search(await read(req.user), q, weights);
+      const pagination = { limit, cursorMode: false };
+
+      response[key] = {
+        items: results.slice(offset, offset + limit).map(result => ({
+          ...result.record,
+          score: result.score,
+          highlights: result.highlights
+        })),
+        total: results.length,
+        limit,
+        offset,
+        next: offset + limit < results.length ? buildPageUrl(req, pagination, offset + limit, { type }) : null,
+        previous: offset > 0 ? buildPageUrl(req, pagination, Math.max(offset - limit, 0), { type }) : null
+      };
+    }
+
+    res.json(response);
+  } catch {
+    sendServerError(res, 'Error searching');
+  }
+};
+
+module.exports = {
+  searchQuerySchema,
+  searchAll
+};
@@ -3,11 +3,40 @@
  * @module controllers/tracks
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const Joi = require('joi');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { parseSort, sortItems } = require('../utils/sort');
+const { parseFields, projectFields } = require('../utils/fields');
+const { versionETag, nextVersion, ifMatchSatisfied, preconditionFailed } = require('../utils/conditional');
+const { patchFormat, resolvePatch, sendUnsupportedPatchType } = require('../utils/patch');
+const { buildProblem, buildValidationProblem, sendBuiltProblem, sendValidationProblem, sendNotFound, sendServerError } = require('../utils/problem');
+const { executeOperation, sendOperationResult, executeBulk, sendBulkResult } = require('../utils/operations');
+const { isDeleted, withoutDeleted, markDeleted, unmarkDeleted } = require('../utils/trash');
+const { AUDIT_LOG, SEQUENCES_COLLECTION, revertSchema, recordAudit, nextRecordId, recordHistory, findRevision } = require('../utils/audit');
+const { SPOTIFY_ID_PATTERN, spotifyUrlSchema, spotifyFields } = require('../utils/spotify');
+const { findDuplicates } = require('../utils/duplicates');
+const { getRepository, getLog } = require('../storage');
+const { resolveArtistNames, artistNames } = require('../models/artists.model');
+const { findGenreByName, normalizeGenreNames, descendantIds } = require('../models/genres.model');
+const { removeTrackFromPlaylists, restoreTrackToPlaylists } = require('./playlists.controller');
 
-const tracksFilePath = path.join(__dirname, '../models/tracks.json');
+const tracksRepository = getRepository('tracks');
+const genresRepository = getRepository('genres');
+const auditLog = getLog(AUDIT_LOG);
+
+/**
+ * Velden waarop tracks gesorteerd kunnen worden via de sort query parameter
+ * @type {string[]}
+ */
+const TRACK_SORT_FIELDS = ['id', 'naam', 'bpm', 'duur', 'jaar', 'created_at', 'updated_at'];
+
+/**
+ * Velden van een track die via de fields query parameter opgevraagd kunnen worden
+ * @type {string[]}
+ */
+const TRACK_FIELDS = [
+  'id', 'naam', 'bpm', 'duur', 'jaar', 'artiest_ids', 'artiesten', 'genres', 'spotify_url', 'spotify_id', 'created_at', 'updated_at', 'version'
+];
 
 /**
  * Joi validatie schema voor het aanmaken van een track (POST)
@@ -18,10 +47,11 @@ const trackSchemaCreate = Joi.object({
   bpm: Joi.number().integer().required(),
   duur: Joi.number().integer().required(),
   jaar: Joi.number().integer().required(),
-  artiesten: Joi.array().items(Joi.string()).required(),
+  artiest_ids: Joi.array().items(Joi.number().integer()).min(1),
+  artiesten: Joi.array().items(Joi.string().trim().min(1)).min(1),
   genres: Joi.array().items(Joi.string()).required(),
-  spotify_url: Joi.string().allow('').optional()
-});
+  spotify_url: spotifyUrlSchema('track').allow('').optional()
+}).or('artiest_ids', 'artiesten');
 
 /**
  * Joi validatie schema voor het updaten van een track (PUT)
@@ -33,43 +63,232 @@ const trackSchemaUpdate = Joi.object({
   bpm: Joi.number().integer().required(),
   duur: Joi.number().integer().required(),
   jaar: Joi.number().integer().required(),
-  artiesten: Joi.array().items(Joi.string()).required(),
+  artiest_ids: Joi.array().items(Joi.number().integer()).min(1),
+  artiesten: Joi.array().items(Joi.string().trim().min(1)).min(1),
   genres: Joi.array().items(Joi.string()).required(),
-  spotify_url: Joi.string().allow('').optional()
+  spotify_url: spotifyUrlSchema('track').allow('').optional()
+}).or('artiest_ids', 'artiesten');
+
+/**
+ * Joi validatie schema voor de query van POST /api/tracks en de import: wat er gebeurt met een track
+ * die waarschijnlijk een dubbel is van een bestaande track
+ * @type {Joi.ObjectSchema}
+ */
+const createTrackQuerySchema = Joi.object({
+  on_duplicate: Joi.string().valid('warn', 'reject').default('warn')
 });
 
 /**
- * Leest alle tracks uit het JSON bestand
- * @async
- * @returns {Promise<Array>} Array van track objecten
+ * Velden van een track die via PATCH aangepast kunnen worden
+ * @type {string[]}
  */
-const readTracks = async () => {
-  try {
-    const data = await fs.readFile(tracksFilePath, 'utf8');
-    return JSON.parse(data);
-  } catch {
-    return [];
-  }
+const TRACK_PATCH_FIELDS = ['naam', 'bpm', 'duur', 'jaar', 'artiest_ids', 'artiesten', 'genres', 'spotify_url'];
+
+/**
+ * Joi validatie schema voor de wijzigingen van een PATCH (alle velden optioneel, null enkel
+ * voor spotify_url om de URL te wissen)
+ * @type {Joi.ObjectSchema}
+ */
+const trackSchemaPatch = Joi.object({
+  naam: Joi.string(),
+  bpm: Joi.number().integer(),
+  duur: Joi.number().integer(),
+  jaar: Joi.number().integer(),
+  artiest_ids: Joi.array().items(Joi.number().integer()).min(1),
+  artiesten: Joi.array().items(Joi.string().trim().min(1)).min(1),
+  genres: Joi.array().items(Joi.string()),
+  spotify_url: spotifyUrlSchema('track').allow('', null)
+});
+
+/**
+ * Bouwt een Joi schema voor de bovengrens van een bereik filter,
+ * die niet kleiner mag zijn dan de bijhorende ondergrens
+ * @param {string} minKey - Naam van de query parameter met de ondergrens
+ * @param {string} maxKey - Naam van de query parameter met de bovengrens
+ * @returns {Joi.NumberSchema} Schema voor de bovengrens
+ */
+const rangeMax = (minKey, maxKey) => {
+  return Joi.number().integer().min(0).when(minKey, {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref(minKey)).messages({
+      'number.min': `"${maxKey}" must be greater than or equal to "${minKey}"`
+    })
+  });
 };
 
 /**
- * Schrijft tracks array naar het JSON bestand
- * @async
+ * Joi validatie schema voor de filter query parameters van GET /api/tracks
+ * @type {Joi.ObjectSchema}
+ */
+const trackQuerySchema = Joi.object({
+  naam: Joi.string(),
+  artiest: Joi.string(),
+  artiest_match: Joi.string().valid('any', 'all').default('any'),
+  genre: Joi.string(),
+  genre_match: Joi.string().valid('any', 'all').default('any'),
+  include_subgenres: Joi.boolean().default(false),
+  jaar: Joi.number().integer(),
+  jaar_from: Joi.number().integer().min(0),
+  jaar_to: rangeMax('jaar_from', 'jaar_to'),
+  bpm_min: Joi.number().integer().min(0),
+  bpm_max: rangeMax('bpm_min', 'bpm_max'),
+  duur_min: Joi.number().integer().min(0),
+  duur_max: rangeMax('duur_min', 'duur_max'),
+  updated_since: Joi.date().iso()
+}).unknown(true);
+
+/**
+ * Splitst een komma-gescheiden query waarde op in lowercase waarden
+ * @param {string} value - Query waarde, bv. 'Rock,Pop'
+ * @returns {string[]} Array van niet-lege, lowercase waarden
+ */
+const splitQueryList = (value) => {
+  return value.split(',').map(v => v.trim().toLowerCase()).filter(v => v !== '');
+};
+
+/**
+ * Controleert of een lijst van strings overeenkomt met de gevraagde waarden
+ * @param {string[]} candidates - Waarden van de track (bv. genres)
+ * @param {Array<string[]>} wanted - Gevraagde waarden, elk als groep van gelijkwaardige lowercase waarden
+ * @param {string} match - 'any' (minstens een waarde) of 'all' (alle waarden)
+ * @returns {boolean} True als de track voldoet
+ */
+const matchesList = (candidates, wanted, match) => {
+  const hasValue = (group) => candidates.some(c => group.some(value => c.toLowerCase().includes(value)));
+  return match === 'all' ? wanted.every(hasValue) : wanted.some(hasValue);
+};
+
+/**
+ * Breidt gevraagde genres uit met hun canonieke naam (voor aliassen) en optioneel hun subgenres
+ * @param {string[]} values - Gevraagde genres (lowercase)
+ * @param {Array} genres - Array van genre objecten
+ * @param {boolean} includeSubgenres - Ook subgenres meenemen (bv. Grunge bij Rock)
+ * @returns {Array<string[]>} Per gevraagd genre een groep van gelijkwaardige lowercase namen
+ */
+const expandGenreFilter = (values, genres, includeSubgenres) => {
+  return values.map(value => {
+    const genre = findGenreByName(value, genres);
+
+    if (!genre) {
+      return [value];
+    }
+
+    const ids = includeSubgenres ? [genre.id, ...descendantIds(genre.id, genres)] : [genre.id];
+    const names = genres.filter(g => ids.includes(g.id)).map(g => g.naam.toLowerCase());
+
+    return [value, ...names];
+  });
+};
+
+/**
+ * Filtert tracks op basis van gevalideerde query parameters
  * @param {Array} tracks - Array van track objecten
- * @returns {Promise<void>}
+ * @param {Object} filters - Gevalideerde waarden uit trackQuerySchema
+ * @param {Array} [genres=[]] - Genre taxonomie, voor aliassen en subgenres
+ * @returns {Array} Gefilterde tracks
+ */
+const filterTracks = (tracks, filters, genres = []) => {
+  const {
+    naam, artiest, artiest_match, genre, genre_match, include_subgenres,
+    jaar, jaar_from, jaar_to, bpm_min, bpm_max, duur_min, duur_max, updated_since
+  } = filters;
+
+  const artistGroups = artiest ? splitQueryList(artiest).map(value => [value]) : [];
+  const genreGroups = genre ? expandGenreFilter(splitQueryList(genre), genres, include_subgenres) : [];
+
+  return tracks.filter(t => {
+    if (naam && !t.naam.toLowerCase().includes(naam.toLowerCase())) {
+      return false;
+    }
+    if (artiest && !matchesList(t.artiesten, artistGroups, artiest_match)) {
+      return false;
+    }
+    if (genre && !matchesList(t.genres, genreGroups, genre_match)) {
+      return false;
+    }
+    if (jaar !== undefined && t.jaar !== jaar) {
+      return false;
+    }
+    if ((jaar_from !== undefined && t.jaar < jaar_from) || (jaar_to !== undefined && t.jaar > jaar_to)) {
+      return false;
+    }
+    if ((bpm_min !== undefined && t.bpm < bpm_min) || (bpm_max !== undefined && t.bpm > bpm_max)) {
+      return false;
+    }
+    if ((duur_min !== undefined && t.duur < duur_min) || (duur_max !== undefined && t.duur > duur_max)) {
+      return false;
+    }
+    if (updated_since && !(t.updated_at && new Date(t.updated_at) >= updated_since)) {
+      return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Bepaalt de artiesten van een track op basis van artiest_ids of artiestnamen.
+ * Als artiest_ids meegegeven zijn, hebben die voorrang; onbekende namen worden nieuwe artists.
+ * @param {Object} body - Request body met artiest_ids en/of artiesten
+ * @param {Array} artists - Array van artist objecten (wordt aangevuld met nieuwe artists)
+ * @returns {Object} Object met error (string) of value ({ artiest_ids, artiesten })
  */
-const writeTracks = async (tracks) => {
-  await fs.writeFile(tracksFilePath, JSON.stringify(tracks, null, 2));
+const resolveTrackArtists = (body, artists) => {
+  let ids;
+
+  if (body.artiest_ids) {
+    const unknownIds = body.artiest_ids.filter(id => !artists.some(a => a.id === id));
+
+    if (unknownIds.length > 0) {
+      return { error: `Unknown artist ids: ${unknownIds.join(', ')}` };
+    }
+
+    ids = [...new Set(body.artiest_ids)];
+  } else {
+    ids = resolveArtistNames(body.artiesten, artists);
+  }
+
+  return { value: { artiest_ids: ids, artiesten: artistNames(ids, artists) } };
 };
 
 /**
- * Zoekt de index van een track in de array op basis van ID
+ * Zoekt de index van een track in de array op basis van ID; verwijderde tracks tellen niet mee
  * @param {Array} tracks - Array van track objecten
  * @param {string|number} id - Track ID
- * @returns {number} Index van de track, of -1 als niet gevonden
+ * @returns {number} Index van de track, of -1 als niet gevonden of verwijderd
  */
 const findTrackIndex = (tracks, id) => {
-  return tracks.findIndex(t => t.id === parseInt(id));
+  return tracks.findIndex(t => t.id === parseInt(id) && !isDeleted(t));
+};
+
+/**
+ * Selecteert de tracks die voldoen aan de filter en sort query parameters van de lijst endpoint
+ * (zonder paginering); gedeeld met de export
+ * @async
+ * @param {Object} query - Query parameters (zie getAllTracks)
+ * @returns {Promise<Object>} Object met value (gefilterde en gesorteerde tracks) of problem (400)
+ */
+const selectTracks = async (query) => {
+  const filters = trackQuerySchema.validate(query, { abortEarly: false });
+
+  if (filters.error) {
+    return { problem: buildValidationProblem(filters.error) };
+  }
+
+  const genres = filters.value.genre ? await genresRepository.all() : [];
+  let tracks = filterTracks(withoutDeleted(await tracksRepository.all()), filters.value, genres);
+
+  // Sorteren
+  if (query.sort !== undefined) {
+    const sortKeys = parseSort(query.sort, TRACK_SORT_FIELDS);
+
+    if (sortKeys.error) {
+      return { problem: buildValidationProblem([{ field: 'sort', message: sortKeys.error }], { allowed_fields: sortKeys.allowedFields }) };
+    }
+
+    tracks = sortItems(tracks, sortKeys.value);
+  }
+
+  return { value: tracks };
 };
 
 /**
@@ -77,60 +296,62 @@ const findTrackIndex = (tracks, id) => {
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
- * @param {string} [req.query.sort] - Sorteerrichting ('asc' of 'desc')
+ * @param {string} [req.query.sort] - Sorteervelden, bv. '-jaar,naam' ('-' = aflopend), of 'asc'/'desc' op naam
  * @param {string} [req.query.naam] - Filter op naam (case-insensitive)
- * @param {string} [req.query.artiest] - Filter op artiest (case-insensitive)
- * @param {string} [req.query.genre] - Filter op genre (case-insensitive)
- * @param {string} [req.query.jaar] - Filter op jaar
+ * @param {string} [req.query.artiest] - Filter op artiest, komma-gescheiden (case-insensitive)
+ * @param {string} [req.query.artiest_match] - 'any' (standaard) of 'all' voor meerdere artiesten
+ * @param {string} [req.query.genre] - Filter op genre, komma-gescheiden (case-insensitive)
+ * @param {string} [req.query.genre_match] - 'any' (standaard) of 'all' voor meerdere genres
+ * @param {string} [req.query.include_subgenres] - 'true' om ook subgenres mee te nemen (bv. Grunge bij Rock)
+ * @param {string} [req.query.jaar] - Filter op exact jaar
+ * @param {string} [req.query.jaar_from] - Minimum jaar (inclusief)
+ * @param {string} [req.query.jaar_to] - Maximum jaar (inclusief)
+ * @param {string} [req.query.bpm_min] - Minimum bpm (inclusief)
+ * @param {string} [req.query.bpm_max] - Maximum bpm (inclusief)
+ * @param {string} [req.query.duur_min] - Minimum duur in seconden (inclusief)
+ * @param {string} [req.query.duur_max] - Maximum duur in seconden (inclusief)
+ * @param {string} [req.query.updated_since] - Enkel tracks die op of na dit ISO 8601 tijdstip gewijzigd zijn
+ * @param {string} [req.query.limit] - Maximaal aantal tracks per pagina
+ * @param {string} [req.query.offset] - Positie van de eerste track
+ * @param {string} [req.query.cursor] - Opaque cursor uit een next/previous link
+ * @param {string} [req.query.fields] - Komma-gescheiden lijst van velden om terug te geven
  * @param {Object} res - Express response object
- * @returns {Object} JSON response met tracks array en count
+ * @returns {Object} JSON response met tracks array, count, total en next/previous links
  */
 const getAllTracks = async (req, res) => {
   try {
-    let tracks = await readTracks();
-    const { sort, naam, artiest, genre, jaar } = req.query;
+    const pagination = parsePagination(req.query);
 
-    // Filter op naam
-    if (naam) {
-      tracks = tracks.filter(t => t.naam.toLowerCase().includes(naam.toLowerCase()));
+    if (pagination.error) {
+      return sendValidationProblem(res, pagination.error);
     }
 
-    // Filter op artiest
-    if (artiest) {
-      tracks = tracks.filter(t =>
-        t.artiesten.some(a => a.toLowerCase().includes(artiest.toLowerCase()))
-      );
-    }
+    const fields = parseFields(req.query.fields, TRACK_FIELDS);
 
-    // Filter op genre
-    if (genre) {
-      tracks = tracks.filter(t =>
-        t.genres.some(g => g.toLowerCase().includes(genre.toLowerCase()))
-      );
+    if (fields.error) {
+      return sendValidationProblem(res, [{ field: 'fields', message: fields.error }], { allowed_fields: fields.allowedFields });
     }
 
-    // Filter op jaar
-    if (jaar) {
-      tracks = tracks.filter(t => t.jaar === parseInt(jaar));
-    }
+    const selection = await selectTracks(req.query);
 
-    // Sorteren
-    if (sort === 'asc') {
-      tracks.sort((a, b) => a.naam.localeCompare(b.naam));
-    } else if (sort === 'desc') {
-      tracks.sort((a, b) => b.naam.localeCompare(a.naam));
+    if (selection.problem) {
+      return sendBuiltProblem(res, selection.problem);
     }
 
+    const page = paginate(selection.value, pagination.value, req, res);
+
     res.json({
       success: true,
-      data: tracks,
-      count: tracks.length
+      data: projectFields(page.data, fields.value),
+      count: page.data.length,
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      next: page.next,
+      previous: page.previous
     });
   } catch {
-    res.status(500).json({
-      success: false,
-      message: 'Error retrieving tracks'
-    });
+    sendServerError(res, 'Error retrieving tracks');
   }
 };
 
@@ -140,28 +361,519 @@ const getAllTracks = async (req, res) => {
  * @param {Object} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {string} req.params.id - Track ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.fields] - Komma-gescheiden lijst van velden om terug te geven
  * @param {Object} res - Express response object
- * @returns {Object} JSON response met track data of leeg object bij 404
+ * @returns {Object} JSON response met track data of 404
  */
 const getTrackById = async (req, res) => {
   try {
-    const tracks = await readTracks();
+    const fields = parseFields(req.query.fields, TRACK_FIELDS);
+
+    if (fields.error) {
+      return sendValidationProblem(res, [{ field: 'fields', message: fields.error }], { allowed_fields: fields.allowedFields });
+    }
+
+    const tracks = withoutDeleted(await tracksRepository.all());
     const track = tracks.find(t => t.id === parseInt(req.params.id));
 
     if (!track) {
-      return res.status(404).json({});
+      return sendNotFound(res, `Track ${req.params.id} not found`);
     }
 
+    // Een projectie is een andere representatie en krijgt de ETag van de body
+    if (fields.value === null) {
+      res.set('ETag', versionETag(track));
+    }
     res.json({
       success: true,
-      data: track
+      data: projectFields(track, fields.value)
     });
   } catch {
-    res.status(500).json({
-      success: false,
-      message: 'Error retrieving track'
+    sendServerError(res, 'Error retrieving track');
+  }
+};
+
+/**
+ * Haalt de track op die aan een Spotify track gekoppeld is
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.spotifyId - Spotify ID (22 base62 tekens)
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.fields] - Komma-gescheiden lijst van velden om terug te geven
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met track data, 400 voor een ongeldige Spotify ID of 404
+ */
+const getTrackBySpotifyId = async (req, res) => {
+  try {
+    const { spotifyId } = req.params;
+
+    if (!SPOTIFY_ID_PATTERN.test(spotifyId)) {
+      return sendValidationProblem(res, [{ field: 'spotifyId', message: '"spotifyId" must be 22 base62 characters', code: 'string.pattern.base' }]);
+    }
+
+    const fields = parseFields(req.query.fields, TRACK_FIELDS);
+
+    if (fields.error) {
+      return sendValidationProblem(res, [{ field: 'fields', message: fields.error }], { allowed_fields: fields.allowedFields });
+    }
+
+    const tracks = withoutDeleted(await tracksRepository.all());
+    const track = tracks.find(t => t.spotify_id === spotifyId);
+
+    if (!track) {
+      return sendNotFound(res, `No track linked to Spotify track ${spotifyId}`);
+    }
+
+    if (fields.value === null) {
+      res.set('ETag', versionETag(track));
+    }
+    res.json({
+      success: true,
+      data: projectFields(track, fields.value)
     });
+  } catch {
+    sendServerError(res, 'Error retrieving track');
+  }
+};
+
+/**
+ * Collecties die een mutatie van tracks kan lezen en aanpassen (nieuwe artists en genres,
+ * verwijzingen in playlists, de ids van gepurgede tracks); de audit log wordt niet ingelezen
+ * @type {string[]}
+ */
+const TRACK_COLLECTIONS = ['tracks', 'artists', 'genres', 'playlists', SEQUENCES_COLLECTION];
+
+/**
+ * Bouwt het operatieresultaat voor een onbekende track
+ * @param {string|number} id - Track ID
+ * @returns {Object} Operatieresultaat met een 404 problem
+ */
+const trackNotFound = (id) => {
+  return { problem: buildProblem(404, 'not_found', `Track ${id} not found`) };
+};
+
+/**
+ * Bouwt het operatieresultaat voor een geslaagde mutatie, met de ETag van de track
+ * @param {number} status - HTTP status code (200 of 201)
+ * @param {Object} track - Aangemaakte of gewijzigde track
+ * @returns {Object} Operatieresultaat
+ */
+const trackResult = (status, track) => {
+  return { status, value: track, headers: { ETag: versionETag(track) } };
+};
+
+/**
+ * Controleert of een Spotify track al aan een andere track gekoppeld is; verwijderde tracks tellen
+ * niet mee, een restore controleert opnieuw
+ * @param {Array} tracks - Array van track objecten
+ * @param {string|null} spotifyId - Spotify ID van de nieuwe of gewijzigde track
+ * @param {number} [id] - ID van de track zelf (bij een wijziging)
+ * @returns {Object|null} Operatieresultaat met een 409 problem, of null als de Spotify track vrij is
+ */
+const spotifyConflict = (tracks, spotifyId, id) => {
+  const existing = spotifyId ? tracks.find(t => t.spotify_id === spotifyId && t.id !== id && !isDeleted(t)) : undefined;
+
+  if (!existing) {
+    return null;
+  }
+  return {
+    problem: buildProblem(409, 'spotify_track_exists', `Spotify track ${spotifyId} is already linked to track ${existing.id}`, {
+      track_id: existing.id
+    })
+  };
+};
+
+/**
+ * Zoekt de bestaande tracks die waarschijnlijk dezelfde song zijn als een nieuwe track, zonder
+ * nieuwe artists aan te maken
+ * @param {Object} state - State met tracks en artists
+ * @param {Object} data - Gevalideerde track data (zie trackSchemaCreate)
+ * @returns {Object[]} Waarschijnlijke dubbels
+ */
+const findTrackDuplicates = (state, data) => {
+  const artiesten = data.artiest_ids ? artistNames(data.artiest_ids, state.data.artists) : data.artiesten;
+  return findDuplicates({ naam: data.naam, duur: data.duur, artiesten }, state.data.tracks);
+};
+
+/**
+ * Zet de artiesten en genres van een track om, en markeert nieuwe artists en genres als gewijzigd
+ * @param {Object} state - State met artists en genres
+ * @param {Object} body - Object met artiest_ids, artiesten en/of genres
+ * @returns {Object} Object met value (artiest_ids, artiesten, genres) of problem (onbekende artist ids)
+ */
+const resolveTrackRelations = (state, body) => {
+  const { artists, genres } = state.data;
+  const value = {};
+
+  if (body.artiest_ids || body.artiesten) {
+    const artistCount = artists.length;
+    const trackArtists = resolveTrackArtists(body, artists);
+
+    if (trackArtists.error) {
+      return { problem: buildValidationProblem([{ field: 'artiest_ids', message: trackArtists.error }]) };
+    }
+
+    Object.assign(value, trackArtists.value);
+    if (artists.length !== artistCount) {
+      state.changed.add('artists');
+    }
+  }
+
+  if (body.genres) {
+    const genreCount = genres.length;
+    value.genres = normalizeGenreNames(body.genres, genres);
+
+    if (genres.length !== genreCount) {
+      state.changed.add('genres');
+    }
+  }
+
+  return { value };
+};
+
+/**
+ * Maakt een nieuwe track aan in een state (operatie voor POST en bulk create). Een waarschijnlijke
+ * dubbel van een bestaande track geeft een warning, of een 409 met on_duplicate 'reject'.
+ * @param {Object} state - State met de TRACK_COLLECTIONS
+ * @param {Object} input - Input van de operatie
+ * @param {Object} input.data - Track data (zie trackSchemaCreate)
+ * @param {string} [input.on_duplicate='warn'] - 'warn' of 'reject' (zie createTrackQuerySchema)
+ * @param {Object|null} user - Geauthenticeerde user (voor de audit log)
+ * @returns {Object} Operatieresultaat met de nieuwe track (201, met warnings bij een waarschijnlijke dubbel)
+ * of een problem (400, 409 als de Spotify track al gekoppeld is of bij een geweigerde dubbel)
+ */
+const createTrackOperation = (state, { data, on_duplicate = 'warn' }, user) => {
+  const { error, value } = trackSchemaCreate.validate(data, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  const { tracks } = state.data;
+  const spotify = spotifyFields('track', value.spotify_url);
+  const conflict = spotifyConflict(tracks, spotify.spotify_id);
+
+  if (conflict) {
+    return conflict;
+  }
+
+  const duplicateIds = findTrackDuplicates(state, value).map(t => t.id);
+  const duplicateDetail = `Track looks like a duplicate of track(s) ${duplicateIds.join(', ')}`;
+
+  if (duplicateIds.length > 0 && on_duplicate === 'reject') {
+    return { problem: buildProblem(409, 'duplicate_track', duplicateDetail, { track_ids: duplicateIds }) };
+  }
+
+  const relations = resolveTrackRelations(state, value);
+
+  if (relations.problem) {
+    return relations;
   }
+
+  const now = new Date().toISOString();
+  const newTrack = {
+    id: nextRecordId(state, 'tracks'),
+    naam: value.naam,
+    bpm: value.bpm,
+    duur: value.duur,
+    jaar: value.jaar,
+    artiest_ids: relations.value.artiest_ids,
+    artiesten: relations.value.artiesten,
+    genres: relations.value.genres,
+    ...spotify,
+    created_at: now,
+    updated_at: now,
+    version: 1
+  };
+
+  tracks.push(newTrack);
+  state.changed.add('tracks');
+  recordAudit(state, { collection: 'tracks', action: 'create', after: newTrack }, user);
+
+  if (duplicateIds.length > 0) {
+    return { ...trackResult(201, newTrack), warnings: [{ code: 'possible_duplicate', detail: duplicateDetail, track_ids: duplicateIds }] };
+  }
+  return trackResult(201, newTrack);
+};
+
+/**
+ * Vervangt een volledige track in een state (operatie voor PUT en bulk update)
+ * @param {Object} state - State met de TRACK_COLLECTIONS
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Track ID
+ * @param {Object} input.data - Alle track velden (zie trackSchemaUpdate)
+ * @param {string} [input.if_match] - Verwachte ETag
+ * @param {Object|null} user - Geauthenticeerde user (voor de audit log)
+ * @returns {Object} Operatieresultaat met de geüpdatete track of een problem (400, 404, 409, 412)
+ */
+const updateTrackOperation = (state, { id, data, if_match }, user) => {
+  const { error, value } = trackSchemaUpdate.validate(data, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  const { tracks } = state.data;
+  const trackIndex = findTrackIndex(tracks, id);
+
+  if (trackIndex === -1) {
+    return trackNotFound(id);
+  }
+
+  if (!ifMatchSatisfied(if_match, tracks[trackIndex])) {
+    return preconditionFailed(tracks[trackIndex]);
+  }
+
+  const spotify = spotifyFields('track', value.spotify_url);
+  const conflict = spotifyConflict(tracks, spotify.spotify_id, tracks[trackIndex].id);
+
+  if (conflict) {
+    return conflict;
+  }
+
+  const relations = resolveTrackRelations(state, value);
+
+  if (relations.problem) {
+    return relations;
+  }
+
+  const updatedTrack = {
+    id: parseInt(id),
+    naam: value.naam,
+    bpm: value.bpm,
+    duur: value.duur,
+    jaar: value.jaar,
+    artiest_ids: relations.value.artiest_ids,
+    artiesten: relations.value.artiesten,
+    genres: relations.value.genres,
+    ...spotify,
+    created_at: tracks[trackIndex].created_at,
+    updated_at: new Date().toISOString(),
+    version: nextVersion(tracks[trackIndex])
+  };
+
+  recordAudit(state, { collection: 'tracks', action: 'update', before: tracks[trackIndex], after: updatedTrack }, user);
+  tracks[trackIndex] = updatedTrack;
+  state.changed.add('tracks');
+  return trackResult(200, updatedTrack);
+};
+
+/**
+ * Past een patch toe op een track in een state (operatie voor PATCH en bulk patch)
+ * @param {Object} state - State met de TRACK_COLLECTIONS
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Track ID
+ * @param {Object|Object[]} input.data - Merge patch of array van JSON Patch operaties
+ * @param {string} input.format - 'merge' of 'json-patch'
+ * @param {string} [input.if_match] - Verwachte ETag
+ * @param {Object|null} user - Geauthenticeerde user (voor de audit log)
+ * @returns {Object} Operatieresultaat met de geüpdatete track of een problem (400, 404, 409, 412)
+ */
+const patchTrackOperation = (state, { id, data, format, if_match }, user) => {
+  const { tracks } = state.data;
+  const trackIndex = findTrackIndex(tracks, id);
+
+  if (trackIndex === -1) {
+    return trackNotFound(id);
+  }
+
+  if (!ifMatchSatisfied(if_match, tracks[trackIndex])) {
+    return preconditionFailed(tracks[trackIndex]);
+  }
+
+  const patch = resolvePatch(data, format, tracks[trackIndex], TRACK_PATCH_FIELDS);
+
+  if (patch.problem) {
+    return patch;
+  }
+
+  const { error, value: changes } = trackSchemaPatch.validate(patch.value, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  const spotify = changes.spotify_url !== undefined ? spotifyFields('track', changes.spotify_url) : {};
+  const conflict = spotifyConflict(tracks, spotify.spotify_id, tracks[trackIndex].id);
+
+  if (conflict) {
+    return conflict;
+  }
+
+  const relations = resolveTrackRelations(state, {
+    artiest_ids: changes.artiest_ids,
+    artiesten: changes.artiesten,
+    genres: changes.genres
+  });
+
+  if (relations.problem) {
+    return relations;
+  }
+
+  const updatedTrack = { ...tracks[trackIndex], ...relations.value, ...spotify };
+
+  ['naam', 'bpm', 'duur', 'jaar'].forEach(field => {
+    if (changes[field] !== undefined) {
+      updatedTrack[field] = changes[field];
+    }
+  });
+  updatedTrack.updated_at = new Date().toISOString();
+  updatedTrack.version = nextVersion(updatedTrack);
+
+  recordAudit(state, { collection: 'tracks', action: 'patch', before: tracks[trackIndex], after: updatedTrack }, user);
+  tracks[trackIndex] = updatedTrack;
+  state.changed.add('tracks');
+  return trackResult(200, updatedTrack);
+};
+
+/**
+ * Verplaatst een track naar de prullenbak (soft delete) en haalt ze uit alle playlists die ernaar
+ * verwijzen; de verwijderde entries worden bij de track bewaard zodat een restore ze terugzet
+ * (operatie voor DELETE en bulk delete)
+ * @param {Object} state - State met de TRACK_COLLECTIONS
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Track ID
+ * @param {string} [input.if_match] - Verwachte ETag
+ * @param {Object|null} user - Geauthenticeerde user (voor de audit log)
+ * @returns {Object} Operatieresultaat met de verwijderde track (met deleted_at) of een problem (404, 412)
+ */
+const deleteTrackOperation = (state, { id, if_match }, user) => {
+  const { tracks } = state.data;
+  const trackIndex = findTrackIndex(tracks, id);
+
+  if (trackIndex === -1) {
+    return trackNotFound(id);
+  }
+
+  if (!ifMatchSatisfied(if_match, tracks[trackIndex])) {
+    return preconditionFailed(tracks[trackIndex]);
+  }
+
+  const removedEntries = removeTrackFromPlaylists(state, tracks[trackIndex].id, user);
+  const deletedTrack = { ...markDeleted(tracks[trackIndex]), deleted_from_playlists: removedEntries };
+
+  recordAudit(state, { collection: 'tracks', action: 'delete', before: tracks[trackIndex], after: deletedTrack }, user);
+  tracks[trackIndex] = deletedTrack;
+  state.changed.add('tracks');
+  return { status: 200, value: deletedTrack };
+};
+
+/**
+ * Haalt een track terug uit de prullenbak: de artiesten en genres worden opnieuw op naam
+ * opgezocht (of aangemaakt, als ze intussen verwijderd zijn) en de track komt terug op haar
+ * oude posities in de playlists die nog bestaan
+ * @param {Object} state - State met de TRACK_COLLECTIONS
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Track ID
+ * @param {Object|null} user - Geauthenticeerde user (voor de audit log)
+ * @returns {Object} Operatieresultaat met de herstelde track of een problem (404 als de track niet in de prullenbak zit,
+ * 409 als haar Spotify track intussen aan een andere track gekoppeld is)
+ */
+const restoreTrackOperation = (state, { id }, user) => {
+  const { tracks } = state.data;
+  const trackIndex = tracks.findIndex(t => t.id === parseInt(id) && isDeleted(t));
+
+  if (trackIndex === -1) {
+    return { problem: buildProblem(404, 'not_found', `Track ${id} not found in trash`) };
+  }
+
+  const deletedTrack = tracks[trackIndex];
+  const conflict = spotifyConflict(tracks, deletedTrack.spotify_id, deletedTrack.id);
+
+  if (conflict) {
+    return conflict;
+  }
+
+  const relations = resolveTrackRelations(state, { artiesten: deletedTrack.artiesten, genres: deletedTrack.genres });
+
+  if (relations.problem) {
+    return relations;
+  }
+
+  const restoredTrack = { ...unmarkDeleted(deletedTrack), ...relations.value };
+  delete restoredTrack.deleted_from_playlists;
+  delete restoredTrack.merged_into;
+
+  restoreTrackToPlaylists(state, restoredTrack.id, deletedTrack.deleted_from_playlists || [], user);
+  recordAudit(state, { collection: 'tracks', action: 'restore', before: deletedTrack, after: restoredTrack }, user);
+  tracks[trackIndex] = restoredTrack;
+  state.changed.add('tracks');
+  return trackResult(200, restoredTrack);
+};
+
+/**
+ * Zet de velden van een track terug naar een eerdere revision uit de audit log; de artiesten en
+ * genres worden opnieuw op naam opgezocht (of aangemaakt) en de revert krijgt zelf een nieuwe version
+ * @param {Object} state - State met de TRACK_COLLECTIONS
+ * @param {Object} input - Input van de operatie
+ * @param {string|number} input.id - Track ID
+ * @param {Object} input.data - Body met de revision (zie revertSchema)
+ * @param {string} [input.if_match] - Verwachte ETag
+ * @param {Object[]} input.audit - Entries van de audit log
+ * @param {Object|null} user - Geauthenticeerde user (voor de audit log)
+ * @returns {Object} Operatieresultaat met de teruggezette track of een problem (400, 404, 409, 412)
+ */
+const revertTrackOperation = (state, { id, data, if_match, audit }, user) => {
+  const { error, value } = revertSchema.validate(data, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  const { tracks } = state.data;
+  const trackIndex = findTrackIndex(tracks, id);
+
+  if (trackIndex === -1) {
+    return trackNotFound(id);
+  }
+
+  if (!ifMatchSatisfied(if_match, tracks[trackIndex])) {
+    return preconditionFailed(tracks[trackIndex]);
+  }
+
+  const revision = findRevision(audit, 'tracks', id, value.revision);
+
+  if (!revision) {
+    return { problem: buildProblem(404, 'revision_not_found', `Revision ${value.revision} of track ${id} not found`) };
+  }
+
+  const spotify = spotifyFields('track', revision.spotify_url);
+  const conflict = spotifyConflict(tracks, spotify.spotify_id, tracks[trackIndex].id);
+
+  if (conflict) {
+    return conflict;
+  }
+
+  const relations = resolveTrackRelations(state, { artiesten: revision.artiesten, genres: revision.genres });
+
+  if (relations.problem) {
+    return relations;
+  }
+
+  const revertedTrack = {
+    ...tracks[trackIndex],
+    naam: revision.naam,
+    bpm: revision.bpm,
+    duur: revision.duur,
+    jaar: revision.jaar,
+    ...relations.value,
+    ...spotify,
+    updated_at: new Date().toISOString(),
+    version: nextVersion(tracks[trackIndex])
+  };
+
+  recordAudit(state, {
+    collection: 'tracks',
+    action: 'revert',
+    before: tracks[trackIndex],
+    after: revertedTrack,
+    revertedTo: value.revision
+  }, user);
+  tracks[trackIndex] = revertedTrack;
+  state.changed.add('tracks');
+  return trackResult(200, revertedTrack);
 };
 
 /**
@@ -173,48 +885,31 @@ const getTrackById = async (req, res) => {
  * @param {number} req.body.bpm - Beats per minute
  * @param {number} req.body.duur - Duur in seconden
  * @param {number} req.body.jaar - Jaar van uitgave
- * @param {string[]} req.body.artiesten - Array van artiesten
- * @param {string[]} req.body.genres - Array van genres
- * @param {string} [req.body.spotify_url] - Spotify URL (optioneel)
+ * @param {number[]} [req.body.artiest_ids] - Array van artist IDs (heeft voorrang op artiesten)
+ * @param {string[]} [req.body.artiesten] - Array van artiestnamen (onbekende namen worden nieuwe artists)
+ * @param {string[]} req.body.genres - Array van genres (aliassen worden genormaliseerd, bv. 'RnB' wordt 'R&B')
+ * @param {string} [req.body.spotify_url] - Spotify track link of URI (optioneel, wordt genormaliseerd)
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.on_duplicate='warn'] - 'warn' (aanmaken met warnings) of 'reject' (409) bij een waarschijnlijke dubbel
  * @param {Object} res - Express response object
- * @returns {Object} JSON response met nieuwe track of error
+ * @returns {Object} JSON response met nieuwe track (en warnings bij een waarschijnlijke dubbel) of error
+ * (400, 409 als de Spotify track al gekoppeld is of bij een geweigerde dubbel)
  */
 const createTrack = async (req, res) => {
   try {
-    const { error } = trackSchemaCreate.validate(req.body);
+    const query = createTrackQuerySchema.validate(req.query, { abortEarly: false });
 
-    if (error) {
-      return res.status(400).json({
-        error: error.details[0].message
-      });
+    if (query.error) {
+      return sendValidationProblem(res, query.error);
     }
 
-    const tracks = await readTracks();
-    const newId = tracks.length > 0 ? Math.max(...tracks.map(t => t.id)) + 1 : 1;
-
-    const newTrack = {
-      id: newId,
-      naam: req.body.naam,
-      bpm: req.body.bpm,
-      duur: req.body.duur,
-      jaar: req.body.jaar,
-      artiesten: req.body.artiesten,
-      genres: req.body.genres,
-      spotify_url: req.body.spotify_url || ''
-    };
-
-    tracks.push(newTrack);
-    await writeTracks(tracks);
-
-    res.status(201).json({
-      success: true,
-      data: newTrack
-    });
+    const result = await executeOperation(TRACK_COLLECTIONS, state => createTrackOperation(state, {
+      data: req.body,
+      on_duplicate: query.value.on_duplicate
+    }, req.user));
+    sendOperationResult(res, result);
   } catch {
-    res.status(500).json({
-      success: false,
-      message: 'Error creating track'
-    });
+    sendServerError(res, 'Error creating track');
   }
 };
 
@@ -230,146 +925,200 @@ const createTrack = async (req, res) => {
  * @param {number} req.body.bpm - Beats per minute
  * @param {number} req.body.duur - Duur in seconden
  * @param {number} req.body.jaar - Jaar van uitgave
- * @param {string[]} req.body.artiesten - Array van artiesten
- * @param {string[]} req.body.genres - Array van genres
- * @param {string} [req.body.spotify_url] - Spotify URL (optioneel)
+ * @param {number[]} [req.body.artiest_ids] - Array van artist IDs (heeft voorrang op artiesten)
+ * @param {string[]} [req.body.artiesten] - Array van artiestnamen (onbekende namen worden nieuwe artists)
+ * @param {string[]} req.body.genres - Array van genres (aliassen worden genormaliseerd, bv. 'RnB' wordt 'R&B')
+ * @param {string} [req.body.spotify_url] - Spotify track link of URI (optioneel, wordt genormaliseerd)
  * @param {Object} res - Express response object
- * @returns {Object} JSON response met geüpdatete track of error
+ * @returns {Object} JSON response met geüpdatete track of error (400, 404, 409, 412)
  */
 const updateTrack = async (req, res) => {
   try {
-    const { error } = trackSchemaUpdate.validate(req.body);
-
-    if (error) {
-      return res.status(400).json({
-        error: error.details[0].message
-      });
-    }
-
-    const tracks = await readTracks();
-    const trackIndex = findTrackIndex(tracks, req.params.id);
-
-    if (trackIndex === -1) {
-      return res.status(404).json({});
-    }
-
-    const updatedTrack = {
-      id: parseInt(req.params.id),
-      naam: req.body.naam,
-      bpm: req.body.bpm,
-      duur: req.body.duur,
-      jaar: req.body.jaar,
-      artiesten: req.body.artiesten,
-      genres: req.body.genres,
-      spotify_url: req.body.spotify_url || ''
-    };
-
-    tracks[trackIndex] = updatedTrack;
-    await writeTracks(tracks);
-
-    res.json({
-      success: true,
-      data: updatedTrack
-    });
+    const result = await executeOperation(TRACK_COLLECTIONS, state => updateTrackOperation(state, {
+      id: req.params.id,
+      data: req.body,
+      if_match: req.get('If-Match')
+    }, req.user));
+    sendOperationResult(res, result);
   } catch {
-    res.status(500).json({
-      success: false,
-      message: 'Error updating track'
-    });
+    sendServerError(res, 'Error updating track');
   }
 };
 
 /**
- * Update specifieke velden van een track (PATCH)
+ * Update specifieke velden van een track (PATCH) met een JSON Merge Patch (application/merge-patch+json
+ * of application/json) of een JSON Patch (application/json-patch+json)
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {string} req.params.id - Track ID
- * @param {Object} req.body - Request body met velden om te updaten
+ * @param {Object|Object[]} req.body - Merge patch met de te wijzigen velden, of een array van JSON Patch operaties
  * @param {string} [req.body.naam] - Naam van de track
  * @param {number} [req.body.bpm] - Beats per minute
  * @param {number} [req.body.duur] - Duur in seconden
  * @param {number} [req.body.jaar] - Jaar van uitgave
- * @param {string[]} [req.body.artiesten] - Array van artiesten
- * @param {string[]} [req.body.genres] - Array van genres
- * @param {string} [req.body.spotify_url] - Spotify URL
+ * @param {number[]} [req.body.artiest_ids] - Array van artist IDs (heeft voorrang op artiesten)
+ * @param {string[]} [req.body.artiesten] - Array van artiestnamen
+ * @param {string[]} [req.body.genres] - Array van genres (aliassen worden genormaliseerd)
+ * @param {string|null} [req.body.spotify_url] - Spotify track link of URI (null wist de link)
  * @param {Object} res - Express response object
- * @returns {Object} JSON response met geüpdatete track of error
+ * @returns {Object} JSON response met geüpdatete track of error (400, 409 bij een JSON Patch die niet toepasbaar is, 415)
  */
 const patchTrack = async (req, res) => {
   try {
-    const tracks = await readTracks();
-    const trackIndex = findTrackIndex(tracks, req.params.id);
+    const format = patchFormat(req);
 
-    if (trackIndex === -1) {
-      return res.status(404).json({});
+    if (!format) {
+      return sendUnsupportedPatchType(res);
     }
 
-    const updatedTrack = { ...tracks[trackIndex] };
-    const { naam, bpm, duur, jaar, artiesten, genres, spotify_url } = req.body;
-
-    if (naam) {updatedTrack.naam = naam;}
-    if (bpm) {updatedTrack.bpm = bpm;}
-    if (duur) {updatedTrack.duur = duur;}
-    if (jaar) {updatedTrack.jaar = jaar;}
-    if (artiesten) {updatedTrack.artiesten = artiesten;}
-    if (genres) {updatedTrack.genres = genres;}
-    if (spotify_url !== undefined) {updatedTrack.spotify_url = spotify_url;}
+    const result = await executeOperation(TRACK_COLLECTIONS, state => patchTrackOperation(state, {
+      id: req.params.id,
+      data: req.body,
+      format,
+      if_match: req.get('If-Match')
+    }, req.user));
+    sendOperationResult(res, result);
+  } catch {
+    sendServerError(res, 'Error updating track');
+  }
+};
 
-    tracks[trackIndex] = updatedTrack;
-    await writeTracks(tracks);
+/**
+ * Verplaatst een track naar de prullenbak en haalt ze uit alle playlists die ernaar verwijzen
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Track ID
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met verwijderde track of 404
+ */
+const deleteTrack = async (req, res) => {
+  try {
+    const result = await executeOperation(TRACK_COLLECTIONS, state => deleteTrackOperation(state, {
+      id: req.params.id,
+      if_match: req.get('If-Match')
+    }, req.user));
+    sendOperationResult(res, result);
+  } catch {
+    sendServerError(res, 'Error deleting track');
+  }
+};
 
-    res.json({
-      success: true,
-      data: updatedTrack
-    });
+/**
+ * Voert meerdere create, update, patch en delete operaties op tracks uit met een lees- en
+ * schrijfbeurt per collectie
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {boolean} [req.body.atomic=false] - true om niets te bewaren zodra een operatie faalt
+ * @param {Object[]} req.body.operations - Operaties met op, id (niet bij create), data (niet bij delete) en if_match
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met een resultaat per operatie (200 of 207), of error (400, 409 bij een mislukte atomic request)
+ */
+const bulkTracks = async (req, res) => {
+  try {
+    const bulk = await executeBulk(TRACK_COLLECTIONS, req.body, {
+      create: createTrackOperation,
+      update: updateTrackOperation,
+      patch: patchTrackOperation,
+      delete: deleteTrackOperation
+    }, req.user);
+    sendBulkResult(res, bulk);
   } catch {
-    res.status(500).json({
-      success: false,
-      message: 'Error updating track'
-    });
+    sendServerError(res, 'Error executing bulk track operations');
   }
 };
 
 /**
- * Verwijdert een track uit de database
+ * Haalt de audit log van een track op, nieuwste eerst; werkt ook voor verwijderde tracks
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {string} req.params.id - Track ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.limit] - Maximaal aantal entries per pagina
+ * @param {string} [req.query.offset] - Positie van de eerste entry
  * @param {Object} res - Express response object
- * @returns {Object} JSON response met verwijderde track of leeg object bij 404
+ * @returns {Object} JSON response met de entries, count en total, of 404 als de track nooit bestaan heeft
  */
-const deleteTrack = async (req, res) => {
+const getTrackHistory = async (req, res) => {
   try {
-    const tracks = await readTracks();
-    const trackIndex = findTrackIndex(tracks, req.params.id);
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return sendValidationProblem(res, pagination.error);
+    }
 
-    if (trackIndex === -1) {
-      return res.status(404).json({});
+    const tracks = await tracksRepository.all();
+    const history = recordHistory(await auditLog.all(), 'tracks', req.params.id);
+
+    if (history.length === 0 && !tracks.some(t => t.id === parseInt(req.params.id))) {
+      return sendNotFound(res, `Track ${req.params.id} not found`);
     }
 
-    const deletedTrack = tracks[trackIndex];
-    tracks.splice(trackIndex, 1);
-    await writeTracks(tracks);
+    const page = paginate(history, pagination.value, req, res);
 
     res.json({
       success: true,
-      data: deletedTrack
+      data: page.data,
+      count: page.data.length,
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      next: page.next,
+      previous: page.previous
     });
   } catch {
-    res.status(500).json({
-      success: false,
-      message: 'Error deleting track'
-    });
+    sendServerError(res, 'Error retrieving track history');
+  }
+};
+
+/**
+ * Zet een track terug naar een eerdere revision uit de audit log
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Track ID
+ * @param {Object} req.body - Request body
+ * @param {number} req.body.revision - Revision (version) waarnaar de track teruggezet wordt
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de teruggezette track of error (400, 404, 409, 412)
+ */
+const revertTrack = async (req, res) => {
+  try {
+    const audit = await auditLog.all();
+    const result = await executeOperation(TRACK_COLLECTIONS, state => revertTrackOperation(state, {
+      id: req.params.id,
+      data: req.body,
+      if_match: req.get('If-Match'),
+      audit
+    }, req.user));
+    sendOperationResult(res, result);
+  } catch {
+    sendServerError(res, 'Error reverting track');
   }
 };
 
 module.exports = {
+  TRACK_FIELDS,
+  TRACK_COLLECTIONS,
+  trackSchemaCreate,
+  trackSchemaUpdate,
+  trackSchemaPatch,
+  trackQuerySchema,
+  createTrackQuerySchema,
+  selectTracks,
+  createTrackOperation,
+  restoreTrackOperation,
   getAllTracks,
   getTrackById,
+  getTrackBySpotifyId,
   createTrack,
   updateTrack,
   patchTrack,
-  deleteTrack
-};
\ No newline at end of file
+  deleteTrack,
+  bulkTracks,
+  getTrackHistory,
+  revertTrack
+};
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Controller voor de prullenbak met (soft) verwijderde tracks en playlists
+ * @module controllers/trash
+ */
+
+const Joi = require('joi');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { executeOperation, sendOperationResult } = require('../utils/operations');
+const { sendValidationProblem, sendServerError } = require('../utils/problem');
+const { retentionDays, isDeleted, purgeAfter, isExpired } = require('../utils/trash');
+const { SEQUENCES_COLLECTION, recordAudit, rememberPurgedId } = require('../utils/audit');
+const { getRepository } = require('../storage');
+const { userRole } = require('../models/users.model');
+const { TRACK_COLLECTIONS, restoreTrackOperation } = require('./tracks.controller');
+const { PLAYLIST_COLLECTIONS, canModifyPlaylist, restorePlaylistOperation } = require('./playlists.controller');
+
+const tracksRepository = getRepository('tracks');
+const playlistsRepository = getRepository('playlists');
+
+/**
+ * Rollen die verwijderde tracks mogen zien en herstellen (dezelfde als voor het wijzigen van de catalogus)
+ * @type {string[]}
+ */
+const TRACK_MANAGER_ROLES = ['admin', 'curator'];
+
+/**
+ * Joi validatie schema voor de filter van GET /api/trash
+ * @type {Joi.ObjectSchema}
+ */
+const trashQuerySchema = Joi.object({
+  type: Joi.string().valid('track', 'playlist')
+}).unknown(true);
+
+/**
+ * Joi validatie schema voor de query van DELETE /api/trash
+ * @type {Joi.ObjectSchema}
+ */
+const purgeQuerySchema = Joi.object({
+  retention_days: Joi.number().integer().min(0)
+});
+
+/**
+ * Bouwt een item van de prullenbak
+ * @param {string} type - 'track' of 'playlist'
+ * @param {Object} record - Verwijderde track of playlist
+ * @param {number} days - Bewaartermijn in dagen
+ * @returns {Object} Record met type en purge_after (vanaf wanneer het definitief verwijderd mag worden)
+ */
+const trashItem = (type, record, days) => {
+  return { type, ...record, purge_after: purgeAfter(record, days).toISOString() };
+};
+
+/**
+ * Haalt de verwijderde tracks en playlists op die de user mag herstellen: tracks voor curators
+ * en admins, playlists van de user zelf, nieuwste eerst
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.type] - 'track' of 'playlist'
+ * @param {string} [req.query.limit] - Maximaal aantal items per pagina
+ * @param {string} [req.query.offset] - Positie van het eerste item
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met items, count, total en retention_days, of error (400)
+ */
+const getTrash = async (req, res) => {
+  try {
+    const { error, value } = trashQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+      return sendValidationProblem(res, error);
+    }
+
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return sendValidationProblem(res, pagination.error);
+    }
+
+    const days = retentionDays();
+    const items = [];
+
+    if (value.type !== 'playlist' && TRACK_MANAGER_ROLES.includes(userRole(req.user))) {
+      const tracks = (await tracksRepository.all()).filter(isDeleted);
+      items.push(...tracks.map(track => trashItem('track', track, days)));
+    }
+
+    if (value.type !== 'track') {
+      const playlists = (await playlistsRepository.all()).filter(p => isDeleted(p) && canModifyPlaylist(p, req.user));
+      items.push(...playlists.map(playlist => trashItem('playlist', playlist, days)));
+    }
+
+    items.sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+    const page = paginate(items, pagination.value, req, res);
+
+    res.json({
+      success: true,
+      data: page.data,
+      count: page.data.length,
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      next: page.next,
+      previous: page.previous,
+      retention_days: days
+    });
+  } catch {
+    sendServerError(res, 'Error retrieving trash');
+  }
+};
+
+/**
+ * Herstelt een verwijderde track, ook op haar oude posities in de playlists
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Track ID
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de herstelde track, 404 als de track niet in de prullenbak zit of 409 als
+ * haar Spotify track intussen aan een andere track gekoppeld is
+ */
+const restoreTrack = async (req, res) => {
+  try {
+    const result = await executeOperation(TRACK_COLLECTIONS, state => restoreTrackOperation(state, { id: req.params.id }, req.user));
+    sendOperationResult(res, result);
+  } catch {
+    sendServerError(res, 'Error restoring track');
+  }
+};
+
+/**
+ * Herstelt een verwijderde playlist van de user
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Playlist ID
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de herstelde playlist, of 404 als de playlist niet in de prullenbak van de user zit
+ */
+const restorePlaylist = async (req, res) => {
+  try {
+    const result = await executeOperation(PLAYLIST_COLLECTIONS, state => restorePlaylistOperation(state, { id: req.params.id }, req.user));
+    sendOperationResult(res, result);
+  } catch {
+    sendServerError(res, 'Error restoring playlist');
+  }
+};
+
+/**
+ * Verwijdert de tracks en playlists waarvan de bewaartermijn verstreken is definitief
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.retention_days] - Bewaartermijn in dagen (standaard MOCKIFY_TRASH_RETENTION_DAYS of 30; 0 leegt de prullenbak)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de definitief verwijderde items (type en id), count en retention_days, of error (400)
+ */
+const purgeTrash = async (req, res) => {
+  try {
+    const { error, value } = purgeQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+      return sendValidationProblem(res, error);
+    }
+
+    const days = value.retention_days === undefined ? retentionDays() : value.retention_days;
+    const now = new Date();
+
+    const result = await executeOperation(['tracks', 'playlists', SEQUENCES_COLLECTION], state => {
+      const purged = [];
+
+      [['track', 'tracks'], ['playlist', 'playlists']].forEach(([type, collection]) => {
+        const records = state.data[collection];
+        const expired = records.filter(record => isExpired(record, days, now));
+
+        if (expired.length > 0) {
+          state.data[collection] = records.filter(record => !isExpired(record, days, now));
+          state.changed.add(collection);
+          expired.forEach(record => {
+            recordAudit(state, { collection, action: 'purge', before: record }, req.user);
+            rememberPurgedId(state, collection, record.id);
+            purged.push({ type, id: record.id, deleted_at: record.deleted_at });
+          });
+        }
+      });
+
+      return { status: 200, value: purged };
+    });
+
+    res.json({
+      success: true,
+      data: result.value,
+      count: result.value.length,
+      retention_days: days
+    });
+  } catch {
+    sendServerError(res, 'Error purging trash');
+  }
+};
+
+module.exports = {
+  trashQuerySchema,
+  purgeQuerySchema,
+  getTrash,
+  restoreTrack,
+  restorePlaylist,
+  purgeTrash
+};
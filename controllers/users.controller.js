@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Controller voor het beheer van users en hun rollen (enkel voor admins)
+ * @module controllers/users
+ */
+
+const Joi = require('joi');
+const { sendProblem, sendValidationProblem, sendNotFound, sendServerError } = require('../utils/problem');
+const { getRepository, withLock } = require('../storage');
+const { ROLES, userRole, publicUser } = require('../models/users.model');
+
+const usersRepository = getRepository('users');
+
+/**
+ * Joi validatie schema voor het wijzigen van een rol
+ * @type {Joi.ObjectSchema}
+ */
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...ROLES).required()
+});
+
+/**
+ * Haalt alle users op met hun rol, optioneel gefilterd op rol
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.role] - Filter op rol
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met users en count, of error (400)
+ */
+const getAllUsers = async (req, res) => {
+  try {
+    const { role } = req.query;
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return sendValidationProblem(res, [{ field: 'role', message: `"role" must be one of [${ROLES.join(', ')}]`, code: 'any.only' }]);
+    }
+
+    const users = await usersRepository.all();
+    const filtered = role ? users.filter(u => userRole(u) === role) : users;
+
+    res.json({
+      success: true,
+      data: filtered.map(publicUser),
+      count: filtered.length
+    });
+  } catch {
+    sendServerError(res, 'Error retrieving users');
+  }
+};
+
+/**
+ * Wijzigt de rol van een user. De laatste admin kan zijn rol niet verliezen.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - User ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.role - Nieuwe rol (admin, curator of listener)
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response met de bijgewerkte user, 404 of error (400/409)
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { error, value } = roleSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationProblem(res, error);
+    }
+
+    await withLock(['users'], async () => {
+      const users = await usersRepository.all();
+      const userIndex = users.findIndex(u => u.id === parseInt(req.params.id));
+
+      if (userIndex === -1) {
+        return sendNotFound(res, `User ${req.params.id} not found`);
+      }
+
+      const user = users[userIndex];
+      const admins = users.filter(u => userRole(u) === 'admin');
+
+      if (userRole(user) === 'admin' && value.role !== 'admin' && admins.length === 1) {
+        return sendProblem(res, 409, 'last_admin', 'Cannot remove the role of the last admin');
+      }
+
+      users[userIndex] = { ...user, role: value.role };
+      await usersRepository.saveAll(users);
+
+      res.json({
+        success: true,
+        data: publicUser(users[userIndex])
+      });
+    });
+  } catch {
+    sendServerError(res, 'Error updating user role');
+  }
+};
+
+module.exports = {
+  roleSchema,
+  getAllUsers,
+  updateUserRole
+};
@@ -8,6 +8,20 @@
 const express = require('express');
 const tracksRouter = require('./routes/tracks.routes');
 const playlistsRouter = require('./routes/playlists.routes');
+const artistsRouter = require('./routes/artists.routes');
+const genresRouter = require('./routes/genres.routes');
+const searchRouter = require('./routes/search.routes');
+const authRouter = require('./routes/auth.routes');
+const meRouter = require('./routes/me.routes');
+const usersRouter = require('./routes/users.routes');
+const trashRouter = require('./routes/trash.routes');
+const { createOpenApiRouter } = require('./routes/openapi.routes');
+const { httpCache } = require('./middleware/http-cache');
+const { authenticate } = require('./middleware/auth');
+const { requestId } = require('./middleware/request-id');
+const { sendProblem, sendServerError } = require('./utils/problem');
+const { bootstrapAdmin } = require('./utils/admin-bootstrap');
+const { getStorage } = require('./storage');
 
 /**
  * Express applicatie instance
@@ -22,26 +36,120 @@ const app = express();
 const port = process.env.PORT || 3000;
 
 /**
- * Middleware voor JSON request body parsing
+ * Caching per route: de Cache-Control header voor GET/HEAD responses, de collecties waarvan
+ * de responses afhangen (bepaalt Last-Modified) en de paden die authenticatie vereisen
+ * en dus nooit gedeeld gecachet mogen worden
+ * @type {Object<string, {cacheControl: string, collections: string[], privatePaths?: RegExp[]}>}
  */
-app.use(express.json());
+const cachePolicies = {
+  '/api/tracks': {
+    cacheControl: 'public, max-age=60',
+    collections: ['tracks'],
+    privatePaths: [/^\/duplicates$/, /^\/[^/]+\/history$/]
+  },
+  '/api/playlists': { cacheControl: 'private, no-cache', collections: ['playlists', 'tracks'] },
+  '/api/artists': { cacheControl: 'public, max-age=300', collections: ['artists', 'tracks'] },
+  '/api/genres': { cacheControl: 'public, max-age=3600', collections: ['genres', 'tracks'] },
+  '/api/search': { cacheControl: 'private, max-age=30', collections: ['tracks', 'playlists'] }
+};
+
+/**
+ * Sterke ETags (hash van de body) op alle responses; Express beantwoordt een
+ * overeenkomende If-None-Match zelf met 304 Not Modified
+ */
+app.set('etag', 'strong');
+
+/**
+ * Middleware die elke request een id geeft (X-Request-Id); staat eerst zodat ook
+ * fouten bij het parsen van de body een request_id hebben
+ */
+app.use(requestId);
+
+/**
+ * Middleware voor JSON request body parsing, ook voor application/merge-patch+json en application/json-patch+json.
+ * De limiet laat bulk requests met honderden operaties toe.
+ */
+app.use(express.json({ type: ['application/json', 'application/*+json'], limit: '1mb' }));
 
 /**
  * Middleware voor URL-encoded request body parsing
  */
 app.use(express.urlencoded({ extended: true }));
 
+/**
+ * Middleware die een optioneel bearer token leest en req.user zet
+ */
+app.use(authenticate);
+
+/**
+ * Routes voor registratie en login
+ * @name /api/auth
+ */
+app.use('/api/auth', authRouter);
+
+/**
+ * Route voor de geauthenticeerde user
+ * @name /api/me
+ */
+app.use('/api/me', meRouter);
+
+/**
+ * Routes voor het beheer van users en rollen (enkel admins)
+ * @name /api/users
+ */
+app.use('/api/users', usersRouter);
+
 /**
  * Routes voor tracks resource
  * @name /api/tracks
  */
-app.use('/api/tracks', tracksRouter);
+app.use('/api/tracks', httpCache(cachePolicies['/api/tracks']), tracksRouter);
 
 /**
  * Routes voor playlists resource
  * @name /api/playlists
  */
-app.use('/api/playlists', playlistsRouter);
+app.use('/api/playlists', httpCache(cachePolicies['/api/playlists']), playlistsRouter);
+
+/**
+ * Routes voor artists resource
+ * @name /api/artists
+ */
+app.use('/api/artists', httpCache(cachePolicies['/api/artists']), artistsRouter);
+
+/**
+ * Routes voor genres resource
+ * @name /api/genres
+ */
+app.use('/api/genres', httpCache(cachePolicies['/api/genres']), genresRouter);
+
+/**
+ * Routes voor de zoek endpoint over tracks en playlists
+ * @name /api/search
+ */
+app.use('/api/search', httpCache(cachePolicies['/api/search']), searchRouter);
+
+/**
+ * Routes voor de prullenbak met verwijderde tracks en playlists
+ * @name /api/trash
+ */
+app.use('/api/trash', trashRouter);
+
+/**
+ * OpenAPI specificatie en interactieve documentatie, gegenereerd uit de routers hierboven
+ * @name /api/openapi.json, /api/docs
+ */
+app.use('/api', createOpenApiRouter({
+  '/api/auth': authRouter,
+  '/api/me': meRouter,
+  '/api/users': usersRouter,
+  '/api/tracks': tracksRouter,
+  '/api/playlists': playlistsRouter,
+  '/api/artists': artistsRouter,
+  '/api/genres': genresRouter,
+  '/api/search': searchRouter,
+  '/api/trash': trashRouter
+}));
 
 /**
  * @route GET /
@@ -54,7 +162,16 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       tracks: '/api/tracks',
-      playlists: '/api/playlists'
+      playlists: '/api/playlists',
+      artists: '/api/artists',
+      genres: '/api/genres',
+      search: '/api/search',
+      auth: '/api/auth',
+      me: '/api/me',
+      users: '/api/users',
+      trash: '/api/trash',
+      openapi: '/api/openapi.json',
+      docs: '/api/docs'
     }
   });
 });
@@ -62,36 +179,57 @@ app.get('/', (req, res) => {
 /**
  * 404 Not Found handler
  * @description Vangt alle niet-bestaande routes op
- * @returns {Object} JSON met error bericht en status 404
+ * @returns {Object} problem+json met status 404
  */
 app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found'
-  });
+  sendProblem(res, 404, 'route_not_found', `Route ${req.method} ${req.path} not found`);
 });
 
 /**
  * Global error handler
- * @description Vangt alle onverwachte errors op
+ * @description Vangt alle onverwachte errors op. Fouten van de body parsers (bv. ongeldige JSON
+ * of een te grote body) zijn fouten van de client en krijgen hun eigen 4xx status.
  * @param {Error} error - Error object
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware functie
- * @returns {Object} JSON met error bericht en status 500
+ * @returns {Object} problem+json met status 400/413/415 voor body fouten, anders 500
  */
 app.use((error, req, res, next) => {
-  res.status(500).json({
-    success: false,
-    message: 'Something went wrong!'
-  });
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return sendProblem(res, 400, 'invalid_json', `Malformed JSON body: ${error.message}`);
+  }
+
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return sendProblem(res, error.status, String(error.type || 'bad_request').replace(/\./g, '_'), error.message);
+  }
+
+  sendServerError(res, 'Something went wrong!');
 });
 
 /**
- * Start de Express server
+ * Start de Express server, na het instellen van de admin uit de environment
  */
-app.listen(port, () => {
-  console.log(`API is running on http://localhost:${port}`);
-});
+// De storage meteen aanmaken, zodat een ongeldige configuratie (bv. MOCKIFY_STORAGE=sqlite op een
+// te oude Node.js) de start doet mislukken in plaats van de eerste request
+Promise.resolve()
+  .then(() => getStorage())
+  .then(() => bootstrapAdmin())
+  .then(admin => {
+    if (admin) {
+      console.log(`Admin ${admin.username} is ready`);
+    }
+    app.listen(port, () => {
+      console.log(`API is running on http://localhost:${port}`);
+    });
+  })
+  .catch(error => {
+    console.error('Starting the API failed:', error.message);
+    process.exitCode = 1;
+  });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Middleware voor authenticatie met bearer tokens
+ * @description authenticate leest een optionele 'Authorization: Bearer <token>' header en zet
+ * req.user (of null voor anonieme requests). requireAuth weigert anonieme requests met 401,
+ * requireRole weigert daarnaast users zonder een van de gevraagde rollen met 403.
+ * @module middleware/auth
+ */
+
+const { verifyToken } = require('../utils/auth');
+const { getRepository } = require('../storage');
+const { userRole } = require('../models/users.model');
+const { sendProblem } = require('../utils/problem');
+
+const usersRepository = getRepository('users');
+
+/**
+ * Stuurt een 401 Unauthorized response met een WWW-Authenticate challenge (RFC 6750)
+ * @param {Object} res - Express response object
+ * @param {string} message - Foutboodschap
+ * @param {boolean} [invalidToken=false] - Of er een ongeldig token meegestuurd werd
+ * @returns {Object} Express response
+ */
+const sendUnauthorized = (res, message, invalidToken = false) => {
+  res.set('WWW-Authenticate', invalidToken ? 'Bearer error="invalid_token"' : 'Bearer');
+  return sendProblem(res, 401, invalidToken ? 'invalid_token' : 'authentication_required', message);
+};
+
+/**
+ * Leest het bearer token en zet req.user; requests zonder Authorization header blijven anoniem
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware functie
+ * @returns {Promise<void>}
+ */
+const authenticate = async (req, res, next) => {
+  req.user = null;
+  const header = req.get('Authorization');
+
+  if (!header) {
+    return next();
+  }
+
+  try {
+    const [scheme, token] = header.split(' ');
+
+    if (scheme.toLowerCase() !== 'bearer' || !token) {
+      return sendUnauthorized(res, 'Authorization header must use the Bearer scheme', true);
+    }
+
+    const payload = verifyToken(token);
+
+    if (!payload) {
+      return sendUnauthorized(res, 'Invalid or expired token', true);
+    }
+
+    const users = await usersRepository.all();
+    const user = users.find(u => u.id === payload.sub);
+
+    if (!user) {
+      return sendUnauthorized(res, 'Invalid or expired token', true);
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Laat enkel geauthenticeerde requests door
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware functie
+ * @returns {void}
+ */
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return sendUnauthorized(res, 'Authentication required');
+  }
+  next();
+};
+
+/**
+ * Maakt een middleware aan die enkel users met een van de gegeven rollen doorlaat
+ * @param {...string} roles - Toegelaten rollen, bv. 'admin', 'curator'
+ * @returns {Function} Express middleware (401 zonder token, 403 met de reden bij een andere rol)
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendUnauthorized(res, 'Authentication required');
+    }
+
+    const role = userRole(req.user);
+
+    if (!roles.includes(role)) {
+      return sendProblem(res, 403, 'insufficient_role', `This action requires the role ${roles.join(' or ')}; your role is ${role}`, {
+        required_roles: roles,
+        role
+      });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requireRole
+};
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Middleware voor HTTP caching van read endpoints
+ * @description Zet Cache-Control, Vary: Authorization en Last-Modified op GET/HEAD responses. Last-Modified is het
+ * tijdstip van de laatste wijziging van de collecties waarvan de route afhangt. De (sterke) ETags en
+ * de 304 Not Modified komen van Express zelf (app.set('etag', 'strong') en req.fresh), nadat de
+ * route haar eigen auth- en 404-controles gedaan heeft. Deze middleware laat If-Modified-Since
+ * enkel meetellen als er geen If-None-Match is en de data in een vroegere seconde gewijzigd werd.
+ * Routes die enkel voor bepaalde rollen zijn (privatePaths) krijgen 'private, no-store', zonder
+ * Last-Modified en zonder 304, zodat geen enkele cache hun responses bewaart.
+ * @module middleware/http-cache
+ */
+
+const { lastModified } = require('../storage');
+
+/**
+ * Cache-Control van de routes in privatePaths
+ * @type {string}
+ */
+const PRIVATE_CACHE_CONTROL = 'private, no-store';
+
+/**
+ * Bepaalt of de If-Modified-Since van een request genegeerd moet worden
+ * @param {Object} req - Express request object
+ * @param {Date} modified - Laatste wijziging van de data
+ * @returns {boolean} true als er ook een If-None-Match is (die heeft voorrang, RFC 9110), als de header
+ * ongeldig is of als de laatste wijziging niet in een vroegere seconde valt dan If-Modified-Since
+ */
+const ignoreModifiedSince = (req, modified) => {
+  if (req.get('If-None-Match')) {
+    return true;
+  }
+
+  const since = Date.parse(req.get('If-Modified-Since'));
+
+  // Last-Modified heeft een precisie van een seconde: een wijziging in dezelfde seconde als
+  // If-Modified-Since is niet van een oudere te onderscheiden en levert dus nooit 304 op
+  return Number.isNaN(since) || Math.floor(modified.getTime() / 1000) >= Math.floor(since / 1000);
+};
+
+/**
+ * Maakt een caching middleware aan voor een groep routes
+ * @param {Object} options - Opties
+ * @param {string[]} options.collections - Collecties waarvan de responses afhangen, bv. ['tracks']
+ * @param {string} options.cacheControl - Waarde van de Cache-Control header, bv. 'public, max-age=60'
+ * @param {RegExp[]} [options.privatePaths=[]] - Paden (relatief tegenover de mount) die authenticatie
+ * vereisen, bv. /^\/duplicates$/; die krijgen PRIVATE_CACHE_CONTROL
+ * @returns {Function} Express middleware
+ */
+const httpCache = ({ collections, cacheControl, privatePaths = [] }) => {
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    if (privatePaths.some(pattern => pattern.test(req.path))) {
+      res.set('Cache-Control', PRIVATE_CACHE_CONTROL);
+      res.vary('Authorization');
+      return next();
+    }
+
+    try {
+      const modified = await lastModified(collections);
+
+      res.set('Cache-Control', cacheControl);
+      // Responses kunnen per user verschillen (bv. private playlists)
+      res.vary('Authorization');
+      res.set('Last-Modified', modified.toUTCString());
+
+      // De 304 zelf komt van Express (req.fresh in res.send), dus pas nadat de route de toegang
+      // gecontroleerd heeft en enkel voor een 2xx response
+      if (req.get('If-Modified-Since') && ignoreModifiedSince(req, modified)) {
+        delete req.headers['if-modified-since'];
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  PRIVATE_CACHE_CONTROL,
+  httpCache
+};
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Middleware die elke request een id geeft
+ * @description Neemt een X-Request-Id header van de client over (bv. van een proxy) of maakt een
+ * nieuwe UUID aan. Het id staat op req.id, wordt teruggestuurd in de X-Request-Id header en
+ * zit in elke foutresponse (request_id).
+ * @module middleware/request-id
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Formaat van een overgenomen request id (letters, cijfers, '.', '_', ':' en '-', max. 128 tekens)
+ * @type {RegExp}
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Zet req.id en de X-Request-Id response header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware functie
+ */
+const requestId = (req, res, next) => {
+  const header = req.get('X-Request-Id');
+
+  req.id = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = {
+  requestId
+};
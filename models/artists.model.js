@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Naam normalisatie hulpfuncties voor de artists resource
+ * @module models/artists
+ */
+
+/**
+ * Normaliseert de schrijfwijze van een artiestnaam (spaties)
+ * @param {string} name - Artiestnaam zoals ingegeven
+ * @returns {string} Naam zonder overbodige spaties
+ */
+const cleanArtistName = (name) => {
+  return name.trim().replace(/\s+/g, ' ');
+};
+
+/**
+ * Sleutel waarmee artiestnamen vergeleken worden, zodat 'Queen' en 'queen ' dezelfde artiest zijn
+ * @param {string} name - Artiestnaam
+ * @returns {string} Vergelijkingssleutel
+ */
+const artistKey = (name) => {
+  return cleanArtistName(name).toLowerCase();
+};
+
+/**
+ * Zet artiestnamen om naar artist IDs; onbekende namen worden als nieuwe artist toegevoegd
+ * @param {string[]} names - Artiestnamen
+ * @param {Array} artists - Array van artist objecten (wordt aangevuld met nieuwe artists)
+ * @returns {number[]} IDs in dezelfde volgorde als de namen (zonder dubbels)
+ */
+const resolveArtistNames = (names, artists) => {
+  const ids = [];
+
+  names.forEach(name => {
+    let artist = artists.find(a => artistKey(a.naam) === artistKey(name));
+
+    if (!artist) {
+      const newId = artists.length > 0 ? Math.max(...artists.map(a => a.id)) + 1 : 1;
+      artist = { id: newId, naam: cleanArtistName(name) };
+      artists.push(artist);
+    }
+
+    if (!ids.includes(artist.id)) {
+      ids.push(artist.id);
+    }
+  });
+
+  return ids;
+};
+
+/**
+ * Geeft de namen van artists terug op basis van hun IDs
+ * @param {number[]} ids - Artist IDs
+ * @param {Array} artists - Array van artist objecten
+ * @returns {string[]} Artiestnamen in dezelfde volgorde
+ */
+const artistNames = (ids, artists) => {
+  return ids.map(id => artists.find(a => a.id === id)).filter(Boolean).map(a => a.naam);
+};
+
+module.exports = {
+  cleanArtistName,
+  artistKey,
+  resolveArtistNames,
+  artistNames
+};
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Alias normalisatie en hiërarchie hulpfuncties voor de genre taxonomie
+ * @module models/genres
+ */
+
+/**
+ * Normaliseert de schrijfwijze van een genrenaam (spaties)
+ * @param {string} name - Genrenaam zoals ingegeven
+ * @returns {string} Naam zonder overbodige spaties
+ */
+const cleanGenreName = (name) => {
+  return name.trim().replace(/\s+/g, ' ');
+};
+
+/**
+ * Sleutel waarmee genrenamen en aliassen vergeleken worden
+ * @param {string} name - Genrenaam of alias
+ * @returns {string} Vergelijkingssleutel
+ */
+const genreKey = (name) => {
+  return cleanGenreName(name).toLowerCase();
+};
+
+/**
+ * Zoekt een genre op naam of alias (case-insensitive)
+ * @param {string} name - Genrenaam of alias, bv. 'rnb'
+ * @param {Array} genres - Array van genre objecten
+ * @returns {Object|undefined} Het gevonden genre
+ */
+const findGenreByName = (name, genres) => {
+  const key = genreKey(name);
+  return genres.find(g => genreKey(g.naam) === key || (g.aliases || []).some(alias => genreKey(alias) === key));
+};
+
+/**
+ * Zet genrenamen om naar hun canonieke naam; onbekende namen worden een nieuw hoofdgenre
+ * @param {string[]} names - Genrenamen zoals ingegeven, bv. ['rnb', 'Pop']
+ * @param {Array} genres - Array van genre objecten (wordt aangevuld met nieuwe genres)
+ * @returns {string[]} Canonieke genrenamen (zonder dubbels), bv. ['R&B', 'Pop']
+ */
+const normalizeGenreNames = (names, genres) => {
+  const normalized = [];
+
+  names.forEach(name => {
+    let genre = findGenreByName(name, genres);
+
+    if (!genre) {
+      const newId = genres.length > 0 ? Math.max(...genres.map(g => g.id)) + 1 : 1;
+      genre = { id: newId, naam: cleanGenreName(name), parent_id: null, aliases: [] };
+      genres.push(genre);
+    }
+
+    if (!normalized.includes(genre.naam)) {
+      normalized.push(genre.naam);
+    }
+  });
+
+  return normalized;
+};
+
+/**
+ * Geeft de IDs van alle subgenres (recursief) van een genre terug
+ * @param {number} genreId - ID van het bovenliggende genre
+ * @param {Array} genres - Array van genre objecten
+ * @returns {number[]} IDs van alle onderliggende genres
+ */
+const descendantIds = (genreId, genres) => {
+  const children = genres.filter(g => g.parent_id === genreId).map(g => g.id);
+  return children.reduce((ids, id) => [...ids, ...descendantIds(id, genres)], children);
+};
+
+module.exports = {
+  cleanGenreName,
+  genreKey,
+  findGenreByName,
+  normalizeGenreNames,
+  descendantIds
+};
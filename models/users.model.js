@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Hulpfuncties voor de users resource
+ * @module models/users
+ */
+
+/**
+ * Beschikbare rollen: admins beheren rollen en alle playlists, curators beheren de catalogus
+ * (tracks, artists en genres), listeners beheren enkel hun eigen playlists
+ * @type {string[]}
+ */
+const ROLES = ['admin', 'curator', 'listener'];
+
+/**
+ * Rol van nieuwe users
+ * @type {string}
+ */
+const DEFAULT_ROLE = 'listener';
+
+/**
+ * Geeft de rol van een user terug (users zonder rol zijn listener)
+ * @param {Object} user - User object
+ * @returns {string} Rol
+ */
+const userRole = (user) => {
+  return user.role || DEFAULT_ROLE;
+};
+
+/**
+ * Zet een weergavenaam om naar een username, bv. 'Milan Kellens' wordt 'milan-kellens'
+ * @param {string} name - Weergavenaam
+ * @returns {string} Username (kleine letters, cijfers en streepjes)
+ */
+const usernameFromName = (name) => {
+  return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Zoekt een user op username (case-insensitive)
+ * @param {Array} users - Array van user objecten
+ * @param {string} username - Username
+ * @returns {Object|undefined} De gevonden user
+ */
+const findUserByUsername = (users, username) => {
+  return users.find(u => u.username === username.trim().toLowerCase());
+};
+
+/**
+ * Geeft de publieke velden van een user terug (zonder password_hash, met de effectieve rol)
+ * @param {Object} user - User object
+ * @returns {Object} User zonder gevoelige velden
+ */
+const publicUser = (user) => {
+  const visible = { ...user, role: userRole(user) };
+  delete visible.password_hash;
+  return visible;
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  userRole,
+  usernameFromName,
+  findUserByUsername,
+  publicUser
+};
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Express routes voor artists resource
+ * @module routes/artists
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getAllArtists,
+  getArtistById,
+  createArtist,
+  updateArtist,
+  deleteArtist
+} = require('../controllers/artists.controller');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Wijzigingen aan de catalogus zijn voorbehouden aan curators en admins
+ * @type {Function}
+ */
+const requireCurator = requireRole('admin', 'curator');
+
+/**
+ * @route GET /api/artists
+ * @description Haalt alle artists op met track count en genres, optioneel gefilterd, gesorteerd en gepagineerd
+ * @query {string} [naam] - Filter op naam
+ * @query {string} [sort] - Sorteervelden, bv. '-track_count,naam'
+ * @query {number} [limit] - Maximaal aantal items per pagina (1-100)
+ * @query {number} [offset] - Positie van het eerste item
+ * @returns {Object} JSON met success, data array, count, total en next/previous links
+ */
+router.get('/', getAllArtists);
+
+/**
+ * @route GET /api/artists/:id
+ * @description Haalt een specifieke artist op via ID, met track count, genres en track IDs
+ * @param {string} id - Artist ID
+ * @returns {Object} JSON met artist data of 404
+ */
+router.get('/:id', getArtistById);
+
+/**
+ * @route POST /api/artists
+ * @description Maakt een nieuwe artist aan
+ * @body {Object} artist - Artist object (naam verplicht)
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met nieuwe artist (201), error (400) of bestaande naam (409), 401 zonder token of 403 voor andere rollen
+ */
+router.post('/', requireCurator, createArtist);
+
+/**
+ * @route PUT /api/artists/:id
+ * @description Hernoemt een artist en werkt de artiestnamen in alle tracks bij
+ * @param {string} id - Artist ID
+ * @body {Object} artist - Artist object (naam verplicht)
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met geüpdatete artist of error, 401 zonder token of 403 voor andere rollen
+ */
+router.put('/:id', requireCurator, updateArtist);
+
+/**
+ * @route DELETE /api/artists/:id
+ * @description Verwijdert een artist die door geen enkele track gebruikt wordt
+ * @param {string} id - Artist ID
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met verwijderde artist, 404 of error bij 409, 401 zonder token of 403 voor andere rollen
+ */
+router.delete('/:id', requireCurator, deleteArtist);
+
+module.exports = router;
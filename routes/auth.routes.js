@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Express routes voor registratie en login
+ * @module routes/auth
+ */
+
+const express = require('express');
+const router = express.Router();
+const { register, login } = require('../controllers/auth.controller');
+
+/**
+ * @route POST /api/auth/register
+ * @description Registreert een nieuwe user
+ * @body {Object} user - username, password (minstens 8 tekens) en optioneel naam
+ * @returns {Object} JSON met token, token_type, expires_in en user (201), of error (400/409)
+ */
+router.post('/register', register);
+
+/**
+ * @route POST /api/auth/login
+ * @description Logt in en geeft een bearer token terug
+ * @body {Object} credentials - username en password
+ * @returns {Object} JSON met token, token_type, expires_in en user, of error (400/401)
+ */
+router.post('/login', login);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Express routes voor genres resource
+ * @module routes/genres
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getAllGenres,
+  getGenreById,
+  createGenre,
+  updateGenre,
+  deleteGenre
+} = require('../controllers/genres.controller');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Wijzigingen aan de catalogus zijn voorbehouden aan curators en admins
+ * @type {Function}
+ */
+const requireCurator = requireRole('admin', 'curator');
+
+/**
+ * @route GET /api/genres
+ * @description Haalt alle genres op met track count, als platte lijst of als boom
+ * @query {string} [tree] - 'true' om de genres als geneste boom (children) terug te geven
+ * @returns {Object} JSON met success, data array en count
+ */
+router.get('/', getAllGenres);
+
+/**
+ * @route GET /api/genres/:id
+ * @description Haalt een specifiek genre op via ID, met ancestors en children
+ * @param {string} id - Genre ID
+ * @returns {Object} JSON met genre data of 404
+ */
+router.get('/:id', getGenreById);
+
+/**
+ * @route POST /api/genres
+ * @description Maakt een nieuw genre aan
+ * @body {Object} genre - Genre object (naam verplicht, parent_id en aliases optioneel)
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met nieuw genre (201), error (400) of bestaande naam/alias (409), 401 zonder token of 403 voor andere rollen
+ */
+router.post('/', requireCurator, createGenre);
+
+/**
+ * @route PUT /api/genres/:id
+ * @description Update een volledig genre (naam, parent_id, aliases); een nieuwe naam wordt in alle tracks doorgevoerd
+ * @param {string} id - Genre ID
+ * @body {Object} genre - Genre object (naam verplicht)
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met geüpdatet genre of error, 401 zonder token of 403 voor andere rollen
+ */
+router.put('/:id', requireCurator, updateGenre);
+
+/**
+ * @route DELETE /api/genres/:id
+ * @description Verwijdert een genre dat niet meer door tracks gebruikt wordt en geen subgenres heeft
+ * @param {string} id - Genre ID
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met verwijderd genre, 404 of error bij 409, 401 zonder token of 403 voor andere rollen
+ */
+router.delete('/:id', requireCurator, deleteGenre);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Express routes voor de geauthenticeerde user
+ * @module routes/me
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { getMe } = require('../controllers/auth.controller');
+
+/**
+ * @route GET /api/me
+ * @description Haalt de user op die bij het bearer token hoort
+ * @header {string} Authorization - 'Bearer <token>'
+ * @returns {Object} JSON met de user, of 401 zonder (geldig) token
+ */
+router.get('/', requireAuth, getMe);
+
+module.exports = router;
@@ -0,0 +1,613 @@
+/**
+ * @fileoverview Express routes voor de OpenAPI specificatie en de interactieve documentatie
+ * @description Het document wordt gegenereerd uit de routers die index.js mount en de Joi schemas
+ * van de controllers; OPERATIONS beschrijft per route enkel wat niet uit de code af te leiden is
+ * (samenvatting, rollen en responses). Een nieuwe route zonder entry verschijnt als x-undocumented,
+ * wat de OpenAPI test doet falen.
+ * @module routes/openapi
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { buildOpenApiDocument } = require('../utils/openapi');
+const { paginationSchema } = require('../utils/pagination');
+const { bulkSchema } = require('../utils/operations');
+const { jsonPatchSchema } = require('../utils/patch');
+const { revertSchema } = require('../utils/audit');
+const { SPOTIFY_ID_PATTERN } = require('../utils/spotify');
+const { PLAYLIST_FORMATS } = require('../utils/playlist-formats');
+const { ROLES } = require('../models/users.model');
+const {
+  trackSchemaCreate,
+  trackSchemaUpdate,
+  trackSchemaPatch,
+  trackQuerySchema,
+  createTrackQuerySchema
+} = require('../controllers/tracks.controller');
+const { duplicatesQuerySchema, mergeSchema } = require('../controllers/duplicates.controller');
+const { playlistQuerySchema, playlistSchemaCreate, playlistSchemaUpdate, playlistSchemaPatch } = require('../controllers/playlists.controller');
+const {
+  playlistTracksSchemaAdd,
+  playlistTracksSchemaRemove,
+  playlistTracksSchemaReorder
+} = require('../controllers/playlist-tracks.controller');
+const { IMPORT_CONTENT_TYPES, playlistImportQuerySchema } = require('../controllers/import-export.controller');
+const { artistSchema } = require('../controllers/artists.controller');
+const { genreSchema } = require('../controllers/genres.controller');
+const { registerSchema, loginSchema } = require('../controllers/auth.controller');
+const { roleSchema } = require('../controllers/users.controller');
+const { searchQuerySchema } = require('../controllers/search.controller');
+const { trashQuerySchema, purgeQuerySchema } = require('../controllers/trash.controller');
+
+/**
+ * Rollen die de catalogus mogen wijzigen
+ * @type {string[]}
+ */
+const CURATORS = ['admin', 'curator'];
+
+/**
+ * Rollen van elke ingelogde user (o.a. voor playlists)
+ * @type {string[]}
+ */
+const MEMBERS = ['admin', 'curator', 'listener'];
+
+/**
+ * Gedeelde schemas (components.schemas): de records zoals de API ze teruggeeft en het probleem formaat
+ * @type {Object<string, Joi.Schema>}
+ */
+const SCHEMAS = {
+  Track: Joi.object({
+    id: Joi.number().integer(),
+    naam: Joi.string(),
+    bpm: Joi.number().integer(),
+    duur: Joi.number().integer(),
+    jaar: Joi.number().integer(),
+    artiest_ids: Joi.array().items(Joi.number().integer()),
+    artiesten: Joi.array().items(Joi.string()),
+    genres: Joi.array().items(Joi.string()),
+    spotify_url: Joi.string().allow('').description('Genormaliseerde link: https://open.spotify.com/track/<id>'),
+    spotify_id: Joi.string().allow(null).description('Spotify ID uit de spotify_url, uniek over alle tracks'),
+    created_at: Joi.date().iso(),
+    updated_at: Joi.date().iso().description('Laatste wijziging (ook via playlists, artists en genres)'),
+    version: Joi.number().integer(),
+    deleted_at: Joi.date().iso().description('Enkel bij een verwijderde track (prullenbak)'),
+    merged_into: Joi.number().integer().description('Enkel bij een track die met een dubbel samengevoegd werd')
+  }),
+  Playlist: Joi.object({
+    id: Joi.number().integer(),
+    naam: Joi.string(),
+    beschrijving: Joi.string(),
+    author: Joi.string(),
+    owner_id: Joi.number().integer().allow(null),
+    visibility: Joi.string().valid('public', 'private'),
+    spotify_url: Joi.string().allow('').description('Genormaliseerde link: https://open.spotify.com/playlist/<id>'),
+    spotify_id: Joi.string().allow(null).description('Spotify ID uit de spotify_url'),
+    tracks: Joi.array().items(Joi.object({
+      track_id: Joi.number().integer(),
+      added_at: Joi.date().iso(),
+      added_by: Joi.string()
+    })),
+    created_at: Joi.date().iso(),
+    updated_at: Joi.date().iso().description('Laatste wijziging (ook van de tracks van de playlist)'),
+    version: Joi.number().integer(),
+    deleted_at: Joi.date().iso().description('Enkel bij een verwijderde playlist (prullenbak)')
+  }),
+  TrashItem: Joi.object({
+    type: Joi.string().valid('track', 'playlist'),
+    id: Joi.number().integer(),
+    deleted_at: Joi.date().iso(),
+    purge_after: Joi.date().iso().description('Vanaf dit tijdstip kan het record definitief verwijderd worden')
+  }).unknown(true).description('Verwijderde track of playlist met type en purge_after'),
+  AuditEntry: Joi.object({
+    id: Joi.number().integer(),
+    collection: Joi.string().valid('tracks', 'playlists'),
+    record_id: Joi.number().integer(),
+    revision: Joi.number().integer().description('Version van de record na de wijziging'),
+    action: Joi.string().valid('create', 'update', 'patch', 'delete', 'restore', 'revert', 'merge', 'purge', 'add_tracks', 'remove_tracks', 'reorder_tracks', 'rename_artist', 'rename_genre'),
+    actor: Joi.object({ id: Joi.number().integer(), username: Joi.string(), naam: Joi.string() }).allow(null),
+    timestamp: Joi.date().iso(),
+    changes: Joi.array().items(Joi.object({ field: Joi.string(), before: Joi.any(), after: Joi.any() })),
+    before: Joi.object().unknown(true).allow(null).description('Record voor de wijziging (null bij een create)'),
+    after: Joi.object().unknown(true).allow(null).description('Record na de wijziging (null bij een purge)'),
+    reverted_to: Joi.number().integer().description('Enkel bij een revert')
+  }),
+  DuplicateCluster: Joi.object({
+    naam: Joi.string(),
+    artiesten: Joi.array().items(Joi.string()),
+    canonical_id: Joi.number().integer().description('Voorgestelde track die overblijft: de oudste met een Spotify link, anders de oudste'),
+    track_ids: Joi.array().items(Joi.number().integer()),
+    tracks: Joi.array().items(Joi.object().unknown(true).description('Track object'))
+  }),
+  MergeResult: Joi.object({
+    track: Joi.object().unknown(true).description('De canonieke track'),
+    merged_ids: Joi.array().items(Joi.number().integer()).description('Tracks die naar de prullenbak gingen'),
+    playlist_ids: Joi.array().items(Joi.number().integer()).description('Playlists waarvan de entries aangepast werden')
+  }),
+  PlaylistTrack: Joi.object({
+    position: Joi.number().integer(),
+    added_at: Joi.date().iso(),
+    added_by: Joi.string(),
+    track: Joi.object().unknown(true).description('Track object')
+  }),
+  Artist: Joi.object({
+    id: Joi.number().integer(),
+    naam: Joi.string(),
+    track_count: Joi.number().integer(),
+    genres: Joi.array().items(Joi.string()),
+    track_ids: Joi.array().items(Joi.number().integer())
+  }),
+  Genre: Joi.object({
+    id: Joi.number().integer(),
+    naam: Joi.string(),
+    parent_id: Joi.number().integer().allow(null),
+    aliases: Joi.array().items(Joi.string()),
+    track_count: Joi.number().integer()
+  }).unknown(true),
+  User: Joi.object({
+    id: Joi.number().integer(),
+    username: Joi.string(),
+    naam: Joi.string(),
+    role: Joi.string().valid(...ROLES),
+    created_at: Joi.date().iso()
+  }),
+  Token: Joi.object({
+    token: Joi.string(),
+    token_type: Joi.string().valid('Bearer'),
+    expires_in: Joi.number().integer().description('Geldigheid in seconden'),
+    user: Joi.object().unknown(true).description('User object')
+  }),
+  BulkResult: Joi.object({
+    index: Joi.number().integer(),
+    op: Joi.string().valid('create', 'update', 'patch', 'delete'),
+    status: Joi.number().integer(),
+    id: Joi.number().integer(),
+    data: Joi.object().unknown(true),
+    warnings: Joi.array().items(Joi.object().unknown(true)).description('Bv. possible_duplicate bij een create'),
+    error: Joi.object().unknown(true).description('Probleem van de operatie (code, detail, errors)')
+  }),
+  Problem: Joi.object({
+    type: Joi.string(),
+    title: Joi.string(),
+    status: Joi.number().integer(),
+    detail: Joi.string(),
+    code: Joi.string().description('Stabiele, machine-leesbare foutcode'),
+    instance: Joi.string(),
+    request_id: Joi.string(),
+    errors: Joi.array().items(Joi.object({
+      field: Joi.string(),
+      message: Joi.string(),
+      code: Joi.string()
+    }))
+  }).unknown(true)
+};
+
+/**
+ * Query parameters voor sortering en het beperken van de velden van lijst endpoints
+ * @type {Joi.ObjectSchema}
+ */
+const listQuerySchema = paginationSchema.keys({
+  sort: Joi.string().description('Sorteervelden, bv. \'-jaar,naam\' (\'-\' = aflopend)'),
+  fields: Joi.string().description('Komma-gescheiden lijst van velden om terug te geven')
+});
+
+/**
+ * Query parameter fields van de detail endpoints
+ * @type {Joi.ObjectSchema}
+ */
+const fieldsQuerySchema = Joi.object({
+  fields: Joi.string().description('Komma-gescheiden lijst van velden om terug te geven')
+});
+
+/**
+ * Query parameter format van de CSV en NDJSON exports
+ * @type {Joi.ObjectSchema}
+ */
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid('csv', 'ndjson').default('csv')
+});
+
+/**
+ * Bodies van een PATCH: JSON Merge Patch (ook als gewone JSON) of JSON Patch
+ * @param {Joi.ObjectSchema} schema - Partieel Joi schema van de resource
+ * @returns {Object<string, Joi.Schema>} Schemas per Content-Type
+ */
+const patchBody = (schema) => ({
+  'application/merge-patch+json': schema,
+  'application/json': schema,
+  'application/json-patch+json': jsonPatchSchema
+});
+
+/**
+ * Responses van een bulk endpoint
+ * @type {Object}
+ */
+const bulkResponses = {
+  200: { description: 'Alle operaties zijn gelukt', data: 'BulkResult', list: true },
+  207: { description: 'Een of meer operaties faalden (niet atomic)', data: 'BulkResult', list: true },
+  409: 'Een atomic bulk request is teruggedraaid (bulk_rolled_back)'
+};
+
+/**
+ * Beschrijving van elke route: samenvatting, tag, vereiste rollen (auth), de Joi schemas van de
+ * query en body en de responses per status
+ * @type {Object<string, Object>}
+ */
+const OPERATIONS = {
+  'POST /api/auth/register': {
+    tag: 'Auth', summary: 'Registreert een nieuwe user', body: registerSchema,
+    responses: { 201: { description: 'Token en user', data: 'Token' }, 409: 'Username bestaat al' }
+  },
+  'POST /api/auth/login': {
+    tag: 'Auth', summary: 'Logt in en geeft een bearer token terug', body: loginSchema,
+    responses: { 200: { description: 'Token en user', data: 'Token' }, 401: 'Ongeldige username of wachtwoord' }
+  },
+  'GET /api/me': {
+    tag: 'Auth', summary: 'Haalt de user op die bij het bearer token hoort', auth: true,
+    responses: { 200: { description: 'De user', data: 'User' } }
+  },
+  'GET /api/users': {
+    tag: 'Users', summary: 'Haalt alle users op met hun rol', auth: ['admin'],
+    query: Joi.object({ role: Joi.string().valid(...ROLES) }),
+    responses: { 200: { description: 'Users', data: 'User', list: true } }
+  },
+  'PUT /api/users/:id/role': {
+    tag: 'Users', summary: 'Kent een rol toe aan een user', auth: ['admin'], body: roleSchema,
+    responses: { 200: { description: 'De bijgewerkte user', data: 'User' }, 404: 'User niet gevonden', 409: 'De laatste admin kan zijn rol niet verliezen' }
+  },
+  'GET /api/tracks': {
+    tag: 'Tracks', summary: 'Haalt alle tracks op, optioneel gefilterd, gesorteerd en gepagineerd',
+    query: listQuerySchema.concat(trackQuerySchema),
+    responses: { 200: { description: 'Pagina van tracks', data: 'Track', list: true } }
+  },
+  'GET /api/tracks/export': {
+    tag: 'Tracks', summary: 'Exporteert tracks als CSV of NDJSON', query: exportQuerySchema.concat(listQuerySchema).concat(trackQuerySchema),
+    responses: { 200: { description: 'Bijlage tracks.csv of tracks.ndjson', content: { 'text/csv': Joi.string(), 'application/x-ndjson': Joi.string() } } }
+  },
+  'POST /api/tracks/import': {
+    tag: 'Tracks', summary: 'Importeert tracks uit CSV of NDJSON, regel per regel gevalideerd', auth: CURATORS,
+    query: createTrackQuerySchema,
+    body: Object.fromEntries(IMPORT_CONTENT_TYPES.map(type => [type, Joi.string()])),
+    responses: {
+      201: { description: 'Alle regels zijn geïmporteerd', data: 'Track', list: true },
+      207: { description: 'Een of meer regels zijn geweigerd (rejected)', data: 'Track', list: true },
+      415: 'Geen text/csv of application/x-ndjson'
+    }
+  },
+  'GET /api/tracks/:id': {
+    tag: 'Tracks', summary: 'Haalt een specifieke track op', query: fieldsQuerySchema,
+    responses: { 200: { description: 'De track (+ ETag)', data: 'Track' }, 304: 'Niet gewijzigd (If-None-Match)', 404: 'Track niet gevonden' }
+  },
+  'GET /api/tracks/duplicates': {
+    tag: 'Tracks', summary: 'Haalt de clusters van waarschijnlijk dubbele tracks op', auth: ['admin'],
+    query: paginationSchema.concat(duplicatesQuerySchema),
+    responses: { 200: { description: 'Pagina van clusters met een voorgestelde canonical_id', data: 'DuplicateCluster', list: true } }
+  },
+  'POST /api/tracks/duplicates/merge': {
+    tag: 'Tracks', summary: 'Voegt dubbele tracks samen tot een canonieke track', auth: ['admin'], body: mergeSchema, ifMatch: true,
+    responses: {
+      200: { description: 'De canonieke track, merged_ids en playlist_ids', data: 'MergeResult' },
+      404: 'Track niet gevonden',
+      409: 'De tracks zijn geen waarschijnlijke dubbels (zonder force)',
+      412: 'De canonieke track is intussen gewijzigd'
+    }
+  },
+  'GET /api/tracks/spotify/:spotifyId': {
+    tag: 'Tracks', summary: 'Haalt de track op die aan een Spotify track gekoppeld is', query: fieldsQuerySchema,
+    params: Joi.object({ spotifyId: Joi.string().pattern(SPOTIFY_ID_PATTERN) }),
+    responses: { 200: { description: 'De track (+ ETag)', data: 'Track' }, 304: 'Niet gewijzigd (If-None-Match)', 404: 'Geen track gekoppeld' }
+  },
+  'POST /api/tracks': {
+    tag: 'Tracks', summary: 'Maakt een nieuwe track aan', auth: CURATORS, body: trackSchemaCreate, query: createTrackQuerySchema,
+    responses: {
+      201: { description: 'De nieuwe track (met warnings bij een waarschijnlijke dubbel)', data: 'Track' },
+      409: 'De Spotify track is al aan een andere track gekoppeld, of de track is een dubbel (on_duplicate=reject)'
+    }
+  },
+  'POST /api/tracks/bulk': {
+    tag: 'Tracks', summary: 'Voert meerdere create, update, patch en delete operaties uit', auth: CURATORS, body: bulkSchema,
+    responses: bulkResponses
+  },
+  'PUT /api/tracks/:id': {
+    tag: 'Tracks', summary: 'Vervangt een volledige track', auth: CURATORS, body: trackSchemaUpdate, ifMatch: true,
+    responses: {
+      200: { description: 'De bijgewerkte track', data: 'Track' },
+      404: 'Track niet gevonden',
+      409: 'De Spotify track is al aan een andere track gekoppeld',
+      412: 'De track is intussen gewijzigd'
+    }
+  },
+  'PATCH /api/tracks/:id': {
+    tag: 'Tracks', summary: 'Wijzigt specifieke velden van een track', auth: CURATORS, body: patchBody(trackSchemaPatch), ifMatch: true,
+    responses: {
+      200: { description: 'De bijgewerkte track', data: 'Track' },
+      404: 'Track niet gevonden',
+      409: 'De JSON Patch is niet toepasbaar, of de Spotify track is al aan een andere track gekoppeld',
+      412: 'De track is intussen gewijzigd',
+      415: 'Niet ondersteund Content-Type'
+    }
+  },
+  'DELETE /api/tracks/:id': {
+    tag: 'Tracks', summary: 'Verplaatst een track naar de prullenbak', auth: CURATORS, ifMatch: true,
+    responses: { 200: { description: 'De verwijderde track', data: 'Track' }, 404: 'Track niet gevonden', 412: 'De track is intussen gewijzigd' }
+  },
+  'GET /api/tracks/:id/history': {
+    tag: 'Tracks', summary: 'Haalt de audit log van een track op, nieuwste eerst', auth: CURATORS, query: paginationSchema,
+    responses: { 200: { description: 'Pagina van audit entries', data: 'AuditEntry', list: true }, 404: 'Track niet gevonden' }
+  },
+  'POST /api/tracks/:id/revert': {
+    tag: 'Tracks', summary: 'Zet een track terug naar een eerdere revision', auth: CURATORS, body: revertSchema, ifMatch: true,
+    responses: {
+      200: { description: 'De teruggezette track', data: 'Track' },
+      404: 'Track of revision niet gevonden',
+      409: 'De Spotify track van de revision is al aan een andere track gekoppeld',
+      412: 'De track is intussen gewijzigd'
+    }
+  },
+  'GET /api/playlists': {
+    tag: 'Playlists', summary: 'Haalt de zichtbare playlists op, optioneel gefilterd, gesorteerd en gepagineerd',
+    query: listQuerySchema.concat(playlistQuerySchema).keys({
+      naam: Joi.string(),
+      author: Joi.string(),
+      visibility: Joi.string().valid('public', 'private')
+    }),
+    responses: { 200: { description: 'Pagina van playlists', data: 'Playlist', list: true } }
+  },
+  'GET /api/playlists/export': {
+    tag: 'Playlists', summary: 'Exporteert de zichtbare playlists als CSV of NDJSON',
+    query: exportQuerySchema.concat(listQuerySchema).concat(playlistQuerySchema).keys({
+      naam: Joi.string(),
+      author: Joi.string(),
+      visibility: Joi.string().valid('public', 'private')
+    }),
+    responses: { 200: { description: 'Bijlage playlists.csv of playlists.ndjson', content: { 'text/csv': Joi.string(), 'application/x-ndjson': Joi.string() } } }
+  },
+  'POST /api/playlists/import': {
+    tag: 'Playlists', summary: 'Importeert een M3U8, XSPF of JSPF bestand als nieuwe playlist', auth: MEMBERS,
+    query: playlistImportQuerySchema,
+    body: {
+      [PLAYLIST_FORMATS.m3u8.contentType]: Joi.string(),
+      [PLAYLIST_FORMATS.xspf.contentType]: Joi.string(),
+      [PLAYLIST_FORMATS.jspf.contentType]: Joi.object({ playlist: Joi.object().unknown(true).required() })
+    },
+    responses: { 201: { description: 'De nieuwe playlist (+ matched en unmatched)', data: 'Playlist' }, 415: 'Geen ondersteund playlist formaat' }
+  },
+  'GET /api/playlists/:id': {
+    tag: 'Playlists', summary: 'Haalt een specifieke playlist op', query: fieldsQuerySchema,
+    responses: { 200: { description: 'De playlist (+ ETag)', data: 'Playlist' }, 304: 'Niet gewijzigd (If-None-Match)', 404: 'Playlist niet gevonden of niet zichtbaar' }
+  },
+  'POST /api/playlists': {
+    tag: 'Playlists', summary: 'Maakt een nieuwe playlist aan', auth: MEMBERS, body: playlistSchemaCreate,
+    responses: { 201: { description: 'De nieuwe playlist', data: 'Playlist' } }
+  },
+  'POST /api/playlists/bulk': {
+    tag: 'Playlists', summary: 'Voert meerdere create, update, patch en delete operaties uit', auth: MEMBERS, body: bulkSchema,
+    responses: bulkResponses
+  },
+  'PUT /api/playlists/:id': {
+    tag: 'Playlists', summary: 'Vervangt een volledige playlist', auth: MEMBERS, body: playlistSchemaUpdate, ifMatch: true,
+    responses: {
+      200: { description: 'De bijgewerkte playlist', data: 'Playlist' },
+      403: 'Enkel de owner',
+      404: 'Playlist niet gevonden',
+      412: 'De playlist is intussen gewijzigd'
+    }
+  },
+  'PATCH /api/playlists/:id': {
+    tag: 'Playlists', summary: 'Wijzigt specifieke velden van een playlist', auth: MEMBERS, body: patchBody(playlistSchemaPatch), ifMatch: true,
+    responses: {
+      200: { description: 'De bijgewerkte playlist', data: 'Playlist' },
+      403: 'Enkel de owner',
+      404: 'Playlist niet gevonden',
+      409: 'De JSON Patch is niet toepasbaar',
+      412: 'De playlist is intussen gewijzigd',
+      415: 'Niet ondersteund Content-Type'
+    }
+  },
+  'DELETE /api/playlists/:id': {
+    tag: 'Playlists', summary: 'Verplaatst een playlist naar de prullenbak', auth: MEMBERS, ifMatch: true,
+    responses: {
+      200: { description: 'De verwijderde playlist', data: 'Playlist' },
+      403: 'Enkel de owner',
+      404: 'Playlist niet gevonden',
+      412: 'De playlist is intussen gewijzigd'
+    }
+  },
+  'GET /api/playlists/:id/history': {
+    tag: 'Playlists', summary: 'Haalt de audit log van een playlist op, nieuwste eerst', auth: MEMBERS, query: paginationSchema,
+    responses: {
+      200: { description: 'Pagina van audit entries', data: 'AuditEntry', list: true },
+      403: 'Enkel de owner',
+      404: 'Playlist niet gevonden'
+    }
+  },
+  'POST /api/playlists/:id/revert': {
+    tag: 'Playlists', summary: 'Zet de velden van een playlist terug naar een eerdere revision', auth: MEMBERS, body: revertSchema, ifMatch: true,
+    responses: {
+      200: { description: 'De teruggezette playlist', data: 'Playlist' },
+      403: 'Enkel de owner',
+      404: 'Playlist of revision niet gevonden',
+      412: 'De playlist is intussen gewijzigd'
+    }
+  },
+  'GET /api/playlists/:id/tracks': {
+    tag: 'Playlists', summary: 'Haalt de tracks van een playlist op als volledige track objecten', query: fieldsQuerySchema,
+    responses: { 200: { description: 'Entries van de playlist', data: 'PlaylistTrack', list: true }, 404: 'Playlist niet gevonden of niet zichtbaar' }
+  },
+  'GET /api/playlists/:id/export': {
+    tag: 'Playlists', summary: 'Exporteert een playlist voor mediaspelers',
+    query: Joi.object({ format: Joi.string().valid(...Object.keys(PLAYLIST_FORMATS)).default('m3u8') }),
+    responses: {
+      200: {
+        description: 'Bijlage playlist-<id>.<format>',
+        content: Object.fromEntries(Object.values(PLAYLIST_FORMATS).map(format => [format.contentType, Joi.string()]))
+      },
+      404: 'Playlist niet gevonden of niet zichtbaar'
+    }
+  },
+  'POST /api/playlists/:id/tracks': {
+    tag: 'Playlists', summary: 'Voegt tracks toe aan een playlist, optioneel op een positie', auth: MEMBERS, body: playlistTracksSchemaAdd, ifMatch: true,
+    responses: {
+      201: { description: 'Entries van de playlist', data: 'PlaylistTrack', list: true },
+      403: 'Enkel de owner',
+      404: 'Playlist niet gevonden',
+      412: 'De playlist is intussen gewijzigd'
+    }
+  },
+  'PUT /api/playlists/:id/tracks': {
+    tag: 'Playlists', summary: 'Verplaatst een reeks tracks binnen een playlist', auth: MEMBERS, body: playlistTracksSchemaReorder, ifMatch: true,
+    responses: {
+      200: { description: 'Entries van de playlist', data: 'PlaylistTrack', list: true },
+      403: 'Enkel de owner',
+      404: 'Playlist niet gevonden',
+      412: 'De playlist is intussen gewijzigd'
+    }
+  },
+  'DELETE /api/playlists/:id/tracks': {
+    tag: 'Playlists', summary: 'Verwijdert tracks uit een playlist op track ID of op positie', auth: MEMBERS, body: playlistTracksSchemaRemove, ifMatch: true,
+    responses: {
+      200: { description: 'Entries van de playlist', data: 'PlaylistTrack', list: true },
+      403: 'Enkel de owner',
+      404: 'Playlist niet gevonden',
+      412: 'De playlist is intussen gewijzigd'
+    }
+  },
+  'GET /api/artists': {
+    tag: 'Artists', summary: 'Haalt alle artists op met track count en genres', query: paginationSchema.keys({ naam: Joi.string(), sort: Joi.string() }),
+    responses: { 200: { description: 'Pagina van artists', data: 'Artist', list: true } }
+  },
+  'GET /api/artists/:id': {
+    tag: 'Artists', summary: 'Haalt een specifieke artist op met track count, genres en track IDs',
+    responses: { 200: { description: 'De artist', data: 'Artist' }, 404: 'Artist niet gevonden' }
+  },
+  'POST /api/artists': {
+    tag: 'Artists', summary: 'Maakt een nieuwe artist aan', auth: CURATORS, body: artistSchema,
+    responses: { 201: { description: 'De nieuwe artist', data: 'Artist' }, 409: 'Naam bestaat al' }
+  },
+  'PUT /api/artists/:id': {
+    tag: 'Artists', summary: 'Hernoemt een artist en werkt de tracks bij', auth: CURATORS, body: artistSchema,
+    responses: { 200: { description: 'De bijgewerkte artist', data: 'Artist' }, 404: 'Artist niet gevonden', 409: 'Naam bestaat al' }
+  },
+  'DELETE /api/artists/:id': {
+    tag: 'Artists', summary: 'Verwijdert een artist die door geen enkele track gebruikt wordt', auth: CURATORS,
+    responses: { 200: { description: 'De verwijderde artist', data: 'Artist' }, 404: 'Artist niet gevonden', 409: 'De artist wordt nog gebruikt' }
+  },
+  'GET /api/genres': {
+    tag: 'Genres', summary: 'Haalt alle genres op, als platte lijst of als boom', query: Joi.object({ tree: Joi.boolean().default(false) }),
+    responses: { 200: { description: 'Genres', data: 'Genre', list: true } }
+  },
+  'GET /api/genres/:id': {
+    tag: 'Genres', summary: 'Haalt een specifiek genre op met ancestors en children',
+    responses: { 200: { description: 'Het genre', data: 'Genre' }, 404: 'Genre niet gevonden' }
+  },
+  'POST /api/genres': {
+    tag: 'Genres', summary: 'Maakt een nieuw genre aan', auth: CURATORS, body: genreSchema,
+    responses: { 201: { description: 'Het nieuwe genre', data: 'Genre' }, 409: 'Naam of alias bestaat al' }
+  },
+  'PUT /api/genres/:id': {
+    tag: 'Genres', summary: 'Vervangt een volledig genre; een nieuwe naam wordt in alle tracks doorgevoerd', auth: CURATORS, body: genreSchema,
+    responses: { 200: { description: 'Het bijgewerkte genre', data: 'Genre' }, 404: 'Genre niet gevonden', 409: 'Naam of alias bestaat al' }
+  },
+  'DELETE /api/genres/:id': {
+    tag: 'Genres', summary: 'Verwijdert een genre zonder tracks en subgenres', auth: CURATORS,
+    responses: { 200: { description: 'Het verwijderde genre', data: 'Genre' }, 404: 'Genre niet gevonden', 409: 'Het genre wordt nog gebruikt' }
+  },
+  'GET /api/trash': {
+    tag: 'Trash', summary: 'Haalt de verwijderde tracks en playlists op die de user mag herstellen', auth: true,
+    query: paginationSchema.concat(trashQuerySchema),
+    responses: { 200: { description: 'Pagina van verwijderde records (+ retention_days)', data: 'TrashItem', list: true } }
+  },
+  'DELETE /api/trash': {
+    tag: 'Trash', summary: 'Verwijdert de records waarvan de bewaartermijn verstreken is definitief', auth: ['admin'],
+    query: purgeQuerySchema,
+    responses: {
+      200: {
+        description: 'De definitief verwijderde records (+ retention_days)',
+        data: Joi.object({ type: Joi.string().valid('track', 'playlist'), id: Joi.number().integer(), deleted_at: Joi.date().iso() }),
+        list: true
+      }
+    }
+  },
+  'POST /api/trash/tracks/:id/restore': {
+    tag: 'Trash', summary: 'Herstelt een verwijderde track, ook in haar playlists', auth: CURATORS, body: false,
+    responses: {
+      200: { description: 'De herstelde track', data: 'Track' },
+      404: 'Track niet in de prullenbak',
+      409: 'De Spotify track is intussen aan een andere track gekoppeld'
+    }
+  },
+  'POST /api/trash/playlists/:id/restore': {
+    tag: 'Trash', summary: 'Herstelt een verwijderde playlist (enkel de owner)', auth: true, body: false,
+    responses: { 200: { description: 'De herstelde playlist', data: 'Playlist' }, 404: 'Playlist niet in de prullenbak van de user' }
+  },
+  'GET /api/search': {
+    tag: 'Search', summary: 'Zoekt in tracks en playlists, gerangschikt op relevantie', query: searchQuerySchema,
+    responses: { 200: 'Per type de items (met score en highlights), total en next/previous links' }
+  }
+};
+
+/**
+ * HTML van de documentatiepagina (Swagger UI vanaf een CDN)
+ * @type {string}
+ */
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Mockify API documentation</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+
+/**
+ * Maakt de router voor de specificatie en de documentatiepagina
+ * @param {Object<string, Function>} mounts - Gedocumenteerde routers per mount pad, bv. { '/api/tracks': tracksRouter }
+ * @returns {Function} Express router
+ */
+const createOpenApiRouter = (mounts) => {
+  const router = express.Router();
+  let document = null;
+
+  /**
+   * @route GET /api/openapi.json
+   * @description OpenAPI 3.1 document van alle routes, gegenereerd uit de routers en hun Joi schemas
+   * @returns {Object} OpenAPI document
+   */
+  router.get('/openapi.json', (req, res) => {
+    // De routes liggen vast zodra de app gestart is; het document wordt eenmalig opgebouwd
+    document = document || buildOpenApiDocument({
+      info: {
+        title: 'Mockify API',
+        version: '1.0.0',
+        description: 'REST API voor tracks, playlists, artists en genres'
+      },
+      mounts,
+      operations: OPERATIONS,
+      schemas: SCHEMAS
+    });
+
+    res.json(document);
+  });
+
+  /**
+   * @route GET /api/docs
+   * @description Interactieve documentatie (Swagger UI) op basis van /api/openapi.json
+   * @returns {string} HTML pagina
+   */
+  router.get('/docs', (req, res) => {
+    res.type('html').send(DOCS_PAGE);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createOpenApiRouter
+};
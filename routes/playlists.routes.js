@@ -11,60 +11,199 @@ const {
   createPlaylist,
   updatePlaylist,
   patchPlaylist,
-  deletePlaylist
+  deletePlaylist,
+  bulkPlaylists,
+  getPlaylistHistory,
+  revertPlaylist
 } = require('../controllers/playlists.controller');
+const {
+  getPlaylistTracks,
+  addPlaylistTracks,
+  removePlaylistTracks,
+  reorderPlaylistTracks
+} = require('../controllers/playlist-tracks.controller');
+const { exportPlaylists, exportPlaylistFile, importPlaylistFile } = require('../controllers/import-export.controller');
+const { requireRole } = require('../middleware/auth');
+const { PLAYLIST_FORMATS } = require('../utils/playlist-formats');
+
+/**
+ * Playlists aanmaken en aanpassen kan elke rol; aanpassen blijft beperkt tot de owner
+ * @type {Function}
+ */
+const requireMember = requireRole('admin', 'curator', 'listener');
+
+/**
+ * Leest M3U8 en XSPF bestanden als tekst (JSPF komt als JSON binnen via de globale JSON parser)
+ * @type {Function}
+ */
+const playlistFileBody = express.text({ type: [...PLAYLIST_FORMATS.m3u8.accepts, ...PLAYLIST_FORMATS.xspf.accepts], limit: '1mb' });
 
 /**
  * @route GET /api/playlists
- * @description Haalt alle playlists op, optioneel gefilterd en gesorteerd
- * @query {string} [sort] - Sorteerrichting ('asc' of 'desc')
+ * @description Haalt alle playlists op, optioneel gefilterd, gesorteerd en gepagineerd (private playlists enkel voor hun owner)
+ * @query {string} [sort] - Sorteervelden, bv. '-jaar,naam' ('-' = aflopend), of 'asc'/'desc' op naam
  * @query {string} [naam] - Filter op naam
  * @query {string} [author] - Filter op author
  * @query {string} [visibility] - Filter op visibility ('public' of 'private')
- * @returns {Object} JSON met success, data array en count
+ * @query {number} [limit] - Maximaal aantal items per pagina (1-100)
+ * @query {number} [offset] - Positie van het eerste item
+ * @query {string} [cursor] - Opaque cursor uit een next/previous link
+ * @query {string} [fields] - Komma-gescheiden lijst van velden om terug te geven
+ * @returns {Object} JSON met success, data array, count, total en next/previous links (+ Link header)
  */
 router.get('/', getAllPlaylists);
 
+/**
+ * @route GET /api/playlists/export
+ * @description Exporteert de zichtbare playlists als CSV of NDJSON (gestreamd), met dezelfde filters en sortering als GET /api/playlists
+ * @query {string} [format=csv] - 'csv' of 'ndjson'
+ * @returns {string} Bijlage playlists.csv of playlists.ndjson, of error (400)
+ */
+router.get('/export', exportPlaylists);
+
+/**
+ * @route POST /api/playlists/import
+ * @description Importeert een M3U8, XSPF of JSPF bestand als nieuwe playlist; entries worden op naam en artiest
+ * aan bestaande tracks gekoppeld
+ * @query {string} [visibility=private] - Zichtbaarheid van de nieuwe playlist
+ * @body {string} file - Playlist bestand (Content-Type application/vnd.apple.mpegurl, application/xspf+xml of application/jspf+json)
+ * @header {string} Authorization - 'Bearer <token>'; de user wordt de owner van de playlist
+ * @returns {Object} JSON met de nieuwe playlist en de niet gekoppelde entries (201), error (400, 415) of 401 zonder token
+ */
+router.post('/import', requireMember, playlistFileBody, importPlaylistFile);
+
 /**
  * @route GET /api/playlists/:id
  * @description Haalt een specifieke playlist op via ID
  * @param {string} id - Playlist ID
- * @returns {Object} JSON met playlist data of leeg object bij 404
+ * @query {string} [fields] - Komma-gescheiden lijst van velden om terug te geven
+ * @returns {Object} JSON met playlist data (+ ETag header met de version, of een hash van de body bij fields) of 404 (ook voor private playlists van een andere user)
  */
 router.get('/:id', getPlaylistById);
 
 /**
  * @route POST /api/playlists
  * @description Maakt een nieuwe playlist aan
- * @body {Object} playlist - Playlist object (naam, beschrijving, author, visibility verplicht)
- * @returns {Object} JSON met nieuwe playlist (201) of error (400)
+ * @body {Object} playlist - Playlist object (naam, beschrijving, visibility verplicht; author standaard de naam van de user)
+ * @header {string} Authorization - 'Bearer <token>'; de user wordt de owner van de playlist
+ * @returns {Object} JSON met nieuwe playlist (201), error (400) of 401 zonder token
+ */
+router.post('/', requireMember, createPlaylist);
+
+/**
+ * @route POST /api/playlists/bulk
+ * @description Voert meerdere create, update, patch en delete operaties uit met een lees- en schrijfbeurt
+ * @body {Object} bulk - { atomic, operations: [{ op, id, data, if_match }] }
+ * @header {string} Authorization - 'Bearer <token>'; update, patch en delete enkel voor eigen playlists
+ * @returns {Object} JSON met een resultaat per operatie (200, of 207 als er operaties faalden), error (400),
+ * 409 als een atomic request faalde (niets bewaard) of 401 zonder token
  */
-router.post('/', createPlaylist);
+router.post('/bulk', requireMember, bulkPlaylists);
 
 /**
  * @route PUT /api/playlists/:id
  * @description Update een volledige playlist (alle velden verplicht + id in body)
  * @param {string} id - Playlist ID
- * @body {Object} playlist - Volledige playlist object inclusief id
- * @returns {Object} JSON met geüpdatete playlist of error
+ * @body {Object} playlist - Volledige playlist object inclusief id (zonder author blijft de huidige author)
+ * @header {string} [If-Match] - ETag van de laatst gekende versie
+ * @header {string} Authorization - 'Bearer <token>' van de owner
+ * @returns {Object} JSON met geüpdatete playlist of error, of 412 bij een verouderde If-Match, 401 zonder token of 403 voor een andere user
  */
-router.put('/:id', updatePlaylist);
+router.put('/:id', requireMember, updatePlaylist);
 
 /**
  * @route PATCH /api/playlists/:id
  * @description Update specifieke velden van een playlist
  * @param {string} id - Playlist ID
- * @body {Object} fields - Velden om te updaten
- * @returns {Object} JSON met geüpdatete playlist of leeg object bij 404
+ * @body {Object|Object[]} patch - JSON Merge Patch met de te wijzigen velden, of een array van JSON Patch operaties
+ * @header {string} Content-Type - 'application/merge-patch+json' (of 'application/json') of 'application/json-patch+json'
+ * @header {string} [If-Match] - ETag van de laatst gekende versie
+ * @header {string} Authorization - 'Bearer <token>' van de owner
+ * @returns {Object} JSON met geüpdatete playlist of 404, 400 bij ongeldige velden, 409 bij een JSON Patch die niet toepasbaar is, 412 bij een verouderde If-Match, 415 bij een ander Content-Type, 401 zonder token of 403 voor een andere user
  */
-router.patch('/:id', patchPlaylist);
+router.patch('/:id', requireMember, patchPlaylist);
 
 /**
  * @route DELETE /api/playlists/:id
- * @description Verwijdert een playlist
+ * @description Verplaatst een playlist naar de prullenbak (soft delete, herstelbaar via /api/trash)
+ * @param {string} id - Playlist ID
+ * @header {string} [If-Match] - ETag van de laatst gekende versie
+ * @header {string} Authorization - 'Bearer <token>' van de owner
+ * @returns {Object} JSON met verwijderde playlist (met deleted_at) of 404, of 412 bij een verouderde If-Match, 401 zonder token of 403 voor een andere user
+ */
+router.delete('/:id', requireMember, deletePlaylist);
+
+/**
+ * @route GET /api/playlists/:id/tracks
+ * @description Haalt de tracks van een playlist op als volledige track objecten
+ * @param {string} id - Playlist ID
+ * @query {string} [fields] - Komma-gescheiden lijst van velden, bv. 'position,track.naam'
+ * @returns {Object} JSON met entries (position, added_at, added_by, track) en count
+ */
+router.get('/:id/tracks', getPlaylistTracks);
+
+/**
+ * @route GET /api/playlists/:id/export
+ * @description Exporteert een playlist voor mediaspelers met titel, artiest, duur en spotify_url als location
+ * @param {string} id - Playlist ID
+ * @query {string} [format=m3u8] - 'm3u8', 'xspf' of 'jspf'
+ * @returns {string} Bijlage playlist-<id>.<format>, of error (400, 404)
+ */
+router.get('/:id/export', exportPlaylistFile);
+
+/**
+ * @route POST /api/playlists/:id/tracks
+ * @description Voegt tracks toe aan een playlist, optioneel op een positie
+ * @param {string} id - Playlist ID
+ * @body {Object} body - track_ids (verplicht) en position (optioneel); added_by is de naam van de user
+ * @header {string} [If-Match] - ETag van de laatst gekende versie van de playlist
+ * @header {string} Authorization - 'Bearer <token>' van de owner
+ * @returns {Object} JSON met bijgewerkte playlist tracks (201) of error (400), 412 bij een verouderde If-Match, 401 zonder token of 403 voor een andere user
+ */
+router.post('/:id/tracks', requireMember, addPlaylistTracks);
+
+/**
+ * @route PUT /api/playlists/:id/tracks
+ * @description Verplaatst een reeks tracks binnen een playlist
+ * @param {string} id - Playlist ID
+ * @body {Object} body - range_start, insert_before (verplicht) en range_length (optioneel)
+ * @header {string} [If-Match] - ETag van de laatst gekende versie van de playlist
+ * @header {string} Authorization - 'Bearer <token>' van de owner
+ * @returns {Object} JSON met herschikte playlist tracks of error, 412 bij een verouderde If-Match, 401 zonder token of 403 voor een andere user
+ */
+router.put('/:id/tracks', requireMember, reorderPlaylistTracks);
+
+/**
+ * @route DELETE /api/playlists/:id/tracks
+ * @description Verwijdert tracks uit een playlist op track ID of op positie; zonder overeenkomende entries blijft de playlist ongewijzigd
+ * @param {string} id - Playlist ID
+ * @body {Object} body - track_ids of positions
+ * @header {string} [If-Match] - ETag van de laatst gekende versie van de playlist
+ * @header {string} Authorization - 'Bearer <token>' van de owner
+ * @returns {Object} JSON met bijgewerkte playlist tracks of error, 412 bij een verouderde If-Match, 401 zonder token of 403 voor een andere user
+ */
+router.delete('/:id/tracks', requireMember, removePlaylistTracks);
+
+/**
+ * @route GET /api/playlists/:id/history
+ * @description Haalt de audit log van een playlist op (nieuwste eerst), ook voor verwijderde playlists
+ * @param {string} id - Playlist ID
+ * @query {number} [limit] - Maximaal aantal entries per pagina (1-100)
+ * @query {number} [offset] - Positie van de eerste entry
+ * @header {string} Authorization - 'Bearer <token>' van de owner
+ * @returns {Object} JSON met entries (revision, action, actor, timestamp, changes, before en after), count en total, of 404, 401 zonder token of 403 voor een andere user
+ */
+router.get('/:id/history', requireMember, getPlaylistHistory);
+
+/**
+ * @route POST /api/playlists/:id/revert
+ * @description Zet naam, beschrijving, author, visibility en spotify_url van een playlist terug naar een eerdere revision
  * @param {string} id - Playlist ID
- * @returns {Object} JSON met verwijderde playlist of leeg object bij 404
+ * @body {Object} body - revision (verplicht)
+ * @header {string} [If-Match] - ETag van de laatst gekende versie
+ * @header {string} Authorization - 'Bearer <token>' van de owner
+ * @returns {Object} JSON met teruggezette playlist (+ ETag), 404 voor een onbekende playlist of revision, error (400), 412 bij een verouderde If-Match, 401 zonder token of 403 voor een andere user
  */
-router.delete('/:id', deletePlaylist);
+router.post('/:id/revert', requireMember, revertPlaylist);
 
 module.exports = router;
\ No newline at end of file
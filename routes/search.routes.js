@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Express routes voor de zoek endpoint
+ * @module routes/search
+ */
+
+const express = require('express');
+const router = express.Router();
+const { searchAll } = require('../controllers/search.controller');
+
+/**
+ * @route GET /api/search
+ * @description Zoekt in naam, artiesten, genres, beschrijving en author, gerangschikt op relevantie
+ * @query {string} q - Zoekopdracht (tikfouten worden getolereerd)
+ * @query {string} [type] - Komma-gescheiden types ('track', 'playlist'), standaard beide
+ * @query {number} [limit] - Maximaal aantal resultaten per type (1-50, standaard 20)
+ * @query {number} [offset] - Positie van het eerste resultaat per type
+ * @returns {Object} JSON met per type items (met score en highlights), total en next/previous links
+ */
+router.get('/', searchAll);
+
+module.exports = router;
@@ -8,29 +8,119 @@ const router = express.Router();
 const {
   getAllTracks,
   getTrackById,
+  getTrackBySpotifyId,
   createTrack,
   updateTrack,
   patchTrack,
-  deleteTrack
+  deleteTrack,
+  bulkTracks,
+  getTrackHistory,
+  revertTrack
 } = require('../controllers/tracks.controller');
+const { getDuplicates, mergeDuplicates } = require('../controllers/duplicates.controller');
+const { IMPORT_CONTENT_TYPES, exportTracks, importTracks } = require('../controllers/import-export.controller');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Wijzigingen aan de catalogus zijn voorbehouden aan curators en admins
+ * @type {Function}
+ */
+const requireCurator = requireRole('admin', 'curator');
+
+/**
+ * Het opsporen en samenvoegen van dubbele tracks is voorbehouden aan admins
+ * @type {Function}
+ */
+const requireAdmin = requireRole('admin');
+
+/**
+ * Leest de body van een import als tekst (CSV of NDJSON)
+ * @type {Function}
+ */
+const importBody = express.text({ type: IMPORT_CONTENT_TYPES, limit: '5mb' });
 
 /**
  * @route GET /api/tracks
- * @description Haalt alle tracks op, optioneel gefilterd en gesorteerd
- * @query {string} [sort] - Sorteerrichting ('asc' of 'desc')
+ * @description Haalt alle tracks op, optioneel gefilterd, gesorteerd en gepagineerd
+ * @query {string} [sort] - Sorteervelden, bv. '-jaar,naam' ('-' = aflopend), of 'asc'/'desc' op naam
  * @query {string} [naam] - Filter op naam
- * @query {string} [artiest] - Filter op artiest
- * @query {string} [genre] - Filter op genre
- * @query {string} [jaar] - Filter op jaar
- * @returns {Object} JSON met success, data array en count
+ * @query {string} [artiest] - Filter op artiest (komma-gescheiden)
+ * @query {string} [artiest_match] - 'any' of 'all' bij meerdere artiesten
+ * @query {string} [genre] - Filter op genre (komma-gescheiden)
+ * @query {string} [genre_match] - 'any' of 'all' bij meerdere genres
+ * @query {boolean} [include_subgenres] - Ook subgenres meenemen (bv. Grunge bij genre=Rock)
+ * @query {number} [jaar] - Filter op exact jaar
+ * @query {number} [jaar_from] - Minimum jaar
+ * @query {number} [jaar_to] - Maximum jaar
+ * @query {number} [bpm_min] - Minimum bpm
+ * @query {number} [bpm_max] - Maximum bpm
+ * @query {number} [duur_min] - Minimum duur (seconden)
+ * @query {number} [duur_max] - Maximum duur (seconden)
+ * @query {string} [updated_since] - Enkel tracks die op of na dit ISO 8601 tijdstip gewijzigd zijn
+ * @query {number} [limit] - Maximaal aantal items per pagina (1-100)
+ * @query {number} [offset] - Positie van het eerste item
+ * @query {string} [cursor] - Opaque cursor uit een next/previous link
+ * @query {string} [fields] - Komma-gescheiden lijst van velden om terug te geven
+ * @returns {Object} JSON met success, data array, count, total en next/previous links (+ Link header), of 400 bij ongeldige filters
  */
 router.get('/', getAllTracks);
 
+/**
+ * @route GET /api/tracks/export
+ * @description Exporteert tracks als CSV of NDJSON (gestreamd), met dezelfde filters en sortering als GET /api/tracks
+ * @query {string} [format=csv] - 'csv' of 'ndjson'
+ * @returns {string} Bijlage tracks.csv of tracks.ndjson, of error (400)
+ */
+router.get('/export', exportTracks);
+
+/**
+ * @route POST /api/tracks/import
+ * @description Importeert tracks uit CSV (text/csv, meerdere waarden gescheiden door '|') of NDJSON (application/x-ndjson)
+ * @body {string} document - CSV met een header rij, of een JSON object per regel
+ * @query {string} [on_duplicate=warn] - 'warn' of 'reject' voor regels die waarschijnlijk een dubbel zijn
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met de nieuwe tracks, de geweigerde regels en de warnings met regelnummer (201, of 207 als
+ * er regels geweigerd werden), error (400, 415), 401 zonder token of 403 voor andere rollen
+ */
+router.post('/import', requireCurator, importBody, importTracks);
+
+/**
+ * @route GET /api/tracks/duplicates
+ * @description Haalt de clusters van waarschijnlijk dubbele tracks op (zelfde naam en artiesten, duur binnen de tolerantie)
+ * @query {number} [tolerance=3] - Maximaal verschil in duur (seconden)
+ * @query {number} [limit] - Maximaal aantal clusters per pagina (1-100)
+ * @query {number} [offset] - Positie van de eerste cluster
+ * @header {string} Authorization - 'Bearer <token>' van een admin
+ * @returns {Object} JSON met clusters (naam, artiesten, canonical_id, track_ids en tracks), count, total en tolerance, error (400), 401 zonder token of 403 voor andere rollen
+ */
+router.get('/duplicates', requireAdmin, getDuplicates);
+
+/**
+ * @route POST /api/tracks/duplicates/merge
+ * @description Voegt dubbele tracks samen: de dubbels gaan naar de prullenbak en hun playlist entries verwijzen naar de canonieke track
+ * @body {Object} merge - canonical_id en duplicate_ids (verplicht), tolerance en force
+ * @header {string} [If-Match] - ETag van de laatst gekende versie van de canonieke track
+ * @header {string} Authorization - 'Bearer <token>' van een admin
+ * @returns {Object} JSON met de canonieke track (+ ETag), merged_ids en playlist_ids, error (400), 404 voor onbekende tracks,
+ * 409 als de tracks geen cluster vormen (zonder force), 412 bij een verouderde If-Match, 401 zonder token of 403 voor andere rollen
+ */
+router.post('/duplicates/merge', requireAdmin, mergeDuplicates);
+
+/**
+ * @route GET /api/tracks/spotify/:spotifyId
+ * @description Haalt de track op die aan een Spotify track gekoppeld is
+ * @param {string} spotifyId - Spotify ID (22 base62 tekens), bv. 4uLU6hMCjMI75M1A2tKUQC
+ * @query {string} [fields] - Komma-gescheiden lijst van velden om terug te geven
+ * @returns {Object} JSON met track data (+ ETag header), 400 voor een ongeldige Spotify ID of 404
+ */
+router.get('/spotify/:spotifyId', getTrackBySpotifyId);
+
 /**
  * @route GET /api/tracks/:id
  * @description Haalt een specifieke track op via ID
  * @param {string} id - Track ID
- * @returns {Object} JSON met track data of leeg object bij 404
+ * @query {string} [fields] - Komma-gescheiden lijst van velden om terug te geven
+ * @returns {Object} JSON met track data (+ ETag header met de version, of een hash van de body bij fields) of 404
  */
 router.get('/:id', getTrackById);
 
@@ -38,34 +128,76 @@ router.get('/:id', getTrackById);
  * @route POST /api/tracks
  * @description Maakt een nieuwe track aan
  * @body {Object} track - Track object (naam, bpm, duur, jaar, artiesten, genres verplicht)
- * @returns {Object} JSON met nieuwe track (201) of error (400)
+ * @query {string} [on_duplicate=warn] - 'warn' (aanmaken met warnings) of 'reject' (409) bij een waarschijnlijke dubbel
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met nieuwe track (201, met warnings bij een waarschijnlijke dubbel) of error (400), 409 als de Spotify
+ * track al gekoppeld is of bij een geweigerde dubbel, 401 zonder token of 403 voor andere rollen
+ */
+router.post('/', requireCurator, createTrack);
+
+/**
+ * @route POST /api/tracks/bulk
+ * @description Voert meerdere create, update, patch en delete operaties uit met een lees- en schrijfbeurt
+ * @body {Object} bulk - { atomic, operations: [{ op, id, data, if_match }] }
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met een resultaat per operatie (200, of 207 als er operaties faalden), error (400),
+ * 409 als een atomic request faalde (niets bewaard), 401 zonder token of 403 voor andere rollen
  */
-router.post('/', createTrack);
+router.post('/bulk', requireCurator, bulkTracks);
 
 /**
  * @route PUT /api/tracks/:id
  * @description Update een volledige track (alle velden verplicht + id in body)
  * @param {string} id - Track ID
  * @body {Object} track - Volledige track object inclusief id
- * @returns {Object} JSON met geüpdatete track of error
+ * @header {string} [If-Match] - ETag van de laatst gekende versie
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met geüpdatete track of error, 409 als de Spotify track al gekoppeld is, 412 bij een verouderde If-Match, 401 zonder token of 403 voor andere rollen
  */
-router.put('/:id', updateTrack);
+router.put('/:id', requireCurator, updateTrack);
 
 /**
  * @route PATCH /api/tracks/:id
  * @description Update specifieke velden van een track
  * @param {string} id - Track ID
- * @body {Object} fields - Velden om te updaten
- * @returns {Object} JSON met geüpdatete track of leeg object bij 404
+ * @body {Object|Object[]} patch - JSON Merge Patch met de te wijzigen velden, of een array van JSON Patch operaties
+ * @header {string} Content-Type - 'application/merge-patch+json' (of 'application/json') of 'application/json-patch+json'
+ * @header {string} [If-Match] - ETag van de laatst gekende versie
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met geüpdatete track of 404, 400 bij ongeldige velden, 409 bij een JSON Patch die niet toepasbaar is of een Spotify track die al gekoppeld is, 412 bij een verouderde If-Match, 415 bij een ander Content-Type, 401 zonder token of 403 voor andere rollen
  */
-router.patch('/:id', patchTrack);
+router.patch('/:id', requireCurator, patchTrack);
 
 /**
  * @route DELETE /api/tracks/:id
- * @description Verwijdert een track
+ * @description Verplaatst een track naar de prullenbak (soft delete, herstelbaar via /api/trash) en haalt ze uit alle playlists
+ * @param {string} id - Track ID
+ * @header {string} [If-Match] - ETag van de laatst gekende versie
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met verwijderde track (met deleted_at) of 404, of 412 bij een verouderde If-Match, 401 zonder token of 403 voor andere rollen
+ */
+router.delete('/:id', requireCurator, deleteTrack);
+
+/**
+ * @route GET /api/tracks/:id/history
+ * @description Haalt de audit log van een track op (nieuwste eerst), ook voor verwijderde tracks
+ * @param {string} id - Track ID
+ * @query {number} [limit] - Maximaal aantal entries per pagina (1-100)
+ * @query {number} [offset] - Positie van de eerste entry
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met entries (revision, action, actor, timestamp, changes, before en after), count en total, of 404, 401 zonder token of 403 voor andere rollen
+ */
+router.get('/:id/history', requireCurator, getTrackHistory);
+
+/**
+ * @route POST /api/tracks/:id/revert
+ * @description Zet een track terug naar een eerdere revision uit de audit log
  * @param {string} id - Track ID
- * @returns {Object} JSON met verwijderde track of leeg object bij 404
+ * @body {Object} body - revision (verplicht)
+ * @header {string} [If-Match] - ETag van de laatst gekende versie
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met teruggezette track (+ ETag), 404 voor een onbekende track of revision, error (400), 412 bij een verouderde If-Match, 401 zonder token of 403 voor andere rollen
  */
-router.delete('/:id', deleteTrack);
+router.post('/:id/revert', requireCurator, revertTrack);
 
 module.exports = router;
\ No newline at end of file
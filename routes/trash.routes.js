@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Express routes voor de prullenbak met verwijderde tracks en playlists
+ * @module routes/trash
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getTrash, restoreTrack, restorePlaylist, purgeTrash } = require('../controllers/trash.controller');
+const { requireAuth, requireRole } = require('../middleware/auth');
+
+/**
+ * @route GET /api/trash
+ * @description Haalt de verwijderde tracks (curators en admins) en playlists (enkel eigen playlists) op, nieuwste eerst
+ * @header {string} Authorization - 'Bearer <token>'
+ * @query {string} [type] - 'track' of 'playlist'
+ * @query {number} [limit] - Maximaal aantal items per pagina (1-100)
+ * @query {number} [offset] - Positie van het eerste item
+ * @returns {Object} JSON met success, data array (records met type, deleted_at en purge_after), count, total en retention_days, error (400) of 401 zonder token
+ */
+router.get('/', requireAuth, getTrash);
+
+/**
+ * @route DELETE /api/trash
+ * @description Verwijdert de tracks en playlists waarvan de bewaartermijn verstreken is definitief
+ * @header {string} Authorization - 'Bearer <token>' van een admin
+ * @query {number} [retention_days] - Bewaartermijn in dagen (standaard MOCKIFY_TRASH_RETENTION_DAYS of 30)
+ * @returns {Object} JSON met de definitief verwijderde items, count en retention_days, error (400), 401 zonder token of 403 voor andere rollen
+ */
+router.delete('/', requireRole('admin'), purgeTrash);
+
+/**
+ * @route POST /api/trash/tracks/:id/restore
+ * @description Herstelt een verwijderde track, ook op haar oude posities in de playlists
+ * @param {string} id - Track ID
+ * @header {string} Authorization - 'Bearer <token>' van een curator of admin
+ * @returns {Object} JSON met de herstelde track (+ ETag), 404 als de track niet in de prullenbak zit, 409 als haar Spotify track intussen gekoppeld is, 401 zonder token of 403 voor andere rollen
+ */
+router.post('/tracks/:id/restore', requireRole('admin', 'curator'), restoreTrack);
+
+/**
+ * @route POST /api/trash/playlists/:id/restore
+ * @description Herstelt een verwijderde playlist
+ * @param {string} id - Playlist ID
+ * @header {string} Authorization - 'Bearer <token>' van de owner
+ * @returns {Object} JSON met de herstelde playlist (+ ETag), 404 als de playlist niet in de prullenbak van de user zit of 401 zonder token
+ */
+router.post('/playlists/:id/restore', requireAuth, restorePlaylist);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Express routes voor het beheer van users en rollen
+ * @module routes/users
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const { getAllUsers, updateUserRole } = require('../controllers/users.controller');
+
+/**
+ * Alle routes van deze resource zijn voorbehouden aan admins
+ */
+router.use(requireRole('admin'));
+
+/**
+ * @route GET /api/users
+ * @description Haalt alle users op met hun rol
+ * @header {string} Authorization - 'Bearer <token>' van een admin
+ * @query {string} [role] - Filter op rol ('admin', 'curator' of 'listener')
+ * @returns {Object} JSON met success, data array en count, error (400), 401 zonder token of 403 voor andere rollen
+ */
+router.get('/', getAllUsers);
+
+/**
+ * @route PUT /api/users/:id/role
+ * @description Kent een rol toe aan een user
+ * @param {string} id - User ID
+ * @header {string} Authorization - 'Bearer <token>' van een admin
+ * @body {Object} role - Object met role ('admin', 'curator' of 'listener')
+ * @returns {Object} JSON met de bijgewerkte user, 404, error (400), 409 voor de laatste admin, 401 zonder token of 403 voor andere rollen
+ */
+router.put('/:id/role', updateUserRole);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Migratie: zet de vrije artiestnamen in models/tracks.json om naar artists
+ * @description Maakt models/artists.json aan (of vult het aan) en geeft elke track artiest_ids.
+ * Namen die enkel in hoofdletters of spaties verschillen worden dezelfde artist.
+ * Het script kan veilig meerdere keren uitgevoerd worden.
+ * @example npm run migrate:artists
+ */
+
+const { getRepository } = require('../storage');
+const { resolveArtistNames, artistNames } = require('../models/artists.model');
+
+const artistsRepository = getRepository('artists');
+const tracksRepository = getRepository('tracks');
+
+/**
+ * Voert de migratie uit
+ * @async
+ * @returns {Promise<void>}
+ */
+const migrate = async () => {
+  const artists = await artistsRepository.all();
+  const tracks = await tracksRepository.all();
+  const artistCount = artists.length;
+  let migratedTracks = 0;
+
+  tracks.forEach(track => {
+    if (Array.isArray(track.artiest_ids) && track.artiest_ids.length > 0) {
+      return;
+    }
+
+    const ids = resolveArtistNames(track.artiesten || [], artists);
+    const { artiesten, ...rest } = track;
+
+    // Velden in dezelfde volgorde als bij een nieuwe track
+    Object.keys(track).forEach(key => delete track[key]);
+    Object.assign(track, {
+      id: rest.id,
+      naam: rest.naam,
+      bpm: rest.bpm,
+      duur: rest.duur,
+      jaar: rest.jaar,
+      artiest_ids: ids,
+      artiesten: artistNames(ids, artists),
+      ...rest
+    });
+
+    if (artiesten.length !== ids.length || artiesten.some((name, i) => name !== track.artiesten[i])) {
+      console.log(`Track ${track.id}: ${JSON.stringify(artiesten)} -> ${JSON.stringify(track.artiesten)}`);
+    }
+    migratedTracks++;
+  });
+
+  await artistsRepository.saveAll(artists);
+  await tracksRepository.saveAll(tracks);
+
+  console.log(`Migrated ${migratedTracks} track(s), created ${artists.length - artistCount} artist(s)`);
+};
+
+migrate().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+});
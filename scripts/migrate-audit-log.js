@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Migratie: zet de audit collectie (audit.json) om naar de append-only audit log
+ * @description Kopieert de entries van de oude audit collectie naar de audit log als die nog leeg
+ * is, en bewaart per collectie het hoogste id van een gepurgede record in de sequences collectie,
+ * zodat dat id niet opnieuw uitgedeeld wordt. Met de sqlite storage staat de log al in dezelfde
+ * tabel en wordt enkel de sequences collectie aangevuld. Het script kan veilig meerdere keren
+ * uitgevoerd worden; audit.json mag daarna verwijderd worden.
+ * @example npm run migrate:audit
+ */
+
+const { getRepository, getLog } = require('../storage');
+const { AUDIT_LOG, SEQUENCES_COLLECTION } = require('../utils/audit');
+
+const auditLog = getLog(AUDIT_LOG);
+const sequencesRepository = getRepository(SEQUENCES_COLLECTION);
+
+/**
+ * Voert de migratie uit
+ * @async
+ * @returns {Promise<void>}
+ */
+const migrate = async () => {
+  let entries = await auditLog.all();
+
+  if (entries.length === 0) {
+    const legacy = await getRepository(AUDIT_LOG).all();
+
+    if (legacy.length > 0) {
+      entries = await auditLog.append(legacy.map(entry => Object.fromEntries(Object.entries(entry).filter(([key]) => key !== 'id'))));
+      console.log(`Copied ${entries.length} audit entr${entries.length === 1 ? 'y' : 'ies'} to the audit log`);
+    }
+  }
+
+  const sequences = await sequencesRepository.all();
+  let updated = 0;
+
+  entries.filter(entry => entry.action === 'purge').forEach(entry => {
+    const sequence = sequences.find(s => s.collection === entry.collection);
+
+    if (!sequence) {
+      sequences.push({ collection: entry.collection, last_id: entry.record_id });
+      updated++;
+    } else if (sequence.last_id < entry.record_id) {
+      sequence.last_id = entry.record_id;
+      updated++;
+    }
+  });
+
+  if (updated > 0) {
+    await sequencesRepository.saveAll(sequences);
+  }
+  console.log(`Updated ${updated} purged id sequence(s)`);
+};
+
+migrate().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+});
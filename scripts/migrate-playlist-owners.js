@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Migratie: geeft elke playlist zonder owner_id een owner
+ * @description Maakt voor elke author zonder account een user aan (username afgeleid van de naam,
+ * bv. 'Milan Kellens' wordt 'milan-kellens') en zet owner_id op de playlists van die author.
+ * Het wachtwoord van nieuwe users komt uit MOCKIFY_SEED_PASSWORD; zonder die variabele krijgen ze
+ * geen bruikbaar wachtwoord en moet het eerst ingesteld worden met npm run users:password.
+ * Het script kan veilig meerdere keren uitgevoerd worden.
+ * @example npm run migrate:owners
+ */
+
+const { getRepository, nextId } = require('../storage');
+const { hashPassword } = require('../utils/auth');
+const { DEFAULT_ROLE, usernameFromName, findUserByUsername } = require('../models/users.model');
+
+const usersRepository = getRepository('users');
+const playlistsRepository = getRepository('playlists');
+
+/**
+ * Voert de migratie uit
+ * @async
+ * @returns {Promise<void>}
+ */
+const migrate = async () => {
+  const users = await usersRepository.all();
+  const playlists = await playlistsRepository.all();
+  const userCount = users.length;
+  let migratedPlaylists = 0;
+
+  for (const playlist of playlists) {
+    if (Number.isInteger(playlist.owner_id)) {
+      continue;
+    }
+
+    const username = usernameFromName(playlist.author) || 'unknown';
+    let owner = findUserByUsername(users, username);
+
+    if (!owner) {
+      const password = process.env.MOCKIFY_SEED_PASSWORD;
+      owner = {
+        id: nextId(users),
+        username,
+        naam: playlist.author,
+        role: DEFAULT_ROLE,
+        password_hash: password ? await hashPassword(password) : null,
+        created_at: new Date().toISOString()
+      };
+      users.push(owner);
+
+      if (!password) {
+        console.log(`Created user ${username} without a password; set one with npm run users:password -- ${username}`);
+      }
+    }
+
+    // owner_id na author, zoals bij een nieuwe playlist
+    const entries = Object.entries(playlist);
+    const authorIndex = entries.findIndex(([key]) => key === 'author');
+    entries.splice(authorIndex + 1, 0, ['owner_id', owner.id]);
+    Object.keys(playlist).forEach(key => delete playlist[key]);
+    Object.assign(playlist, Object.fromEntries(entries));
+    migratedPlaylists++;
+  }
+
+  await usersRepository.saveAll(users);
+  await playlistsRepository.saveAll(playlists);
+
+  console.log(`Migrated ${migratedPlaylists} playlist(s), created ${users.length - userCount} user(s)`);
+};
+
+migrate().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Migratie: normaliseert de spotify_url van elke track en playlist en vult spotify_id in
+ * @description Een herkende link of URI wordt https://open.spotify.com/<type>/<id> en de ID komt in
+ * spotify_id, net na spotify_url. Een spotify_url die niet herkend wordt (bv. een playlist link op
+ * een track) blijft staan zonder ID en wordt gemeld. Een Spotify track die aan meer dan een track
+ * gekoppeld is, blijft enkel bij de track met de laagste id; de andere tracks worden gemeld en krijgen
+ * geen spotify_id. Het script kan veilig meerdere keren uitgevoerd worden.
+ * @example npm run migrate:spotify
+ */
+
+const { getRepository } = require('../storage');
+const { spotifyFields } = require('../utils/spotify');
+
+/**
+ * Vult de spotify_id van een collectie aan
+ * @async
+ * @param {string} collection - 'tracks' of 'playlists'
+ * @param {string} type - Spotify type van de collectie: 'track' of 'playlist'
+ * @param {boolean} unique - true als een Spotify ID maar aan een record gekoppeld mag zijn
+ * @returns {Promise<number>} Aantal gemigreerde records
+ */
+const migrateCollection = async (collection, type, unique) => {
+  const repository = getRepository(collection);
+  const records = await repository.all();
+  const linked = new Map(records.filter(record => record.spotify_id).map(record => [record.spotify_id, record.id]));
+  let migrated = 0;
+
+  records.forEach(record => {
+    if (record.spotify_id !== undefined) {
+      return;
+    }
+
+    const spotify = spotifyFields(type, record.spotify_url);
+
+    if (record.spotify_url && !spotify.spotify_id) {
+      console.warn(`${collection} ${record.id}: "${record.spotify_url}" is not a Spotify ${type} link`);
+    }
+
+    if (unique && spotify.spotify_id && linked.has(spotify.spotify_id)) {
+      console.warn(`${collection} ${record.id}: Spotify ${type} ${spotify.spotify_id} is already linked to ${collection} ${linked.get(spotify.spotify_id)}`);
+      spotify.spotify_id = null;
+    } else if (spotify.spotify_id) {
+      linked.set(spotify.spotify_id, record.id);
+    }
+
+    const fields = Object.entries(record).filter(([key]) => key !== 'spotify_url');
+    const urlIndex = Object.keys(record).indexOf('spotify_url');
+    fields.splice(urlIndex === -1 ? fields.length : urlIndex, 0, ['spotify_url', spotify.spotify_url], ['spotify_id', spotify.spotify_id]);
+    Object.keys(record).forEach(key => delete record[key]);
+    Object.assign(record, Object.fromEntries(fields));
+    migrated++;
+  });
+
+  await repository.saveAll(records);
+  return migrated;
+};
+
+/**
+ * Voert de migratie uit
+ * @async
+ * @returns {Promise<void>}
+ */
+const migrate = async () => {
+  const tracks = await migrateCollection('tracks', 'track', true);
+  const playlists = await migrateCollection('playlists', 'playlist', false);
+
+  console.log(`Migrated ${tracks} track(s) and ${playlists} playlist(s)`);
+};
+
+migrate().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+});
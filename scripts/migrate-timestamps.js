@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Migratie: geeft elke track en playlist zonder timestamps een created_at en updated_at
+ * @description De timestamps komen uit de audit log als de record daarin voorkomt (de eerste en de
+ * laatste entry); anders krijgen beide het tijdstip van de migratie. De velden komen net voor
+ * version, zoals bij een nieuwe record. Het script kan veilig meerdere keren uitgevoerd worden.
+ * @example npm run migrate:timestamps
+ */
+
+const { getRepository, getLog } = require('../storage');
+const { AUDIT_LOG, recordHistory } = require('../utils/audit');
+
+const auditLog = getLog(AUDIT_LOG);
+
+/**
+ * Vult de ontbrekende timestamps van een collectie aan
+ * @async
+ * @param {string} collection - 'tracks' of 'playlists'
+ * @param {Array} entries - Alle entries van de audit log
+ * @param {string} now - Tijdstip van de migratie (ISO 8601)
+ * @returns {Promise<number>} Aantal gemigreerde records
+ */
+const migrateCollection = async (collection, entries, now) => {
+  const repository = getRepository(collection);
+  const records = await repository.all();
+  let migrated = 0;
+
+  records.forEach(record => {
+    if (record.created_at && record.updated_at) {
+      return;
+    }
+
+    // recordHistory geeft de nieuwste entry eerst
+    const history = recordHistory(entries, collection, record.id);
+    const createdAt = record.created_at || (history.length > 0 ? history[history.length - 1].timestamp : now);
+    const updatedAt = record.updated_at || (history.length > 0 ? history[0].timestamp : createdAt);
+
+    const fields = Object.entries(record).filter(([key]) => key !== 'created_at' && key !== 'updated_at');
+    const versionIndex = fields.findIndex(([key]) => key === 'version');
+    fields.splice(versionIndex === -1 ? fields.length : versionIndex, 0, ['created_at', createdAt], ['updated_at', updatedAt]);
+    Object.keys(record).forEach(key => delete record[key]);
+    Object.assign(record, Object.fromEntries(fields));
+    migrated++;
+  });
+
+  await repository.saveAll(records);
+  return migrated;
+};
+
+/**
+ * Voert de migratie uit
+ * @async
+ * @returns {Promise<void>}
+ */
+const migrate = async () => {
+  const entries = await auditLog.all();
+  const now = new Date().toISOString();
+  const tracks = await migrateCollection('tracks', entries, now);
+  const playlists = await migrateCollection('playlists', entries, now);
+
+  console.log(`Migrated ${tracks} track(s) and ${playlists} playlist(s)`);
+};
+
+migrate().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Stelt het wachtwoord van een user in vanaf de command line
+ * @description Bedoeld voor accounts zonder bruikbaar wachtwoord, zoals de owners die
+ * npm run migrate:owners aanmaakt. Het wachtwoord komt uit MOCKIFY_USER_PASSWORD, zodat het
+ * niet in de shell history of de proceslijst terechtkomt.
+ * @example MOCKIFY_USER_PASSWORD=... npm run users:password -- jane-doe
+ */
+
+const { getRepository } = require('../storage');
+const { hashPassword } = require('../utils/auth');
+const { findUserByUsername } = require('../models/users.model');
+
+const usersRepository = getRepository('users');
+
+/**
+ * Minimale en maximale lengte van een wachtwoord (zelfde regel als bij registreren)
+ * @type {number}
+ */
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Zet het wachtwoord van een user
+ * @async
+ * @param {string} username - Username
+ * @param {string} password - Nieuw wachtwoord
+ * @returns {Promise<void>}
+ */
+const setPassword = async (username, password) => {
+  if (!username || !password) {
+    throw new Error('Usage: MOCKIFY_USER_PASSWORD=<password> npm run users:password -- <username>');
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    throw new Error(`The password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters long`);
+  }
+
+  const users = await usersRepository.all();
+  const user = findUserByUsername(users, username);
+
+  if (!user) {
+    throw new Error(`Unknown user "${username}"`);
+  }
+
+  const passwordHash = await hashPassword(password);
+  await usersRepository.saveAll(users.map(u => (u === user ? { ...u, password_hash: passwordHash } : u)));
+
+  console.log(`User ${user.username} has a new password`);
+};
+
+setPassword(process.argv[2], process.env.MOCKIFY_USER_PASSWORD).catch(error => {
+  console.error('Setting password failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Kent een rol toe aan een user vanaf de command line
+ * @description Bedoeld om de eerste admin aan te stellen; daarna beheren admins de rollen via
+ * PUT /api/users/:id/role. Users zonder role veld krijgen daarbij expliciet de rol listener.
+ * @example npm run users:role -- jane-doe admin
+ */
+
+const { getRepository } = require('../storage');
+const { ROLES, userRole, findUserByUsername } = require('../models/users.model');
+
+const usersRepository = getRepository('users');
+
+/**
+ * Zet de rol van een user
+ * @async
+ * @param {string} username - Username
+ * @param {string} role - Nieuwe rol
+ * @returns {Promise<void>}
+ */
+const setRole = async (username, role) => {
+  if (!username || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run users:role -- <username> <${ROLES.join('|')}>`);
+  }
+
+  const users = await usersRepository.all();
+  const user = findUserByUsername(users, username);
+
+  if (!user) {
+    throw new Error(`Unknown user "${username}"`);
+  }
+
+  // role na naam, zoals bij een nieuwe user
+  const updated = users.map(u => {
+    const { id, username: name, naam, ...rest } = u;
+    delete rest.role;
+    return { id, username: name, naam, role: u === user ? role : userRole(u), ...rest };
+  });
+
+  await usersRepository.saveAll(updated);
+
+  console.log(`User ${user.username} now has role ${role}`);
+};
+
+setRole(process.argv[2], process.argv[3]).catch(error => {
+  console.error('Setting role failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Storage laag met verwisselbare backends
+ * @description Alle data toegang loopt via repositories uit deze module. De backend wordt
+ * gekozen via configuratie (environment variabelen):
+ * - MOCKIFY_STORAGE: 'json' (standaard), 'memory' of 'sqlite'
+ * - MOCKIFY_DATA_DIR: map met de JSON bestanden (standaard models/)
+ * - MOCKIFY_SQLITE_FILE: pad naar de SQLite database (standaard <MOCKIFY_DATA_DIR>/mockify.sqlite)
+ *
+ * Mutaties lopen onder withLock, zodat gelijktijdige requests per collectie na elkaar
+ * lezen en schrijven en nieuwe ids nooit botsen. Een log (bv. de audit log) groeit enkel:
+ * getLog voegt entries achteraan toe zonder de bestaande entries te lezen of te herschrijven.
+ * @module storage
+ */
+
+const path = require('path');
+const { createJsonStorage } = require('./json.storage');
+const { createMemoryStorage } = require('./memory.storage');
+const { SQLITE_UNAVAILABLE, isSqliteAvailable, createSqliteStorage } = require('./sqlite.storage');
+const { withLock } = require('./lock');
+
+/**
+ * Leest de storage configuratie uit de environment
+ * @param {Object} [env=process.env] - Environment met MOCKIFY_STORAGE, MOCKIFY_DATA_DIR en MOCKIFY_SQLITE_FILE
+ * @returns {Object} Configuratie met driver, dataDir en sqliteFile
+ * @throws {Error} Als MOCKIFY_STORAGE sqlite is en de Node.js versie geen node:sqlite heeft
+ */
+const readConfig = (env = process.env) => {
+  const dataDir = env.MOCKIFY_DATA_DIR || path.join(__dirname, '../models');
+  const driver = env.MOCKIFY_STORAGE || 'json';
+
+  if (driver === 'sqlite' && !isSqliteAvailable()) {
+    throw new Error(`MOCKIFY_STORAGE=sqlite is not supported: ${SQLITE_UNAVAILABLE}`);
+  }
+
+  return {
+    driver,
+    dataDir,
+    sqliteFile: env.MOCKIFY_SQLITE_FILE || path.join(dataDir, 'mockify.sqlite')
+  };
+};
+
+/**
+ * Maakt een backend aan op basis van de configuratie
+ * @param {Object} config - Configuratie (zie readConfig)
+ * @returns {Object} Backend met readAll, writeAll, modifiedAt, readLog en appendLog
+ * @throws {Error} Bij een onbekende driver
+ */
+const createStorage = (config) => {
+  switch (config.driver) {
+  case 'json':
+    return createJsonStorage({ dataDir: config.dataDir });
+  case 'memory':
+    return createMemoryStorage({ seed: createJsonStorage({ dataDir: config.dataDir }) });
+  case 'sqlite':
+    return createSqliteStorage({ file: config.sqliteFile, seed: createJsonStorage({ dataDir: config.dataDir }) });
+  default:
+    throw new Error(`Unknown storage driver "${config.driver}" (expected json, memory or sqlite)`);
+  }
+};
+
+/**
+ * Actieve backend (wordt bij het eerste gebruik aangemaakt)
+ * @type {Object|null}
+ */
+let storage = null;
+
+/**
+ * Geeft de actieve backend terug
+ * @returns {Object} Backend met readAll, writeAll, modifiedAt, readLog en appendLog
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage(readConfig());
+  }
+  return storage;
+};
+
+/**
+ * Stelt een backend in, bv. een in-memory backend in tests
+ * @param {Object} backend - Backend met readAll, writeAll, modifiedAt, readLog en appendLog
+ * @returns {void}
+ */
+const setStorage = (backend) => {
+  storage = backend;
+};
+
+/**
+ * Maakt een repository aan voor een collectie
+ * @param {string} collection - Naam van de collectie, bv. 'tracks'
+ * @returns {Object} Repository met all() en saveAll(records)
+ */
+const getRepository = (collection) => {
+  return {
+    /**
+     * Leest alle records van de collectie
+     * @async
+     * @returns {Promise<Array>} Array van records
+     */
+    all: () => getStorage().readAll(collection),
+
+    /**
+     * Schrijft alle records van de collectie
+     * @async
+     * @param {Array} records - Array van records
+     * @returns {Promise<void>}
+     */
+    saveAll: (records) => getStorage().writeAll(collection, records)
+  };
+};
+
+/**
+ * Maakt een repository aan voor een log (append-only)
+ * @param {string} log - Naam van de log, bv. 'audit'
+ * @returns {Object} Repository met all() en append(entries)
+ */
+const getLog = (log) => {
+  return {
+    /**
+     * Leest alle entries van de log, in de volgorde waarin ze toegevoegd werden
+     * @async
+     * @returns {Promise<Array>} Array van entries
+     */
+    all: () => getStorage().readLog(log),
+
+    /**
+     * Voegt entries achteraan de log toe (onder een lock op de log, zodat de ids oplopen)
+     * @async
+     * @param {Object[]} entries - Nieuwe entries (zonder id)
+     * @returns {Promise<Object[]>} De toegevoegde entries met hun id
+     */
+    append: (entries) => withLock([log], () => getStorage().appendLog(log, entries))
+  };
+};
+
+/**
+ * Bepaalt wanneer een of meerdere collecties het laatst gewijzigd werden
+ * @async
+ * @param {string[]} collections - Namen van de collecties, bv. ['tracks', 'artists']
+ * @returns {Promise<Date>} Meest recente wijziging over alle collecties
+ */
+const lastModified = async (collections) => {
+  const dates = await Promise.all(collections.map(collection => getStorage().modifiedAt(collection)));
+  return new Date(Math.max(...dates.map(date => date.getTime())));
+};
+
+/**
+ * Bepaalt het volgende id voor een nieuw record; enkel veilig binnen withLock
+ * @param {Array} records - Huidige records van de collectie
+ * @returns {number} Hoogste bestaande id + 1 (1 voor een lege collectie)
+ */
+const nextId = (records) => {
+  return records.reduce((max, record) => Math.max(max, record.id), 0) + 1;
+};
+
+module.exports = {
+  withLock,
+  nextId,
+  lastModified,
+  readConfig,
+  createStorage,
+  getStorage,
+  setStorage,
+  getRepository,
+  getLog
+};
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview JSON bestand storage backend
+ * @description Bewaart elke collectie als een JSON array in <dataDir>/<collectie>.json.
+ * Schrijven gebeurt atomisch: eerst naar een tijdelijk bestand, daarna een rename, zodat een
+ * crash halverwege nooit een afgekapt bestand achterlaat. Een log (bv. de audit log) staat in
+ * <dataDir>/<log>.ndjson, een JSON object per regel; nieuwe entries worden enkel achteraan
+ * toegevoegd, zonder de rest van het bestand te herschrijven.
+ * @module storage/json
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Maakt een JSON bestand storage backend aan
+ * @param {Object} options - Opties
+ * @param {string} options.dataDir - Map met de JSON bestanden
+ * @returns {Object} Backend met readAll, writeAll, modifiedAt, readLog en appendLog
+ */
+const createJsonStorage = ({ dataDir }) => {
+  const filePath = (collection) => path.join(dataDir, `${collection}.json`);
+  const logPath = (log) => path.join(dataDir, `${log}.ndjson`);
+
+  /**
+   * Aantal entries per log, gekend na de eerste append
+   * @type {Map<string, number>}
+   */
+  const logSizes = new Map();
+
+  /**
+   * Leest de volledige regels van een log; een laatste regel zonder newline komt van een
+   * onderbroken append en telt niet mee
+   * @async
+   * @param {string} log - Naam van de log
+   * @returns {Promise<Object>} Object met lines (volledige regels), complete (bytes tot en met de
+   * laatste newline) en size (bytes in het bestand)
+   */
+  const readLogLines = async (log) => {
+    let data;
+    try {
+      data = await fs.readFile(logPath(log), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { lines: [], complete: 0, size: 0 };
+      }
+      throw error;
+    }
+
+    const end = data.lastIndexOf('\n') + 1;
+    return {
+      lines: data.slice(0, end).split('\n').filter(Boolean),
+      complete: Buffer.byteLength(data.slice(0, end)),
+      size: Buffer.byteLength(data)
+    };
+  };
+
+  return {
+    name: 'json',
+
+    /**
+     * Leest alle records van een collectie
+     * @async
+     * @param {string} collection - Naam van de collectie, bv. 'tracks'
+     * @returns {Promise<Array>} Array van records (leeg als het bestand niet bestaat)
+     * @throws {Error} Bij een onleesbaar of ongeldig bestand (zodat het niet overschreven wordt)
+     */
+    readAll: async (collection) => {
+      let data;
+      try {
+        data = await fs.readFile(filePath(collection), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+      return JSON.parse(data);
+    },
+
+    /**
+     * Schrijft alle records van een collectie
+     * @async
+     * @param {string} collection - Naam van de collectie
+     * @param {Array} records - Array van records
+     * @returns {Promise<void>}
+     */
+    writeAll: async (collection, records) => {
+      const target = filePath(collection);
+      const tempFile = `${target}.${process.pid}.${crypto.randomUUID()}.tmp`;
+
+      try {
+        const handle = await fs.open(tempFile, 'w');
+        try {
+          await handle.writeFile(JSON.stringify(records, null, 2));
+          await handle.sync();
+        } finally {
+          await handle.close();
+        }
+        await fs.rename(tempFile, target);
+      } catch (error) {
+        await fs.rm(tempFile, { force: true });
+        throw error;
+      }
+    },
+
+    /**
+     * Geeft het tijdstip van de laatste wijziging van een collectie terug
+     * @async
+     * @param {string} collection - Naam van de collectie
+     * @returns {Promise<Date>} Modification time van het bestand (epoch als het niet bestaat)
+     */
+    modifiedAt: async (collection) => {
+      try {
+        return (await fs.stat(filePath(collection))).mtime;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return new Date(0);
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Leest alle entries van een log, in de volgorde waarin ze toegevoegd werden
+     * @async
+     * @param {string} log - Naam van de log, bv. 'audit'
+     * @returns {Promise<Array>} Array van entries (leeg als het bestand niet bestaat)
+     */
+    readLog: async (log) => {
+      return (await readLogLines(log)).lines.map(line => JSON.parse(line));
+    },
+
+    /**
+     * Voegt entries achteraan een log toe; elke entry krijgt een oplopend id. Enkel veilig
+     * als appends op dezelfde log na elkaar gebeuren (withLock).
+     * @async
+     * @param {string} log - Naam van de log
+     * @param {Object[]} entries - Nieuwe entries (zonder id)
+     * @returns {Promise<Object[]>} De toegevoegde entries met hun id
+     */
+    appendLog: async (log, entries) => {
+      if (!logSizes.has(log)) {
+        const { lines, complete, size } = await readLogLines(log);
+
+        // Een afgekapte laatste regel weghalen, anders plakt de volgende entry eraan vast
+        if (complete < size) {
+          await fs.truncate(logPath(log), complete);
+        }
+        logSizes.set(log, lines.length);
+      }
+
+      const first = logSizes.get(log) + 1;
+      const numbered = entries.map((entry, index) => ({ id: first + index, ...entry }));
+      const handle = await fs.open(logPath(log), 'a');
+
+      try {
+        await handle.writeFile(numbered.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        await handle.sync();
+      } catch (error) {
+        // De volgende append telt de entries opnieuw en haalt een half geschreven regel weg
+        logSizes.delete(log);
+        throw error;
+      } finally {
+        await handle.close();
+      }
+
+      logSizes.set(log, first - 1 + numbered.length);
+      return numbered;
+    }
+  };
+};
+
+module.exports = {
+  createJsonStorage
+};
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Locks per collectie om mutaties te serialiseren
+ * @description Een mutatie (lezen, aanpassen, schrijven) loopt onder een lock op alle collecties
+ * die ze aanpast, zodat gelijktijdige requests elkaars wijzigingen niet overschrijven.
+ * Locks worden in alfabetische volgorde genomen (geen deadlocks) en zijn reentrant:
+ * een geneste withLock op een collectie die al vastgehouden wordt, wacht niet opnieuw.
+ * @module storage/lock
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Laatste wachtende promise per collectie
+ * @type {Map<string, Promise>}
+ */
+const queues = new Map();
+
+/**
+ * Collecties die de huidige async context al vastheeft
+ * @type {AsyncLocalStorage<Set<string>>}
+ */
+const heldLocks = new AsyncLocalStorage();
+
+/**
+ * Neemt de lock op een collectie
+ * @async
+ * @param {string} collection - Naam van de collectie
+ * @returns {Promise<Function>} Functie die de lock weer vrijgeeft
+ */
+const acquire = async (collection) => {
+  const previous = queues.get(collection) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => {
+    release = resolve;
+  });
+  const queued = previous.then(() => current);
+
+  queues.set(collection, queued);
+  await previous;
+
+  return () => {
+    if (queues.get(collection) === queued) {
+      queues.delete(collection);
+    }
+    release();
+  };
+};
+
+/**
+ * Voert een functie uit met een exclusieve lock op een of meerdere collecties
+ * @async
+ * @param {string[]} collections - Collecties die de functie leest en aanpast, bv. ['tracks', 'artists']
+ * @param {Function} fn - Async functie die onder de lock uitgevoerd wordt
+ * @returns {Promise<*>} Resultaat van fn
+ */
+const withLock = async (collections, fn) => {
+  const held = heldLocks.getStore() || new Set();
+  const needed = [...new Set(collections)].filter(collection => !held.has(collection)).sort();
+  const releases = [];
+
+  try {
+    for (const collection of needed) {
+      releases.push(await acquire(collection));
+    }
+    return await heldLocks.run(new Set([...held, ...needed]), fn);
+  } finally {
+    releases.reverse().forEach(release => release());
+  }
+};
+
+module.exports = {
+  withLock
+};
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview In-memory storage backend
+ * @description Houdt alle collecties enkel in het geheugen bij, handig voor tests.
+ * Optioneel wordt een collectie bij het eerste gebruik gevuld vanuit een andere backend.
+ * @module storage/memory
+ */
+
+/**
+ * Maakt een in-memory storage backend aan
+ * @param {Object} [options={}] - Opties
+ * @param {Object} [options.seed] - Backend waaruit collecties bij het eerste gebruik gekopieerd worden
+ * @returns {Object} Backend met readAll, writeAll, modifiedAt, readLog en appendLog
+ */
+const createMemoryStorage = ({ seed } = {}) => {
+  const collections = new Map();
+  const logs = new Map();
+  const modified = new Map();
+  const createdAt = new Date();
+
+  /**
+   * Geeft de records van een collectie terug, eventueel na het seeden
+   * @async
+   * @param {string} collection - Naam van de collectie
+   * @returns {Promise<Array>} De bewaarde records (niet kopiëren)
+   */
+  const load = async (collection) => {
+    if (!collections.has(collection)) {
+      collections.set(collection, seed ? await seed.readAll(collection) : []);
+    }
+    return collections.get(collection);
+  };
+
+  /**
+   * Geeft de entries van een log terug, eventueel na het seeden
+   * @async
+   * @param {string} log - Naam van de log
+   * @returns {Promise<Array>} De bewaarde entries (niet kopiëren)
+   */
+  const loadLog = async (log) => {
+    if (!logs.has(log)) {
+      logs.set(log, seed ? await seed.readLog(log) : []);
+    }
+    return logs.get(log);
+  };
+
+  return {
+    name: 'memory',
+
+    /**
+     * Leest alle records van een collectie (als kopie)
+     * @async
+     * @param {string} collection - Naam van de collectie
+     * @returns {Promise<Array>} Array van records
+     */
+    readAll: async (collection) => {
+      return structuredClone(await load(collection));
+    },
+
+    /**
+     * Schrijft alle records van een collectie (als kopie)
+     * @async
+     * @param {string} collection - Naam van de collectie
+     * @param {Array} records - Array van records
+     * @returns {Promise<void>}
+     */
+    writeAll: async (collection, records) => {
+      collections.set(collection, structuredClone(records));
+      modified.set(collection, new Date());
+    },
+
+    /**
+     * Geeft het tijdstip van de laatste wijziging van een collectie terug
+     * @async
+     * @param {string} collection - Naam van de collectie
+     * @returns {Promise<Date>} Tijdstip van de laatste write, of het aanmaken van de backend
+     */
+    modifiedAt: async (collection) => {
+      return modified.get(collection) || createdAt;
+    },
+
+    /**
+     * Leest alle entries van een log (als kopie), in de volgorde waarin ze toegevoegd werden
+     * @async
+     * @param {string} log - Naam van de log, bv. 'audit'
+     * @returns {Promise<Array>} Array van entries
+     */
+    readLog: async (log) => {
+      return structuredClone(await loadLog(log));
+    },
+
+    /**
+     * Voegt entries achteraan een log toe; elke entry krijgt een oplopend id
+     * @async
+     * @param {string} log - Naam van de log
+     * @param {Object[]} entries - Nieuwe entries (zonder id)
+     * @returns {Promise<Object[]>} De toegevoegde entries met hun id
+     */
+    appendLog: async (log, entries) => {
+      const stored = await loadLog(log);
+      const numbered = entries.map((entry, index) => ({ id: stored.length + index + 1, ...entry }));
+
+      stored.push(...structuredClone(numbered));
+      return numbered;
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStorage
+};
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Embedded SQLite storage backend
+ * @description Bewaart elke collectie (en elke log) als tabel met een JSON kolom per record. Gebruikt de
+ * ingebouwde node:sqlite module (Node.js 22.5 of hoger). Een lege tabel wordt bij het eerste
+ * gebruik gevuld vanuit een seed backend (bv. de JSON bestanden).
+ * @module storage/sqlite
+ */
+
+/**
+ * Foutmelding als de Node.js versie geen node:sqlite heeft
+ * @type {string}
+ */
+const SQLITE_UNAVAILABLE = `The sqlite storage backend requires Node.js 22.5 or later (running ${process.version})`;
+
+/**
+ * Laadt de ingebouwde node:sqlite module
+ * @returns {Object} De node:sqlite module
+ * @throws {Error} Als de Node.js versie geen node:sqlite ondersteunt
+ */
+const loadSqlite = () => {
+  try {
+    return require('node:sqlite');
+  } catch {
+    throw new Error(SQLITE_UNAVAILABLE);
+  }
+};
+
+/**
+ * Controleert of de ingebouwde node:sqlite module beschikbaar is
+ * @returns {boolean} true vanaf Node.js 22.5
+ */
+const isSqliteAvailable = () => {
+  try {
+    loadSqlite();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Zet een collectienaam om naar een veilige tabelnaam
+ * @param {string} collection - Naam van de collectie
+ * @returns {string} Tabelnaam tussen aanhalingstekens
+ */
+const tableName = (collection) => {
+  if (!/^[a-z_]+$/.test(collection)) {
+    throw new Error(`Invalid collection name: ${collection}`);
+  }
+  return `"${collection}"`;
+};
+
+/**
+ * Maakt een SQLite storage backend aan
+ * @param {Object} options - Opties
+ * @param {string} options.file - Pad naar het databasebestand (':memory:' voor een tijdelijke database)
+ * @param {Object} [options.seed] - Backend waaruit lege collecties bij het eerste gebruik gevuld worden
+ * @returns {Object} Backend met readAll, writeAll, modifiedAt, readLog en appendLog
+ */
+const createSqliteStorage = ({ file, seed }) => {
+  const { DatabaseSync } = loadSqlite();
+  const db = new DatabaseSync(file);
+  const initialized = new Set();
+  const modified = new Map();
+  const createdAt = new Date();
+
+  /**
+   * Maakt de tabel van een collectie (of log) aan en vult ze eventueel vanuit de seed backend
+   * @async
+   * @param {string} collection - Naam van de collectie
+   * @param {string} [read='readAll'] - Methode van de seed backend, 'readAll' of 'readLog'
+   * @returns {Promise<void>}
+   */
+  const ensureTable = async (collection, read = 'readAll') => {
+    if (initialized.has(collection)) {
+      return;
+    }
+
+    const table = tableName(collection);
+    const exists = db.prepare('SELECT name FROM sqlite_master WHERE type = \'table\' AND name = ?').get(collection);
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (position INTEGER PRIMARY KEY, id INTEGER, data TEXT NOT NULL)`);
+    initialized.add(collection);
+
+    if (!exists && seed) {
+      writeRecords(collection, await seed[read](collection));
+    }
+  };
+
+  /**
+   * Vervangt alle records van een collectie in een transactie
+   * @param {string} collection - Naam van de collectie
+   * @param {Array} records - Array van records
+   * @returns {void}
+   */
+  const writeRecords = (collection, records) => {
+    const table = tableName(collection);
+    const insert = db.prepare(`INSERT INTO ${table} (position, id, data) VALUES (?, ?, ?)`);
+
+    db.exec('BEGIN');
+    try {
+      db.exec(`DELETE FROM ${table}`);
+      records.forEach((record, position) => {
+        insert.run(position, record.id === undefined ? null : record.id, JSON.stringify(record));
+      });
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  };
+
+  return {
+    name: 'sqlite',
+
+    /**
+     * Leest alle records van een collectie, in de bewaarde volgorde
+     * @async
+     * @param {string} collection - Naam van de collectie
+     * @returns {Promise<Array>} Array van records
+     */
+    readAll: async (collection) => {
+      await ensureTable(collection);
+      return db.prepare(`SELECT data FROM ${tableName(collection)} ORDER BY position`).all()
+        .map(row => JSON.parse(row.data));
+    },
+
+    /**
+     * Schrijft alle records van een collectie
+     * @async
+     * @param {string} collection - Naam van de collectie
+     * @param {Array} records - Array van records
+     * @returns {Promise<void>}
+     */
+    writeAll: async (collection, records) => {
+      await ensureTable(collection);
+      writeRecords(collection, records);
+      modified.set(collection, new Date());
+    },
+
+    /**
+     * Geeft het tijdstip van de laatste wijziging van een collectie terug. Wijzigingen van voor
+     * de start van dit proces zijn niet gekend; dan telt het opstarttijdstip (een veilige bovengrens).
+     * @async
+     * @param {string} collection - Naam van de collectie
+     * @returns {Promise<Date>} Tijdstip van de laatste write, of het aanmaken van de backend
+     */
+    modifiedAt: async (collection) => {
+      return modified.get(collection) || createdAt;
+    },
+
+    /**
+     * Leest alle entries van een log, in de volgorde waarin ze toegevoegd werden
+     * @async
+     * @param {string} log - Naam van de log, bv. 'audit'
+     * @returns {Promise<Array>} Array van entries
+     */
+    readLog: async (log) => {
+      await ensureTable(log, 'readLog');
+      return db.prepare(`SELECT data FROM ${tableName(log)} ORDER BY position`).all()
+        .map(row => JSON.parse(row.data));
+    },
+
+    /**
+     * Voegt entries achteraan een log toe in een transactie (zonder de bestaande rijen te
+     * herschrijven); elke entry krijgt een oplopend id
+     * @async
+     * @param {string} log - Naam van de log
+     * @param {Object[]} entries - Nieuwe entries (zonder id)
+     * @returns {Promise<Object[]>} De toegevoegde entries met hun id
+     */
+    appendLog: async (log, entries) => {
+      await ensureTable(log, 'readLog');
+      const table = tableName(log);
+      const insert = db.prepare(`INSERT INTO ${table} (position, id, data) VALUES (?, ?, ?)`);
+
+      db.exec('BEGIN');
+      try {
+        const { count } = db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get();
+        const numbered = entries.map((entry, index) => ({ id: count + index + 1, ...entry }));
+
+        numbered.forEach((entry, index) => insert.run(count + index, entry.id, JSON.stringify(entry)));
+        db.exec('COMMIT');
+        return numbered;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    }
+  };
+};
+
+module.exports = {
+  SQLITE_UNAVAILABLE,
+  isSqliteAvailable,
+  createSqliteStorage
+};
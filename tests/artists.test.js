@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Tests voor Artists API endpoints
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+
+const BASE_URL = 'http://localhost:3000/api/artists';
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+
+let curator;
+
+/**
+ * Maakt een track aan met de gegeven artiestnamen
+ * @param {string[]} artiesten - Artiestnamen
+ * @returns {Promise<Object>} De aangemaakte track
+ */
+const createTrack = async (artiesten) => {
+  const response = await fetch(TRACKS_URL, {
+    method: 'POST',
+    headers: curator.headers,
+    body: JSON.stringify({
+      naam: 'Test Track',
+      bpm: 120,
+      duur: 180,
+      jaar: 2024,
+      artiesten,
+      genres: ['Test Genre']
+    })
+  });
+  const data = await response.json();
+  return data.data;
+};
+
+describe('Artists API', () => {
+  before(async () => {
+    curator = await registerUser('curator', 'curator');
+  });
+
+  describe('GET /api/artists', () => {
+    it('should return artists with track count and genres', async () => {
+      const response = await fetch(BASE_URL);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.success, true);
+
+      const nirvana = data.data.find(a => a.naam === 'Nirvana');
+      assert.ok(nirvana.track_count >= 1);
+      assert.ok(nirvana.genres.includes('Grunge'));
+    });
+
+    it('should sort artists on track count', async () => {
+      const response = await fetch(`${BASE_URL}?sort=-track_count`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      for (let i = 1; i < data.data.length; i++) {
+        assert.ok(data.data[i - 1].track_count >= data.data[i].track_count);
+      }
+    });
+  });
+
+  describe('GET /api/artists/:id', () => {
+    it('should return 404 for non-existent artist', async () => {
+      const response = await fetch(`${BASE_URL}/99999`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 404);
+      assert.strictEqual(data.code, 'not_found');
+    });
+  });
+
+  describe('artist references on tracks', () => {
+    it('should treat names that differ in case or spacing as the same artist', async () => {
+      const track = await createTrack(['  michael   JACKSON ']);
+
+      assert.strictEqual(track.artiesten[0], 'Michael Jackson');
+
+      const response = await fetch(`${BASE_URL}/${track.artiest_ids[0]}`);
+      const data = await response.json();
+
+      assert.strictEqual(data.data.naam, 'Michael Jackson');
+      assert.ok(data.data.track_ids.includes(track.id));
+    });
+
+    it('should accept artiest_ids on create', async () => {
+      const response = await fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({
+          naam: 'Test Track',
+          bpm: 120,
+          duur: 180,
+          jaar: 2024,
+          artiest_ids: [3],
+          genres: ['Test Genre']
+        })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 201);
+      assert.deepStrictEqual(data.data.artiesten, ['Nirvana']);
+    });
+
+    it('should return 400 for unknown artiest_ids', async () => {
+      const response = await fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({
+          naam: 'Test Track',
+          bpm: 120,
+          duur: 180,
+          jaar: 2024,
+          artiest_ids: [99999],
+          genres: ['Test Genre']
+        })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail);
+    });
+
+    it('should rename an artist in every track that references it', async () => {
+      const name = `Test Artist ${Date.now()}`;
+      const track = await createTrack([name]);
+      const artistId = track.artiest_ids[0];
+
+      const response = await fetch(`${BASE_URL}/${artistId}`, {
+        method: 'PUT',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: `${name} Renamed` })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.naam, `${name} Renamed`);
+
+      const trackResponse = await fetch(`${TRACKS_URL}/${track.id}`);
+      const trackData = await trackResponse.json();
+
+      assert.deepStrictEqual(trackData.data.artiesten, [`${name} Renamed`]);
+    });
+
+    it('should return 409 when renaming to an existing artist', async () => {
+      const track = await createTrack([`Test Artist ${Date.now()}`]);
+
+      const response = await fetch(`${BASE_URL}/${track.artiest_ids[0]}`, {
+        method: 'PUT',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: 'nirvana' })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 409);
+      assert.ok(data.detail);
+    });
+
+    it('should return 409 when deleting an artist that is still used', async () => {
+      const response = await fetch(`${BASE_URL}/3`, { method: 'DELETE', headers: curator.headers });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 409);
+      assert.ok(data.detail);
+    });
+  });
+
+});
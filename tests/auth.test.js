@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Tests voor registratie, login en /api/me
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const AUTH_URL = 'http://localhost:3000/api/auth';
+const ME_URL = 'http://localhost:3000/api/me';
+
+/**
+ * Genereert een unieke username
+ * @returns {string} Username
+ */
+const uniqueUsername = () => `auth-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Verstuurt een JSON POST request
+ * @param {string} url - URL
+ * @param {Object} body - Request body
+ * @returns {Promise<Response>} Fetch response
+ */
+const post = (url, body) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+describe('Auth API', () => {
+
+  describe('POST /api/auth/register', () => {
+    it('should register a user and return a bearer token', async () => {
+      const username = uniqueUsername();
+      const response = await post(`${AUTH_URL}/register`, { username, password: 'secret-password', naam: 'Auth Tester' });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.data.token_type, 'Bearer');
+      assert.ok(data.data.token.split('.').length === 3);
+      assert.ok(data.data.expires_in > 0);
+      assert.strictEqual(data.data.user.username, username);
+      assert.strictEqual(data.data.user.naam, 'Auth Tester');
+      assert.strictEqual(data.data.user.password_hash, undefined);
+    });
+
+    it('should return 409 for a username that is already taken', async () => {
+      const username = uniqueUsername();
+      await post(`${AUTH_URL}/register`, { username, password: 'secret-password' });
+
+      const response = await post(`${AUTH_URL}/register`, { username: username.toUpperCase(), password: 'other-password' });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 409);
+      assert.ok(data.detail);
+    });
+
+    it('should return 400 for a password that is too short', async () => {
+      const response = await post(`${AUTH_URL}/register`, { username: uniqueUsername(), password: 'short' });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should log in with valid credentials', async () => {
+      const username = uniqueUsername();
+      await post(`${AUTH_URL}/register`, { username, password: 'secret-password' });
+
+      const response = await post(`${AUTH_URL}/login`, { username, password: 'secret-password' });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(data.data.token);
+      assert.strictEqual(data.data.user.username, username);
+    });
+
+    it('should return 401 for a wrong password or unknown user', async () => {
+      const username = uniqueUsername();
+      await post(`${AUTH_URL}/register`, { username, password: 'secret-password' });
+
+      const wrongPassword = await post(`${AUTH_URL}/login`, { username, password: 'wrong-password' });
+      const unknownUser = await post(`${AUTH_URL}/login`, { username: uniqueUsername(), password: 'secret-password' });
+
+      assert.strictEqual(wrongPassword.status, 401);
+      assert.strictEqual(unknownUser.status, 401);
+      const wrongPasswordBody = await wrongPassword.json();
+      const unknownUserBody = await unknownUser.json();
+      assert.strictEqual(wrongPasswordBody.code, 'invalid_credentials');
+      assert.strictEqual(wrongPasswordBody.detail, unknownUserBody.detail);
+    });
+
+    it('should not log in to the migrated playlist owners without a password', async () => {
+      const responses = await Promise.all(['milan-kellens', 'test-author', 'updated-author'].map(username => {
+        return post(`${AUTH_URL}/login`, { username, password: 'mockify' });
+      }));
+
+      assert.deepStrictEqual(responses.map(response => response.status), [401, 401, 401]);
+    });
+  });
+
+  describe('GET /api/me', () => {
+    it('should return the authenticated user', async () => {
+      const username = uniqueUsername();
+      const registered = await (await post(`${AUTH_URL}/register`, { username, password: 'secret-password' })).json();
+
+      const response = await fetch(ME_URL, {
+        headers: { Authorization: `Bearer ${registered.data.token}` }
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.id, registered.data.user.id);
+      assert.strictEqual(data.data.password_hash, undefined);
+    });
+
+    it('should return 401 without a token', async () => {
+      const response = await fetch(ME_URL);
+
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual(response.headers.get('www-authenticate'), 'Bearer');
+    });
+
+    it('should return 401 for a tampered token', async () => {
+      const registered = await (await post(`${AUTH_URL}/register`, { username: uniqueUsername(), password: 'secret-password' })).json();
+      const [header, payload, signature] = registered.data.token.split('.');
+      const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 1 })).toString('base64url');
+
+      const response = await fetch(ME_URL, {
+        headers: { Authorization: `Bearer ${header}.${forged}.${signature}` }
+      });
+
+      assert.strictEqual(response.status, 401);
+      assert.match(response.headers.get('www-authenticate'), /invalid_token/);
+    });
+  });
+
+});
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Tests voor de bulk endpoints van tracks en playlists
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+const { randomSpotifyId } = require('./helpers/spotify');
+
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+const PLAYLISTS_URL = 'http://localhost:3000/api/playlists';
+const ARTISTS_URL = 'http://localhost:3000/api/artists';
+const GENRES_URL = 'http://localhost:3000/api/genres';
+
+/**
+ * Bouwt geldige track data met een unieke naam
+ * @param {string} naam - Naam van de track
+ * @returns {Object} Track data
+ */
+const trackData = (naam) => ({
+  naam,
+  bpm: 120,
+  duur: 200,
+  jaar: 2024,
+  artiesten: ['Bulk Test Artist'],
+  genres: ['Pop']
+});
+
+/**
+ * Stuurt een bulk request
+ * @param {string} url - Basis URL van de resource
+ * @param {Object} headers - Request headers
+ * @param {Object} body - Bulk body ({ atomic, operations })
+ * @returns {Promise<Object>} Object met response en data
+ */
+const bulk = async (url, headers, body) => {
+  const response = await fetch(`${url}/bulk`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  });
+  return { response, data: await response.json() };
+};
+
+describe('Bulk API', () => {
+  let curator;
+  let listener;
+
+  before(async () => {
+    curator = await registerUser('bulk', 'curator');
+    listener = await registerUser('bulk-listener');
+  });
+
+  describe('POST /api/tracks/bulk', () => {
+    it('should create, update, patch and delete tracks in one request', async () => {
+      const created = await bulk(TRACKS_URL, curator.headers, {
+        operations: [
+          { op: 'create', data: trackData('Bulk One') },
+          { op: 'create', data: trackData('Bulk Two') }
+        ]
+      });
+
+      assert.strictEqual(created.response.status, 200);
+      assert.strictEqual(created.data.succeeded, 2);
+      assert.strictEqual(created.data.failed, 0);
+      assert.deepStrictEqual(created.data.data.map(item => item.status), [201, 201]);
+
+      const [first, second] = created.data.data.map(item => item.data);
+      assert.notStrictEqual(first.id, second.id);
+
+      const { response, data } = await bulk(TRACKS_URL, curator.headers, {
+        operations: [
+          { op: 'update', id: first.id, data: { ...trackData('Bulk One Updated'), bpm: 90 } },
+          { op: 'patch', id: second.id, data: { jaar: 1999 }, if_match: '"1"' },
+          { op: 'delete', id: second.id }
+        ]
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.count, 3);
+      assert.strictEqual(data.data[0].data.naam, 'Bulk One Updated');
+      assert.strictEqual(data.data[0].data.version, 2);
+      assert.strictEqual(data.data[1].data.jaar, 1999);
+      assert.strictEqual(data.data[2].id, second.id);
+
+      assert.strictEqual((await fetch(`${TRACKS_URL}/${first.id}`).then(r => r.json())).data.bpm, 90);
+      assert.strictEqual((await fetch(`${TRACKS_URL}/${second.id}`)).status, 404);
+    });
+
+    it('should store numeric strings as numbers', async () => {
+      const { data } = await bulk(TRACKS_URL, curator.headers, {
+        operations: [{ op: 'create', data: { ...trackData('Bulk Strings'), bpm: '128', duur: '210', jaar: '2001' } }]
+      });
+      const track = data.data[0].data;
+
+      assert.deepStrictEqual([track.bpm, track.duur, track.jaar], [128, 210, 2001]);
+    });
+
+    it('should accept a JSON Patch document as patch data', async () => {
+      const created = await bulk(TRACKS_URL, curator.headers, { operations: [{ op: 'create', data: trackData('Bulk JSON Patch') }] });
+      const id = created.data.data[0].id;
+
+      const { response, data } = await bulk(TRACKS_URL, curator.headers, {
+        operations: [{ op: 'patch', id, data: [{ op: 'replace', path: '/bpm', value: 150 }] }]
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data[0].data.bpm, 150);
+    });
+
+    it('should report failures per item with 207 and keep the successful operations', async () => {
+      const { response, data } = await bulk(TRACKS_URL, curator.headers, {
+        operations: [
+          { op: 'create', data: trackData('Bulk Partial') },
+          { op: 'create', data: { naam: 'Missing fields' } },
+          { op: 'delete', id: 999999 },
+          { op: 'patch', id: 1, data: { bpm: 100 }, if_match: '"999"' }
+        ]
+      });
+
+      assert.strictEqual(response.status, 207);
+      assert.strictEqual(data.succeeded, 1);
+      assert.strictEqual(data.failed, 3);
+      assert.deepStrictEqual(data.data.map(item => item.status), [201, 400, 404, 412]);
+      assert.strictEqual(data.data[1].error.code, 'validation_failed');
+      assert.ok(data.data[1].error.errors.some(error => error.field === 'bpm'));
+      assert.strictEqual(data.data[2].error.code, 'not_found');
+      assert.strictEqual(data.data[3].error.code, 'precondition_failed');
+
+      const stored = await fetch(`${TRACKS_URL}/${data.data[0].id}`);
+      assert.strictEqual(stored.status, 200);
+    });
+
+    it('should not create artists or genres for a failed item', async () => {
+      const suffix = Math.random().toString(36).slice(2, 8);
+      const spotifyUrl = `spotify:track:${randomSpotifyId()}`;
+      const created = await bulk(TRACKS_URL, curator.headers, {
+        operations: [
+          { op: 'create', data: { ...trackData('Bulk Linked'), spotify_url: spotifyUrl } },
+          { op: 'create', data: trackData('Bulk Unlinked') }
+        ]
+      });
+      const unlinked = created.data.data[1].data;
+
+      const { response, data } = await bulk(TRACKS_URL, curator.headers, {
+        operations: [
+          { op: 'patch', id: unlinked.id, data: { spotify_url: spotifyUrl, artiesten: [`Orphan Artist ${suffix}`], genres: [`Orphan Genre ${suffix}`] } },
+          { op: 'patch', id: unlinked.id, data: { bpm: 121 } }
+        ]
+      });
+
+      assert.strictEqual(response.status, 207);
+      assert.deepStrictEqual(data.data.map(item => item.status), [409, 200]);
+      assert.strictEqual(data.data[0].error.code, 'spotify_track_exists');
+
+      const artists = await fetch(`${ARTISTS_URL}?naam=${encodeURIComponent(`Orphan Artist ${suffix}`)}`).then(r => r.json());
+      const genres = await fetch(GENRES_URL).then(r => r.json());
+      assert.strictEqual(artists.total, 0);
+      assert.ok(!genres.data.some(genre => genre.naam === `Orphan Genre ${suffix}`));
+    });
+
+    it('should save nothing when an atomic request fails', async () => {
+      const before = await fetch(`${TRACKS_URL}?limit=1`).then(r => r.json());
+
+      const { response, data } = await bulk(TRACKS_URL, curator.headers, {
+        atomic: true,
+        operations: [
+          { op: 'create', data: trackData('Bulk Atomic') },
+          { op: 'delete', id: 999999 }
+        ]
+      });
+
+      assert.strictEqual(response.status, 409);
+      assert.strictEqual(data.code, 'bulk_rolled_back');
+      assert.deepStrictEqual(data.results.map(item => item.status), [424, 404]);
+      assert.strictEqual(data.results[0].error.code, 'rolled_back');
+
+      const after = await fetch(`${TRACKS_URL}?limit=1`).then(r => r.json());
+      assert.strictEqual(after.total, before.total);
+    });
+
+    it('should remove deleted tracks from playlists', async () => {
+      const created = await bulk(TRACKS_URL, curator.headers, { operations: [{ op: 'create', data: trackData('Bulk In Playlist') }] });
+      const trackId = created.data.data[0].id;
+
+      const playlist = await fetch(PLAYLISTS_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: 'Bulk Playlist', beschrijving: 'Bulk', visibility: 'public' })
+      }).then(r => r.json());
+      await fetch(`${PLAYLISTS_URL}/${playlist.data.id}/tracks`, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ track_ids: [trackId] })
+      });
+
+      await bulk(TRACKS_URL, curator.headers, { operations: [{ op: 'delete', id: trackId }] });
+
+      const updated = await fetch(`${PLAYLISTS_URL}/${playlist.data.id}`).then(r => r.json());
+      assert.deepStrictEqual(updated.data.tracks, []);
+    });
+
+    it('should return 400 for an invalid bulk body', async () => {
+      const { response, data } = await bulk(TRACKS_URL, curator.headers, {
+        operations: [{ op: 'rename', id: 1 }, { op: 'delete' }]
+      });
+
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(data.code, 'validation_failed');
+      assert.ok(data.errors.some(error => error.field === 'operations.0.op'));
+      assert.ok(data.errors.some(error => error.field === 'operations.1.id'));
+    });
+
+    it('should return 400 for an empty operations array', async () => {
+      const { response } = await bulk(TRACKS_URL, curator.headers, { operations: [] });
+      assert.strictEqual(response.status, 400);
+    });
+
+    it('should require the curator or admin role', async () => {
+      const { response, data } = await bulk(TRACKS_URL, listener.headers, {
+        operations: [{ op: 'create', data: trackData('Bulk Forbidden') }]
+      });
+
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual(data.code, 'insufficient_role');
+    });
+  });
+
+  describe('POST /api/playlists/bulk', () => {
+    it('should create playlists owned by the user and enforce ownership per item', async () => {
+      const created = await bulk(PLAYLISTS_URL, listener.headers, {
+        operations: [
+          { op: 'create', data: { naam: 'Bulk List A', beschrijving: 'A', visibility: 'public' } },
+          { op: 'create', data: { naam: 'Bulk List B', beschrijving: 'B', visibility: 'private' } }
+        ]
+      });
+
+      assert.strictEqual(created.response.status, 200);
+      assert.ok(created.data.data.every(item => item.data.owner_id === listener.user.id));
+
+      const [a, b] = created.data.data.map(item => item.id);
+      const { response, data } = await bulk(PLAYLISTS_URL, curator.headers, {
+        operations: [
+          { op: 'patch', id: a, data: { naam: 'Not yours' } },
+          { op: 'delete', id: b },
+          { op: 'create', data: { naam: 'Bulk List C', beschrijving: 'C', visibility: 'public' } }
+        ]
+      });
+
+      assert.strictEqual(response.status, 207);
+      assert.deepStrictEqual(data.data.map(item => item.status), [403, 404, 201]);
+      assert.strictEqual(data.data[0].error.code, 'not_playlist_owner');
+
+      const own = await bulk(PLAYLISTS_URL, listener.headers, {
+        operations: [
+          { op: 'update', id: a, data: { naam: 'Bulk List A2', beschrijving: 'A2', visibility: 'public' } },
+          { op: 'delete', id: b }
+        ]
+      });
+
+      assert.strictEqual(own.response.status, 200);
+      assert.strictEqual(own.data.data[0].data.naam, 'Bulk List A2');
+      assert.strictEqual(own.data.data[0].data.owner_id, listener.user.id);
+    });
+
+    it('should require authentication', async () => {
+      const { response } = await bulk(PLAYLISTS_URL, { 'Content-Type': 'application/json' }, {
+        operations: [{ op: 'create', data: { naam: 'Anon', beschrijving: 'x', visibility: 'public' } }]
+      });
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+});
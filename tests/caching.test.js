@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Tests voor conditionele GET requests en HTTP caching
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+const PLAYLISTS_URL = 'http://localhost:3000/api/playlists';
+
+/**
+ * Headers voor een conditionele request. fetch voegt bij conditionele headers zelf
+ * 'Cache-Control: no-cache' toe, waardoor de server altijd een volledige response stuurt;
+ * een expliciete Cache-Control header voorkomt dat.
+ * @param {Object} headers - Conditionele headers, bv. { 'If-None-Match': etag }
+ * @returns {Object} Request headers
+ */
+const conditional = (headers) => ({ 'Cache-Control': 'max-age=0', ...headers });
+
+describe('HTTP caching', () => {
+  let curator;
+
+  before(async () => {
+    curator = await registerUser('curator', 'curator');
+  });
+
+  describe('GET /api/tracks', () => {
+    it('should return a strong ETag, Last-Modified and Cache-Control', async () => {
+      const response = await fetch(TRACKS_URL);
+
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers.get('etag'), /^"[^"]+"$/);
+      assert.ok(!Number.isNaN(Date.parse(response.headers.get('last-modified'))));
+      assert.strictEqual(response.headers.get('cache-control'), 'public, max-age=60');
+    });
+
+    it('should return 304 for a matching If-None-Match', async () => {
+      const first = await fetch(`${TRACKS_URL}?sort=id`);
+      const response = await fetch(`${TRACKS_URL}?sort=id`, {
+        headers: conditional({ 'If-None-Match': first.headers.get('etag') })
+      });
+
+      assert.strictEqual(response.status, 304);
+      assert.strictEqual(await response.text(), '');
+    });
+
+    it('should return 200 when the If-None-Match does not match', async () => {
+      const response = await fetch(TRACKS_URL, {
+        headers: conditional({ 'If-None-Match': '"stale"' })
+      });
+
+      assert.strictEqual(response.status, 200);
+    });
+
+    it('should return 304 for an If-Modified-Since after Last-Modified', async () => {
+      const first = await fetch(TRACKS_URL);
+      const response = await fetch(TRACKS_URL, {
+        headers: conditional({ 'If-Modified-Since': new Date(Date.now() + 60000).toUTCString() })
+      });
+
+      assert.ok(first.headers.get('last-modified'));
+      assert.strictEqual(response.status, 304);
+    });
+
+    it('should return 200 for an If-Modified-Since before the last change', async () => {
+      const response = await fetch(TRACKS_URL, {
+        headers: conditional({ 'If-Modified-Since': new Date(0).toUTCString() })
+      });
+
+      assert.strictEqual(response.status, 200);
+    });
+
+    it('should return 200 for an If-Modified-Since in the same second as the last change', async () => {
+      const created = await fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: 'Same Second', bpm: 120, duur: 180, jaar: 2024, artiesten: ['Test Artist'], genres: ['Test Genre'] })
+      });
+      const track = (await created.json()).data;
+      const lastModified = (await fetch(TRACKS_URL)).headers.get('last-modified');
+
+      const response = await fetch(TRACKS_URL, {
+        headers: conditional({ 'If-Modified-Since': lastModified })
+      });
+
+      assert.strictEqual(response.status, 200);
+      await fetch(`${TRACKS_URL}/${track.id}`, { method: 'DELETE', headers: curator.headers });
+    });
+
+    it('should only compare the ETag when If-None-Match is present', async () => {
+      const response = await fetch(TRACKS_URL, {
+        headers: conditional({ 'If-None-Match': '"stale"', 'If-Modified-Since': new Date(Date.now() + 60000).toUTCString() })
+      });
+
+      assert.strictEqual(response.status, 200);
+    });
+
+    it('should change the ETag after a write', async () => {
+      const first = await fetch(TRACKS_URL);
+      const created = await fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({
+          naam: 'Cache Buster',
+          bpm: 120,
+          duur: 180,
+          jaar: 2024,
+          artiesten: ['Test Artist'],
+          genres: ['Test Genre']
+        })
+      });
+      const track = (await created.json()).data;
+
+      const response = await fetch(TRACKS_URL, {
+        headers: conditional({ 'If-None-Match': first.headers.get('etag') })
+      });
+
+      assert.strictEqual(response.status, 200);
+      await fetch(`${TRACKS_URL}/${track.id}`, { method: 'DELETE', headers: curator.headers });
+    });
+  });
+
+  describe('GET /api/tracks/:id', () => {
+    it('should return 304 when the version ETag still matches', async () => {
+      const first = await fetch(`${TRACKS_URL}/2`);
+      const response = await fetch(`${TRACKS_URL}/2`, {
+        headers: conditional({ 'If-None-Match': first.headers.get('etag') })
+      });
+
+      assert.strictEqual(response.status, 304);
+    });
+
+    it('should use a different ETag for a projection', async () => {
+      const full = await fetch(`${TRACKS_URL}/2`);
+      const projected = await fetch(`${TRACKS_URL}/2?fields=naam`);
+
+      assert.notStrictEqual(projected.headers.get('etag'), full.headers.get('etag'));
+    });
+
+    it('should ignore conditional headers when the client asks for no-cache', async () => {
+      const response = await fetch(TRACKS_URL, {
+        headers: { 'If-Modified-Since': new Date(Date.now() + 60000).toUTCString(), 'Cache-Control': 'no-cache' }
+      });
+
+      assert.strictEqual(response.status, 200);
+    });
+
+    it('should check access and existence before returning 304', async () => {
+      const owner = await registerUser('cacheown');
+      const playlist = (await fetch(PLAYLISTS_URL, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ naam: 'Private Cache', beschrijving: 'Hidden', visibility: 'private' })
+      }).then(r => r.json())).data;
+      const since = conditional({ 'If-Modified-Since': new Date(Date.now() + 60000).toUTCString() });
+
+      assert.strictEqual((await fetch(`${PLAYLISTS_URL}/${playlist.id}`, { headers: since })).status, 404);
+      assert.strictEqual((await fetch(`${TRACKS_URL}/99999`, { headers: since })).status, 404);
+      assert.strictEqual((await fetch(`${PLAYLISTS_URL}/${playlist.id}`, { headers: { ...owner.headers, ...since } })).status, 304);
+    });
+
+    it('should not return 304 for a non-existent track', async () => {
+      const response = await fetch(`${TRACKS_URL}/99999`, {
+        headers: conditional({ 'If-None-Match': '*' })
+      });
+
+      assert.strictEqual(response.status, 404);
+    });
+  });
+
+  describe('Cache-Control per route', () => {
+    it('should use the policy configured for each route', async () => {
+      const playlists = await fetch(PLAYLISTS_URL);
+      const genres = await fetch('http://localhost:3000/api/genres');
+
+      assert.strictEqual(playlists.headers.get('cache-control'), 'private, no-cache');
+      assert.strictEqual(playlists.headers.get('vary'), 'Authorization');
+      assert.strictEqual(genres.headers.get('cache-control'), 'public, max-age=3600');
+    });
+
+    it('should never cache the role-protected track routes', async () => {
+      const admin = await registerUser('cacheadm', 'admin');
+      const created = await fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: 'Private Cache', bpm: 100, duur: 200, jaar: 2020, artiesten: ['Cache Artist'], genres: ['Pop'] })
+      }).then(r => r.json());
+
+      const responses = [
+        await fetch(`${TRACKS_URL}/duplicates`, { headers: admin.headers }),
+        await fetch(`${TRACKS_URL}/duplicates`),
+        await fetch(`${TRACKS_URL}/${created.data.id}/history`, { headers: curator.headers })
+      ];
+
+      assert.deepStrictEqual(responses.map(response => response.status), [200, 401, 200]);
+      responses.forEach(response => {
+        assert.strictEqual(response.headers.get('cache-control'), 'private, no-store');
+        assert.strictEqual(response.headers.get('last-modified'), null);
+      });
+      assert.strictEqual((await fetch(`${TRACKS_URL}/${created.data.id}`)).headers.get('cache-control'), 'public, max-age=60');
+    });
+
+    it('should not set Cache-Control on writes', async () => {
+      const response = await fetch(`${TRACKS_URL}/99999`, { method: 'DELETE', headers: curator.headers });
+
+      assert.strictEqual(response.headers.get('cache-control'), null);
+    });
+  });
+
+});
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Stress tests voor gelijktijdige mutaties
+ * @description Gebruikt Node.js ingebouwde test runner; vuurt parallelle requests af en controleert
+ * dat er geen updates verloren gaan en geen ids dubbel uitgedeeld worden
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+const PLAYLISTS_URL = 'http://localhost:3000/api/playlists';
+const ARTISTS_URL = 'http://localhost:3000/api/artists';
+const GENRES_URL = 'http://localhost:3000/api/genres';
+const PARALLEL_REQUESTS = 25;
+
+/**
+ * Headers van de test user (wordt in before ingevuld)
+ * @type {Object}
+ */
+let headers = { 'Content-Type': 'application/json' };
+
+/**
+ * Verstuurt een JSON request en geeft status en body terug
+ * @param {string} url - URL
+ * @param {string} method - HTTP methode
+ * @param {Object} [body] - Request body
+ * @returns {Promise<Object>} Object met status en data
+ */
+const request = async (url, method, body) => {
+  const response = await fetch(url, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, data: await response.json() };
+};
+
+describe('Concurrent mutations', () => {
+  const createdTracks = [];
+  const createdPlaylists = [];
+
+  before(async () => {
+    ({ headers } = await registerUser('stress', 'curator'));
+  });
+
+  after(async () => {
+    for (const id of createdTracks) {
+      await request(`${TRACKS_URL}/${id}`, 'DELETE');
+    }
+    for (const id of createdPlaylists) {
+      await request(`${PLAYLISTS_URL}/${id}`, 'DELETE');
+    }
+
+    // Automatisch aangemaakte artists en genre opruimen
+    const artists = await request(`${ARTISTS_URL}?naam=${encodeURIComponent('Concurrent Artist')}`, 'GET');
+    for (const artist of artists.data.data) {
+      await request(`${ARTISTS_URL}/${artist.id}`, 'DELETE');
+    }
+    const genres = await request(GENRES_URL, 'GET');
+    const genre = genres.data.data.find(g => g.naam === 'Concurrency Test');
+    if (genre) {
+      await request(`${GENRES_URL}/${genre.id}`, 'DELETE');
+    }
+  });
+
+  it('should give parallel track creates unique ids and persist all of them', async () => {
+    const responses = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, (_, i) => request(TRACKS_URL, 'POST', {
+      naam: `Concurrent Track ${i}`,
+      bpm: 100 + i,
+      duur: 200,
+      jaar: 2024,
+      artiesten: [`Concurrent Artist ${i % 3}`],
+      genres: ['Concurrency Test']
+    })));
+
+    responses.forEach(response => assert.strictEqual(response.status, 201));
+    const ids = responses.map(response => response.data.data.id);
+    createdTracks.push(...ids);
+
+    assert.strictEqual(new Set(ids).size, PARALLEL_REQUESTS);
+
+    const { data } = await request(TRACKS_URL, 'GET');
+    const storedIds = data.data.map(track => track.id);
+    ids.forEach(id => assert.ok(storedIds.includes(id), `track ${id} should be stored`));
+    assert.strictEqual(new Set(storedIds).size, storedIds.length);
+  });
+
+  it('should not create duplicate artists when parallel tracks introduce the same artist', async () => {
+    const { data } = await request(`${ARTISTS_URL}?naam=${encodeURIComponent('Concurrent Artist')}`, 'GET');
+    const names = data.data.map(artist => artist.naam).sort();
+
+    assert.deepStrictEqual(names, ['Concurrent Artist 0', 'Concurrent Artist 1', 'Concurrent Artist 2']);
+  });
+
+  it('should give parallel playlist creates unique ids', async () => {
+    const responses = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, (_, i) => request(PLAYLISTS_URL, 'POST', {
+      naam: `Concurrent Playlist ${i}`,
+      beschrijving: 'Stress test',
+      author: 'Tester',
+      visibility: 'public'
+    })));
+
+    responses.forEach(response => assert.strictEqual(response.status, 201));
+    const ids = responses.map(response => response.data.data.id);
+    createdPlaylists.push(...ids);
+
+    assert.strictEqual(new Set(ids).size, PARALLEL_REQUESTS);
+  });
+
+  it('should keep every track added to a playlist by parallel requests', async () => {
+    const playlistId = createdPlaylists[0];
+    const trackIds = createdTracks.slice(0, 10);
+
+    const responses = await Promise.all(trackIds.map(trackId => request(`${PLAYLISTS_URL}/${playlistId}/tracks`, 'POST', {
+      track_ids: [trackId]
+    })));
+
+    responses.forEach(response => assert.strictEqual(response.status, 201));
+
+    const { data } = await request(`${PLAYLISTS_URL}/${playlistId}/tracks`, 'GET');
+    const stored = data.data.map(entry => entry.track.id).sort((a, b) => a - b);
+    assert.deepStrictEqual(stored, [...trackIds].sort((a, b) => a - b));
+  });
+});
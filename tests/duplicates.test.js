@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Tests voor het herkennen van dubbele tracks en het samenvoegen van clusters
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+const { randomSpotifyId } = require('./helpers/spotify');
+
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+const PLAYLISTS_URL = 'http://localhost:3000/api/playlists';
+const TRASH_URL = 'http://localhost:3000/api/trash';
+
+describe('Duplicate tracks', () => {
+  const naam = `Twin Song ${Math.random().toString(36).slice(2, 8)}`;
+  let curator;
+  let admin;
+  let listener;
+  let original;
+  let twin;
+
+  /**
+   * Maakt een track aan
+   * @param {Object} body - Velden die afwijken van de standaard track
+   * @param {string} [query=''] - Query string, bv. '?on_duplicate=reject'
+   * @returns {Promise<Object>} Object met response en data
+   */
+  const createTrack = async (body, query = '') => {
+    const response = await fetch(`${TRACKS_URL}${query}`, {
+      method: 'POST',
+      headers: curator.headers,
+      body: JSON.stringify({ naam, bpm: 100, duur: 200, jaar: 2012, artiesten: ['Twin One', 'Twin Two'], genres: ['Pop'], ...body })
+    });
+    return { response, data: await response.json() };
+  };
+
+  /**
+   * Voegt tracks samen
+   * @param {Object} body - canonical_id, duplicate_ids, tolerance en force
+   * @param {Object} [user=admin] - User uit registerUser
+   * @returns {Promise<Response>} Fetch response
+   */
+  const merge = (body, user = admin) => fetch(`${TRACKS_URL}/duplicates/merge`, {
+    method: 'POST',
+    headers: user.headers,
+    body: JSON.stringify(body)
+  });
+
+  before(async () => {
+    curator = await registerUser('twincur', 'curator');
+    admin = await registerUser('twinadm', 'admin');
+    listener = await registerUser('twinlis');
+  });
+
+  describe('POST /api/tracks', () => {
+    it('should create a new track without warnings', async () => {
+      const { response, data } = await createTrack({});
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.warnings, undefined);
+      original = data.data;
+    });
+
+    it('should warn about a likely duplicate with other casing, spaces and artist order', async () => {
+      const { response, data } = await createTrack({
+        naam: `  ${naam.toUpperCase()} `,
+        duur: 202,
+        artiesten: ['twin two', 'Twin One'],
+        spotify_url: `spotify:track:${randomSpotifyId()}`
+      });
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.warnings[0].code, 'possible_duplicate');
+      assert.deepStrictEqual(data.warnings[0].track_ids, [original.id]);
+      twin = data.data;
+    });
+
+    it('should reject a likely duplicate with on_duplicate=reject', async () => {
+      const { response, data } = await createTrack({ duur: 199 }, '?on_duplicate=reject');
+
+      assert.strictEqual(response.status, 409);
+      assert.strictEqual(data.code, 'duplicate_track');
+      assert.deepStrictEqual(data.track_ids, [original.id, twin.id]);
+      assert.strictEqual((await createTrack({}, '?on_duplicate=ignore')).response.status, 400);
+    });
+
+    it('should not flag a track outside the duration tolerance or by other artists', async () => {
+      const longer = await createTrack({ duur: 260 }, '?on_duplicate=reject');
+      const cover = await createTrack({ artiesten: ['Twin Cover'] }, '?on_duplicate=reject');
+
+      assert.strictEqual(longer.response.status, 201);
+      assert.strictEqual(cover.response.status, 201);
+    });
+
+    it('should report likely duplicates in an import', async () => {
+      const response = await fetch(`${TRACKS_URL}/import`, {
+        method: 'POST',
+        headers: { ...curator.headers, 'Content-Type': 'text/csv' },
+        body: ['naam,bpm,duur,jaar,artiesten,genres', `${naam},100,201,2012,Twin One|Twin Two,Pop`].join('\n')
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.warnings[0].line, 2);
+      assert.strictEqual(data.warnings[0].code, 'possible_duplicate');
+
+      const rejected = await fetch(`${TRACKS_URL}/import?on_duplicate=reject`, {
+        method: 'POST',
+        headers: { ...curator.headers, 'Content-Type': 'text/csv' },
+        body: ['naam,bpm,duur,jaar,artiesten,genres', `${naam},100,201,2012,Twin One|Twin Two,Pop`].join('\n')
+      }).then(r => r.json());
+
+      assert.strictEqual(rejected.imported, 0);
+      assert.strictEqual(rejected.rejected[0].errors[0].code, 'duplicate_track');
+    });
+  });
+
+  describe('GET /api/tracks/duplicates', () => {
+    it('should list the cluster with a suggested canonical track', async () => {
+      const response = await fetch(`${TRACKS_URL}/duplicates?limit=100`, { headers: admin.headers });
+      const data = await response.json();
+      const cluster = data.data.find(item => item.track_ids.includes(original.id));
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.tolerance, 3);
+      assert.strictEqual(cluster.track_ids.length, 3);
+      assert.ok(cluster.track_ids.includes(twin.id));
+      assert.strictEqual(cluster.canonical_id, twin.id);
+    });
+
+    it('should split the cluster with a smaller tolerance', async () => {
+      const data = await fetch(`${TRACKS_URL}/duplicates?tolerance=0&limit=100`, { headers: admin.headers }).then(r => r.json());
+      assert.ok(!data.data.some(item => item.track_ids.includes(original.id) && item.track_ids.includes(twin.id)));
+    });
+
+    it('should require the admin role', async () => {
+      assert.strictEqual((await fetch(`${TRACKS_URL}/duplicates`, { headers: curator.headers })).status, 403);
+      assert.strictEqual((await fetch(`${TRACKS_URL}/duplicates`)).status, 401);
+      assert.strictEqual((await fetch(`${TRACKS_URL}/duplicates?tolerance=-1`, { headers: admin.headers })).status, 400);
+    });
+  });
+
+  describe('POST /api/tracks/duplicates/merge', () => {
+    let playlist;
+    let stranger;
+
+    before(async () => {
+      stranger = (await createTrack({ naam: `${naam} Stranger`, artiesten: ['Twin Stranger'] })).data.data;
+      playlist = (await fetch(PLAYLISTS_URL, {
+        method: 'POST',
+        headers: listener.headers,
+        body: JSON.stringify({ naam: 'Twin Playlist', beschrijving: 'References', visibility: 'private' })
+      }).then(r => r.json())).data;
+
+      await fetch(`${PLAYLISTS_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: listener.headers,
+        body: JSON.stringify({ track_ids: [original.id, stranger.id, twin.id] })
+      });
+    });
+
+    it('should refuse to merge tracks that are not duplicates unless forced', async () => {
+      const response = await merge({ canonical_id: twin.id, duplicate_ids: [stranger.id] });
+
+      assert.strictEqual(response.status, 409);
+      assert.strictEqual((await response.json()).code, 'not_duplicates');
+    });
+
+    it('should validate the body, the ids and the role', async () => {
+      assert.strictEqual((await merge({ canonical_id: twin.id, duplicate_ids: [twin.id] })).status, 400);
+      assert.strictEqual((await merge({ canonical_id: twin.id, duplicate_ids: [] })).status, 400);
+      assert.strictEqual((await merge({ canonical_id: twin.id, duplicate_ids: [999999] })).status, 404);
+      assert.strictEqual((await merge({ canonical_id: twin.id, duplicate_ids: [original.id] }, curator)).status, 403);
+    });
+
+    it('should merge the cluster and rewrite the playlist references', async () => {
+      const response = await merge({ canonical_id: twin.id, duplicate_ids: [original.id] });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.track.id, twin.id);
+      assert.strictEqual(response.headers.get('etag'), `"${twin.version + 1}"`);
+      assert.deepStrictEqual(data.data.merged_ids, [original.id]);
+      assert.deepStrictEqual(data.data.playlist_ids, [playlist.id]);
+
+      assert.strictEqual((await fetch(`${TRACKS_URL}/${original.id}`)).status, 404);
+
+      const entries = await fetch(`${PLAYLISTS_URL}/${playlist.id}/tracks`, { headers: listener.headers }).then(r => r.json());
+      assert.deepStrictEqual(entries.data.map(entry => entry.track.id), [twin.id, stranger.id, twin.id]);
+    });
+
+    it('should keep the merged track in the trash with merged_into and a merge entry in its history', async () => {
+      const trash = await fetch(`${TRASH_URL}?type=track&limit=100`, { headers: admin.headers }).then(r => r.json());
+      const merged = trash.data.find(item => item.id === original.id);
+
+      assert.strictEqual(merged.merged_into, twin.id);
+
+      const history = await fetch(`${TRACKS_URL}/${original.id}/history`, { headers: admin.headers }).then(r => r.json());
+      assert.strictEqual(history.data[0].action, 'merge');
+    });
+
+    it('should merge unrelated tracks with force', async () => {
+      const response = await merge({ canonical_id: twin.id, duplicate_ids: [stranger.id], force: true });
+      assert.strictEqual(response.status, 200);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Tests voor het problem+json formaat van foutresponses (RFC 7807)
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+
+const API_URL = 'http://localhost:3000/api';
+
+describe('Problem details', () => {
+  let curator;
+
+  before(async () => {
+    curator = await registerUser('curator', 'curator');
+  });
+
+  it('should describe unknown routes as problem+json with a request id', async () => {
+    const response = await fetch(`${API_URL}/nothing-here`);
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 404);
+    assert.ok(response.headers.get('content-type').startsWith('application/problem+json'));
+    assert.strictEqual(data.type, 'about:blank');
+    assert.strictEqual(data.title, 'Not Found');
+    assert.strictEqual(data.status, 404);
+    assert.strictEqual(data.code, 'route_not_found');
+    assert.strictEqual(data.instance, '/api/nothing-here');
+    assert.strictEqual(data.request_id, response.headers.get('x-request-id'));
+  });
+
+  it('should reuse the X-Request-Id sent by the client', async () => {
+    const response = await fetch(`${API_URL}/tracks/99999`, { headers: { 'X-Request-Id': 'trace-123' } });
+    const data = await response.json();
+
+    assert.strictEqual(response.headers.get('x-request-id'), 'trace-123');
+    assert.strictEqual(data.request_id, 'trace-123');
+    assert.strictEqual(data.code, 'not_found');
+    assert.strictEqual(data.detail, 'Track 99999 not found');
+  });
+
+  it('should list every validation error with its field path', async () => {
+    const response = await fetch(`${API_URL}/tracks`, {
+      method: 'POST',
+      headers: curator.headers,
+      body: JSON.stringify({ naam: 42, bpm: 'fast', artiesten: [''] })
+    });
+    const data = await response.json();
+    const fields = data.errors.map(error => error.field);
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(data.code, 'validation_failed');
+    assert.ok(['naam', 'bpm', 'duur', 'jaar', 'artiesten.0', 'genres'].every(field => fields.includes(field)));
+    assert.strictEqual(data.errors.find(error => error.field === 'bpm').code, 'number.base');
+  });
+
+  it('should return 400 for malformed JSON bodies', async () => {
+    const response = await fetch(`${API_URL}/tracks`, {
+      method: 'POST',
+      headers: curator.headers,
+      body: '{"naam": "Broken",'
+    });
+    const data = await response.json();
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(data.code, 'invalid_json');
+    assert.ok(data.request_id);
+  });
+
+  it('should use the same format for authentication and authorization errors', async () => {
+    const anonymous = await fetch(`${API_URL}/users`);
+    const listener = await registerUser('listener');
+    const forbidden = await fetch(`${API_URL}/users`, { headers: listener.headers });
+
+    assert.strictEqual((await anonymous.json()).code, 'authentication_required');
+    assert.strictEqual((await forbidden.json()).code, 'insufficient_role');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Tests voor Genres API endpoints
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+
+const BASE_URL = 'http://localhost:3000/api/genres';
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+
+describe('Genres API', () => {
+  let curator;
+
+  before(async () => {
+    curator = await registerUser('curator', 'curator');
+  });
+
+  describe('GET /api/genres', () => {
+    it('should return all genres with parent and track count', async () => {
+      const response = await fetch(BASE_URL);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.success, true);
+
+      const grunge = data.data.find(g => g.naam === 'Grunge');
+      assert.ok(grunge.parent_id);
+      assert.ok(grunge.track_count >= 1);
+    });
+
+    it('should return the genres as a tree', async () => {
+      const response = await fetch(`${BASE_URL}?tree=true`);
+      const data = await response.json();
+
+      const rock = data.data.find(g => g.naam === 'Rock');
+      assert.ok(rock.children.some(g => g.naam === 'Alternative Rock'));
+      assert.ok(data.data.every(g => g.parent_id === null));
+    });
+  });
+
+  describe('GET /api/genres/:id', () => {
+    it('should return 404 for non-existent genre', async () => {
+      const response = await fetch(`${BASE_URL}/99999`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 404);
+      assert.strictEqual(data.code, 'not_found');
+    });
+  });
+
+  describe('POST /api/genres', () => {
+    it('should return 409 for a name that is already an alias', async () => {
+      const response = await fetch(BASE_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: 'rnb' })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 409);
+      assert.ok(data.detail);
+    });
+
+    it('should return 400 for an unknown parent', async () => {
+      const response = await fetch(BASE_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: `Test Genre ${Date.now()}`, parent_id: 99999 })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail);
+    });
+  });
+
+  describe('DELETE /api/genres/:id', () => {
+    it('should return 409 for a genre that is still used by tracks', async () => {
+      const listResponse = await fetch(BASE_URL);
+      const list = await listResponse.json();
+      const pop = list.data.find(g => g.naam === 'Pop');
+
+      const response = await fetch(`${BASE_URL}/${pop.id}`, { method: 'DELETE', headers: curator.headers });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 409);
+      assert.ok(data.detail);
+    });
+
+    it('should delete an unused genre', async () => {
+      const createResponse = await fetch(BASE_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: `Test Genre ${Date.now()}` })
+      });
+      const created = await createResponse.json();
+
+      const response = await fetch(`${BASE_URL}/${created.data.id}`, { method: 'DELETE', headers: curator.headers });
+
+      assert.strictEqual(response.status, 200);
+    });
+  });
+
+  describe('genre normalization on tracks', () => {
+    it('should normalize genre aliases on create', async () => {
+      const response = await fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({
+          naam: 'Test Track',
+          bpm: 120,
+          duur: 180,
+          jaar: 2024,
+          artiesten: ['Test Artist'],
+          genres: ['rnb', ' RnB ', 'pop']
+        })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 201);
+      assert.deepStrictEqual(data.data.genres, ['R&B', 'Pop']);
+    });
+
+    it('should include subgenres when filtering tracks', async () => {
+      const withoutResponse = await fetch(`${TRACKS_URL}?genre=Alternative%20Rock`);
+      const without = await withoutResponse.json();
+      const withResponse = await fetch(`${TRACKS_URL}?genre=Rock&include_subgenres=true`);
+      const withSubgenres = await withResponse.json();
+
+      assert.ok(without.data.every(t => withSubgenres.data.some(w => w.id === t.id)));
+      assert.ok(withSubgenres.data.some(t => t.genres.includes('Grunge')));
+    });
+  });
+
+});
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Gedeelde test helper voor authenticatie
+ * @description Registreert een unieke user en geeft de headers terug om als die user requests te doen.
+ * Rollen worden toegekend via de admin die de server bij het starten aanmaakt: start de server en de
+ * tests met dezelfde MOCKIFY_ADMIN_PASSWORD (en optioneel MOCKIFY_ADMIN_USERNAME).
+ */
+
+const AUTH_URL = 'http://localhost:3000/api/auth';
+const USERS_URL = 'http://localhost:3000/api/users';
+
+/**
+ * Headers van de ingelogde admin (een keer per testbestand ingelogd)
+ * @type {Promise<Object>|null}
+ */
+let adminHeaders = null;
+
+/**
+ * Logt in als de admin uit de environment
+ * @returns {Promise<Object>} Headers (Content-Type + Authorization) van de admin
+ * @throws {Error} Zonder MOCKIFY_ADMIN_PASSWORD
+ */
+const loginAdmin = () => {
+  if (!process.env.MOCKIFY_ADMIN_PASSWORD) {
+    throw new Error('Set MOCKIFY_ADMIN_PASSWORD for the server and the tests to run tests that need an admin');
+  }
+
+  if (!adminHeaders) {
+    adminHeaders = fetch(`${AUTH_URL}/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: process.env.MOCKIFY_ADMIN_USERNAME || 'admin',
+        password: process.env.MOCKIFY_ADMIN_PASSWORD
+      })
+    })
+      .then(response => response.json())
+      .then(data => ({
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${data.data.token}`
+      }));
+  }
+  return adminHeaders;
+};
+
+/**
+ * Registreert een nieuwe user met een unieke username, optioneel met een andere rol dan listener
+ * @param {string} [prefix='tester'] - Begin van de username
+ * @param {string} [role] - Rol om toe te kennen ('admin', 'curator' of 'listener')
+ * @returns {Promise<Object>} Object met user, token en headers (Content-Type + Authorization)
+ */
+const registerUser = async (prefix = 'tester', role) => {
+  const username = `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const response = await fetch(`${AUTH_URL}/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password: 'test-password', naam: `Test ${prefix}` })
+  });
+  const data = await response.json();
+  let user = data.data.user;
+
+  if (role) {
+    const roleResponse = await fetch(`${USERS_URL}/${user.id}/role`, {
+      method: 'PUT',
+      headers: await loginAdmin(),
+      body: JSON.stringify({ role })
+    });
+    user = (await roleResponse.json()).data;
+  }
+
+  return {
+    user,
+    token: data.data.token,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${data.data.token}`
+    }
+  };
+};
+
+module.exports = {
+  loginAdmin,
+  registerUser
+};
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Gedeelde test helper voor Spotify links
+ * @description Spotify IDs zijn uniek over alle tracks, dus elke test run gebruikt nieuwe IDs.
+ */
+
+/**
+ * Tekens van een Spotify ID (base62)
+ * @type {string}
+ */
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Genereert een willekeurige Spotify ID
+ * @returns {string} ID van 22 base62 tekens
+ */
+const randomSpotifyId = () => {
+  return Array.from({ length: 22 }, () => BASE62[Math.floor(Math.random() * BASE62.length)]).join('');
+};
+
+module.exports = {
+  randomSpotifyId
+};
@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Tests voor de audit log, de history endpoints en revert
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+const PLAYLISTS_URL = 'http://localhost:3000/api/playlists';
+const ARTISTS_URL = 'http://localhost:3000/api/artists';
+const TRASH_URL = 'http://localhost:3000/api/trash';
+
+/**
+ * Haalt de history van een record op
+ * @param {string} url - URL van de record, bv. 'http://localhost:3000/api/tracks/1'
+ * @param {Object} user - User uit registerUser
+ * @returns {Promise<Object>} Object met response en data
+ */
+const getHistory = async (url, user) => {
+  const response = await fetch(`${url}/history`, { headers: user.headers });
+  return { response, data: await response.json() };
+};
+
+/**
+ * Zet een record terug naar een revision
+ * @param {string} url - URL van de record
+ * @param {Object} user - User uit registerUser
+ * @param {Object} body - Request body, bv. { revision: 1 }
+ * @param {Object} [headers={}] - Extra headers, bv. If-Match
+ * @returns {Promise<Response>} Fetch response
+ */
+const revert = (url, user, body, headers = {}) => {
+  return fetch(`${url}/revert`, {
+    method: 'POST',
+    headers: { ...user.headers, ...headers },
+    body: JSON.stringify(body)
+  });
+};
+
+describe('Audit log', () => {
+  let curator;
+  let listener;
+
+  before(async () => {
+    curator = await registerUser('auditcur', 'curator');
+    listener = await registerUser('auditlis');
+  });
+
+  describe('tracks', () => {
+    let trackUrl;
+
+    before(async () => {
+      const created = await fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: 'Audit Original', bpm: 90, duur: 200, jaar: 1999, artiesten: ['Audit Artist'], genres: ['Rock'] })
+      }).then(r => r.json());
+      trackUrl = `${TRACKS_URL}/${created.data.id}`;
+
+      await fetch(trackUrl, {
+        method: 'PATCH',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: 'Audit Renamed' })
+      });
+      await fetch(trackUrl, {
+        method: 'PUT',
+        headers: curator.headers,
+        body: JSON.stringify({ id: created.data.id, naam: 'Audit Replaced', bpm: 120, duur: 200, jaar: 1999, artiesten: ['Audit Artist'], genres: ['Pop'] })
+      });
+    });
+
+    it('should record every change with actor, diff and revision, newest first', async () => {
+      const { response, data } = await getHistory(trackUrl, curator);
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(data.data.map(entry => entry.action), ['update', 'patch', 'create']);
+      assert.deepStrictEqual(data.data.map(entry => entry.revision), [3, 2, 1]);
+      assert.strictEqual(data.total, 3);
+
+      const patch = data.data[1];
+      assert.strictEqual(patch.actor.username, curator.user.username);
+      assert.ok(!Number.isNaN(Date.parse(patch.timestamp)));
+      assert.deepStrictEqual(patch.changes, [{ field: 'naam', before: 'Audit Original', after: 'Audit Renamed' }]);
+      assert.strictEqual(patch.before.naam, 'Audit Original');
+      assert.strictEqual(patch.after.naam, 'Audit Renamed');
+
+      const create = data.data[2];
+      assert.strictEqual(create.before, null);
+      assert.ok(create.changes.some(change => change.field === 'naam' && change.before === null));
+    });
+
+    it('should revert a track to an earlier revision as a new revision', async () => {
+      const response = await revert(trackUrl, curator, { revision: 1 });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('etag'), '"4"');
+      assert.strictEqual(data.data.naam, 'Audit Original');
+      assert.strictEqual(data.data.bpm, 90);
+      assert.deepStrictEqual(data.data.genres, ['Rock']);
+      assert.strictEqual(data.data.version, 4);
+
+      const { data: history } = await getHistory(trackUrl, curator);
+      assert.strictEqual(history.data[0].action, 'revert');
+      assert.strictEqual(history.data[0].reverted_to, 1);
+      assert.strictEqual(history.data[0].revision, 4);
+    });
+
+    it('should reject an unknown revision, an invalid body and a stale If-Match', async () => {
+      assert.strictEqual((await revert(trackUrl, curator, { revision: 99 })).status, 404);
+      assert.strictEqual((await revert(trackUrl, curator, { revision: 'first' })).status, 400);
+      assert.strictEqual((await revert(trackUrl, curator, { revision: 2 }, { 'If-Match': '"1"' })).status, 412);
+    });
+
+    it('should record bulk operations and deletes, and keep the history of deleted tracks', async () => {
+      const id = Number(trackUrl.split('/').pop());
+
+      await fetch(`${TRACKS_URL}/bulk`, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ operations: [{ op: 'patch', id, data: { jaar: 2001 } }] })
+      });
+      await fetch(trackUrl, { method: 'DELETE', headers: curator.headers });
+
+      const { response, data } = await getHistory(trackUrl, curator);
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(data.data.slice(0, 2).map(entry => entry.action), ['delete', 'patch']);
+      assert.ok(data.data[0].changes.some(change => change.field === 'deleted_at'));
+      assert.deepStrictEqual(data.data[1].changes, [{ field: 'jaar', before: 1999, after: 2001 }]);
+      assert.strictEqual((await revert(trackUrl, curator, { revision: 1 })).status, 404);
+    });
+
+    it('should require the curator or admin role and return 404 for an unknown track', async () => {
+      assert.strictEqual((await getHistory(trackUrl, listener)).response.status, 403);
+      assert.strictEqual((await fetch(`${trackUrl}/history`)).status, 401);
+      assert.strictEqual((await getHistory(`${TRACKS_URL}/999999`, curator)).response.status, 404);
+    });
+  });
+
+  describe('playlists', () => {
+    let owner;
+    let other;
+    let playlistUrl;
+
+    before(async () => {
+      owner = await registerUser('auditown');
+      other = await registerUser('auditoth');
+
+      const created = await fetch(PLAYLISTS_URL, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ naam: 'Audit Playlist', beschrijving: 'Before', visibility: 'public' })
+      }).then(r => r.json());
+      playlistUrl = `${PLAYLISTS_URL}/${created.data.id}`;
+
+      await fetch(playlistUrl, {
+        method: 'PATCH',
+        headers: owner.headers,
+        body: JSON.stringify({ naam: 'Audit Playlist Renamed', beschrijving: 'After' })
+      });
+    });
+
+    it('should show the history to the owner only', async () => {
+      const { response, data } = await getHistory(playlistUrl, owner);
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(data.data.map(entry => entry.action), ['patch', 'create']);
+      assert.deepStrictEqual(data.data[0].changes.map(change => change.field), ['naam', 'beschrijving']);
+      assert.strictEqual(data.data[0].actor.username, owner.user.username);
+
+      assert.strictEqual((await getHistory(playlistUrl, other)).response.status, 403);
+      assert.strictEqual((await revert(playlistUrl, other, { revision: 1 })).status, 403);
+    });
+
+    it('should revert the playlist fields to an earlier revision', async () => {
+      const response = await revert(playlistUrl, owner, { revision: 1 });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.naam, 'Audit Playlist');
+      assert.strictEqual(data.data.beschrijving, 'Before');
+      assert.strictEqual(data.data.version, 3);
+
+      const { data: history } = await getHistory(playlistUrl, owner);
+      assert.strictEqual(history.data[0].action, 'revert');
+      assert.strictEqual(history.data[0].reverted_to, 1);
+    });
+
+    it('should keep the history of a deleted playlist', async () => {
+      await fetch(playlistUrl, { method: 'DELETE', headers: owner.headers });
+
+      const { response, data } = await getHistory(playlistUrl, owner);
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data[0].action, 'delete');
+      assert.strictEqual((await getHistory(`${PLAYLISTS_URL}/999999`, owner)).response.status, 404);
+    });
+  });
+
+  describe('indirect changes', () => {
+    const suffix = Math.random().toString(36).slice(2, 8);
+    let owner;
+    let track;
+    let playlistUrl;
+
+    before(async () => {
+      owner = await registerUser('auditind');
+      track = (await fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: 'Audit Indirect', bpm: 90, duur: 200, jaar: 1999, artiesten: [`Audit Indirect ${suffix}`], genres: ['Rock'] })
+      }).then(r => r.json())).data;
+
+      const playlist = (await fetch(PLAYLISTS_URL, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ naam: 'Audit Indirect Playlist', beschrijving: 'Tracks', visibility: 'private' })
+      }).then(r => r.json())).data;
+      playlistUrl = `${PLAYLISTS_URL}/${playlist.id}`;
+    });
+
+    it('should record track changes of a playlist, also when a track is deleted or restored', async () => {
+      await fetch(`${playlistUrl}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [track.id, track.id] })
+      });
+      await fetch(`${playlistUrl}/tracks`, {
+        method: 'PUT',
+        headers: owner.headers,
+        body: JSON.stringify({ range_start: 1, insert_before: 0 })
+      });
+      await fetch(`${TRACKS_URL}/${track.id}`, { method: 'DELETE', headers: curator.headers });
+      await fetch(`${TRASH_URL}/tracks/${track.id}/restore`, { method: 'POST', headers: curator.headers });
+
+      const { data } = await getHistory(playlistUrl, owner);
+
+      assert.deepStrictEqual(data.data.map(entry => entry.action), ['add_tracks', 'remove_tracks', 'reorder_tracks', 'add_tracks', 'create']);
+      assert.deepStrictEqual(data.data.map(entry => entry.revision), [5, 4, 3, 2, 1]);
+      assert.strictEqual(data.data[1].actor.username, curator.user.username);
+      assert.deepStrictEqual(data.data[1].changes.map(change => change.field), ['tracks']);
+      assert.strictEqual(data.data[1].after.tracks.length, 0);
+    });
+
+    it('should record a renamed artist in the history of its tracks', async () => {
+      const artistId = track.artiest_ids[0];
+      const response = await fetch(`${ARTISTS_URL}/${artistId}`, {
+        method: 'PUT',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: `Audit Renamed ${suffix}` })
+      });
+
+      assert.strictEqual(response.status, 200);
+
+      const { data } = await getHistory(`${TRACKS_URL}/${track.id}`, curator);
+      const current = await fetch(`${TRACKS_URL}/${track.id}`).then(r => r.json());
+
+      assert.strictEqual(data.data[0].action, 'rename_artist');
+      assert.strictEqual(data.data[0].revision, current.data.version);
+      assert.deepStrictEqual(data.data[0].changes, [{ field: 'artiesten', before: [`Audit Indirect ${suffix}`], after: [`Audit Renamed ${suffix}`] }]);
+    });
+  });
+});
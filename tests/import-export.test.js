@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Tests voor de CSV en NDJSON import en export
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+const PLAYLISTS_URL = 'http://localhost:3000/api/playlists';
+
+/**
+ * Importeert een document als curator
+ * @param {Object} user - User uit registerUser
+ * @param {string} contentType - Content-Type van het document
+ * @param {string} body - CSV of NDJSON document
+ * @returns {Promise<Object>} Object met response en data
+ */
+const importTracks = async (user, contentType, body) => {
+  const response = await fetch(`${TRACKS_URL}/import`, {
+    method: 'POST',
+    headers: { ...user.headers, 'Content-Type': contentType },
+    body
+  });
+  return { response, data: await response.json() };
+};
+
+describe('Import/Export API', () => {
+  let curator;
+
+  before(async () => {
+    curator = await registerUser('importer', 'curator');
+  });
+
+  describe('GET /api/tracks/export', () => {
+    it('should export all tracks as CSV by default', async () => {
+      const response = await fetch(`${TRACKS_URL}/export`);
+      const text = await response.text();
+      const lines = text.trim().split('\r\n');
+      const total = (await fetch(`${TRACKS_URL}?limit=1`).then(r => r.json())).total;
+
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/csv/);
+      assert.match(response.headers.get('content-disposition'), /attachment; filename="tracks.csv"/);
+      assert.strictEqual(lines[0], 'id,naam,bpm,duur,jaar,artiest_ids,artiesten,genres,spotify_url');
+      assert.strictEqual(lines.length, total + 1);
+    });
+
+    it('should respect the list filters and sort', async () => {
+      const response = await fetch(`${TRACKS_URL}/export?format=ndjson&genre=Rock&sort=-jaar`);
+      const tracks = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+      const list = await fetch(`${TRACKS_URL}?genre=Rock&sort=-jaar&limit=100`).then(r => r.json());
+
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^application\/x-ndjson/);
+      assert.deepStrictEqual(tracks.map(t => t.id), list.data.map(t => t.id));
+    });
+
+    it('should return 400 for an unknown format or invalid filter', async () => {
+      assert.strictEqual((await fetch(`${TRACKS_URL}/export?format=xml`)).status, 400);
+      assert.strictEqual((await fetch(`${TRACKS_URL}/export?bpm_min=abc`)).status, 400);
+    });
+  });
+
+  describe('GET /api/playlists/export', () => {
+    it('should export visible playlists with their track ids', async () => {
+      const response = await fetch(`${PLAYLISTS_URL}/export`);
+      const lines = (await response.text()).trim().split('\r\n');
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(lines[0], 'id,naam,beschrijving,author,owner_id,visibility,spotify_url,track_ids');
+      assert.ok(lines.slice(1).every(line => !line.includes(',private,')));
+    });
+  });
+
+  describe('POST /api/tracks/import', () => {
+    it('should import valid CSV rows and report rejected rows with line numbers', async () => {
+      const csv = [
+        'naam,bpm,duur,jaar,artiesten,genres,spotify_url',
+        'Imported One,120,200,2020,Import Artist|Second Import Artist,Pop|Rock,',
+        'Imported Two,abc,200,2020,Import Artist,Pop,',
+        '"Imported, ""Quoted""",100,180,2021,Import Artist,Jazz,',
+        'Too,few,fields',
+        'Imported Three,90,150,2019,,Pop,'
+      ].join('\n');
+
+      const { response, data } = await importTracks(curator, 'text/csv', csv);
+
+      assert.strictEqual(response.status, 207);
+      assert.strictEqual(data.imported, 2);
+      assert.deepStrictEqual(data.data[0].artiesten, ['Import Artist', 'Second Import Artist']);
+      assert.deepStrictEqual(data.data[0].genres, ['Pop', 'Rock']);
+      assert.strictEqual(data.data[0].bpm, 120);
+      assert.strictEqual(data.data[1].naam, 'Imported, "Quoted"');
+      assert.deepStrictEqual(data.rejected.map(row => row.line), [3, 5, 6]);
+      assert.ok(data.rejected[0].errors.some(error => error.field === 'bpm'));
+      assert.strictEqual(data.rejected[1].errors[0].code, 'csv.field_count');
+
+      const stored = await fetch(`${TRACKS_URL}/${data.data[0].id}`);
+      assert.strictEqual(stored.status, 200);
+    });
+
+    it('should import a CSV export again', async () => {
+      const exported = await fetch(`${TRACKS_URL}/export?naam=Imported One`).then(r => r.text());
+      const { response, data } = await importTracks(curator, 'text/csv', exported);
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.imported, 1);
+      assert.deepStrictEqual(data.rejected, []);
+    });
+
+    it('should import NDJSON lines', async () => {
+      const ndjson = [
+        JSON.stringify({ naam: 'NDJSON Track', bpm: 100, duur: 180, jaar: 2022, artiesten: ['Import Artist'], genres: ['Pop'] }),
+        '',
+        '{not json',
+        JSON.stringify({ naam: 'Unknown artist', bpm: 100, duur: 180, jaar: 2022, artiest_ids: [999999], genres: [] })
+      ].join('\n');
+
+      const { response, data } = await importTracks(curator, 'application/x-ndjson', ndjson);
+
+      assert.strictEqual(response.status, 207);
+      assert.strictEqual(data.imported, 1);
+      assert.deepStrictEqual(data.rejected.map(row => row.line), [3, 4]);
+      assert.strictEqual(data.rejected[0].errors[0].code, 'ndjson.syntax');
+      assert.strictEqual(data.rejected[1].errors[0].field, 'artiest_ids');
+    });
+
+    it('should reject unknown CSV columns', async () => {
+      const { response, data } = await importTracks(curator, 'text/csv', 'naam,colour\nTrack,red');
+
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(data.errors[0].field, 'header');
+      assert.ok(data.allowed_columns.includes('artiesten'));
+    });
+
+    it('should return 415 for other content types', async () => {
+      const response = await fetch(`${TRACKS_URL}/import`, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify([])
+      });
+
+      assert.strictEqual(response.status, 415);
+    });
+
+    it('should require the curator or admin role', async () => {
+      const listener = await registerUser('reader');
+      const { response } = await importTracks(listener, 'text/csv', 'naam\nTrack');
+
+      assert.strictEqual(response.status, 403);
+    });
+  });
+});
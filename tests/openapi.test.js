@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Tests voor de gegenereerde OpenAPI specificatie en de documentatiepagina
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+
+const BASE_URL = 'http://localhost:3000';
+
+/**
+ * Somt alle operaties van een OpenAPI document op
+ * @param {Object} document - OpenAPI document
+ * @returns {Array<{method: string, path: string, operation: Object}>} Operaties
+ */
+const listOperations = (document) => {
+  return Object.entries(document.paths).flatMap(([path, methods]) => {
+    return Object.entries(methods).map(([method, operation]) => ({ method, path, operation }));
+  });
+};
+
+describe('OpenAPI API', () => {
+  let document;
+
+  before(async () => {
+    document = await fetch(`${BASE_URL}/api/openapi.json`).then(r => r.json());
+  });
+
+  describe('GET /api/openapi.json', () => {
+    it('should return an OpenAPI 3.1 document', async () => {
+      const response = await fetch(`${BASE_URL}/api/openapi.json`);
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(document.openapi, '3.1.0');
+      assert.strictEqual(document.info.title, 'Mockify API');
+      assert.ok(document.components.schemas.Problem);
+      assert.ok(document.components.securitySchemes.bearerAuth);
+    });
+
+    it('should document every registered route', () => {
+      const undocumented = listOperations(document)
+        .filter(({ operation }) => operation['x-undocumented'])
+        .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+
+      assert.deepStrictEqual(undocumented, [], `Routes without documentation: ${undocumented.join(', ')}`);
+    });
+
+    it('should document a schema for every request body', () => {
+      const missing = listOperations(document)
+        .filter(({ operation }) => operation.requestBody)
+        .filter(({ operation }) => {
+          return Object.values(operation.requestBody.content).some(media => !media.schema || (!media.schema.type && !media.schema.anyOf));
+        })
+        .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+
+      assert.deepStrictEqual(missing, [], `Routes without a body schema: ${missing.join(', ')}`);
+    });
+
+    it('should include every resource listed by the root endpoint', async () => {
+      const root = await fetch(`${BASE_URL}/`).then(r => r.json());
+      const paths = Object.keys(document.paths);
+      const resources = Object.values(root.endpoints).filter(endpoint => !['/api/openapi.json', '/api/docs'].includes(endpoint));
+
+      resources.forEach(endpoint => {
+        assert.ok(paths.some(path => path === endpoint || path.startsWith(`${endpoint}/`)), `No paths for ${endpoint}`);
+      });
+    });
+
+    it('should convert the Joi schemas of bodies and query parameters', () => {
+      const create = document.paths['/api/tracks'].post;
+      const body = create.requestBody.content['application/json'].schema;
+      const query = Object.fromEntries(document.paths['/api/tracks'].get.parameters.map(param => [param.name, param]));
+
+      assert.deepStrictEqual(body.required, ['naam', 'bpm', 'duur', 'jaar', 'genres']);
+      assert.strictEqual(body.properties.bpm.type, 'integer');
+      assert.strictEqual(body.additionalProperties, false);
+      assert.deepStrictEqual(create.security, [{ bearerAuth: [] }]);
+      assert.ok(create.responses['403']);
+
+      assert.deepStrictEqual(query.limit.schema, { type: 'integer', minimum: 1, maximum: 100 });
+      assert.deepStrictEqual(query.genre_match.schema, { enum: ['any', 'all'], default: 'any' });
+      assert.strictEqual(query.bpm_min.in, 'query');
+    });
+
+    it('should use path parameters and the PATCH content types', () => {
+      const patch = document.paths['/api/playlists/{id}'].patch;
+
+      assert.deepStrictEqual(patch.parameters[0], { name: 'id', in: 'path', required: true, schema: { type: 'integer' } });
+      assert.ok(patch.parameters.some(param => param.name === 'If-Match' && param.in === 'header'));
+      assert.deepStrictEqual(Object.keys(patch.requestBody.content).sort(), [
+        'application/json',
+        'application/json-patch+json',
+        'application/merge-patch+json'
+      ]);
+      assert.strictEqual(patch.requestBody.content['application/json-patch+json'].schema.type, 'array');
+    });
+  });
+
+  describe('GET /api/docs', () => {
+    it('should serve an interactive documentation page for the specification', async () => {
+      const response = await fetch(`${BASE_URL}/api/docs`);
+      const html = await response.text();
+
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/html/);
+      assert.ok(html.includes('/api/openapi.json'));
+    });
+  });
+});
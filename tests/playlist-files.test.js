@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Tests voor de export en import van playlists als M3U8, XSPF en JSPF
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+const { randomSpotifyId } = require('./helpers/spotify');
+
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+const PLAYLISTS_URL = 'http://localhost:3000/api/playlists';
+const SPOTIFY_URL = `https://open.spotify.com/track/${randomSpotifyId()}`;
+
+/**
+ * Importeert een playlist bestand
+ * @param {Object} user - User uit registerUser
+ * @param {string} contentType - Content-Type van het bestand
+ * @param {string} body - Playlist bestand
+ * @param {string} [query=''] - Query string, bv. '?visibility=public'
+ * @returns {Promise<Object>} Object met response en data
+ */
+const importFile = async (user, contentType, body, query = '') => {
+  const response = await fetch(`${PLAYLISTS_URL}/import${query}`, {
+    method: 'POST',
+    headers: { ...user.headers, 'Content-Type': contentType },
+    body
+  });
+  return { response, data: await response.json() };
+};
+
+describe('Playlist files API', () => {
+  let owner;
+  let tracks;
+  let playlist;
+
+  before(async () => {
+    owner = await registerUser('player', 'curator');
+
+    const created = await fetch(`${TRACKS_URL}/bulk`, {
+      method: 'POST',
+      headers: owner.headers,
+      body: JSON.stringify({
+        operations: [
+          { op: 'create', data: { naam: 'Rock & <Roll> File', bpm: 120, duur: 201, jaar: 1990, artiesten: ['File Band', 'File Guest'], genres: ['Rock'], spotify_url: SPOTIFY_URL } },
+          { op: 'create', data: { naam: 'Quiet File Song', bpm: 80, duur: 95, jaar: 2001, artiesten: ['File Singer'], genres: ['Pop'] } }
+        ]
+      })
+    }).then(r => r.json());
+    tracks = created.data.map(item => item.data);
+
+    playlist = (await fetch(PLAYLISTS_URL, {
+      method: 'POST',
+      headers: owner.headers,
+      body: JSON.stringify({ naam: 'Road "Trip"', beschrijving: 'Songs for the road', visibility: 'public' })
+    }).then(r => r.json())).data;
+
+    await fetch(`${PLAYLISTS_URL}/${playlist.id}/tracks`, {
+      method: 'POST',
+      headers: owner.headers,
+      body: JSON.stringify({ track_ids: [tracks[1].id, tracks[0].id] })
+    });
+  });
+
+  describe('GET /api/playlists/:id/export', () => {
+    it('should export M3U8 by default', async () => {
+      const response = await fetch(`${PLAYLISTS_URL}/${playlist.id}/export`);
+      const lines = (await response.text()).trim().split('\n');
+
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^application\/vnd\.apple\.mpegurl/);
+      assert.match(response.headers.get('content-disposition'), new RegExp(`playlist-${playlist.id}\\.m3u8`));
+      assert.deepStrictEqual(lines, [
+        '#EXTM3U',
+        '#PLAYLIST:Road "Trip"',
+        '#EXTINF:95,File Singer - Quiet File Song',
+        `mockify:track:${tracks[1].id}`,
+        '#EXTINF:201,File Band, File Guest - Rock & <Roll> File',
+        SPOTIFY_URL
+      ]);
+    });
+
+    it('should export XSPF with escaped text and durations in milliseconds', async () => {
+      const response = await fetch(`${PLAYLISTS_URL}/${playlist.id}/export?format=xspf`);
+      const xml = await response.text();
+
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^application\/xspf\+xml/);
+      assert.ok(xml.includes('<title>Road &quot;Trip&quot;</title>'));
+      assert.ok(xml.includes('<title>Rock &amp; &lt;Roll&gt; File</title>'));
+      assert.ok(xml.includes('<duration>201000</duration>'));
+      assert.ok(xml.includes(`<location>${SPOTIFY_URL}</location>`));
+    });
+
+    it('should export JSPF', async () => {
+      const response = await fetch(`${PLAYLISTS_URL}/${playlist.id}/export?format=jspf`);
+      const jspf = JSON.parse(await response.text());
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(jspf.playlist.title, 'Road "Trip"');
+      assert.strictEqual(jspf.playlist.annotation, 'Songs for the road');
+      assert.deepStrictEqual(jspf.playlist.track[1], {
+        location: [SPOTIFY_URL],
+        title: 'Rock & <Roll> File',
+        creator: 'File Band, File Guest',
+        duration: 201000
+      });
+    });
+
+    it('should return 400 for an unknown format and 404 for an unknown playlist', async () => {
+      assert.strictEqual((await fetch(`${PLAYLISTS_URL}/${playlist.id}/export?format=pls`)).status, 400);
+      assert.strictEqual((await fetch(`${PLAYLISTS_URL}/999999/export`)).status, 404);
+    });
+  });
+
+  describe('POST /api/playlists/import', () => {
+    for (const [format, contentType] of [
+      ['m3u8', 'application/vnd.apple.mpegurl'],
+      ['xspf', 'application/xspf+xml'],
+      ['jspf', 'application/jspf+json']
+    ]) {
+      it(`should import a ${format} export as a new playlist of the user`, async () => {
+        const file = await fetch(`${PLAYLISTS_URL}/${playlist.id}/export?format=${format}`).then(r => r.text());
+        const { response, data } = await importFile(owner, contentType, file);
+
+        assert.strictEqual(response.status, 201);
+        assert.strictEqual(data.data.naam, 'Road "Trip"');
+        assert.strictEqual(data.data.owner_id, owner.user.id);
+        assert.strictEqual(data.data.visibility, 'private');
+        assert.deepStrictEqual(data.data.tracks.map(entry => entry.track_id), [tracks[1].id, tracks[0].id]);
+        assert.strictEqual(data.matched, 2);
+        assert.deepStrictEqual(data.unmatched, []);
+        assert.ok(response.headers.get('etag'));
+      });
+    }
+
+    it('should report entries that match no track', async () => {
+      const m3u8 = [
+        '#EXTM3U',
+        '#EXTINF:95,Someone Else - Quiet File Song',
+        'https://example.com/a.mp3',
+        '#EXTINF:100,File Singer - Quiet File Song',
+        'https://example.com/b.mp3',
+        'https://example.com/no-info.mp3'
+      ].join('\r\n');
+
+      const { response, data } = await importFile(owner, 'audio/x-mpegurl', m3u8, '?visibility=public');
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.data.naam, 'Imported playlist');
+      assert.strictEqual(data.data.visibility, 'public');
+      assert.deepStrictEqual(data.data.tracks.map(entry => entry.track_id), [tracks[1].id]);
+      assert.deepStrictEqual(data.unmatched.map(entry => entry.position), [0, 2]);
+      assert.strictEqual(data.unmatched[0].creator, 'Someone Else');
+    });
+
+    it('should make the user the author and adder, whatever creator the file names', async () => {
+      const jspf = JSON.stringify({
+        playlist: {
+          title: 'Borrowed Playlist',
+          creator: 'Someone Famous',
+          track: [{ title: 'Quiet File Song', creator: 'File Singer' }]
+        }
+      });
+
+      const { response, data } = await importFile(owner, 'application/jspf+json', jspf);
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.data.author, owner.user.naam);
+      assert.strictEqual(data.data.tracks[0].added_by, owner.user.naam);
+    });
+
+    it('should import XSPF with namespace prefixes and CDATA', async () => {
+      const xspf = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xspf:playlist version="1" xmlns:xspf="http://xspf.org/ns/0/">',
+        '  <xspf:title><![CDATA[Rock & <Roll> Mix]]></xspf:title>',
+        '  <xspf:trackList>',
+        '    <xspf:track>',
+        '      <xspf:title><![CDATA[Rock & <Roll> File]]></xspf:title>',
+        '      <xspf:creator>File Band</xspf:creator>',
+        '    </xspf:track>',
+        '  </xspf:trackList>',
+        '</xspf:playlist>'
+      ].join('\n');
+
+      const { response, data } = await importFile(owner, 'application/xspf+xml', xspf);
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.data.naam, 'Rock & <Roll> Mix');
+      assert.deepStrictEqual(data.data.tracks.map(entry => entry.track_id), [tracks[0].id]);
+    });
+
+    it('should only read the direct children of an XSPF track, also next to self-closing elements', async () => {
+      const xspf = [
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        '  <title>Direct Children</title>',
+        '  <trackList>',
+        '    <track>',
+        '      <location/>',
+        '      <extension application="https://example.com/app"><title>Rock &amp; &lt;Roll&gt; File</title></extension>',
+        '      <title>Quiet File Song</title>',
+        '      <creator>File Singer</creator>',
+        '    </track>',
+        '    <track>',
+        '      <extension application="https://example.com/app"><title>Quiet File Song</title></extension>',
+        '      <title>Unknown File Song</title>',
+        '      <location />',
+        '    </track>',
+        '  </trackList>',
+        '</playlist>'
+      ].join('\n');
+
+      const { response, data } = await importFile(owner, 'application/xspf+xml', xspf);
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.data.naam, 'Direct Children');
+      assert.deepStrictEqual(data.data.tracks.map(entry => entry.track_id), [tracks[1].id]);
+      assert.deepStrictEqual(data.unmatched, [{ position: 1, title: 'Unknown File Song', creator: null, location: null }]);
+    });
+
+    it('should return 400 for an invalid file', async () => {
+      for (const xspf of ['<html></html>', '<playlist version="1"><title>Open</playlist>']) {
+        const { response, data } = await importFile(owner, 'application/xspf+xml', xspf);
+
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(data.errors[0].code, 'playlist.parse');
+      }
+    });
+
+    it('should return 415 for other content types', async () => {
+      const { response } = await importFile(owner, 'text/plain', '#EXTM3U');
+      assert.strictEqual(response.status, 415);
+    });
+
+    it('should require authentication', async () => {
+      const response = await fetch(`${PLAYLISTS_URL}/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/vnd.apple.mpegurl' },
+        body: '#EXTM3U'
+      });
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+});
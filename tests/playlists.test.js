@@ -3,12 +3,31 @@
  * @description Gebruikt Node.js ingebouwde test runner
  */
 
-const { describe, it } = require('node:test');
+const { describe, it, before } = require('node:test');
 const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
 
 const BASE_URL = 'http://localhost:3000/api/playlists';
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
 
 describe('Playlists API', () => {
+  let owner;
+  let ownPlaylist;
+
+  before(async () => {
+    owner = await registerUser('owner', 'curator');
+
+    const response = await fetch(BASE_URL, {
+      method: 'POST',
+      headers: owner.headers,
+      body: JSON.stringify({
+        naam: 'Owned Playlist',
+        beschrijving: 'Test beschrijving',
+        visibility: 'public'
+      })
+    });
+    ownPlaylist = (await response.json()).data;
+  });
 
   describe('GET /api/playlists', () => {
     it('should return all playlists with success status', async () => {
@@ -42,14 +61,99 @@ describe('Playlists API', () => {
     });
   });
 
+  describe('GET /api/playlists multi-field sorting', () => {
+    it('should sort on author and then descending naam', async () => {
+      const response = await fetch(`${BASE_URL}?sort=author,-naam`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      for (let i = 1; i < data.data.length; i++) {
+        const prev = data.data[i - 1];
+        const curr = data.data[i];
+        assert.ok(prev.author.localeCompare(curr.author) <= 0);
+        if (prev.author === curr.author) {
+          assert.ok(prev.naam.localeCompare(curr.naam) >= 0);
+        }
+      }
+    });
+
+    it('should return 400 with the allowed fields for an unknown field', async () => {
+      const response = await fetch(`${BASE_URL}?sort=bpm`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.deepStrictEqual(data.allowed_fields, ['id', 'naam', 'author', 'visibility', 'created_at', 'updated_at']);
+    });
+  });
+
+  describe('GET /api/playlists pagination', () => {
+    it('should return a page with total and next/previous links', async () => {
+      const response = await fetch(`${BASE_URL}?limit=2&offset=2`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.count, 2);
+      assert.ok(data.total >= 4);
+      assert.ok(data.previous.includes('offset=0'));
+      assert.ok(response.headers.get('link').includes('rel="prev"'));
+    });
+
+    it('should combine paging with the visibility filter', async () => {
+      const response = await fetch(`${BASE_URL}?visibility=public&limit=3`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(data.data.length <= 3);
+      assert.ok(data.data.every(p => p.visibility === 'public'));
+    });
+
+    it('should return 400 when offset and cursor are combined', async () => {
+      const response = await fetch(`${BASE_URL}?offset=1&cursor=abc`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail);
+    });
+  });
+
+  describe('GET /api/playlists sparse fieldsets', () => {
+    it('should project nested track entries', async () => {
+      const response = await fetch(`${BASE_URL}/2?fields=naam,tracks.track_id`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(Object.keys(data.data), ['naam', 'tracks']);
+      data.data.tracks.forEach(entry => assert.deepStrictEqual(Object.keys(entry), ['track_id']));
+    });
+
+    it('should project embedded tracks of a playlist', async () => {
+      const response = await fetch(`${BASE_URL}/2/tracks?fields=position,track.naam`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      data.data.forEach(item => {
+        assert.deepStrictEqual(Object.keys(item), ['position', 'track']);
+        assert.deepStrictEqual(Object.keys(item.track), ['naam']);
+      });
+    });
+
+    it('should return 400 for unknown fields', async () => {
+      const response = await fetch(`${BASE_URL}?fields=naam,tracks.bpm`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail.includes('tracks.bpm'));
+    });
+  });
+
   describe('GET /api/playlists/:id', () => {
     it('should return a playlist by id', async () => {
-      const response = await fetch(`${BASE_URL}/1`);
+      const response = await fetch(`${BASE_URL}/2`);
       const data = await response.json();
 
       assert.strictEqual(response.status, 200);
       assert.strictEqual(data.success, true);
-      assert.strictEqual(data.data.id, 1);
+      assert.strictEqual(data.data.id, 2);
     });
 
     it('should return 404 for non-existent playlist', async () => {
@@ -57,7 +161,7 @@ describe('Playlists API', () => {
       const data = await response.json();
 
       assert.strictEqual(response.status, 404);
-      assert.deepStrictEqual(data, {});
+      assert.strictEqual(data.code, 'not_found');
     });
   });
 
@@ -72,7 +176,7 @@ describe('Playlists API', () => {
 
       const response = await fetch(BASE_URL, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: owner.headers,
         body: JSON.stringify(newPlaylist)
       });
       const data = await response.json();
@@ -90,13 +194,13 @@ describe('Playlists API', () => {
 
       const response = await fetch(BASE_URL, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: owner.headers,
         body: JSON.stringify(invalidPlaylist)
       });
       const data = await response.json();
 
       assert.strictEqual(response.status, 400);
-      assert.ok(data.error);
+      assert.ok(data.detail);
     });
 
     it('should return 400 for invalid visibility value', async () => {
@@ -109,20 +213,20 @@ describe('Playlists API', () => {
 
       const response = await fetch(BASE_URL, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: owner.headers,
         body: JSON.stringify(invalidPlaylist)
       });
       const data = await response.json();
 
       assert.strictEqual(response.status, 400);
-      assert.ok(data.error);
+      assert.ok(data.detail);
     });
   });
 
   describe('PUT /api/playlists/:id', () => {
     it('should update a playlist with valid data', async () => {
       const updatedPlaylist = {
-        id: 1,
+        id: ownPlaylist.id,
         naam: 'Updated Playlist',
         beschrijving: 'Updated beschrijving',
         author: 'Updated Author',
@@ -130,9 +234,9 @@ describe('Playlists API', () => {
         spotify_url: ''
       };
 
-      const response = await fetch(`${BASE_URL}/1`, {
+      const response = await fetch(`${BASE_URL}/${ownPlaylist.id}`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: owner.headers,
         body: JSON.stringify(updatedPlaylist)
       });
       const data = await response.json();
@@ -142,6 +246,18 @@ describe('Playlists API', () => {
       assert.strictEqual(data.data.naam, 'Updated Playlist');
     });
 
+    it('should keep the author when the body has none', async () => {
+      const response = await fetch(`${BASE_URL}/${ownPlaylist.id}`, {
+        method: 'PUT',
+        headers: owner.headers,
+        body: JSON.stringify({ id: ownPlaylist.id, naam: 'Updated Playlist', beschrijving: 'No author', visibility: 'private' })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.author, 'Updated Author');
+    });
+
     it('should return 404 for non-existent playlist', async () => {
       const playlist = {
         id: 99999,
@@ -153,13 +269,13 @@ describe('Playlists API', () => {
 
       const response = await fetch(`${BASE_URL}/99999`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: owner.headers,
         body: JSON.stringify(playlist)
       });
       const data = await response.json();
 
       assert.strictEqual(response.status, 404);
-      assert.deepStrictEqual(data, {});
+      assert.strictEqual(data.code, 'not_found');
     });
 
     it('should return 400 for missing id in body', async () => {
@@ -170,23 +286,23 @@ describe('Playlists API', () => {
         visibility: 'public'
       };
 
-      const response = await fetch(`${BASE_URL}/1`, {
+      const response = await fetch(`${BASE_URL}/${ownPlaylist.id}`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: owner.headers,
         body: JSON.stringify(playlistWithoutId)
       });
       const data = await response.json();
 
       assert.strictEqual(response.status, 400);
-      assert.ok(data.error);
+      assert.ok(data.detail);
     });
   });
 
   describe('PATCH /api/playlists/:id', () => {
     it('should partially update a playlist', async () => {
-      const response = await fetch(`${BASE_URL}/1`, {
+      const response = await fetch(`${BASE_URL}/${ownPlaylist.id}`, {
         method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
+        headers: owner.headers,
         body: JSON.stringify({ naam: 'Patched Playlist' })
       });
       const data = await response.json();
@@ -196,30 +312,441 @@ describe('Playlists API', () => {
       assert.strictEqual(data.data.naam, 'Patched Playlist');
     });
 
+    it('should reject invalid values instead of ignoring them', async () => {
+      const response = await fetch(`${BASE_URL}/${ownPlaylist.id}`, {
+        method: 'PATCH',
+        headers: owner.headers,
+        body: JSON.stringify({ visibility: 'banana' })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(data.detail, '"visibility" must be one of [public, private]');
+    });
+
+    it('should apply a JSON Patch', async () => {
+      const response = await fetch(`${BASE_URL}/${ownPlaylist.id}`, {
+        method: 'PATCH',
+        headers: { ...owner.headers, 'Content-Type': 'application/json-patch+json' },
+        body: JSON.stringify([{ op: 'replace', path: '/beschrijving', value: 'Patched with JSON Patch' }])
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.beschrijving, 'Patched with JSON Patch');
+    });
+
     it('should return 404 for non-existent playlist', async () => {
       const response = await fetch(`${BASE_URL}/99999`, {
         method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
+        headers: owner.headers,
         body: JSON.stringify({ naam: 'Test' })
       });
       const data = await response.json();
 
       assert.strictEqual(response.status, 404);
-      assert.deepStrictEqual(data, {});
+      assert.strictEqual(data.code, 'not_found');
     });
   });
 
   describe('DELETE /api/playlists/:id', () => {
     it('should return 404 for non-existent playlist', async () => {
       const response = await fetch(`${BASE_URL}/99999`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        headers: owner.headers
       });
       const data = await response.json();
 
       assert.strictEqual(response.status, 404);
-      assert.deepStrictEqual(data, {});
+      assert.strictEqual(data.code, 'not_found');
     });
   });
 
-});
+  describe('/api/playlists/:id/tracks', () => {
+    const createPlaylist = async () => {
+      const response = await fetch(BASE_URL, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({
+          naam: 'Test Playlist Tracks',
+          beschrijving: 'Test beschrijving',
+          author: 'Test Author',
+          visibility: 'public'
+        })
+      });
+      const data = await response.json();
+      return data.data;
+    };
+
+    const createTrack = async () => {
+      const response = await fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({
+          naam: 'Test Track',
+          bpm: 120,
+          duur: 180,
+          jaar: 2024,
+          artiesten: ['Test Artist'],
+          genres: ['Test Genre']
+        })
+      });
+      const data = await response.json();
+      return data.data;
+    };
+
+    it('should add tracks and return them as full track objects', async () => {
+      const playlist = await createPlaylist();
+
+      const response = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [2, 3] })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.count, 2);
+      assert.strictEqual(data.data[0].track.id, 2);
+      assert.strictEqual(data.data[0].added_by, owner.user.naam);
+      assert.ok(data.data[0].added_at);
+
+      const listResponse = await fetch(`${BASE_URL}/${playlist.id}/tracks`);
+      const listData = await listResponse.json();
+
+      assert.strictEqual(listResponse.status, 200);
+      assert.deepStrictEqual(listData.data.map(item => item.track.id), [2, 3]);
+    });
+
+    it('should insert tracks at a given position', async () => {
+      const playlist = await createPlaylist();
+
+      await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [2, 3] })
+      });
+      const response = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [4], position: 1 })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 201);
+      assert.deepStrictEqual(data.data.map(item => item.track.id), [2, 4, 3]);
+    });
 
+    it('should record the user who adds the tracks as added_by', async () => {
+      const playlist = await createPlaylist();
+
+      const response = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [2] })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.data[0].added_by, owner.user.naam);
+
+      const forged = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [3], added_by: 'Someone Else' })
+      });
+      assert.strictEqual(forged.status, 400);
+    });
+
+    it('should reorder a range of tracks', async () => {
+      const playlist = await createPlaylist();
+
+      await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [2, 3, 4, 5] })
+      });
+      const response = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'PUT',
+        headers: owner.headers,
+        body: JSON.stringify({ range_start: 0, range_length: 2, insert_before: 4 })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(data.data.map(item => item.track.id), [4, 5, 2, 3]);
+    });
+
+    it('should remove tracks by id', async () => {
+      const playlist = await createPlaylist();
+
+      await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [2, 3, 2] })
+      });
+      const response = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'DELETE',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [2] })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(data.data.map(item => item.track.id), [3]);
+    });
+
+    it('should return 400 for unknown track ids', async () => {
+      const playlist = await createPlaylist();
+
+      const response = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [99999] })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail);
+    });
+
+    it('should return 404 for non-existent playlist', async () => {
+      const response = await fetch(`${BASE_URL}/99999/tracks`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 404);
+      assert.strictEqual(data.code, 'not_found');
+    });
+
+    it('should remove a deleted track from playlists', async () => {
+      const playlist = await createPlaylist();
+      const track = await createTrack();
+
+      await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [track.id, 2] })
+      });
+      await fetch(`${TRACKS_URL}/${track.id}`, { method: 'DELETE', headers: owner.headers });
+
+      const response = await fetch(`${BASE_URL}/${playlist.id}/tracks`);
+      const data = await response.json();
+
+      assert.deepStrictEqual(data.data.map(item => item.track.id), [2]);
+    });
+  });
+
+  describe('Optimistic concurrency (ETag / If-Match)', () => {
+    const createPlaylist = async () => {
+      const response = await fetch(BASE_URL, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({
+          naam: 'Versioned Playlist',
+          beschrijving: 'Test beschrijving',
+          author: 'Test Author',
+          visibility: 'public'
+        })
+      });
+      const data = await response.json();
+      return data.data;
+    };
+
+    it('should return the version as ETag', async () => {
+      const playlist = await createPlaylist();
+      const response = await fetch(`${BASE_URL}/${playlist.id}`);
+
+      assert.strictEqual(playlist.version, 1);
+      assert.strictEqual(response.headers.get('etag'), '"1"');
+    });
+
+    it('should reject the second of two editors with 412', async () => {
+      const playlist = await createPlaylist();
+      const etag = (await fetch(`${BASE_URL}/${playlist.id}`)).headers.get('etag');
+
+      const first = await fetch(`${BASE_URL}/${playlist.id}`, {
+        method: 'PATCH',
+        headers: { ...owner.headers, 'If-Match': etag },
+        body: JSON.stringify({ naam: 'Editor One' })
+      });
+      const second = await fetch(`${BASE_URL}/${playlist.id}`, {
+        method: 'PATCH',
+        headers: { ...owner.headers, 'If-Match': etag },
+        body: JSON.stringify({ naam: 'Editor Two' })
+      });
+      const data = await second.json();
+
+      assert.strictEqual(first.status, 200);
+      assert.strictEqual(second.status, 412);
+      assert.strictEqual(data.data.naam, 'Editor One');
+      assert.strictEqual(second.headers.get('etag'), '"2"');
+    });
+
+    it('should bump the version when tracks are added', async () => {
+      const playlist = await createPlaylist();
+
+      await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [2] })
+      });
+      const response = await fetch(`${BASE_URL}/${playlist.id}`);
+      const data = await response.json();
+
+      assert.strictEqual(data.data.version, 2);
+      assert.strictEqual(response.headers.get('etag'), '"2"');
+    });
+
+    it('should honour If-Match when reordering or removing tracks', async () => {
+      const playlist = await createPlaylist();
+      const added = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: { ...owner.headers, 'If-Match': '"1"' },
+        body: JSON.stringify({ track_ids: [2, 3] })
+      });
+      assert.strictEqual(added.headers.get('etag'), '"2"');
+
+      const reorder = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'PUT',
+        headers: { ...owner.headers, 'If-Match': '"1"' },
+        body: JSON.stringify({ range_start: 0, insert_before: 2 })
+      });
+      const remove = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'DELETE',
+        headers: { ...owner.headers, 'If-Match': '"1"' },
+        body: JSON.stringify({ track_ids: [2] })
+      });
+
+      assert.strictEqual(reorder.status, 412);
+      assert.strictEqual(remove.status, 412);
+      assert.strictEqual(remove.headers.get('etag'), '"2"');
+
+      const reordered = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'PUT',
+        headers: { ...owner.headers, 'If-Match': '"2"' },
+        body: JSON.stringify({ range_start: 0, insert_before: 2 })
+      });
+      assert.strictEqual(reordered.status, 200);
+      assert.strictEqual(reordered.headers.get('etag'), '"3"');
+    });
+
+    it('should not bump the version when no track is removed', async () => {
+      const playlist = await createPlaylist();
+
+      const response = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'DELETE',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [2] })
+      });
+      const stored = await fetch(`${BASE_URL}/${playlist.id}`).then(r => r.json());
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('etag'), '"1"');
+      assert.strictEqual(stored.data.version, 1);
+    });
+  });
+
+  describe('Ownership and visibility', () => {
+    let other;
+
+    before(async () => {
+      other = await registerUser('other');
+    });
+
+    const createOwnedPlaylist = async (visibility) => {
+      const response = await fetch(BASE_URL, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({
+          naam: `Owned ${visibility} Playlist`,
+          beschrijving: 'Test beschrijving',
+          visibility
+        })
+      });
+      const data = await response.json();
+      return data.data;
+    };
+
+    it('should require a token to create a playlist', async () => {
+      const response = await fetch(BASE_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ naam: 'Anonymous', beschrijving: 'Test', visibility: 'public' })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual(response.headers.get('www-authenticate'), 'Bearer');
+      assert.ok(data.detail);
+    });
+
+    it('should make the authenticated user the owner', async () => {
+      const playlist = await createOwnedPlaylist('public');
+
+      assert.strictEqual(playlist.owner_id, owner.user.id);
+      assert.strictEqual(playlist.author, owner.user.naam);
+    });
+
+    it('should only let the owner modify or delete a playlist', async () => {
+      const playlist = await createOwnedPlaylist('public');
+
+      const patch = await fetch(`${BASE_URL}/${playlist.id}`, {
+        method: 'PATCH',
+        headers: other.headers,
+        body: JSON.stringify({ naam: 'Hijacked' })
+      });
+      const remove = await fetch(`${BASE_URL}/${playlist.id}`, {
+        method: 'DELETE',
+        headers: other.headers
+      });
+      const addTracks = await fetch(`${BASE_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: other.headers,
+        body: JSON.stringify({ track_ids: [2] })
+      });
+      const anonymous = await fetch(`${BASE_URL}/${playlist.id}`, { method: 'DELETE' });
+
+      assert.strictEqual(patch.status, 403);
+      assert.ok((await patch.json()).detail);
+      assert.strictEqual(remove.status, 403);
+      assert.strictEqual(addTracks.status, 403);
+      assert.strictEqual(anonymous.status, 401);
+
+      const ownDelete = await fetch(`${BASE_URL}/${playlist.id}`, {
+        method: 'DELETE',
+        headers: owner.headers
+      });
+      assert.strictEqual(ownDelete.status, 200);
+    });
+
+    it('should hide private playlists from everyone but the owner', async () => {
+      const playlist = await createOwnedPlaylist('private');
+
+      const anonymousList = await (await fetch(BASE_URL)).json();
+      const otherList = await (await fetch(BASE_URL, { headers: other.headers })).json();
+      const ownerList = await (await fetch(BASE_URL, { headers: owner.headers })).json();
+
+      assert.ok(!anonymousList.data.some(p => p.id === playlist.id));
+      assert.ok(!otherList.data.some(p => p.id === playlist.id));
+      assert.ok(ownerList.data.some(p => p.id === playlist.id));
+
+      assert.strictEqual((await fetch(`${BASE_URL}/${playlist.id}`)).status, 404);
+      assert.strictEqual((await fetch(`${BASE_URL}/${playlist.id}`, { headers: other.headers })).status, 404);
+      assert.strictEqual((await fetch(`${BASE_URL}/${playlist.id}/tracks`, { headers: other.headers })).status, 404);
+      assert.strictEqual((await fetch(`${BASE_URL}/${playlist.id}`, { headers: owner.headers })).status, 200);
+    });
+
+    it('should return 404 instead of 403 when modifying a private playlist of another user', async () => {
+      const playlist = await createOwnedPlaylist('private');
+
+      const response = await fetch(`${BASE_URL}/${playlist.id}`, {
+        method: 'PATCH',
+        headers: other.headers,
+        body: JSON.stringify({ naam: 'Hijacked' })
+      });
+
+      assert.strictEqual(response.status, 404);
+    });
+  });
+
+});
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Tests voor rollen (admin, curator, listener) en het rolbeheer
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { loginAdmin, registerUser } = require('./helpers/auth');
+
+const USERS_URL = 'http://localhost:3000/api/users';
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+const PLAYLISTS_URL = 'http://localhost:3000/api/playlists';
+const ME_URL = 'http://localhost:3000/api/me';
+
+const newTrack = {
+  naam: 'Role Test Track',
+  bpm: 120,
+  duur: 180,
+  jaar: 2024,
+  artiesten: ['Test Artist'],
+  genres: ['Test Genre']
+};
+
+describe('Roles', () => {
+  let listener;
+  let curator;
+  let admin;
+
+  before(async () => {
+    listener = await registerUser('listener');
+    curator = await registerUser('curator', 'curator');
+    admin = await loginAdmin();
+  });
+
+  describe('catalog mutations', () => {
+    it('should give new users the listener role', async () => {
+      const response = await fetch(ME_URL, { headers: listener.headers });
+      const data = await response.json();
+
+      assert.strictEqual(data.data.role, 'listener');
+    });
+
+    it('should return 401 without a token', async () => {
+      const response = await fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newTrack)
+      });
+
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('should return 403 with the reason for listeners', async () => {
+      const response = await fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: listener.headers,
+        body: JSON.stringify(newTrack)
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 403);
+      assert.ok(data.detail.includes('curator'));
+      assert.deepStrictEqual(data.required_roles, ['admin', 'curator']);
+      assert.strictEqual(data.role, 'listener');
+    });
+
+    it('should let curators create and delete tracks', async () => {
+      const created = await fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify(newTrack)
+      });
+      const { data: track } = await created.json();
+      assert.strictEqual(created.status, 201);
+
+      const denied = await fetch(`${TRACKS_URL}/${track.id}`, { method: 'DELETE', headers: listener.headers });
+      assert.strictEqual(denied.status, 403);
+
+      const deleted = await fetch(`${TRACKS_URL}/${track.id}`, { method: 'DELETE', headers: curator.headers });
+      assert.strictEqual(deleted.status, 200);
+    });
+
+    it('should still let listeners create playlists', async () => {
+      const response = await fetch(PLAYLISTS_URL, {
+        method: 'POST',
+        headers: listener.headers,
+        body: JSON.stringify({ naam: 'Listener Playlist', beschrijving: 'Mine', visibility: 'public' })
+      });
+      const { data: playlist } = await response.json();
+
+      assert.strictEqual(response.status, 201);
+      await fetch(`${PLAYLISTS_URL}/${playlist.id}`, { method: 'DELETE', headers: listener.headers });
+    });
+  });
+
+  describe('playlist moderation', () => {
+    it('should not let admins see or modify private playlists of other users', async () => {
+      const created = await fetch(PLAYLISTS_URL, {
+        method: 'POST',
+        headers: listener.headers,
+        body: JSON.stringify({ naam: 'Private Listener Playlist', beschrijving: 'Mine', visibility: 'private' })
+      });
+      const { data: playlist } = await created.json();
+
+      assert.strictEqual((await fetch(`${PLAYLISTS_URL}/${playlist.id}`, { headers: curator.headers })).status, 404);
+      assert.strictEqual((await fetch(`${PLAYLISTS_URL}/${playlist.id}`, { headers: admin })).status, 404);
+
+      const patched = await fetch(`${PLAYLISTS_URL}/${playlist.id}`, {
+        method: 'PATCH',
+        headers: admin,
+        body: JSON.stringify({ naam: 'Moderated Playlist' })
+      });
+      assert.strictEqual(patched.status, 404);
+      assert.strictEqual((await fetch(`${PLAYLISTS_URL}/${playlist.id}`, { method: 'DELETE', headers: admin })).status, 404);
+
+      await fetch(`${PLAYLISTS_URL}/${playlist.id}`, { method: 'DELETE', headers: listener.headers });
+    });
+
+    it('should not let admins modify public playlists of other users', async () => {
+      const created = await fetch(PLAYLISTS_URL, {
+        method: 'POST',
+        headers: listener.headers,
+        body: JSON.stringify({ naam: 'Public Listener Playlist', beschrijving: 'Mine', visibility: 'public' })
+      });
+      const { data: playlist } = await created.json();
+
+      const patched = await fetch(`${PLAYLISTS_URL}/${playlist.id}`, {
+        method: 'PATCH',
+        headers: admin,
+        body: JSON.stringify({ naam: 'Moderated Playlist' })
+      });
+      assert.strictEqual(patched.status, 403);
+      assert.strictEqual((await patched.json()).code, 'not_playlist_owner');
+      assert.strictEqual((await fetch(`${PLAYLISTS_URL}/${playlist.id}/history`, { headers: admin })).status, 403);
+
+      await fetch(`${PLAYLISTS_URL}/${playlist.id}`, { method: 'DELETE', headers: listener.headers });
+    });
+  });
+
+  describe('GET /api/users', () => {
+    it('should list users with their role for admins', async () => {
+      const response = await fetch(`${USERS_URL}?role=curator`, { headers: admin });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(data.data.some(u => u.id === curator.user.id));
+      assert.ok(data.data.every(u => u.role === 'curator' && u.password_hash === undefined));
+    });
+
+    it('should return 403 for curators', async () => {
+      const response = await fetch(USERS_URL, { headers: curator.headers });
+
+      assert.strictEqual(response.status, 403);
+    });
+
+    it('should return 400 for an unknown role filter', async () => {
+      const response = await fetch(`${USERS_URL}?role=superuser`, { headers: admin });
+
+      assert.strictEqual(response.status, 400);
+    });
+  });
+
+  describe('PUT /api/users/:id/role', () => {
+    it('should apply a new role immediately', async () => {
+      const user = await registerUser('promoted');
+      const response = await fetch(`${USERS_URL}/${user.user.id}/role`, {
+        method: 'PUT',
+        headers: admin,
+        body: JSON.stringify({ role: 'curator' })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.role, 'curator');
+
+      const me = await (await fetch(ME_URL, { headers: user.headers })).json();
+      assert.strictEqual(me.data.role, 'curator');
+    });
+
+    it('should return 400 for an invalid role', async () => {
+      const response = await fetch(`${USERS_URL}/${listener.user.id}/role`, {
+        method: 'PUT',
+        headers: admin,
+        body: JSON.stringify({ role: 'superuser' })
+      });
+
+      assert.strictEqual(response.status, 400);
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      const response = await fetch(`${USERS_URL}/99999/role`, {
+        method: 'PUT',
+        headers: admin,
+        body: JSON.stringify({ role: 'curator' })
+      });
+
+      assert.strictEqual(response.status, 404);
+    });
+
+    it('should not let non-admins change roles', async () => {
+      const response = await fetch(`${USERS_URL}/${listener.user.id}/role`, {
+        method: 'PUT',
+        headers: listener.headers,
+        body: JSON.stringify({ role: 'admin' })
+      });
+
+      assert.strictEqual(response.status, 403);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Tests voor de Search API endpoint
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+
+const BASE_URL = 'http://localhost:3000/api/search';
+
+describe('Search API', () => {
+
+  describe('GET /api/search', () => {
+    it('should group results per type', async () => {
+      const response = await fetch(`${BASE_URL}?q=rock`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.success, true);
+      assert.ok(Array.isArray(data.tracks.items));
+      assert.ok(Array.isArray(data.playlists.items));
+      assert.ok(typeof data.tracks.total === 'number');
+    });
+
+    it('should only search the requested type', async () => {
+      const response = await fetch(`${BASE_URL}?q=workout&type=playlist`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.tracks, undefined);
+      assert.ok(data.playlists.items.some(p => p.naam === 'Workout Mix'));
+    });
+
+    it('should only find private playlists for their owner', async () => {
+      const owner = await registerUser('searcher');
+      await fetch('http://localhost:3000/api/playlists', {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ naam: 'Secret Zyxwv Sessions', beschrijving: 'Hidden', visibility: 'private' })
+      });
+
+      const anonymous = await (await fetch(`${BASE_URL}?q=zyxwv&type=playlist`)).json();
+      const own = await (await fetch(`${BASE_URL}?q=zyxwv&type=playlist`, { headers: owner.headers })).json();
+
+      assert.strictEqual(anonymous.playlists.total, 0);
+      assert.strictEqual(own.playlists.items[0].naam, 'Secret Zyxwv Sessions');
+    });
+
+    it('should tolerate typos and highlight the matched fragments', async () => {
+      const response = await fetch(`${BASE_URL}?q=smels%20teen&type=track`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.tracks.items[0].naam, 'Smells Like Teen Spirit');
+      assert.ok(data.tracks.items[0].highlights.naam.includes('<em>Teen</em>'));
+    });
+
+    it('should escape HTML in the highlighted text', async () => {
+      const owner = await registerUser('escaper');
+      await fetch('http://localhost:3000/api/playlists', {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ naam: 'Qwxyz <b>Bold</b>', beschrijving: '<script>alert("qwxyz")</script>', visibility: 'private' })
+      });
+
+      const data = await (await fetch(`${BASE_URL}?q=qwxyz&type=playlist`, { headers: owner.headers })).json();
+      const { highlights } = data.playlists.items[0];
+
+      assert.strictEqual(highlights.naam, '<em>Qwxyz</em> &lt;b&gt;Bold&lt;/b&gt;');
+      assert.strictEqual(highlights.beschrijving, '&lt;script&gt;alert(&quot;<em>qwxyz</em>&quot;)&lt;/script&gt;');
+    });
+
+    it('should rank results by relevance', async () => {
+      const response = await fetch(`${BASE_URL}?q=michael%20jackson&type=track`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.tracks.items[0].naam, 'Billie Jean');
+      for (let i = 1; i < data.tracks.items.length; i++) {
+        assert.ok(data.tracks.items[i - 1].score >= data.tracks.items[i].score);
+      }
+    });
+
+    it('should paginate each type with next links', async () => {
+      const response = await fetch(`${BASE_URL}?q=pop&type=track&limit=1`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.tracks.items.length, 1);
+      assert.ok(data.tracks.total >= 2);
+      assert.ok(data.tracks.next.includes('offset=1'));
+    });
+
+    it('should return 400 without a query', async () => {
+      const response = await fetch(BASE_URL);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail);
+    });
+
+    it('should return 400 for an unknown type', async () => {
+      const response = await fetch(`${BASE_URL}?q=rock&type=album`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail);
+    });
+  });
+
+});
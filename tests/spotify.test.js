@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Tests voor de validatie van Spotify links, spotify_id en het opzoeken op Spotify ID
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+const { randomSpotifyId } = require('./helpers/spotify');
+
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+const PLAYLISTS_URL = 'http://localhost:3000/api/playlists';
+const TRASH_URL = 'http://localhost:3000/api/trash';
+
+describe('Spotify links', () => {
+  let curator;
+  let spotifyId;
+  let track;
+
+  /**
+   * Maakt een track aan met een spotify_url
+   * @param {string} naam - Naam van de track
+   * @param {string} spotifyUrl - Spotify link of URI
+   * @returns {Promise<Response>} Fetch response
+   */
+  const createTrack = (naam, spotifyUrl) => fetch(TRACKS_URL, {
+    method: 'POST',
+    headers: curator.headers,
+    body: JSON.stringify({ naam, bpm: 100, duur: 200, jaar: 2015, artiesten: ['Spotify Artist'], genres: ['Pop'], spotify_url: spotifyUrl })
+  });
+
+  before(async () => {
+    curator = await registerUser('spotcur', 'curator');
+    spotifyId = randomSpotifyId();
+  });
+
+  describe('tracks', () => {
+    it('should normalize a Spotify URI and store the Spotify ID', async () => {
+      const response = await createTrack('Spotify Uri', `spotify:track:${spotifyId}`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.data.spotify_url, `https://open.spotify.com/track/${spotifyId}`);
+      assert.strictEqual(data.data.spotify_id, spotifyId);
+      track = data.data;
+    });
+
+    it('should normalize a shared link with a locale and a query string', async () => {
+      const id = randomSpotifyId();
+      const response = await createTrack('Spotify Shared', ` open.spotify.com/intl-nl/track/${id}?si=abc123 `);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.data.spotify_url, `https://open.spotify.com/track/${id}`);
+      assert.strictEqual(data.data.spotify_id, id);
+    });
+
+    it('should reject playlist links and other URLs on a track', async () => {
+      const playlistLink = await createTrack('Spotify Wrong Type', `https://open.spotify.com/playlist/${randomSpotifyId()}`);
+      const shortId = await createTrack('Spotify Short Id', 'https://open.spotify.com/track/abc');
+      const other = await createTrack('Spotify Other', 'https://example.com/track/123');
+
+      assert.strictEqual(playlistLink.status, 400);
+      assert.strictEqual((await playlistLink.json()).errors[0].field, 'spotify_url');
+      assert.strictEqual(shortId.status, 400);
+      assert.strictEqual(other.status, 400);
+    });
+
+    it('should find a track by its Spotify ID', async () => {
+      const response = await fetch(`${TRACKS_URL}/spotify/${spotifyId}`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.id, track.id);
+      assert.strictEqual(response.headers.get('etag'), `"${track.version}"`);
+
+      const projected = await fetch(`${TRACKS_URL}/spotify/${spotifyId}?fields=id,spotify_id`).then(r => r.json());
+      assert.deepStrictEqual(projected.data, { id: track.id, spotify_id: spotifyId });
+    });
+
+    it('should return 404 for an unknown and 400 for an invalid Spotify ID', async () => {
+      assert.strictEqual((await fetch(`${TRACKS_URL}/spotify/${randomSpotifyId()}`)).status, 404);
+      assert.strictEqual((await fetch(`${TRACKS_URL}/spotify/not-an-id`)).status, 400);
+    });
+
+    it('should not link one Spotify track to two tracks', async () => {
+      const duplicate = await createTrack('Spotify Duplicate', `https://open.spotify.com/track/${spotifyId}`);
+      const problem = await duplicate.json();
+
+      assert.strictEqual(duplicate.status, 409);
+      assert.strictEqual(problem.code, 'spotify_track_exists');
+      assert.strictEqual(problem.track_id, track.id);
+
+      const other = await (await createTrack('Spotify Other Track', '')).json();
+      const patched = await fetch(`${TRACKS_URL}/${other.data.id}`, {
+        method: 'PATCH',
+        headers: curator.headers,
+        body: JSON.stringify({ spotify_url: `spotify:track:${spotifyId}` })
+      });
+      assert.strictEqual(patched.status, 409);
+
+      const unchanged = await fetch(`${TRACKS_URL}/${track.id}`, {
+        method: 'PATCH',
+        headers: curator.headers,
+        body: JSON.stringify({ spotify_url: `spotify:track:${spotifyId}`, bpm: 101 })
+      });
+      assert.strictEqual(unchanged.status, 200);
+    });
+
+    it('should reject an imported row for a Spotify track that is already linked', async () => {
+      const csv = [
+        'naam,bpm,duur,jaar,artiesten,genres,spotify_url',
+        `Spotify Import,100,200,2015,Spotify Artist,Pop,spotify:track:${spotifyId}`
+      ].join('\n');
+
+      const response = await fetch(`${TRACKS_URL}/import`, {
+        method: 'POST',
+        headers: { ...curator.headers, 'Content-Type': 'text/csv' },
+        body: csv
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 207);
+      assert.strictEqual(data.imported, 0);
+      assert.strictEqual(data.rejected[0].errors[0].code, 'spotify_track_exists');
+    });
+
+    it('should free the Spotify track on delete and refuse to restore a track whose link was taken', async () => {
+      await fetch(`${TRACKS_URL}/${track.id}`, { method: 'DELETE', headers: curator.headers });
+      assert.strictEqual((await fetch(`${TRACKS_URL}/spotify/${spotifyId}`)).status, 404);
+
+      const replacement = await createTrack('Spotify Replacement', `spotify:track:${spotifyId}`);
+      assert.strictEqual(replacement.status, 201);
+
+      const restore = await fetch(`${TRASH_URL}/tracks/${track.id}/restore`, { method: 'POST', headers: curator.headers });
+      assert.strictEqual(restore.status, 409);
+    });
+  });
+
+  describe('playlists', () => {
+    it('should accept and normalize Spotify playlist links only', async () => {
+      const id = randomSpotifyId();
+      const create = (spotifyUrl) => fetch(PLAYLISTS_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: 'Spotify Playlist', beschrijving: 'Linked', visibility: 'private', spotify_url: spotifyUrl })
+      });
+
+      const response = await create(`spotify:playlist:${id}`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 201);
+      assert.strictEqual(data.data.spotify_url, `https://open.spotify.com/playlist/${id}`);
+      assert.strictEqual(data.data.spotify_id, id);
+      assert.strictEqual((await create(`https://open.spotify.com/track/${id}`)).status, 400);
+
+      const cleared = await fetch(`${PLAYLISTS_URL}/${data.data.id}`, {
+        method: 'PATCH',
+        headers: curator.headers,
+        body: JSON.stringify({ spotify_url: null })
+      }).then(r => r.json());
+      assert.strictEqual(cleared.data.spotify_url, '');
+      assert.strictEqual(cleared.data.spotify_id, null);
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Tests voor de storage backends
+ * @description Gebruikt Node.js ingebouwde test runner; test de backends rechtstreeks (zonder server)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readConfig, createStorage, withLock, nextId } = require('../storage');
+
+let hasSqlite = true;
+try {
+  require('node:sqlite');
+} catch {
+  hasSqlite = false;
+}
+
+/**
+ * Gemeenschappelijke tests die elke backend moet doorstaan
+ * @param {Function} create - Functie die een backend teruggeeft
+ * @returns {void}
+ */
+const backendContract = (create) => {
+  it('should return an empty array for an unknown collection', async () => {
+    const storage = create();
+    assert.deepStrictEqual(await storage.readAll('unknown'), []);
+  });
+
+  it('should read back what was written, in order', async () => {
+    const storage = create();
+    const records = [{ id: 2, naam: 'B' }, { id: 1, naam: 'A', genres: ['Rock'] }];
+
+    await storage.writeAll('tracks', records);
+
+    assert.deepStrictEqual(await storage.readAll('tracks'), records);
+  });
+
+  it('should not share references with the caller', async () => {
+    const storage = create();
+    const records = [{ id: 1, naam: 'A' }];
+
+    await storage.writeAll('tracks', records);
+    records[0].naam = 'Changed';
+    const read = await storage.readAll('tracks');
+    read[0].naam = 'Changed again';
+
+    assert.deepStrictEqual(await storage.readAll('tracks'), [{ id: 1, naam: 'A' }]);
+  });
+
+  it('should report a newer modification time after a write', async () => {
+    const storage = create();
+    const before = await storage.modifiedAt('tracks');
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await storage.writeAll('tracks', [{ id: 1 }]);
+
+    assert.ok((await storage.modifiedAt('tracks')).getTime() > before.getTime());
+  });
+
+  it('should seed collections from the JSON files', async () => {
+    const storage = create();
+    const seeded = await storage.readAll('seeded');
+
+    assert.deepStrictEqual(seeded, [{ id: 1, naam: 'Seed' }]);
+  });
+
+  it('should append log entries with ascending ids and read them back in order', async () => {
+    const storage = create();
+
+    assert.deepStrictEqual(await storage.readLog('unknown'), []);
+    assert.deepStrictEqual(await storage.appendLog('events', [{ action: 'a' }, { action: 'b' }]), [
+      { id: 1, action: 'a' },
+      { id: 2, action: 'b' }
+    ]);
+    await storage.appendLog('events', [{ action: 'c' }]);
+
+    assert.deepStrictEqual(await storage.readLog('events'), [
+      { id: 1, action: 'a' },
+      { id: 2, action: 'b' },
+      { id: 3, action: 'c' }
+    ]);
+  });
+
+  it('should seed logs from the NDJSON files', async () => {
+    const storage = create();
+
+    assert.deepStrictEqual(await storage.readLog('seeded'), [{ id: 1, action: 'seed' }]);
+    await storage.appendLog('seeded', [{ action: 'next' }]);
+    assert.deepStrictEqual((await storage.readLog('seeded')).map(entry => entry.id), [1, 2]);
+  });
+};
+
+describe('Storage backends', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mockify-storage-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Maakt een verse data map aan met een seed bestand en een seed log
+   * @returns {string} Pad naar de data map
+   */
+  const freshDir = () => {
+    const dir = fs.mkdtempSync(path.join(dataDir, 'run-'));
+    fs.writeFileSync(path.join(dir, 'seeded.json'), JSON.stringify([{ id: 1, naam: 'Seed' }]));
+    fs.writeFileSync(path.join(dir, 'seeded.ndjson'), `${JSON.stringify({ id: 1, action: 'seed' })}\n`);
+    return dir;
+  };
+
+  describe('json', () => {
+    backendContract(() => createStorage({ driver: 'json', dataDir: freshDir() }));
+
+    it('should write atomically without leaving temporary files behind', async () => {
+      const dir = freshDir();
+      const storage = createStorage({ driver: 'json', dataDir: dir });
+
+      await Promise.all([1, 2, 3, 4, 5].map(id => storage.writeAll('tracks', [{ id }])));
+
+      const files = fs.readdirSync(dir).sort();
+      assert.deepStrictEqual(files, ['seeded.json', 'seeded.ndjson', 'tracks.json']);
+      assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'tracks.json'), 'utf8')).length, 1);
+    });
+
+    it('should refuse to read a corrupt file instead of treating it as empty', async () => {
+      const dir = freshDir();
+      fs.writeFileSync(path.join(dir, 'tracks.json'), '[{"id": 1, "naam": "Trunc');
+      const storage = createStorage({ driver: 'json', dataDir: dir });
+
+      await assert.rejects(() => storage.readAll('tracks'), SyntaxError);
+    });
+
+    it('should append to a log without rewriting it and drop an interrupted last line', async () => {
+      const dir = freshDir();
+      const file = path.join(dir, 'events.ndjson');
+      fs.writeFileSync(file, `${JSON.stringify({ id: 1, action: 'a' })}\n{"id": 2, "act`);
+      const storage = createStorage({ driver: 'json', dataDir: dir });
+
+      assert.deepStrictEqual(await storage.readLog('events'), [{ id: 1, action: 'a' }]);
+      await storage.appendLog('events', [{ action: 'b' }]);
+
+      assert.strictEqual(fs.readFileSync(file, 'utf8'), '{"id":1,"action":"a"}\n{"id":2,"action":"b"}\n');
+    });
+  });
+
+  describe('memory', () => {
+    backendContract(() => createStorage({ driver: 'memory', dataDir: freshDir() }));
+  });
+
+  describe('sqlite', () => {
+    if (hasSqlite) {
+      backendContract(() => {
+        const dir = freshDir();
+        return createStorage({ driver: 'sqlite', dataDir: dir, sqliteFile: path.join(dir, 'test.sqlite') });
+      });
+
+      it('should accept the sqlite driver in the configuration', () => {
+        assert.strictEqual(readConfig({ MOCKIFY_STORAGE: 'sqlite', MOCKIFY_DATA_DIR: dataDir }).driver, 'sqlite');
+      });
+    } else {
+      it('should reject the sqlite driver in the configuration without node:sqlite', () => {
+        assert.throws(() => readConfig({ MOCKIFY_STORAGE: 'sqlite' }), /MOCKIFY_STORAGE=sqlite is not supported: .*Node\.js 22\.5/);
+        assert.throws(() => createStorage({ driver: 'sqlite', dataDir, sqliteFile: ':memory:' }), /requires Node\.js 22\.5/);
+      });
+    }
+  });
+
+  it('should reject an unknown driver', () => {
+    assert.throws(() => createStorage({ driver: 'mongodb', dataDir }), /Unknown storage driver/);
+  });
+});
+
+describe('Storage locks', () => {
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('should serialize read-modify-write cycles on the same collection', async () => {
+    let counter = 0;
+
+    await Promise.all(Array.from({ length: 20 }, () => withLock(['counter'], async () => {
+      const current = counter;
+      await sleep(1);
+      counter = current + 1;
+    })));
+
+    assert.strictEqual(counter, 20);
+  });
+
+  it('should return the result of the locked function and release the lock on errors', async () => {
+    await assert.rejects(() => withLock(['failing'], async () => {
+      throw new Error('boom');
+    }), /boom/);
+
+    assert.strictEqual(await withLock(['failing'], async () => 'released'), 'released');
+  });
+
+  it('should be reentrant for collections that are already held', async () => {
+    const result = await withLock(['tracks-lock', 'playlists-lock'], () => {
+      return withLock(['playlists-lock'], async () => 'nested');
+    });
+
+    assert.strictEqual(result, 'nested');
+  });
+
+  it('should not deadlock when collections are locked in a different order', async () => {
+    const order = [];
+
+    await Promise.all([
+      withLock(['a-lock', 'b-lock'], async () => {
+        await sleep(5);
+        order.push('ab');
+      }),
+      withLock(['b-lock', 'a-lock'], async () => {
+        order.push('ba');
+      })
+    ]);
+
+    assert.deepStrictEqual(order, ['ab', 'ba']);
+  });
+
+  it('should allocate the next id after the highest existing id', () => {
+    assert.strictEqual(nextId([]), 1);
+    assert.strictEqual(nextId([{ id: 3 }, { id: 7 }, { id: 5 }]), 8);
+  });
+});
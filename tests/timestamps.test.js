@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Tests voor created_at, updated_at en de updated_since filter
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+const PLAYLISTS_URL = 'http://localhost:3000/api/playlists';
+
+/**
+ * Wacht enkele milliseconden, zodat opeenvolgende wijzigingen een verschillende timestamp krijgen
+ * @returns {Promise<void>}
+ */
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+/**
+ * Controleert of een waarde een ISO 8601 timestamp is
+ * @param {string} value - Waarde
+ * @returns {boolean} true als de waarde een geldige ISO timestamp is
+ */
+const isIsoTimestamp = (value) => typeof value === 'string' && new Date(value).toISOString() === value;
+
+describe('Timestamps', () => {
+  let curator;
+
+  before(async () => {
+    curator = await registerUser('stamper', 'curator');
+  });
+
+  describe('tracks', () => {
+    let stale;
+    let track;
+    let since;
+
+    before(async () => {
+      const create = (naam) => fetch(TRACKS_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ naam, bpm: 100, duur: 200, jaar: 2010, artiesten: ['Stamp Artist'], genres: ['Pop'] })
+      }).then(r => r.json()).then(data => data.data);
+
+      stale = await create('Stamp Stale');
+      track = await create('Stamp Fresh');
+      await tick();
+      since = new Date().toISOString();
+      await tick();
+    });
+
+    it('should set created_at and updated_at on create', () => {
+      assert.ok(isIsoTimestamp(track.created_at));
+      assert.strictEqual(track.updated_at, track.created_at);
+    });
+
+    it('should keep created_at and move updated_at on PATCH and PUT', async () => {
+      const patched = await fetch(`${TRACKS_URL}/${track.id}`, {
+        method: 'PATCH',
+        headers: curator.headers,
+        body: JSON.stringify({ bpm: 101 })
+      }).then(r => r.json());
+
+      assert.strictEqual(patched.data.created_at, track.created_at);
+      assert.ok(patched.data.updated_at > track.updated_at);
+
+      await tick();
+      const replaced = await fetch(`${TRACKS_URL}/${track.id}`, {
+        method: 'PUT',
+        headers: curator.headers,
+        body: JSON.stringify({ id: track.id, naam: 'Stamp Fresh', bpm: 102, duur: 200, jaar: 2010, artiesten: ['Stamp Artist'], genres: ['Pop'] })
+      }).then(r => r.json());
+
+      assert.strictEqual(replaced.data.created_at, track.created_at);
+      assert.ok(replaced.data.updated_at > patched.data.updated_at);
+    });
+
+    it('should only list tracks changed since updated_since', async () => {
+      const data = await fetch(`${TRACKS_URL}?updated_since=${since}&limit=100`).then(r => r.json());
+      const ids = data.data.map(t => t.id);
+
+      assert.ok(ids.includes(track.id));
+      assert.ok(!ids.includes(stale.id));
+      assert.ok(data.data.every(t => t.updated_at >= since));
+    });
+
+    it('should reject an invalid updated_since', async () => {
+      const response = await fetch(`${TRACKS_URL}?updated_since=yesterday`);
+      assert.strictEqual(response.status, 400);
+    });
+
+    it('should sort on updated_at and project the timestamps', async () => {
+      const data = await fetch(`${TRACKS_URL}?sort=-updated_at&fields=id,created_at,updated_at&limit=100`).then(r => r.json());
+      const timestamps = data.data.map(t => t.updated_at);
+
+      assert.deepStrictEqual(timestamps, [...timestamps].sort().reverse());
+      assert.deepStrictEqual(Object.keys(data.data[0]), ['id', 'created_at', 'updated_at']);
+    });
+
+    it('should have backfilled timestamps on existing tracks', async () => {
+      const data = await fetch(`${TRACKS_URL}?sort=id&limit=5`).then(r => r.json());
+      assert.ok(data.data.every(t => isIsoTimestamp(t.created_at) && isIsoTimestamp(t.updated_at)));
+    });
+  });
+
+  describe('playlists', () => {
+    let owner;
+    let playlist;
+    let since;
+
+    before(async () => {
+      owner = await registerUser('stampown');
+      playlist = (await fetch(PLAYLISTS_URL, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ naam: 'Stamp Playlist', beschrijving: 'Sync me', visibility: 'private' })
+      }).then(r => r.json())).data;
+      await tick();
+      since = new Date().toISOString();
+      await tick();
+    });
+
+    it('should set created_at and updated_at on create', () => {
+      assert.ok(isIsoTimestamp(playlist.created_at));
+      assert.strictEqual(playlist.updated_at, playlist.created_at);
+    });
+
+    it('should move updated_at when tracks are added and filter on updated_since', async () => {
+      const before = await fetch(`${PLAYLISTS_URL}?updated_since=${since}`, { headers: owner.headers }).then(r => r.json());
+      assert.ok(!before.data.some(p => p.id === playlist.id));
+
+      await fetch(`${PLAYLISTS_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [2] })
+      });
+
+      const after = await fetch(`${PLAYLISTS_URL}?updated_since=${since}`, { headers: owner.headers }).then(r => r.json());
+      const updated = after.data.find(p => p.id === playlist.id);
+
+      assert.ok(updated);
+      assert.strictEqual(updated.created_at, playlist.created_at);
+      assert.ok(updated.updated_at > since);
+    });
+
+    it('should sort playlists on created_at and reject an invalid updated_since', async () => {
+      const data = await fetch(`${PLAYLISTS_URL}?sort=created_at&limit=100`, { headers: owner.headers }).then(r => r.json());
+      const timestamps = data.data.map(p => p.created_at);
+
+      assert.strictEqual(data.success, true);
+      assert.deepStrictEqual(timestamps, [...timestamps].sort());
+      assert.strictEqual((await fetch(`${PLAYLISTS_URL}?updated_since=soon`)).status, 400);
+    });
+  });
+});
@@ -3,12 +3,19 @@
  * @description Gebruikt Node.js ingebouwde test runner
  */
 
-const { describe, it } = require('node:test');
+const { describe, it, before } = require('node:test');
 const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+const { randomSpotifyId } = require('./helpers/spotify');
 
 const BASE_URL = 'http://localhost:3000/api/tracks';
 
 describe('Tracks API', () => {
+  let curator;
+
+  before(async () => {
+    curator = await registerUser('curator', 'curator');
+  });
 
   describe('GET /api/tracks', () => {
     it('should return all tracks with success status', async () => {
@@ -42,6 +49,187 @@ describe('Tracks API', () => {
     });
   });
 
+  describe('GET /api/tracks multi-field sorting', () => {
+    it('should sort on several keys with an id tiebreak', async () => {
+      const response = await fetch(`${BASE_URL}?sort=-jaar,naam`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      for (let i = 1; i < data.data.length; i++) {
+        const prev = data.data[i - 1];
+        const curr = data.data[i];
+        assert.ok(prev.jaar >= curr.jaar);
+        if (prev.jaar === curr.jaar) {
+          assert.ok(prev.naam.localeCompare(curr.naam) <= 0);
+          if (prev.naam === curr.naam) {
+            assert.ok(prev.id < curr.id);
+          }
+        }
+      }
+    });
+
+    it('should sort on bpm ascending', async () => {
+      const response = await fetch(`${BASE_URL}?sort=bpm`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      for (let i = 1; i < data.data.length; i++) {
+        assert.ok(data.data[i - 1].bpm <= data.data[i].bpm);
+      }
+    });
+
+    it('should return 400 with the allowed fields for an unknown field', async () => {
+      const response = await fetch(`${BASE_URL}?sort=-popularity`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail.includes('popularity'));
+      assert.deepStrictEqual(data.allowed_fields, ['id', 'naam', 'bpm', 'duur', 'jaar', 'created_at', 'updated_at']);
+    });
+  });
+
+  describe('GET /api/tracks pagination', () => {
+    it('should return a page with total and next/previous links', async () => {
+      const response = await fetch(`${BASE_URL}?limit=2&offset=1`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.count, 2);
+      assert.strictEqual(data.limit, 2);
+      assert.strictEqual(data.offset, 1);
+      assert.ok(data.total >= 3);
+      assert.ok(data.next.includes('offset=3'));
+      assert.ok(data.previous.includes('offset=0'));
+      assert.ok(response.headers.get('link').includes('rel="next"'));
+    });
+
+    it('should keep filters and sort in the next link', async () => {
+      const response = await fetch(`${BASE_URL}?sort=asc&genre=pop&limit=1`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(data.data.every(t => t.genres.some(g => g.toLowerCase().includes('pop'))));
+      if (data.next) {
+        assert.ok(data.next.includes('sort=asc'));
+        assert.ok(data.next.includes('genre=pop'));
+      }
+    });
+
+    it('should walk all tracks with a cursor', async () => {
+      const allResponse = await fetch(`${BASE_URL}?sort=asc`);
+      const all = await allResponse.json();
+
+      const firstResponse = await fetch(`${BASE_URL}?sort=asc&limit=2&cursor=`);
+      const first = await firstResponse.json();
+      const secondResponse = await fetch(first.next);
+      const second = await secondResponse.json();
+
+      assert.strictEqual(secondResponse.status, 200);
+      assert.ok(first.next.includes('cursor='));
+      assert.deepStrictEqual(
+        [...first.data, ...second.data].map(t => t.id),
+        all.data.slice(0, 4).map(t => t.id)
+      );
+    });
+
+    it('should return 400 for an invalid limit', async () => {
+      const response = await fetch(`${BASE_URL}?limit=0`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail);
+    });
+
+    it('should return 400 for an invalid cursor', async () => {
+      const response = await fetch(`${BASE_URL}?cursor=not-a-cursor`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail);
+    });
+  });
+
+  describe('GET /api/tracks filters', () => {
+    it('should filter tracks on a bpm range', async () => {
+      const response = await fetch(`${BASE_URL}?bpm_min=90&bpm_max=118`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(data.data.length > 0);
+      assert.ok(data.data.every(t => t.bpm >= 90 && t.bpm <= 118));
+    });
+
+    it('should filter tracks on a duur and jaar range', async () => {
+      const response = await fetch(`${BASE_URL}?duur_min=250&jaar_from=1970&jaar_to=1990`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(data.data.every(t => t.duur >= 250 && t.jaar >= 1970 && t.jaar <= 1990));
+    });
+
+    it('should match any of multiple genres by default', async () => {
+      const response = await fetch(`${BASE_URL}?genre=Grunge,Dancehall`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(data.data.length >= 2);
+      assert.ok(data.data.every(t => t.genres.some(g => ['grunge', 'dancehall'].includes(g.toLowerCase()))));
+    });
+
+    it('should match all genres with genre_match=all', async () => {
+      const response = await fetch(`${BASE_URL}?genre=Pop,R%26B&genre_match=all`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(data.data.length >= 1);
+      assert.ok(data.data.every(t => t.genres.includes('Pop') && t.genres.includes('R&B')));
+    });
+
+    it('should return 400 for a non-numeric range value', async () => {
+      const response = await fetch(`${BASE_URL}?bpm_min=fast`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail);
+    });
+
+    it('should return 400 when the range maximum is below the minimum', async () => {
+      const response = await fetch(`${BASE_URL}?jaar_from=2000&jaar_to=1990`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail.includes('jaar_to'));
+    });
+  });
+
+  describe('GET /api/tracks sparse fieldsets', () => {
+    it('should only return the requested fields', async () => {
+      const response = await fetch(`${BASE_URL}?fields=id,naam,artiesten`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(data.data.length > 0);
+      data.data.forEach(t => assert.deepStrictEqual(Object.keys(t), ['id', 'naam', 'artiesten']));
+    });
+
+    it('should project a track by id', async () => {
+      const response = await fetch(`${BASE_URL}/2?fields=naam,jaar`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(data.data, { naam: 'Billie Jean', jaar: 1983 });
+    });
+
+    it('should return 400 for unknown fields', async () => {
+      const response = await fetch(`${BASE_URL}?fields=naam,popularity`);
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 400);
+      assert.ok(data.detail.includes('popularity'));
+      assert.ok(data.allowed_fields.includes('naam'));
+    });
+  });
+
   describe('GET /api/tracks/:id', () => {
     it('should return a track by id', async () => {
       const response = await fetch(`${BASE_URL}/1`);
@@ -57,7 +245,7 @@ describe('Tracks API', () => {
       const data = await response.json();
 
       assert.strictEqual(response.status, 404);
-      assert.deepStrictEqual(data, {});
+      assert.strictEqual(data.code, 'not_found');
     });
   });
 
@@ -74,7 +262,7 @@ describe('Tracks API', () => {
 
       const response = await fetch(BASE_URL, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: curator.headers,
         body: JSON.stringify(newTrack)
       });
       const data = await response.json();
@@ -85,6 +273,27 @@ describe('Tracks API', () => {
       assert.ok(typeof data.data.id === 'number');
     });
 
+    it('should store numeric strings as numbers', async () => {
+      const response = await fetch(BASE_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: 'String Numbers', bpm: '120', duur: '180', jaar: '2024', artiesten: ['Test Artist'], genres: ['Test Genre'] })
+      });
+      const { data: track } = await response.json();
+
+      assert.strictEqual(response.status, 201);
+      assert.deepStrictEqual([track.bpm, track.duur, track.jaar], [120, 180, 2024]);
+
+      const updated = await fetch(`${BASE_URL}/${track.id}`, {
+        method: 'PUT',
+        headers: curator.headers,
+        body: JSON.stringify({ id: String(track.id), naam: 'String Numbers', bpm: '90', duur: '200', jaar: '1999', artiesten: ['Test Artist'], genres: ['Test Genre'] })
+      }).then(r => r.json());
+
+      assert.deepStrictEqual([updated.data.bpm, updated.data.duur, updated.data.jaar], [90, 200, 1999]);
+      await fetch(`${BASE_URL}/${track.id}`, { method: 'DELETE', headers: curator.headers });
+    });
+
     it('should return 400 for missing required fields', async () => {
       const invalidTrack = {
         naam: 'Incomplete Track'
@@ -92,13 +301,13 @@ describe('Tracks API', () => {
 
       const response = await fetch(BASE_URL, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: curator.headers,
         body: JSON.stringify(invalidTrack)
       });
       const data = await response.json();
 
       assert.strictEqual(response.status, 400);
-      assert.ok(data.error);
+      assert.ok(data.detail);
     });
   });
 
@@ -117,7 +326,7 @@ describe('Tracks API', () => {
 
       const response = await fetch(`${BASE_URL}/1`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: curator.headers,
         body: JSON.stringify(updatedTrack)
       });
       const data = await response.json();
@@ -140,13 +349,13 @@ describe('Tracks API', () => {
 
       const response = await fetch(`${BASE_URL}/99999`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: curator.headers,
         body: JSON.stringify(track)
       });
       const data = await response.json();
 
       assert.strictEqual(response.status, 404);
-      assert.deepStrictEqual(data, {});
+      assert.strictEqual(data.code, 'not_found');
     });
 
     it('should return 400 for missing id in body', async () => {
@@ -161,13 +370,13 @@ describe('Tracks API', () => {
 
       const response = await fetch(`${BASE_URL}/1`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: curator.headers,
         body: JSON.stringify(trackWithoutId)
       });
       const data = await response.json();
 
       assert.strictEqual(response.status, 400);
-      assert.ok(data.error);
+      assert.ok(data.detail);
     });
   });
 
@@ -175,7 +384,7 @@ describe('Tracks API', () => {
     it('should partially update a track', async () => {
       const response = await fetch(`${BASE_URL}/1`, {
         method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
+        headers: curator.headers,
         body: JSON.stringify({ naam: 'Patched Track' })
       });
       const data = await response.json();
@@ -188,27 +397,234 @@ describe('Tracks API', () => {
     it('should return 404 for non-existent track', async () => {
       const response = await fetch(`${BASE_URL}/99999`, {
         method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
+        headers: curator.headers,
         body: JSON.stringify({ naam: 'Test' })
       });
       const data = await response.json();
 
       assert.strictEqual(response.status, 404);
-      assert.deepStrictEqual(data, {});
+      assert.strictEqual(data.code, 'not_found');
     });
   });
 
   describe('DELETE /api/tracks/:id', () => {
     it('should return 404 for non-existent track', async () => {
       const response = await fetch(`${BASE_URL}/99999`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        headers: curator.headers
       });
       const data = await response.json();
 
       assert.strictEqual(response.status, 404);
-      assert.deepStrictEqual(data, {});
+      assert.strictEqual(data.code, 'not_found');
     });
   });
 
-});
+  describe('Optimistic concurrency (ETag / If-Match)', () => {
+    const createTrack = async () => {
+      const response = await fetch(BASE_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({
+          naam: 'Versioned Track',
+          bpm: 120,
+          duur: 180,
+          jaar: 2024,
+          artiesten: ['Test Artist'],
+          genres: ['Test Genre']
+        })
+      });
+      const data = await response.json();
+      return data.data;
+    };
+
+    it('should start new tracks at version 1 and return it as ETag', async () => {
+      const track = await createTrack();
+      const response = await fetch(`${BASE_URL}/${track.id}`);
+      const data = await response.json();
+
+      assert.strictEqual(track.version, 1);
+      assert.strictEqual(response.headers.get('etag'), '"1"');
+      assert.strictEqual(data.data.version, 1);
+    });
+
+    it('should update with a matching If-Match and bump the version', async () => {
+      const track = await createTrack();
+      const response = await fetch(`${BASE_URL}/${track.id}`, {
+        method: 'PATCH',
+        headers: { ...curator.headers, 'If-Match': '"1"' },
+        body: JSON.stringify({ bpm: 130 })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.version, 2);
+      assert.strictEqual(response.headers.get('etag'), '"2"');
+    });
+
+    it('should return 412 with the current representation for a stale If-Match', async () => {
+      const track = await createTrack();
+      await fetch(`${BASE_URL}/${track.id}`, {
+        method: 'PATCH',
+        headers: curator.headers,
+        body: JSON.stringify({ naam: 'First Editor' })
+      });
+
+      const response = await fetch(`${BASE_URL}/${track.id}`, {
+        method: 'PUT',
+        headers: { ...curator.headers, 'If-Match': '"1"' },
+        body: JSON.stringify({
+          id: track.id,
+          naam: 'Second Editor',
+          bpm: 100,
+          duur: 200,
+          jaar: 2023,
+          artiesten: ['Test Artist'],
+          genres: ['Test Genre']
+        })
+      });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 412);
+      assert.ok(data.detail);
+      assert.strictEqual(data.data.naam, 'First Editor');
+      assert.strictEqual(data.data.version, 2);
+      assert.strictEqual(response.headers.get('etag'), '"2"');
+    });
+
+    it('should only delete when If-Match matches', async () => {
+      const track = await createTrack();
+
+      const stale = await fetch(`${BASE_URL}/${track.id}`, {
+        method: 'DELETE',
+        headers: { ...curator.headers, 'If-Match': '"5"' }
+      });
+      assert.strictEqual(stale.status, 412);
+
+      const response = await fetch(`${BASE_URL}/${track.id}`, {
+        method: 'DELETE',
+        headers: { ...curator.headers, 'If-Match': '"1"' }
+      });
+      assert.strictEqual(response.status, 200);
+    });
+
+    it('should accept If-Match: * and never match weak ETags', async () => {
+      const track = await createTrack();
+
+      const weak = await fetch(`${BASE_URL}/${track.id}`, {
+        method: 'PATCH',
+        headers: { ...curator.headers, 'If-Match': 'W/"1"' },
+        body: JSON.stringify({ bpm: 90 })
+      });
+      assert.strictEqual(weak.status, 412);
+
+      const any = await fetch(`${BASE_URL}/${track.id}`, {
+        method: 'PATCH',
+        headers: { ...curator.headers, 'If-Match': '*' },
+        body: JSON.stringify({ bpm: 90 })
+      });
+      assert.strictEqual(any.status, 200);
+    });
+  });
+
+  describe('PATCH validation, merge patch and JSON Patch', () => {
+    let track;
+
+    before(async () => {
+      const response = await fetch(BASE_URL, {
+        method: 'POST',
+        headers: curator.headers,
+        body: JSON.stringify({
+          naam: 'Patchable Track',
+          bpm: 120,
+          duur: 180,
+          jaar: 2024,
+          artiesten: ['Test Artist'],
+          genres: ['Rock', 'Pop'],
+          spotify_url: `https://open.spotify.com/track/${randomSpotifyId()}`
+        })
+      });
+      track = (await response.json()).data;
+    });
+
+    const patch = (body, contentType = 'application/merge-patch+json') => fetch(`${BASE_URL}/${track.id}`, {
+      method: 'PATCH',
+      headers: { ...curator.headers, 'Content-Type': contentType },
+      body: JSON.stringify(body)
+    });
+
+    it('should allow falsy values such as bpm 0', async () => {
+      const response = await patch({ bpm: 0 });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.bpm, 0);
+    });
+
+    it('should return 400 for invalid or unknown fields', async () => {
+      const invalid = await patch({ bpm: 'fast' });
+      const unknown = await patch({ tempo: 120 });
+      const required = await patch({ naam: null });
+
+      assert.strictEqual(invalid.status, 400);
+      assert.strictEqual((await invalid.json()).detail, '"bpm" must be a number');
+      assert.strictEqual(unknown.status, 400);
+      assert.strictEqual(required.status, 400);
+    });
+
+    it('should clear spotify_url with a merge patch null', async () => {
+      const response = await patch({ spotify_url: null });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.spotify_url, '');
+    });
+
+    it('should append an artist and remove a genre with a JSON Patch', async () => {
+      const response = await patch([
+        { op: 'test', path: '/genres/1', value: 'Pop' },
+        { op: 'remove', path: '/genres/1' },
+        { op: 'add', path: '/artiesten/-', value: 'Second Artist' }
+      ], 'application/json-patch+json');
+      const data = await response.json();
 
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(data.data.genres, ['Rock']);
+      assert.deepStrictEqual(data.data.artiesten, ['Test Artist', 'Second Artist']);
+      assert.strictEqual(data.data.artiest_ids.length, 2);
+    });
+
+    it('should not apply any operation when a test fails', async () => {
+      const response = await patch([
+        { op: 'replace', path: '/naam', value: 'Never Saved' },
+        { op: 'test', path: '/bpm', value: 999 }
+      ], 'application/json-patch+json');
+      const data = await response.json();
+      const current = await (await fetch(`${BASE_URL}/${track.id}`)).json();
+
+      assert.strictEqual(response.status, 409);
+      assert.ok(data.detail.includes('Test failed'));
+      assert.strictEqual(current.data.naam, 'Patchable Track');
+    });
+
+    it('should validate the result of a JSON Patch', async () => {
+      const malformed = await patch([{ op: 'jump', path: '/naam' }], 'application/json-patch+json');
+      const removed = await patch([{ op: 'remove', path: '/naam' }], 'application/json-patch+json');
+
+      assert.strictEqual(malformed.status, 400);
+      assert.strictEqual(removed.status, 400);
+    });
+
+    it('should return 415 with Accept-Patch for other content types', async () => {
+      const response = await fetch(`${BASE_URL}/${track.id}`, {
+        method: 'PATCH',
+        headers: { ...curator.headers, 'Content-Type': 'text/plain' },
+        body: 'naam=Plain'
+      });
+
+      assert.strictEqual(response.status, 415);
+      assert.ok(response.headers.get('accept-patch').includes('application/json-patch+json'));
+    });
+  });
+
+});
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Tests voor soft deletes, de prullenbak, restore en purge
+ * @description Gebruikt Node.js ingebouwde test runner
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { registerUser } = require('./helpers/auth');
+
+const TRACKS_URL = 'http://localhost:3000/api/tracks';
+const PLAYLISTS_URL = 'http://localhost:3000/api/playlists';
+const TRASH_URL = 'http://localhost:3000/api/trash';
+
+/**
+ * Haalt de prullenbak op
+ * @param {Object} user - User uit registerUser
+ * @param {string} [query=''] - Query string, bv. '?type=track'
+ * @returns {Promise<Object>} Object met response en data
+ */
+const getTrash = async (user, query = '') => {
+  const response = await fetch(`${TRASH_URL}${query}`, { headers: user.headers });
+  return { response, data: await response.json() };
+};
+
+describe('Trash API', () => {
+  let curator;
+  let owner;
+  let other;
+  let admin;
+  let track;
+  let neighbour;
+  let playlist;
+
+  before(async () => {
+    curator = await registerUser('binner', 'curator');
+    owner = await registerUser('binowner');
+    other = await registerUser('binother');
+    admin = await registerUser('binadmin', 'admin');
+
+    const created = await fetch(`${TRACKS_URL}/bulk`, {
+      method: 'POST',
+      headers: curator.headers,
+      body: JSON.stringify({
+        operations: [
+          { op: 'create', data: { naam: 'Trash Me', bpm: 100, duur: 180, jaar: 2020, artiesten: ['Trash Artist'], genres: ['Pop'] } },
+          { op: 'create', data: { naam: 'Keep Me', bpm: 110, duur: 190, jaar: 2021, artiesten: ['Trash Artist'], genres: ['Pop'] } }
+        ]
+      })
+    }).then(r => r.json());
+    [track, neighbour] = created.data.map(item => item.data);
+
+    playlist = (await fetch(PLAYLISTS_URL, {
+      method: 'POST',
+      headers: owner.headers,
+      body: JSON.stringify({ naam: 'Trash Playlist', beschrijving: 'Soft deletes', visibility: 'private' })
+    }).then(r => r.json())).data;
+
+    await fetch(`${PLAYLISTS_URL}/${playlist.id}/tracks`, {
+      method: 'POST',
+      headers: owner.headers,
+      body: JSON.stringify({ track_ids: [neighbour.id, track.id, neighbour.id] })
+    });
+  });
+
+  describe('DELETE /api/tracks/:id', () => {
+    it('should mark the track as deleted and hide it from normal queries', async () => {
+      const response = await fetch(`${TRACKS_URL}/${track.id}`, { method: 'DELETE', headers: curator.headers });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(data.data.deleted_at);
+
+      assert.strictEqual((await fetch(`${TRACKS_URL}/${track.id}`)).status, 404);
+      assert.strictEqual((await fetch(`${TRACKS_URL}/${track.id}`, { method: 'DELETE', headers: curator.headers })).status, 404);
+
+      const list = await fetch(`${TRACKS_URL}?naam=Trash Me`).then(r => r.json());
+      assert.deepStrictEqual(list.data, []);
+
+      const entries = await fetch(`${PLAYLISTS_URL}/${playlist.id}/tracks`, { headers: owner.headers }).then(r => r.json());
+      assert.deepStrictEqual(entries.data.map(entry => entry.track.id), [neighbour.id, neighbour.id]);
+    });
+
+    it('should not allow adding a deleted track to a playlist', async () => {
+      const response = await fetch(`${PLAYLISTS_URL}/${playlist.id}/tracks`, {
+        method: 'POST',
+        headers: owner.headers,
+        body: JSON.stringify({ track_ids: [track.id] })
+      });
+
+      assert.strictEqual(response.status, 400);
+    });
+  });
+
+  describe('GET /api/trash', () => {
+    it('should list deleted tracks for curators with purge_after', async () => {
+      const { response, data } = await getTrash(curator, '?type=track');
+      const item = data.data.find(entry => entry.id === track.id);
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(item.type, 'track');
+      assert.strictEqual(item.naam, 'Trash Me');
+      assert.strictEqual(data.retention_days, 30);
+      assert.strictEqual(new Date(item.purge_after) - new Date(item.deleted_at), 30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should not list deleted tracks for listeners', async () => {
+      const { data } = await getTrash(owner);
+      assert.ok(data.data.every(entry => entry.type === 'playlist'));
+    });
+
+    it('should reject an unknown type and require authentication', async () => {
+      assert.strictEqual((await getTrash(curator, '?type=artist')).response.status, 400);
+      assert.strictEqual((await fetch(TRASH_URL)).status, 401);
+    });
+  });
+
+  describe('POST /api/trash/tracks/:id/restore', () => {
+    it('should require the curator or admin role', async () => {
+      const response = await fetch(`${TRASH_URL}/tracks/${track.id}/restore`, { method: 'POST', headers: owner.headers });
+      assert.strictEqual(response.status, 403);
+    });
+
+    it('should restore the track and its playlist positions', async () => {
+      const response = await fetch(`${TRASH_URL}/tracks/${track.id}/restore`, { method: 'POST', headers: curator.headers });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.deleted_at, undefined);
+      assert.strictEqual(data.data.deleted_from_playlists, undefined);
+      assert.ok(response.headers.get('etag'));
+      assert.strictEqual((await fetch(`${TRACKS_URL}/${track.id}`)).status, 200);
+
+      const entries = await fetch(`${PLAYLISTS_URL}/${playlist.id}/tracks`, { headers: owner.headers }).then(r => r.json());
+      assert.deepStrictEqual(entries.data.map(entry => entry.track.id), [neighbour.id, track.id, neighbour.id]);
+    });
+
+    it('should return 404 for a track that is not in the trash', async () => {
+      const response = await fetch(`${TRASH_URL}/tracks/${track.id}/restore`, { method: 'POST', headers: curator.headers });
+      assert.strictEqual(response.status, 404);
+    });
+  });
+
+  describe('playlists', () => {
+    it('should move a deleted playlist to the trash of its owner only', async () => {
+      const response = await fetch(`${PLAYLISTS_URL}/${playlist.id}`, { method: 'DELETE', headers: owner.headers });
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual((await fetch(`${PLAYLISTS_URL}/${playlist.id}`, { headers: owner.headers })).status, 404);
+
+      const own = await getTrash(owner, '?type=playlist');
+      const foreign = await getTrash(other, '?type=playlist');
+
+      assert.ok(own.data.data.some(entry => entry.id === playlist.id));
+      assert.ok(!foreign.data.data.some(entry => entry.id === playlist.id));
+    });
+
+    it('should only let the owner restore a playlist', async () => {
+      const foreign = await fetch(`${TRASH_URL}/playlists/${playlist.id}/restore`, { method: 'POST', headers: other.headers });
+      const asAdmin = await fetch(`${TRASH_URL}/playlists/${playlist.id}/restore`, { method: 'POST', headers: admin.headers });
+      assert.strictEqual(foreign.status, 404);
+      assert.strictEqual(asAdmin.status, 404);
+      assert.ok(!(await getTrash(admin, '?type=playlist')).data.data.some(entry => entry.id === playlist.id));
+
+      const response = await fetch(`${TRASH_URL}/playlists/${playlist.id}/restore`, { method: 'POST', headers: owner.headers });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.data.deleted_at, undefined);
+      assert.strictEqual(data.data.tracks.length, 3);
+    });
+  });
+
+  describe('DELETE /api/trash', () => {
+    it('should require the admin role', async () => {
+      const response = await fetch(TRASH_URL, { method: 'DELETE', headers: curator.headers });
+      assert.strictEqual(response.status, 403);
+    });
+
+    it('should keep records within the retention period', async () => {
+      await fetch(`${TRACKS_URL}/${track.id}`, { method: 'DELETE', headers: curator.headers });
+
+      const response = await fetch(TRASH_URL, { method: 'DELETE', headers: admin.headers });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(data.retention_days, 30);
+      assert.ok(!data.data.some(entry => entry.type === 'track' && entry.id === track.id));
+    });
+
+    it('should permanently remove records past the retention period', async () => {
+      const response = await fetch(`${TRASH_URL}?retention_days=0`, { method: 'DELETE', headers: admin.headers });
+      const data = await response.json();
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(data.data.some(entry => entry.type === 'track' && entry.id === track.id));
+
+      const restore = await fetch(`${TRASH_URL}/tracks/${track.id}/restore`, { method: 'POST', headers: curator.headers });
+      assert.strictEqual(restore.status, 404);
+      assert.ok(!(await getTrash(curator, '?type=track')).data.data.some(entry => entry.id === track.id));
+    });
+
+    it('should not reuse the id of a purged record', async () => {
+      const trackData = { naam: 'Purge Me', bpm: 100, duur: 180, jaar: 2020, artiesten: ['Trash Artist'], genres: ['Pop'] };
+      const create = () => fetch(TRACKS_URL, { method: 'POST', headers: curator.headers, body: JSON.stringify(trackData) }).then(r => r.json());
+      const purged = (await create()).data;
+
+      await fetch(`${TRACKS_URL}/${purged.id}`, { method: 'DELETE', headers: curator.headers });
+      await fetch(`${TRASH_URL}?retention_days=0`, { method: 'DELETE', headers: admin.headers });
+
+      const created = (await create()).data;
+      assert.notStrictEqual(created.id, purged.id);
+
+      const history = await fetch(`${TRACKS_URL}/${created.id}/history`, { headers: curator.headers }).then(r => r.json());
+      assert.deepStrictEqual(history.data.map(entry => entry.action), ['create']);
+    });
+
+    it('should reject an invalid retention period', async () => {
+      const response = await fetch(`${TRASH_URL}?retention_days=-1`, { method: 'DELETE', headers: admin.headers });
+      assert.strictEqual(response.status, 400);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Stelt bij het starten van de server een admin in vanuit de environment
+ * @description De data bevat geen admin. Met MOCKIFY_ADMIN_PASSWORD (en optioneel
+ * MOCKIFY_ADMIN_USERNAME, standaard 'admin') maakt de server bij elke start die user aan, of geeft
+ * een bestaande user de rol admin en dat wachtwoord. Zonder MOCKIFY_ADMIN_PASSWORD gebeurt er niets;
+ * een bestaande user kan dan ook admin worden met npm run users:role.
+ * @module utils/admin-bootstrap
+ */
+
+const { getRepository, withLock, nextId } = require('../storage');
+const { hashPassword } = require('./auth');
+const { findUserByUsername } = require('../models/users.model');
+
+const usersRepository = getRepository('users');
+
+/**
+ * Standaard username van de admin uit de environment
+ * @type {string}
+ */
+const DEFAULT_ADMIN_USERNAME = 'admin';
+
+/**
+ * Maakt de admin uit de environment aan of werkt die bij
+ * @async
+ * @param {Object} [env=process.env] - Environment met MOCKIFY_ADMIN_USERNAME en MOCKIFY_ADMIN_PASSWORD
+ * @returns {Promise<Object|null>} De admin, of null zonder MOCKIFY_ADMIN_PASSWORD
+ */
+const bootstrapAdmin = async (env = process.env) => {
+  if (!env.MOCKIFY_ADMIN_PASSWORD) {
+    return null;
+  }
+
+  const username = (env.MOCKIFY_ADMIN_USERNAME || DEFAULT_ADMIN_USERNAME).trim().toLowerCase();
+  const passwordHash = await hashPassword(env.MOCKIFY_ADMIN_PASSWORD);
+
+  return withLock(['users'], async () => {
+    const users = await usersRepository.all();
+    const existing = findUserByUsername(users, username);
+    const admin = existing
+      ? { ...existing, role: 'admin', password_hash: passwordHash }
+      : { id: nextId(users), username, naam: username, role: 'admin', password_hash: passwordHash, created_at: new Date().toISOString() };
+
+    await usersRepository.saveAll(existing ? users.map(u => (u === existing ? admin : u)) : [...users, admin]);
+    return admin;
+  });
+};
+
+module.exports = {
+  DEFAULT_ADMIN_USERNAME,
+  bootstrapAdmin
+};
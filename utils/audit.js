@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Hulpfuncties voor de audit log van tracks en playlists
+ * @description Elke mutatie van een track of playlist (create, update, patch, delete, restore,
+ * revert, merge en purge, maar ook de tracks van een playlist en een hernoemde artist of genre)
+ * voegt een entry toe aan de audit log, in dezelfde operatie en dus onder dezelfde lock als de
+ * wijziging zelf. De log is append-only: nieuwe entries komen achteraan (zonder de log in te lezen
+ * of te herschrijven) en worden nooit aangepast of verwijderd. Een entry bevat de record voor en na de wijziging, de gewijzigde velden, het tijdstip
+ * en de user die de wijziging deed. De revision van een entry is de version van de record na de
+ * wijziging, zodat een record naar elke eerder gekende version teruggezet kan worden.
+ * @module utils/audit
+ */
+
+const Joi = require('joi');
+const { isDeepStrictEqual } = require('util');
+const { currentVersion } = require('./conditional');
+const { appendToLog } = require('./operations');
+const { nextId } = require('../storage');
+
+/**
+ * Naam van de audit log
+ * @type {string}
+ */
+const AUDIT_LOG = 'audit';
+
+/**
+ * Naam van de collectie met per collectie het hoogste id van een definitief verwijderde record
+ * @type {string}
+ */
+const SEQUENCES_COLLECTION = 'sequences';
+
+/**
+ * Velden die bij elke wijziging veranderen en daarom niet in de changes van een entry staan
+ * @type {string[]}
+ */
+const UNTRACKED_FIELDS = ['version', 'updated_at'];
+
+/**
+ * Joi validatie schema voor de body van een revert
+ * @type {Joi.ObjectSchema}
+ */
+const revertSchema = Joi.object({
+  revision: Joi.number().integer().min(1).required()
+});
+
+/**
+ * Beschrijft de user die een wijziging deed
+ * @param {Object|null} user - Geauthenticeerde user
+ * @returns {Object|null} Object met id, username en naam, of null zonder user
+ */
+const auditActor = (user) => {
+  return user ? { id: user.id, username: user.username, naam: user.naam } : null;
+};
+
+/**
+ * Bepaalt de velden die verschillen tussen twee versies van een record (zonder de UNTRACKED_FIELDS)
+ * @param {Object|null} before - Record voor de wijziging (null bij een create)
+ * @param {Object|null} after - Record na de wijziging (null bij een purge)
+ * @returns {Object[]} Wijzigingen met field, before en after (null voor een ontbrekend veld)
+ */
+const diffRecords = (before, after) => {
+  const from = before || {};
+  const to = after || {};
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+  return fields
+    .filter(field => !UNTRACKED_FIELDS.includes(field) && !isDeepStrictEqual(from[field], to[field]))
+    .map(field => ({
+      field,
+      before: from[field] === undefined ? null : from[field],
+      after: to[field] === undefined ? null : to[field]
+    }));
+};
+
+/**
+ * Voegt een entry toe aan de audit log in een state; de entry krijgt haar id bij het bewaren.
+ * De records worden gekopieerd, zodat latere aanpassingen in dezelfde operatie de entry niet wijzigen.
+ * @param {Object} state - State uit executeOperation of executeBulk
+ * @param {Object} change - Beschrijving van de wijziging
+ * @param {string} change.collection - 'tracks' of 'playlists'
+ * @param {string} change.action - 'create', 'update', 'patch', 'delete', 'restore', 'revert', 'merge', 'purge',
+ * 'add_tracks', 'remove_tracks', 'reorder_tracks', 'rename_artist' of 'rename_genre'
+ * @param {Object} [change.before] - Record voor de wijziging
+ * @param {Object} [change.after] - Record na de wijziging
+ * @param {number} [change.revertedTo] - Revision waarnaar teruggezet werd (bij een revert)
+ * @param {Object|null} user - Geauthenticeerde user
+ * @returns {Object} De nieuwe entry
+ */
+const recordAudit = (state, { collection, action, before, after, revertedTo }, user) => {
+  const record = after || before;
+  const entry = {
+    collection,
+    record_id: record.id,
+    revision: currentVersion(record),
+    action,
+    actor: auditActor(user),
+    timestamp: new Date().toISOString(),
+    changes: diffRecords(before, after),
+    before: before ? structuredClone(before) : null,
+    after: after ? structuredClone(after) : null
+  };
+
+  if (revertedTo !== undefined) {
+    entry.reverted_to = revertedTo;
+  }
+
+  appendToLog(state, AUDIT_LOG, entry);
+  return entry;
+};
+
+/**
+ * Onthoudt in een state het id van een definitief verwijderde track of playlist, zodat
+ * nextRecordId het nooit opnieuw uitdeelt
+ * @param {Object} state - State met de collectie SEQUENCES_COLLECTION
+ * @param {string} collection - 'tracks' of 'playlists'
+ * @param {number} id - ID van de verwijderde record
+ * @returns {void}
+ */
+const rememberPurgedId = (state, collection, id) => {
+  const sequences = state.data[SEQUENCES_COLLECTION];
+  const index = sequences.findIndex(sequence => sequence.collection === collection);
+
+  if (index === -1) {
+    sequences.push({ collection, last_id: id });
+  } else if (sequences[index].last_id < id) {
+    sequences[index] = { ...sequences[index], last_id: id };
+  } else {
+    return;
+  }
+  state.changed.add(SEQUENCES_COLLECTION);
+};
+
+/**
+ * Bepaalt het id voor een nieuwe track of playlist in een state. Ook het hoogste id van een
+ * definitief verwijderde record telt mee, zodat een nieuw record nooit het id (en dus de history)
+ * van een gepurgede record krijgt.
+ * @param {Object} state - State met de collectie en SEQUENCES_COLLECTION
+ * @param {string} collection - 'tracks' of 'playlists'
+ * @returns {number} Hoogste id van de collectie of van een gepurgede record + 1
+ */
+const nextRecordId = (state, collection) => {
+  const sequence = state.data[SEQUENCES_COLLECTION].find(entry => entry.collection === collection);
+  return Math.max(nextId(state.data[collection]), sequence ? sequence.last_id + 1 : 1);
+};
+
+/**
+ * Selecteert de entries van een record, nieuwste eerst
+ * @param {Array} entries - Alle entries van de audit log
+ * @param {string} collection - 'tracks' of 'playlists'
+ * @param {string|number} id - ID van de record
+ * @returns {Object[]} Entries van de record
+ */
+const recordHistory = (entries, collection, id) => {
+  return entries
+    .filter(entry => entry.collection === collection && entry.record_id === parseInt(id))
+    .reverse();
+};
+
+/**
+ * Zoekt de inhoud van een record op een bepaalde revision: de record na de wijziging met die
+ * version, of de record voor de eerste gelogde wijziging (voor records van voor de audit log)
+ * @param {Array} entries - Alle entries van de audit log
+ * @param {string} collection - 'tracks' of 'playlists'
+ * @param {string|number} id - ID van de record
+ * @param {number} revision - Gevraagde revision (version)
+ * @returns {Object|null} Record op die revision, of null als de revision niet gekend is
+ */
+const findRevision = (entries, collection, id, revision) => {
+  const history = recordHistory(entries, collection, id);
+  const snapshots = [
+    ...history.map(entry => entry.after),
+    ...history.map(entry => entry.before)
+  ].filter(Boolean);
+
+  return snapshots.find(snapshot => currentVersion(snapshot) === revision) || null;
+};
+
+module.exports = {
+  AUDIT_LOG,
+  SEQUENCES_COLLECTION,
+  revertSchema,
+  diffRecords,
+  recordAudit,
+  rememberPurgedId,
+  nextRecordId,
+  recordHistory,
+  findRevision
+};
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Hulpfuncties voor wachtwoorden en bearer tokens
+ * @description Wachtwoorden worden gehasht met scrypt (met een willekeurige salt). Tokens zijn
+ * JSON Web Tokens ondertekend met HMAC-SHA256 (HS256). Het geheim komt uit MOCKIFY_TOKEN_SECRET;
+ * zonder die variabele wordt bij elke start een willekeurig geheim gebruikt (tokens vervallen dan
+ * bij een herstart). De geldigheid is instelbaar via MOCKIFY_TOKEN_TTL (seconden, standaard 24 uur).
+ * @module utils/auth
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Lengte van de scrypt hash in bytes
+ * @type {number}
+ */
+const KEY_LENGTH = 64;
+
+/**
+ * Geheim waarmee tokens ondertekend worden
+ * @type {string|Buffer}
+ */
+const TOKEN_SECRET = process.env.MOCKIFY_TOKEN_SECRET || crypto.randomBytes(32);
+
+/**
+ * Geldigheid van een token in seconden
+ * @type {number}
+ */
+const TOKEN_TTL = parseInt(process.env.MOCKIFY_TOKEN_TTL) || 24 * 60 * 60;
+
+/**
+ * Hasht een wachtwoord met scrypt
+ * @async
+ * @param {string} password - Wachtwoord in platte tekst
+ * @returns {Promise<string>} Hash in het formaat 'scrypt$<salt>$<hash>'
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+/**
+ * Controleert een wachtwoord tegen een opgeslagen hash (constant-time vergelijking)
+ * @async
+ * @param {string} password - Wachtwoord in platte tekst
+ * @param {string|null} stored - Opgeslagen hash uit hashPassword
+ * @returns {Promise<boolean>} true als het wachtwoord klopt
+ */
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split('$');
+
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Codeert een object als base64url JSON
+ * @param {Object} value - Te coderen object
+ * @returns {string} base64url string
+ */
+const encodeSegment = (value) => {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+};
+
+/**
+ * Berekent de HMAC-SHA256 handtekening van de header en payload van een token
+ * @param {string} unsigned - '<header>.<payload>'
+ * @returns {Buffer} Handtekening
+ */
+const sign = (unsigned) => {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(unsigned).digest();
+};
+
+/**
+ * Maakt een ondertekend token aan voor een user
+ * @param {Object} user - User object
+ * @returns {Object} Object met token en expires_in (seconden)
+ */
+const signToken = (user) => {
+  const now = Math.floor(Date.now() / 1000);
+  const unsigned = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment({ sub: user.id, iat: now, exp: now + TOKEN_TTL })}`;
+
+  return {
+    token: `${unsigned}.${sign(unsigned).toString('base64url')}`,
+    expires_in: TOKEN_TTL
+  };
+};
+
+/**
+ * Controleert de handtekening en de vervaldatum van een token
+ * @param {string} token - Bearer token
+ * @returns {Object|null} Payload van het token (met sub = user id), of null bij een ongeldig of vervallen token
+ */
+const verifyToken = (token) => {
+  const parts = String(token).split('.');
+
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const expected = sign(`${parts[0]}.${parts[1]}`);
+  const actual = Buffer.from(parts[2], 'base64url');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+
+    if (header.alg !== 'HS256' || !Number.isInteger(payload.sub) || !(payload.exp > Date.now() / 1000)) {
+      return null;
+    }
+
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Hulpfuncties voor conditionele requests (optimistic concurrency)
+ * @description Elke track en playlist heeft een version die bij elke wijziging verhoogd wordt.
+ * Die version wordt als ETag teruggegeven; clients sturen ze mee in een If-Match header bij
+ * PUT, PATCH en DELETE zodat een verouderde versie een 412 Precondition Failed oplevert.
+ * @module utils/conditional
+ */
+
+const { buildProblem } = require('./problem');
+
+/**
+ * Geeft de version van een record terug (records van voor de versioning tellen als version 1)
+ * @param {Object} record - Track of playlist
+ * @returns {number} Huidige version
+ */
+const currentVersion = (record) => {
+  return record.version || 1;
+};
+
+/**
+ * Bouwt de (sterke) ETag van een record op basis van de version
+ * @param {Object} record - Track of playlist
+ * @returns {string} ETag, bv. '"3"'
+ */
+const versionETag = (record) => {
+  return `"${currentVersion(record)}"`;
+};
+
+/**
+ * Bepaalt de version na een wijziging
+ * @param {Object} record - Huidige track of playlist
+ * @returns {number} Volgende version
+ */
+const nextVersion = (record) => {
+  return currentVersion(record) + 1;
+};
+
+/**
+ * Controleert of een If-Match header overeenkomt met de huidige version van een record.
+ * Zwakke ETags (W/"...") matchen nooit, want If-Match gebruikt een sterke vergelijking.
+ * @param {string} [header] - Waarde van de If-Match header
+ * @param {Object} record - Huidige track of playlist
+ * @returns {boolean} true als er geen header is, de header '*' is of een van de ETags overeenkomt
+ */
+const ifMatchSatisfied = (header, record) => {
+  if (header === undefined) {
+    return true;
+  }
+
+  const tags = header.split(',').map(tag => tag.trim());
+  return tags.includes('*') || tags.includes(versionETag(record));
+};
+
+/**
+ * Bouwt het resultaat van een operatie waarvan de If-Match niet klopt: een 412 Precondition Failed
+ * met de huidige representatie en ETag
+ * @param {Object} record - Huidige track of playlist
+ * @returns {Object} Operatieresultaat met problem en headers (zie utils/operations)
+ */
+const preconditionFailed = (record) => {
+  return {
+    problem: buildProblem(412, 'precondition_failed', `If-Match does not match the current version (${currentVersion(record)})`, {
+      data: record
+    }),
+    headers: { ETag: versionETag(record) }
+  };
+};
+
+module.exports = {
+  currentVersion,
+  versionETag,
+  nextVersion,
+  ifMatchSatisfied,
+  preconditionFailed
+};
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Hulpfuncties voor CSV (RFC 4180)
+ * @description Velden met een komma, een aanhalingsteken of een regeleinde staan tussen dubbele
+ * aanhalingstekens; een aanhalingsteken binnen zo'n veld wordt verdubbeld. Kolommen met meerdere
+ * waarden (bv. artiesten en genres) gebruiken '|' als scheidingsteken binnen het veld.
+ * @module utils/csv
+ */
+
+/**
+ * Scheidingsteken tussen de waarden van een kolom met meerdere waarden
+ * @type {string}
+ */
+const MULTI_VALUE_SEPARATOR = '|';
+
+/**
+ * Zet een waarde om naar een CSV veld
+ * @param {*} value - Waarde (arrays worden samengevoegd met MULTI_VALUE_SEPARATOR)
+ * @returns {string} CSV veld, indien nodig tussen aanhalingstekens
+ */
+const formatCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = Array.isArray(value) ? value.join(MULTI_VALUE_SEPARATOR) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Zet een lijst van waarden om naar een CSV regel
+ * @param {Array} values - Waarden van de regel
+ * @returns {string} CSV regel, afgesloten met CRLF
+ */
+const formatCsvRow = (values) => {
+  return `${values.map(formatCsvValue).join(',')}\r\n`;
+};
+
+/**
+ * Leest een CSV document in. Lege regels worden overgeslagen.
+ * @param {string} text - CSV document (een BOM vooraan wordt genegeerd)
+ * @returns {Object[]} Records met line (regelnummer waarop het record begint) en values, of
+ * line en error bij een record met een niet afgesloten aanhalingsteken
+ */
+const parseCsv = (text) => {
+  const input = text.startsWith('\uFEFF') ? text.slice(1) : text;
+  const records = [];
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    values.push(field);
+    field = '';
+  };
+
+  const endRecord = () => {
+    endField();
+    if (values.length > 1 || values[0] !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    records.push({ line: recordLine, error: 'Unterminated quoted field' });
+  } else {
+    endRecord();
+  }
+
+  return records;
+};
+
+/**
+ * Splitst een CSV veld met meerdere waarden op
+ * @param {string} value - Veld, bv. 'Queen|David Bowie'
+ * @returns {string[]} Niet-lege, getrimde waarden
+ */
+const splitMultiValue = (value) => {
+  return value.split(MULTI_VALUE_SEPARATOR).map(v => v.trim()).filter(v => v !== '');
+};
+
+module.exports = {
+  MULTI_VALUE_SEPARATOR,
+  formatCsvRow,
+  parseCsv,
+  splitMultiValue
+};
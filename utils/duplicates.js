@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Hulpfuncties voor het herkennen van dubbele tracks
+ * @description Twee tracks zijn waarschijnlijk dezelfde song als hun genormaliseerde naam gelijk is
+ * (zonder verschil in hoofdletters, accenten of witruimte), ze dezelfde artiesten hebben (in eender
+ * welke volgorde) en hun duur hoogstens de tolerantie (standaard 3 seconden) verschilt. Een cluster
+ * is een groep van zulke tracks; binnen een cluster ligt de duur van elke track binnen de tolerantie
+ * van de vorige, gesorteerd op duur.
+ * @module utils/duplicates
+ */
+
+const Joi = require('joi');
+const { isDeleted } = require('./trash');
+const { artistKey } = require('../models/artists.model');
+
+/**
+ * Standaard tolerantie op de duur in seconden
+ * @type {number}
+ */
+const DEFAULT_DURATION_TOLERANCE = 3;
+
+/**
+ * Joi schema voor de tolerantie op de duur (query parameter of body veld)
+ * @type {Joi.NumberSchema}
+ */
+const toleranceSchema = Joi.number().integer().min(0).default(DEFAULT_DURATION_TOLERANCE);
+
+/**
+ * Normaliseert een tracknaam voor de vergelijking
+ * @param {string} naam - Naam van de track
+ * @returns {string} Naam in lowercase, zonder accenten en overbodige witruimte
+ */
+const normalizeTitle = (naam) => {
+  return String(naam || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+};
+
+/**
+ * Sleutel van een track voor de vergelijking: genormaliseerde naam en gesorteerde artiesten
+ * @param {Object} track - Track (of kandidaat) met naam en artiesten
+ * @returns {string} Vergelijkingssleutel
+ */
+const duplicateKey = (track) => {
+  const artists = [...new Set((track.artiesten || []).map(artistKey))].sort();
+  return JSON.stringify([normalizeTitle(track.naam), artists]);
+};
+
+/**
+ * Controleert of twee tracks waarschijnlijk dezelfde song zijn
+ * @param {Object} a - Track met naam, artiesten en duur
+ * @param {Object} b - Track met naam, artiesten en duur
+ * @param {number} [tolerance=DEFAULT_DURATION_TOLERANCE] - Maximaal verschil in duur (seconden)
+ * @returns {boolean} true bij dezelfde sleutel en een duur binnen de tolerantie
+ */
+const isLikelyDuplicate = (a, b, tolerance = DEFAULT_DURATION_TOLERANCE) => {
+  return duplicateKey(a) === duplicateKey(b) && Math.abs(a.duur - b.duur) <= tolerance;
+};
+
+/**
+ * Zoekt de (niet verwijderde) tracks die waarschijnlijk dezelfde song zijn als een kandidaat
+ * @param {Object} candidate - Nieuwe of bestaande track met naam, artiesten en duur
+ * @param {Array} tracks - Array van track objecten
+ * @param {number} [tolerance=DEFAULT_DURATION_TOLERANCE] - Maximaal verschil in duur (seconden)
+ * @returns {Object[]} Waarschijnlijke dubbels, zonder de kandidaat zelf
+ */
+const findDuplicates = (candidate, tracks, tolerance = DEFAULT_DURATION_TOLERANCE) => {
+  return tracks.filter(track => track.id !== candidate.id && !isDeleted(track) && isLikelyDuplicate(candidate, track, tolerance));
+};
+
+/**
+ * Groepeert de (niet verwijderde) tracks in clusters van waarschijnlijke dubbels
+ * @param {Array} tracks - Array van track objecten
+ * @param {number} [tolerance=DEFAULT_DURATION_TOLERANCE] - Maximaal verschil in duur tussen opeenvolgende tracks
+ * @returns {Array<Object[]>} Clusters van minstens twee tracks, elk oplopend op id, gesorteerd op de eerste id
+ */
+const duplicateClusters = (tracks, tolerance = DEFAULT_DURATION_TOLERANCE) => {
+  const groups = new Map();
+
+  tracks.filter(track => !isDeleted(track)).forEach(track => {
+    const key = duplicateKey(track);
+    groups.set(key, [...(groups.get(key) || []), track]);
+  });
+
+  const clusters = [];
+
+  groups.forEach(group => {
+    let cluster = [];
+
+    [...group].sort((a, b) => a.duur - b.duur || a.id - b.id).forEach(track => {
+      if (cluster.length > 0 && track.duur - cluster[cluster.length - 1].duur > tolerance) {
+        clusters.push(cluster);
+        cluster = [];
+      }
+      cluster.push(track);
+    });
+    clusters.push(cluster);
+  });
+
+  return clusters
+    .filter(cluster => cluster.length > 1)
+    .map(cluster => cluster.sort((a, b) => a.id - b.id))
+    .sort((a, b) => a[0].id - b[0].id);
+};
+
+/**
+ * Kiest de track die een cluster na het samenvoegen vertegenwoordigt: de oudste track met een
+ * Spotify link, of anders de oudste track
+ * @param {Object[]} cluster - Tracks van een cluster, oplopend op id
+ * @returns {Object} Voorgestelde canonieke track
+ */
+const canonicalTrack = (cluster) => {
+  return cluster.find(track => track.spotify_id) || cluster[0];
+};
+
+module.exports = {
+  DEFAULT_DURATION_TOLERANCE,
+  toleranceSchema,
+  normalizeTitle,
+  isLikelyDuplicate,
+  findDuplicates,
+  duplicateClusters,
+  canonicalTrack
+};
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Hulpfuncties voor het exporteren van collecties als CSV of NDJSON
+ * @description De export wordt regel per regel gestreamd naar de response, zodat grote
+ * catalogi niet eerst als een string in het geheugen opgebouwd worden.
+ * @module utils/export
+ */
+
+const Joi = require('joi');
+const { Readable, pipeline } = require('stream');
+const { formatCsvRow } = require('./csv');
+
+/**
+ * Content types per exportformaat
+ * @type {Object<string, string>}
+ */
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+/**
+ * Leest het exportformaat uit de format query parameter
+ * @param {Object} query - Query parameters
+ * @param {string[]} [formats] - Toegelaten formaten; het eerste is de standaard (standaard 'csv' en 'ndjson')
+ * @returns {Object} Object met value (het formaat) of error (Joi.ValidationError)
+ */
+const parseExportFormat = (query, formats = Object.keys(EXPORT_CONTENT_TYPES)) => {
+  const { error, value } = Joi.object({
+    format: Joi.string().valid(...formats).default(formats[0])
+  }).unknown(true).validate(query);
+
+  return error ? { error } : { value: value.format };
+};
+
+/**
+ * Genereert de regels van een export
+ * @param {string} format - 'csv' of 'ndjson'
+ * @param {string[]} columns - Kolommen van de CSV (header)
+ * @param {Array} records - Te exporteren records
+ * @param {Function} toCsvRecord - Zet een record om naar een object met de CSV kolommen
+ * @yields {string} Regel van de export
+ */
+function* exportLines(format, columns, records, toCsvRecord) {
+  if (format === 'csv') {
+    yield formatCsvRow(columns);
+    for (const record of records) {
+      const row = toCsvRecord(record);
+      yield formatCsvRow(columns.map(column => row[column]));
+    }
+    return;
+  }
+
+  for (const record of records) {
+    yield `${JSON.stringify(record)}\n`;
+  }
+}
+
+/**
+ * Streamt een export als bijlage naar de response
+ * @param {Object} res - Express response object
+ * @param {Object} options - Opties
+ * @param {string} options.format - 'csv' of 'ndjson'
+ * @param {string} options.filename - Bestandsnaam zonder extensie, bv. 'tracks'
+ * @param {string[]} options.columns - Kolommen van de CSV
+ * @param {Array} options.records - Te exporteren records (NDJSON bevat de volledige records)
+ * @param {Function} [options.toCsvRecord] - Zet een record om naar de CSV kolommen (standaard ongewijzigd)
+ * @returns {void}
+ */
+const streamExport = (res, { format, filename, columns, records, toCsvRecord = record => record }) => {
+  // attachment() zet zelf een Content-Type op basis van de extensie; daarna overschrijven
+  res.attachment(`${filename}.${format}`);
+  res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+
+  // Een afgebroken download is geen serverfout; de stream wordt gewoon opgeruimd
+  pipeline(Readable.from(exportLines(format, columns, records, toCsvRecord)), res, () => {});
+};
+
+module.exports = {
+  EXPORT_CONTENT_TYPES,
+  parseExportFormat,
+  streamExport
+};
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Hulpfuncties voor sparse fieldsets (veldprojectie)
+ * @description Ondersteunt 'fields=id,naam,artiesten' en geneste paden met een punt,
+ * bv. 'fields=naam,tracks.track_id' of 'fields=track.naam'
+ * @module utils/fields
+ */
+
+/**
+ * Zet een lijst van veldnamen om naar paden onder een prefix
+ * @param {string} prefix - Naam van het geneste veld, bv. 'track'
+ * @param {string[]} fields - Veldnamen van het geneste object
+ * @returns {string[]} Paden, bv. ['track.id', 'track.naam']
+ */
+const nestFields = (prefix, fields) => {
+  return fields.map(field => `${prefix}.${field}`);
+};
+
+/**
+ * Leest en valideert de fields query parameter
+ * @param {string} [spec] - Komma-gescheiden lijst van (geneste) velden
+ * @param {string[]} allowedFields - Toegelaten veldpaden
+ * @returns {Object} Object met error (string), value (boomstructuur van velden) of value null zonder projectie
+ */
+const parseFields = (spec, allowedFields) => {
+  if (spec === undefined) {
+    return { value: null };
+  }
+
+  if (typeof spec !== 'string') {
+    return { error: '"fields" must be a comma-separated list of fields', allowedFields };
+  }
+
+  const paths = spec.split(',').map(path => path.trim()).filter(path => path !== '');
+
+  if (paths.length === 0) {
+    return { error: '"fields" must contain at least one field', allowedFields };
+  }
+
+  const unknown = paths.filter(path => !allowedFields.includes(path));
+
+  if (unknown.length > 0) {
+    return {
+      error: `"fields" contains unknown fields: ${unknown.join(', ')}. Allowed fields: ${allowedFields.join(', ')}`,
+      allowedFields
+    };
+  }
+
+  // Bouw een boom: { naam: true, tracks: { track_id: true } }
+  const tree = {};
+  paths.forEach(path => {
+    const parts = path.split('.');
+    let node = tree;
+
+    for (let index = 0; index < parts.length; index++) {
+      const part = parts[index];
+
+      // Een bovenliggend veld dat al volledig gevraagd is, omvat ook dit pad
+      if (node[part] === true) {
+        break;
+      }
+      if (index === parts.length - 1) {
+        node[part] = true;
+      } else {
+        node[part] = node[part] || {};
+        node = node[part];
+      }
+    }
+  });
+
+  return { value: tree };
+};
+
+/**
+ * Projecteert een waarde (object of array van objecten) op een veldenboom
+ * @param {*} value - Te projecteren waarde
+ * @param {Object|boolean|null} tree - Boom uit parseFields (null of true = alles behouden)
+ * @returns {*} Geprojecteerde waarde
+ */
+const projectFields = (value, tree) => {
+  if (tree === null || tree === true || value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => projectFields(item, tree));
+  }
+
+  const projected = {};
+  Object.keys(tree).forEach(key => {
+    if (value[key] !== undefined) {
+      projected[key] = projectFields(value[key], tree[key]);
+    }
+  });
+
+  return projected;
+};
+
+module.exports = {
+  nestFields,
+  parseFields,
+  projectFields
+};
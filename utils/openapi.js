@@ -0,0 +1,381 @@
+/**
+ * @fileoverview Genereert een OpenAPI 3.1 document uit de geregistreerde routes en hun Joi schemas
+ * @description De paden komen uit de routers zelf (elke route die Express kent), de schemas van
+ * de request bodies en query parameters uit dezelfde Joi schemas waarmee de controllers valideren.
+ * Zo kan de documentatie niet ongemerkt afwijken van wat de API echt doet: een route zonder
+ * beschrijving (of een POST, PUT of PATCH zonder body schema) komt in het document met x-undocumented.
+ * @module utils/openapi
+ */
+
+const Joi = require('joi');
+const { STATUS_CODES } = require('http');
+
+/**
+ * HTTP methodes waarvan de beschrijving een body schema moet hebben (of expliciet body: false)
+ * @type {string[]}
+ */
+const BODY_METHODS = ['post', 'put', 'patch'];
+
+/**
+ * Zet een Joi regex ('/^a$/i') om naar een JSON Schema pattern
+ * @param {string} regex - Regex zoals Joi ze beschrijft
+ * @returns {string} Pattern zonder slashes en flags
+ */
+const regexSource = (regex) => {
+  return regex.slice(1, regex.lastIndexOf('/'));
+};
+
+/**
+ * Geeft de limiet van een Joi regel, of undefined als die van een ander veld afhangt (Joi.ref)
+ * @param {Object} rule - Regel uit een Joi beschrijving
+ * @returns {number|undefined} Limiet
+ */
+const ruleLimit = (rule) => {
+  const limit = rule.args && rule.args.limit;
+  return typeof limit === 'number' ? limit : undefined;
+};
+
+/**
+ * Zet een Joi beschrijving (schema.describe()) om naar JSON Schema (draft 2020-12)
+ * @param {Object} description - Joi beschrijving
+ * @returns {Object} JSON Schema
+ */
+const describedToJsonSchema = (description) => {
+  const flags = description.flags || {};
+  const rules = description.rules || [];
+  const allowed = description.allow || [];
+  const schema = {};
+
+  switch (description.type) {
+  case 'string':
+    schema.type = 'string';
+    rules.forEach(rule => {
+      if (rule.name === 'min' || rule.name === 'length') {
+        schema.minLength = ruleLimit(rule);
+      }
+      if (rule.name === 'max' || rule.name === 'length') {
+        schema.maxLength = ruleLimit(rule);
+      }
+      if (rule.name === 'pattern') {
+        schema.pattern = regexSource(rule.args.regex);
+      }
+      if (rule.name === 'email') {
+        schema.format = 'email';
+      }
+      if (rule.name === 'uri') {
+        schema.format = 'uri';
+      }
+    });
+    break;
+  case 'number':
+    schema.type = rules.some(rule => rule.name === 'integer') ? 'integer' : 'number';
+    rules.forEach(rule => {
+      if (rule.name === 'min') {
+        schema.minimum = ruleLimit(rule);
+      }
+      if (rule.name === 'max') {
+        schema.maximum = ruleLimit(rule);
+      }
+    });
+    break;
+  case 'boolean':
+    schema.type = 'boolean';
+    break;
+  case 'date':
+    schema.type = 'string';
+    schema.format = 'date-time';
+    break;
+  case 'array':
+    schema.type = 'array';
+    if (description.items && description.items.length === 1) {
+      schema.items = describedToJsonSchema(description.items[0]);
+    } else if (description.items) {
+      schema.items = { anyOf: description.items.map(describedToJsonSchema) };
+    }
+    rules.forEach(rule => {
+      if (rule.name === 'min' || rule.name === 'length') {
+        schema.minItems = ruleLimit(rule);
+      }
+      if (rule.name === 'max' || rule.name === 'length') {
+        schema.maxItems = ruleLimit(rule);
+      }
+    });
+    break;
+  case 'object':
+    Object.assign(schema, objectToJsonSchema(description));
+    break;
+  case 'alternatives':
+    schema.anyOf = description.matches.flatMap(match => {
+      return match.schema ? [match.schema] : [match.then, match.otherwise].filter(Boolean);
+    }).map(describedToJsonSchema);
+    break;
+  default:
+    // Een Joi.any() met when() neemt de vorm aan van een van de takken
+    if (description.whens) {
+      const branches = description.whens
+        .flatMap(when => (when.is ? [when.then, when.otherwise] : (when.switch || []).flatMap(item => [item.then, item.otherwise]).concat(when.otherwise)))
+        .filter(branch => branch && (branch.flags || {}).presence !== 'forbidden' && branch.type !== 'any');
+
+      if (branches.length > 0) {
+        schema.anyOf = branches.map(describedToJsonSchema);
+      }
+    }
+  }
+
+  if (flags.only) {
+    schema.enum = allowed;
+    delete schema.type;
+  } else if (allowed.includes(null) && schema.type) {
+    schema.type = [schema.type, 'null'];
+  }
+
+  if (flags.default !== undefined && typeof flags.default !== 'function') {
+    schema.default = flags.default;
+  }
+
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  // Limieten die van een ander veld afhangen (Joi.ref) hebben geen vaste waarde
+  Object.keys(schema).forEach(key => schema[key] === undefined && delete schema[key]);
+
+  return schema;
+};
+
+/**
+ * Zet de beschrijving van een Joi object om naar een JSON Schema object
+ * @param {Object} description - Joi beschrijving van het object
+ * @returns {Object} JSON Schema met type, properties, required en de afhankelijkheden tussen velden
+ */
+const objectToJsonSchema = (description) => {
+  const schema = { type: 'object' };
+  const keys = Object.entries(description.keys || {})
+    .filter(([, key]) => (key.flags || {}).presence !== 'forbidden');
+
+  if (!description.keys) {
+    return schema;
+  }
+
+  schema.properties = Object.fromEntries(keys.map(([name, key]) => [name, describedToJsonSchema(key)]));
+
+  const required = keys.filter(([, key]) => (key.flags || {}).presence === 'required').map(([name]) => name);
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  if (!(description.flags || {}).unknown) {
+    schema.additionalProperties = false;
+  }
+
+  (description.dependencies || []).forEach(dependency => {
+    const alternatives = dependency.peers.map(peer => ({ required: [peer] }));
+
+    if (dependency.rel === 'xor') {
+      schema.oneOf = alternatives;
+    } else if (dependency.rel === 'or') {
+      schema.anyOf = alternatives;
+    }
+  });
+
+  return schema;
+};
+
+/**
+ * Zet een Joi schema om naar JSON Schema (draft 2020-12, zoals OpenAPI 3.1 gebruikt)
+ * @param {Joi.Schema} schema - Joi schema
+ * @returns {Object} JSON Schema
+ */
+const joiToJsonSchema = (schema) => {
+  return describedToJsonSchema(schema.describe());
+};
+
+/**
+ * Somt de routes van gemounte routers op
+ * @param {Object<string, Function>} mounts - Routers per mount pad, bv. { '/api/tracks': tracksRouter }
+ * @returns {Array<{method: string, path: string}>} Routes met een lowercase methode en het volledige Express pad
+ */
+const listRoutes = (mounts) => {
+  return Object.entries(mounts).flatMap(([mountPath, router]) => {
+    return router.stack
+      .filter(layer => layer.route)
+      .flatMap(layer => {
+        const path = layer.route.path === '/' ? mountPath : `${mountPath}${layer.route.path}`;
+        return Object.keys(layer.route.methods)
+          .filter(method => method !== '_all')
+          .map(method => ({ method, path }));
+      });
+  });
+};
+
+/**
+ * Bouwt de parameters van een operatie: het pad, de query en optioneel If-Match
+ * @param {string} path - Express pad, bv. '/api/tracks/:id'
+ * @param {Object} operation - Beschrijving van de operatie
+ * @returns {Object[]} OpenAPI parameters
+ */
+const buildParameters = (path, operation) => {
+  const pathSchemas = operation.params ? joiToJsonSchema(operation.params).properties : {};
+  const parameters = (path.match(/:\w+/g) || []).map(param => {
+    const name = param.slice(1);
+    return { name, in: 'path', required: true, schema: pathSchemas[name] || { type: 'integer' } };
+  });
+
+  if (operation.query) {
+    const query = joiToJsonSchema(operation.query);
+    Object.entries(query.properties || {}).forEach(([name, schema]) => {
+      const { description, ...rest } = schema;
+      parameters.push({
+        name,
+        in: 'query',
+        required: (query.required || []).includes(name),
+        ...(description ? { description } : {}),
+        schema: rest
+      });
+    });
+  }
+
+  if (operation.ifMatch) {
+    parameters.push({
+      name: 'If-Match',
+      in: 'header',
+      required: false,
+      description: 'ETag van de versie waarop de wijziging gebaseerd is; 412 als de resource intussen gewijzigd is',
+      schema: { type: 'string' }
+    });
+  }
+
+  return parameters;
+};
+
+/**
+ * Zet een body beschrijving om naar OpenAPI content: een Joi schema is application/json,
+ * een object koppelt Content-Types aan Joi schemas
+ * @param {Joi.Schema|Object<string, Joi.Schema>} body - Body beschrijving
+ * @returns {Object} OpenAPI content object
+ */
+const buildContent = (body) => {
+  const types = Joi.isSchema(body) ? { 'application/json': body } : body;
+  return Object.fromEntries(Object.entries(types).map(([type, schema]) => [type, { schema: joiToJsonSchema(schema) }]));
+};
+
+/**
+ * Bouwt de responses van een operatie. Een 2xx response met data krijgt de standaard envelope
+ * ({ success, data }); foutresponses verwijzen naar het gedeelde Problem schema.
+ * @param {Object} operation - Beschrijving van de operatie
+ * @returns {Object} OpenAPI responses
+ */
+const buildResponses = (operation) => {
+  const responses = { ...operation.responses };
+
+  if (operation.auth) {
+    responses[401] = responses[401] || 'Geen of een ongeldig token';
+    if (Array.isArray(operation.auth)) {
+      responses[403] = responses[403] || `Enkel voor de rollen ${operation.auth.join(', ')}`;
+    }
+  }
+
+  if ((operation.query || operation.body) && !responses[400]) {
+    responses[400] = 'Ongeldige request (validation_failed)';
+  }
+
+  return Object.fromEntries(Object.entries(responses).map(([status, response]) => {
+    const { description, data, list, content } = typeof response === 'string' ? { description: response } : response;
+    const text = description || STATUS_CODES[status];
+
+    if (Number(status) >= 400) {
+      return [status, {
+        description: text,
+        content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } }
+      }];
+    }
+
+    if (content) {
+      return [status, { description: text, content: buildContent(content) }];
+    }
+
+    if (!data) {
+      return [status, { description: text }];
+    }
+
+    const item = typeof data === 'string' ? { $ref: `#/components/schemas/${data}` } : joiToJsonSchema(data);
+    const properties = { success: { const: true }, data: list ? { type: 'array', items: item } : item };
+    if (list) {
+      properties.count = { type: 'integer' };
+    }
+
+    return [status, {
+      description: text,
+      content: { 'application/json': { schema: { type: 'object', properties, required: ['success', 'data'] } } }
+    }];
+  }));
+};
+
+/**
+ * Bouwt een OpenAPI operatie uit de beschrijving in de registry
+ * @param {string} path - Express pad
+ * @param {Object} operation - Beschrijving met summary, tag, auth, params, query, body (false voor een request
+ * zonder body), ifMatch en responses
+ * @returns {Object} OpenAPI operation object
+ */
+const buildOperation = (path, operation) => {
+  const built = {
+    tags: [operation.tag],
+    summary: operation.summary,
+    ...(operation.description ? { description: operation.description } : {}),
+    parameters: buildParameters(path, operation),
+    responses: buildResponses(operation)
+  };
+
+  if (operation.body) {
+    built.requestBody = { required: true, content: buildContent(operation.body) };
+  }
+
+  if (operation.auth) {
+    built.security = [{ bearerAuth: [] }];
+  }
+
+  return built;
+};
+
+/**
+ * Genereert het OpenAPI document voor alle geregistreerde routes
+ * @param {Object} options - Opties
+ * @param {Object} options.info - OpenAPI info object (title, version, description)
+ * @param {Object<string, Function>} options.mounts - Routers per mount pad
+ * @param {Object<string, Object>} options.operations - Beschrijvingen per route, bv. 'GET /api/tracks/:id'
+ * @param {Object<string, Joi.Schema>} [options.schemas={}] - Gedeelde schemas (components.schemas)
+ * @returns {Object} OpenAPI 3.1 document
+ */
+const buildOpenApiDocument = ({ info, mounts, operations, schemas = {} }) => {
+  const paths = {};
+
+  listRoutes(mounts).forEach(({ method, path }) => {
+    const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+    const operation = operations[`${method.toUpperCase()} ${path}`];
+    const documented = operation && !(BODY_METHODS.includes(method) && operation.body === undefined);
+
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method] = documented
+      ? buildOperation(path, operation)
+      : { summary: `${method.toUpperCase()} ${path}`, 'x-undocumented': true, responses: { default: { description: 'Niet gedocumenteerd' } } };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info,
+    paths,
+    components: {
+      schemas: Object.fromEntries(Object.entries(schemas).map(([name, schema]) => [name, joiToJsonSchema(schema)])),
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' }
+      }
+    }
+  };
+};
+
+module.exports = {
+  joiToJsonSchema,
+  listRoutes,
+  buildOpenApiDocument
+};
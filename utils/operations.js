@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Hulpfuncties voor mutaties als operaties op een gedeelde state
+ * @description Een operatie (create, update, patch of delete) is een synchrone functie die de
+ * collecties uit een state aanpast en een resultaat teruggeeft: { status, value, headers } bij
+ * succes (optioneel met warnings) of { problem, headers } bij een fout. Een operatie die faalt,
+ * laat de state ongewijzigd. De gewone endpoints voeren een operatie uit; de bulk endpoints voeren
+ * er meerdere uit op dezelfde state, zodat elke collectie maar een keer gelezen en geschreven wordt.
+ * @module utils/operations
+ */
+
+const Joi = require('joi');
+const { buildValidationProblem, sendProblem, sendBuiltProblem } = require('./problem');
+const { getRepository, getLog, withLock } = require('../storage');
+
+/**
+ * Maximaal aantal operaties in een bulk request
+ * @type {number}
+ */
+const MAX_BULK_OPERATIONS = 1000;
+
+/**
+ * Joi validatie schema voor een bulk request
+ * @type {Joi.ObjectSchema}
+ */
+const bulkSchema = Joi.object({
+  atomic: Joi.boolean().default(false),
+  operations: Joi.array().items(Joi.object({
+    op: Joi.string().valid('create', 'update', 'patch', 'delete').required(),
+    id: Joi.number().integer().when('op', { is: 'create', then: Joi.forbidden(), otherwise: Joi.required() }),
+    data: Joi.any().when('op', {
+      switch: [
+        { is: 'delete', then: Joi.forbidden() },
+        { is: 'patch', then: Joi.alternatives(Joi.object(), Joi.array()).required() }
+      ],
+      otherwise: Joi.object().required()
+    }),
+    if_match: Joi.string().when('op', { is: 'create', then: Joi.forbidden() })
+  })).min(1).max(MAX_BULK_OPERATIONS).required()
+});
+
+/**
+ * Leest collecties in een state voor operaties; enkel veilig binnen withLock op dezelfde collecties
+ * @async
+ * @param {string[]} collections - Namen van de collecties, bv. ['tracks', 'artists']
+ * @returns {Promise<Object>} State met data (records per collectie), changed (gewijzigde collecties)
+ * en logs (nieuwe entries per log, bv. de audit log, die niet ingelezen wordt)
+ */
+const loadState = async (collections) => {
+  const records = await Promise.all(collections.map(collection => getRepository(collection).all()));
+
+  return {
+    data: Object.fromEntries(collections.map((collection, index) => [collection, records[index]])),
+    changed: new Set(),
+    logs: new Map()
+  };
+};
+
+/**
+ * Voegt een entry toe aan een log in een state; de entry wordt pas bij saveState bewaard
+ * @param {Object} state - State uit loadState
+ * @param {string} log - Naam van de log, bv. 'audit'
+ * @param {Object} entry - Nieuwe entry (zonder id)
+ * @returns {void}
+ */
+const appendToLog = (state, log, entry) => {
+  if (!state.logs.has(log)) {
+    state.logs.set(log, []);
+  }
+  state.logs.get(log).push(entry);
+};
+
+/**
+ * Schrijft de gewijzigde collecties van een state, elk een keer, en voegt de nieuwe entries
+ * achteraan hun log toe
+ * @async
+ * @param {Object} state - State uit loadState
+ * @returns {Promise<void>}
+ */
+const saveState = async (state) => {
+  for (const collection of state.changed) {
+    await getRepository(collection).saveAll(state.data[collection]);
+  }
+
+  for (const [log, entries] of state.logs) {
+    await getLog(log).append(entries);
+  }
+};
+
+/**
+ * Voert een operatie uit onder een lock en schrijft de wijzigingen als ze geslaagd is
+ * @async
+ * @param {string[]} collections - Collecties die de operatie leest en aanpast
+ * @param {Function} operation - Functie die de state krijgt en een operatieresultaat teruggeeft
+ * @returns {Promise<Object>} Operatieresultaat
+ */
+const executeOperation = (collections, operation) => {
+  return withLock(collections, async () => {
+    const state = await loadState(collections);
+    const result = operation(state);
+
+    if (!result.problem) {
+      await saveState(state);
+    }
+    return result;
+  });
+};
+
+/**
+ * Stuurt het resultaat van een operatie terug: de record als JSON (met de warnings van de operatie,
+ * als die er zijn) of een problem+json
+ * @param {Object} res - Express response object
+ * @param {Object} result - Operatieresultaat
+ * @returns {Object} Express response
+ */
+const sendOperationResult = (res, result) => {
+  if (result.headers) {
+    res.set(result.headers);
+  }
+
+  if (result.problem) {
+    return sendBuiltProblem(res, result.problem);
+  }
+
+  return res.status(result.status).json({
+    success: true,
+    data: result.value,
+    ...(result.warnings ? { warnings: result.warnings } : {})
+  });
+};
+
+/**
+ * Zet een operatie uit een bulk request om naar de input van een operatiefunctie
+ * @param {Object} operation - Gevalideerde operatie uit de bulk request
+ * @returns {Object} Input met id, data, format (voor patch) en if_match
+ */
+const operationInput = (operation) => {
+  return {
+    id: operation.id,
+    data: operation.op === 'update' ? { id: operation.id, ...operation.data } : operation.data,
+    format: Array.isArray(operation.data) ? 'json-patch' : 'merge',
+    if_match: operation.if_match
+  };
+};
+
+/**
+ * Beschrijft het resultaat van een operatie uit een bulk request
+ * @param {number} index - Positie van de operatie in de request
+ * @param {Object} operation - Gevalideerde operatie
+ * @param {Object} result - Operatieresultaat
+ * @returns {Object} Itemresultaat met index, op, status, id en data (en warnings) of error
+ */
+const describeResult = (index, operation, result) => {
+  if (result.problem) {
+    const { status, ...error } = result.problem;
+    return { index, op: operation.op, status, id: operation.id, error };
+  }
+
+  return {
+    index,
+    op: operation.op,
+    status: result.status,
+    id: result.value.id,
+    data: result.value,
+    ...(result.warnings ? { warnings: result.warnings } : {})
+  };
+};
+
+/**
+ * Voert de operaties van een bulk request uit op een state die een keer gelezen wordt. Zonder
+ * atomic worden de geslaagde operaties bewaard; met atomic wordt niets bewaard zodra een operatie faalt.
+ * @async
+ * @param {string[]} collections - Collecties die de operaties lezen en aanpassen
+ * @param {Object} body - Body van de bulk request ({ atomic, operations })
+ * @param {Object} handlers - Operatiefuncties per op: (state, input, user) => operatieresultaat
+ * @param {Object|null} user - Geauthenticeerde user
+ * @returns {Promise<Object>} Object met problem (ongeldige request) of atomic en results
+ */
+const executeBulk = async (collections, body, handlers, user) => {
+  const { error, value } = bulkSchema.validate(body, { abortEarly: false });
+
+  if (error) {
+    return { problem: buildValidationProblem(error) };
+  }
+
+  return withLock(collections, async () => {
+    const state = await loadState(collections);
+    const results = value.operations.map((operation, index) => {
+      return describeResult(index, operation, handlers[operation.op](state, operationInput(operation), user));
+    });
+
+    if (!value.atomic || results.every(result => !result.error)) {
+      await saveState(state);
+    }
+    return { atomic: value.atomic, results };
+  });
+};
+
+/**
+ * Stuurt het resultaat van een bulk request terug: 200 als alle operaties slaagden, 207 als een
+ * deel faalde, of een 409 zonder wijzigingen als een atomic request faalde
+ * @param {Object} res - Express response object
+ * @param {Object} bulk - Resultaat van executeBulk
+ * @returns {Object} Express response
+ */
+const sendBulkResult = (res, bulk) => {
+  if (bulk.problem) {
+    return sendOperationResult(res, bulk);
+  }
+
+  const failed = bulk.results.filter(result => result.error).length;
+
+  if (bulk.atomic && failed > 0) {
+    const results = bulk.results.map(result => {
+      if (result.error) {
+        return result;
+      }
+      return {
+        index: result.index,
+        op: result.op,
+        status: 424,
+        id: result.id,
+        error: { code: 'rolled_back', detail: 'Not applied because another operation failed' }
+      };
+    });
+
+    return sendProblem(res, 409, 'bulk_rolled_back', `${failed} of ${results.length} operation(s) failed; no changes were saved`, {
+      results
+    });
+  }
+
+  res.status(failed > 0 ? 207 : 200).json({
+    success: true,
+    data: bulk.results,
+    count: bulk.results.length,
+    succeeded: bulk.results.length - failed,
+    failed
+  });
+};
+
+module.exports = {
+  MAX_BULK_OPERATIONS,
+  bulkSchema,
+  appendToLog,
+  executeOperation,
+  sendOperationResult,
+  executeBulk,
+  sendBulkResult
+};
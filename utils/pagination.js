@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Hulpfuncties voor paginering van lijst endpoints
+ * @description Ondersteunt limit/offset paginering en een opaque cursor modus,
+ * met next/previous links en een RFC 8288 Link header
+ * @module utils/pagination
+ */
+
+const Joi = require('joi');
+
+/**
+ * Maximaal aantal items per pagina
+ * @type {number}
+ */
+const MAX_LIMIT = 100;
+
+/**
+ * Standaard aantal items per pagina in cursor modus
+ * @type {number}
+ */
+const DEFAULT_CURSOR_LIMIT = 20;
+
+/**
+ * Joi validatie schema voor de paginering query parameters
+ * @type {Joi.ObjectSchema}
+ */
+const paginationSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(MAX_LIMIT),
+  offset: Joi.number().integer().min(0),
+  cursor: Joi.string().allow('')
+}).oxor('offset', 'cursor').unknown(true);
+
+/**
+ * Codeert een positie als opaque cursor (base64url)
+ * @param {number} offset - Positie van het eerste item
+ * @param {number} limit - Aantal items per pagina
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (offset, limit) => {
+  return Buffer.from(JSON.stringify({ o: offset, l: limit })).toString('base64url');
+};
+
+/**
+ * Decodeert een opaque cursor naar een positie
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} Object met offset en limit, of null bij een ongeldige cursor
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { o, l } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!Number.isInteger(o) || o < 0 || !Number.isInteger(l) || l < 1 || l > MAX_LIMIT) {
+      return null;
+    }
+
+    return { offset: o, limit: l };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Leest en valideert de paginering parameters uit de query
+ * @param {Object} query - Express req.query object
+ * @returns {Object} Object met error (Joi.ValidationError met alle details) of value ({ limit, offset, cursorMode })
+ */
+const parsePagination = (query) => {
+  const { error, value } = paginationSchema.validate(query, { abortEarly: false });
+
+  if (error) {
+    return { error };
+  }
+
+  // Een lege cursor start de cursor modus op de eerste pagina
+  if (value.cursor === '') {
+    return {
+      value: {
+        limit: value.limit || DEFAULT_CURSOR_LIMIT,
+        offset: 0,
+        cursorMode: true
+      }
+    };
+  }
+
+  if (value.cursor !== undefined) {
+    const position = decodeCursor(value.cursor);
+
+    if (!position) {
+      return {
+        error: new Joi.ValidationError('"cursor" is invalid', [{
+          message: '"cursor" is invalid',
+          path: ['cursor'],
+          type: 'any.invalid',
+          context: { key: 'cursor', label: 'cursor' }
+        }])
+      };
+    }
+
+    return {
+      value: {
+        limit: value.limit || position.limit,
+        offset: position.offset,
+        cursorMode: true
+      }
+    };
+  }
+
+  return {
+    value: {
+      limit: value.limit,
+      offset: value.offset || 0,
+      cursorMode: false
+    }
+  };
+};
+
+/**
+ * Bouwt de URL van een andere pagina, met behoud van filters en sortering
+ * @param {Object} req - Express request object
+ * @param {Object} pagination - Geparste paginering ({ limit, cursorMode })
+ * @param {number} offset - Offset van de gevraagde pagina
+ * @param {Object} [overrides={}] - Query parameters die overschreven worden, bv. { type: 'track' }
+ * @returns {string} Absolute URL
+ */
+const buildPageUrl = (req, pagination, offset, overrides = {}) => {
+  const params = new URLSearchParams();
+
+  Object.entries(req.query).forEach(([key, value]) => {
+    if (['limit', 'offset', 'cursor'].includes(key)) {
+      return;
+    }
+    [].concat(value).forEach(v => params.append(key, v));
+  });
+
+  Object.entries(overrides).forEach(([key, value]) => params.set(key, value));
+
+  if (pagination.cursorMode) {
+    params.set('cursor', encodeCursor(offset, pagination.limit));
+  } else {
+    params.set('limit', pagination.limit);
+    params.set('offset', offset);
+  }
+
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path === '/' ? '' : req.path}?${params}`;
+};
+
+/**
+ * Knipt een pagina uit de (gefilterde en gesorteerde) items en zet de Link header
+ * @param {Array} items - Alle items na filtering en sortering
+ * @param {Object} pagination - Resultaat van parsePagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Object met data, total, limit, offset, next en previous
+ */
+const paginate = (items, pagination, req, res) => {
+  const total = items.length;
+  const { offset } = pagination;
+
+  // Zonder limit wordt de volledige lijst teruggegeven (backwards compatible)
+  if (pagination.limit === undefined) {
+    return {
+      data: items.slice(offset),
+      total,
+      limit: null,
+      offset,
+      next: null,
+      previous: offset > 0 ? buildPageUrl(req, { ...pagination, limit: offset }, 0) : null
+    };
+  }
+
+  const { limit } = pagination;
+  const data = items.slice(offset, offset + limit);
+  const next = offset + limit < total ? buildPageUrl(req, pagination, offset + limit) : null;
+  const previous = offset > 0 ? buildPageUrl(req, pagination, Math.max(offset - limit, 0)) : null;
+
+  const lastOffset = total > 0 ? Math.floor((total - 1) / limit) * limit : 0;
+  const links = [
+    `<${buildPageUrl(req, pagination, 0)}>; rel="first"`,
+    `<${buildPageUrl(req, pagination, lastOffset)}>; rel="last"`
+  ];
+
+  if (next) {
+    links.push(`<${next}>; rel="next"`);
+  }
+  if (previous) {
+    links.push(`<${previous}>; rel="prev"`);
+  }
+
+  res.set('Link', links.join(', '));
+
+  return { data, total, limit, offset, next, previous };
+};
+
+module.exports = {
+  MAX_LIMIT,
+  paginationSchema,
+  parsePagination,
+  buildPageUrl,
+  paginate
+};
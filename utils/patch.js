@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Hulpfuncties voor PATCH requests
+ * @description Ondersteunt JSON Merge Patch (RFC 7396, application/merge-patch+json of gewoon
+ * application/json) en JSON Patch (RFC 6902, application/json-patch+json). Beide formaten worden
+ * omgezet naar een merge patch met enkel de gewijzigde velden (null = veld verwijderen), die de
+ * controller daarna valideert met een partieel Joi schema.
+ * @module utils/patch
+ */
+
+const Joi = require('joi');
+const { isDeepStrictEqual } = require('util');
+const { buildProblem, buildValidationProblem, sendProblem } = require('./problem');
+
+/**
+ * Content types die een PATCH request mag gebruiken
+ * @type {string[]}
+ */
+const PATCH_CONTENT_TYPES = ['application/merge-patch+json', 'application/json-patch+json', 'application/json'];
+
+/**
+ * Joi validatie schema voor een JSON Patch document (array van operaties)
+ * @type {Joi.ArraySchema}
+ */
+const jsonPatchSchema = Joi.array().items(Joi.object({
+  op: Joi.string().valid('add', 'remove', 'replace', 'move', 'copy', 'test').required(),
+  path: Joi.string().allow('').required(),
+  value: Joi.any().when('op', { is: Joi.valid('add', 'replace', 'test'), then: Joi.required() }),
+  from: Joi.string().allow('').when('op', { is: Joi.valid('move', 'copy'), then: Joi.required() })
+}).unknown(true)).required();
+
+/**
+ * Controleert of een waarde een gewoon object is (geen array of null)
+ * @param {*} value - Te controleren waarde
+ * @returns {boolean} true voor een object
+ */
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Zet een JSON Pointer (RFC 6901) om naar een lijst van tokens
+ * @param {string} pointer - JSON Pointer, bv. '/artiesten/0'
+ * @returns {string[]} Tokens, bv. ['artiesten', '0']
+ * @throws {Error} Bij een ongeldige pointer
+ */
+const parsePointer = (pointer) => {
+  if (pointer === '') {
+    return [];
+  }
+
+  if (!pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Pointer "${pointer}"`);
+  }
+
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Zet een token om naar een array index
+ * @param {Array} array - Array waarin de index gebruikt wordt
+ * @param {string} token - Token uit de pointer
+ * @param {boolean} allowEnd - true als de positie na het laatste element (of '-') toegelaten is (add)
+ * @returns {number} Index
+ * @throws {Error} Bij een ongeldige of te grote index
+ */
+const arrayIndex = (array, token, allowEnd) => {
+  if (token === '-' && allowEnd) {
+    return array.length;
+  }
+
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw new Error(`Invalid array index "${token}"`);
+  }
+
+  const index = Number(token);
+
+  if (index > array.length || (index === array.length && !allowEnd)) {
+    throw new Error(`Array index ${index} is out of bounds`);
+  }
+
+  return index;
+};
+
+/**
+ * Zoekt het object of de array die het laatste token van een pad bevat
+ * @param {*} document - Document
+ * @param {string[]} tokens - Tokens van het pad (minstens een)
+ * @returns {Object} Object met container en key (laatste token)
+ * @throws {Error} Als een tussenliggend pad niet bestaat
+ */
+const resolveParent = (document, tokens) => {
+  let container = document;
+
+  tokens.slice(0, -1).forEach(token => {
+    container = getChild(container, token);
+  });
+
+  if (container === null || typeof container !== 'object') {
+    throw new Error(`Path "/${tokens.join('/')}" does not exist`);
+  }
+
+  const key = tokens[tokens.length - 1];
+
+  if (key === '__proto__') {
+    throw new Error('Path "__proto__" is not allowed');
+  }
+
+  return { container, key };
+};
+
+/**
+ * Geeft een kind van een object of array terug
+ * @param {*} container - Object of array
+ * @param {string} token - Key of index
+ * @returns {*} Waarde van het kind
+ * @throws {Error} Als het kind niet bestaat
+ */
+const getChild = (container, token) => {
+  if (Array.isArray(container)) {
+    return container[arrayIndex(container, token, false)];
+  }
+
+  if (!isPlainObject(container) || !Object.prototype.hasOwnProperty.call(container, token)) {
+    throw new Error(`Path segment "${token}" does not exist`);
+  }
+
+  return container[token];
+};
+
+/**
+ * Leest de waarde op een pad
+ * @param {*} document - Document
+ * @param {string[]} tokens - Tokens van het pad
+ * @returns {*} Waarde op het pad
+ */
+const getValue = (document, tokens) => {
+  return tokens.reduce((node, token) => getChild(node, token), document);
+};
+
+/**
+ * Voegt een waarde toe op een pad (add), of vervangt de waarde van een bestaande key
+ * @param {*} document - Document
+ * @param {string[]} tokens - Tokens van het pad
+ * @param {*} value - Toe te voegen waarde
+ * @returns {*} Het (eventueel nieuwe) document
+ */
+const addValue = (document, tokens, value) => {
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const { container, key } = resolveParent(document, tokens);
+
+  if (Array.isArray(container)) {
+    container.splice(arrayIndex(container, key, true), 0, value);
+  } else {
+    container[key] = value;
+  }
+  return document;
+};
+
+/**
+ * Verwijdert de waarde op een pad
+ * @param {*} document - Document
+ * @param {string[]} tokens - Tokens van het pad
+ * @returns {*} De verwijderde waarde
+ */
+const removeValue = (document, tokens) => {
+  if (tokens.length === 0) {
+    throw new Error('The whole document cannot be removed');
+  }
+
+  const { container, key } = resolveParent(document, tokens);
+  const removed = getChild(container, key);
+
+  if (Array.isArray(container)) {
+    container.splice(Number(key), 1);
+  } else {
+    delete container[key];
+  }
+  return removed;
+};
+
+/**
+ * Past een JSON Patch (RFC 6902) toe op een kopie van een document. De operaties worden
+ * allemaal of helemaal niet toegepast.
+ * @param {*} document - Origineel document (wordt niet aangepast)
+ * @param {Object[]} operations - Gevalideerde operaties
+ * @returns {*} Het gepatchte document
+ * @throws {Error} Als een operatie niet toegepast kan worden (onbestaand pad, mislukte test)
+ */
+const applyJsonPatch = (document, operations) => {
+  let result = structuredClone(document);
+
+  operations.forEach((operation, index) => {
+    try {
+      const tokens = parsePointer(operation.path);
+
+      switch (operation.op) {
+      case 'add':
+        result = addValue(result, tokens, structuredClone(operation.value));
+        break;
+      case 'remove':
+        removeValue(result, tokens);
+        break;
+      case 'replace':
+        getValue(result, tokens);
+        if (tokens.length > 0) {
+          removeValue(result, tokens);
+        }
+        result = addValue(result, tokens, structuredClone(operation.value));
+        break;
+      case 'move': {
+        if (operation.path.startsWith(`${operation.from}/`)) {
+          throw new Error('"from" cannot be a parent of "path"');
+        }
+        const value = removeValue(result, parsePointer(operation.from));
+        result = addValue(result, tokens, value);
+        break;
+      }
+      case 'copy':
+        result = addValue(result, tokens, structuredClone(getValue(result, parsePointer(operation.from))));
+        break;
+      case 'test':
+        if (!isDeepStrictEqual(getValue(result, tokens), operation.value)) {
+          throw new Error(`Test failed: value at "${operation.path}" does not match`);
+        }
+        break;
+      }
+    } catch (error) {
+      throw new Error(`Operation ${index} (${operation.op} "${operation.path}") failed: ${error.message}`);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Bouwt een merge patch met de velden die verschillen tussen twee documenten
+ * @param {Object} original - Origineel document
+ * @param {Object} patched - Gewijzigd document
+ * @returns {Object} Merge patch (verwijderde velden krijgen null)
+ */
+const diffMergePatch = (original, patched) => {
+  const changes = {};
+
+  new Set([...Object.keys(original), ...Object.keys(patched)]).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(patched, key)) {
+      changes[key] = null;
+    } else if (!isDeepStrictEqual(original[key], patched[key])) {
+      changes[key] = patched[key];
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Bepaalt het patch formaat op basis van het Content-Type van een PATCH request
+ * @param {Object} req - Express request object
+ * @returns {string|null} 'json-patch' of 'merge', of null voor een niet-ondersteund Content-Type
+ */
+const patchFormat = (req) => {
+  if (req.is(PATCH_CONTENT_TYPES) === false) {
+    return null;
+  }
+  return req.is('application/json-patch+json') ? 'json-patch' : 'merge';
+};
+
+/**
+ * Zet een patch document om naar een merge patch met de gewijzigde velden
+ * @param {Object|Object[]} body - Merge patch of array van JSON Patch operaties
+ * @param {string} format - 'merge' of 'json-patch' (zie patchFormat)
+ * @param {Object} record - Huidige track of playlist
+ * @param {string[]} fields - Velden die via PATCH aangepast kunnen worden
+ * @returns {Object} Object met value (merge patch), of problem: validatiefouten (400) of een
+ * JSON Patch die niet toepasbaar is (409)
+ */
+const resolvePatch = (body, format, record, fields) => {
+  if (format === 'json-patch') {
+    const { error } = jsonPatchSchema.validate(body, { abortEarly: false });
+
+    if (error) {
+      return { problem: buildValidationProblem(error) };
+    }
+
+    const document = Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]]));
+
+    try {
+      const patched = applyJsonPatch(document, body);
+
+      if (!isPlainObject(patched)) {
+        return { problem: buildProblem(409, 'patch_conflict', 'JSON Patch must result in an object') };
+      }
+
+      return { value: diffMergePatch(document, patched) };
+    } catch (error) {
+      return { problem: buildProblem(409, 'patch_conflict', error.message) };
+    }
+  }
+
+  if (!isPlainObject(body)) {
+    return { problem: buildValidationProblem([{ field: '', message: 'PATCH body must be a JSON object', code: 'object.base' }]) };
+  }
+
+  return { value: body };
+};
+
+/**
+ * Stuurt een 415 met een Accept-Patch header (RFC 5789) voor een niet-ondersteund Content-Type
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const sendUnsupportedPatchType = (res) => {
+  res.set('Accept-Patch', PATCH_CONTENT_TYPES.join(', '));
+  return sendProblem(res, 415, 'unsupported_media_type', `Unsupported Content-Type; use ${PATCH_CONTENT_TYPES.join(', ')}`);
+};
+
+module.exports = {
+  PATCH_CONTENT_TYPES,
+  jsonPatchSchema,
+  applyJsonPatch,
+  patchFormat,
+  resolvePatch,
+  sendUnsupportedPatchType
+};
@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Playlist formaten voor mediaspelers: M3U8, XSPF en JSPF
+ * @description Elk formaat kan een playlist renderen en inlezen. Een entry heeft een titel
+ * (naam van de track), een creator (de artiesten, gescheiden door ', '), een duur en een
+ * location (de spotify_url). XSPF en JSPF gebruiken milliseconden voor de duur, M3U8 seconden.
+ * @module utils/playlist-formats
+ */
+
+/**
+ * Ondersteunde formaten (de key is ook de bestandsextensie) met hun Content-Type en de Content-Types
+ * die een import aanvaardt
+ * @type {Object<string, Object>}
+ */
+const PLAYLIST_FORMATS = {
+  m3u8: {
+    contentType: 'application/vnd.apple.mpegurl',
+    accepts: ['application/vnd.apple.mpegurl', 'audio/mpegurl', 'audio/x-mpegurl']
+  },
+  xspf: {
+    contentType: 'application/xspf+xml',
+    accepts: ['application/xspf+xml', 'application/xml', 'text/xml']
+  },
+  jspf: {
+    contentType: 'application/jspf+json',
+    accepts: ['application/jspf+json', 'application/json']
+  }
+};
+
+/**
+ * XML entities die bij het renderen en inlezen van XSPF vervangen worden
+ * @type {Object<string, string>}
+ */
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' };
+
+/**
+ * Escapet tekst voor gebruik in XML
+ * @param {string} text - Tekst
+ * @returns {string} Geëscapete tekst
+ */
+const escapeXml = (text) => {
+  return String(text).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+};
+
+/**
+ * Namespace van XSPF versie 1
+ * @type {string}
+ */
+const XSPF_NAMESPACE = 'http://xspf.org/ns/0/';
+
+/**
+ * Tokens van een XML document: CDATA, commentaar, processing instructions en de DOCTYPE (genegeerd),
+ * een sluittag, een (eventueel zelfsluitende) openingstag met attributen, tekst, of een losse '<'
+ * (ongeldig)
+ * @type {RegExp}
+ */
+const XML_TOKEN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+
+/**
+ * Zet XML entities om naar gewone tekst
+ * @param {string} text - Tekst of attribuutwaarde uit een XML document
+ * @returns {string} Tekst
+ */
+const unescapeXml = (text) => {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#([0-9]+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&(lt|gt|quot|apos);/g, (match, name) => ({ lt: '<', gt: '>', quot: '"', apos: '\'' })[name])
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Maakt een element aan voor een openingstag; de namespace volgt uit de prefix (of de default
+ * namespace) en de xmlns attributen van het element en zijn ouders
+ * @param {string} tag - Naam in de tag, bv. 'track' of 'xspf:track'
+ * @param {string} attributes - Attributen in de tag
+ * @param {Object} parent - Ouderelement
+ * @returns {Object} Element met tag, name (zonder prefix), namespace, children en text
+ */
+const xmlNode = (tag, attributes, parent) => {
+  const namespaces = { ...parent.namespaces };
+
+  for (const [, attribute, double, single] of attributes.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    if (attribute === 'xmlns' || attribute.startsWith('xmlns:')) {
+      namespaces[attribute.slice('xmlns:'.length)] = unescapeXml(double !== undefined ? double : single);
+    }
+  }
+
+  const separator = tag.indexOf(':');
+
+  return {
+    tag,
+    name: tag.slice(separator + 1),
+    namespace: namespaces[separator === -1 ? '' : tag.slice(0, separator)],
+    namespaces,
+    children: [],
+    text: ''
+  };
+};
+
+/**
+ * Leest een XML document in als een boom van elementen
+ * @param {string} xml - XML document
+ * @returns {Object} Root element; elk element heeft een name, namespace, children (de kindelementen)
+ * en text (de tekst en CDATA die rechtstreeks in het element staan)
+ * @throws {Error} Als het document geen goed gevormde XML is
+ */
+const parseXml = (xml) => {
+  const document = { namespaces: {}, children: [], text: '' };
+  const stack = [document];
+
+  for (const [token, cdata, close, open, attributes, selfClosing, text] of xml.matchAll(XML_TOKEN)) {
+    const element = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      element.text += cdata;
+    } else if (text !== undefined) {
+      element.text += unescapeXml(text);
+    } else if (close !== undefined) {
+      if (element.tag !== close) {
+        throw new Error(`XML document has an unexpected </${close}>`);
+      }
+      stack.pop();
+    } else if (open !== undefined) {
+      const child = xmlNode(open, attributes, element);
+      element.children.push(child);
+
+      if (!selfClosing) {
+        stack.push(child);
+      }
+    } else if (token === '<') {
+      throw new Error('XML document contains an invalid tag');
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`XML document is missing </${stack[stack.length - 1].tag}>`);
+  }
+  if (document.children.length !== 1) {
+    throw new Error('XML document must have exactly one root element');
+  }
+
+  return document.children[0];
+};
+
+/**
+ * Controleert of een element een XSPF element met een bepaalde naam is
+ * @param {Object} element - Element uit parseXml
+ * @param {string} name - Naam van het element zonder prefix, bv. 'track'
+ * @returns {boolean} true als de naam overeenkomt en het element in de XSPF namespace (of in geen namespace) staat
+ */
+const isXspfElement = (element, name) => {
+  return element.name === name && (element.namespace === undefined || element.namespace === XSPF_NAMESPACE);
+};
+
+/**
+ * Geeft de XSPF kindelementen met een bepaalde naam terug; enkel rechtstreekse kinderen tellen,
+ * zodat bv. een title in een extension niet meegenomen wordt
+ * @param {Object|undefined} element - Element uit parseXml
+ * @param {string} name - Naam van het element zonder prefix, bv. 'track'
+ * @returns {Object[]} Kindelementen
+ */
+const xspfChildren = (element, name) => {
+  return element ? element.children.filter(child => isXspfElement(child, name)) : [];
+};
+
+/**
+ * Leest de tekst van het eerste XSPF kindelement met een bepaalde naam
+ * @param {Object} element - Element uit parseXml
+ * @param {string} name - Naam van het element, bv. 'title'
+ * @returns {string|undefined} Getrimde tekst, of undefined als het element ontbreekt of leeg is
+ */
+const xspfText = (element, name) => {
+  const [child] = xspfChildren(element, name);
+  return child ? child.text.trim() || undefined : undefined;
+};
+
+/**
+ * Zet tekst om naar een enkele regel (M3U8 is regelgebaseerd)
+ * @param {string} text - Tekst
+ * @returns {string} Tekst zonder regeleinden
+ */
+const singleLine = (text) => {
+  return String(text).replace(/[\r\n]+/g, ' ');
+};
+
+/**
+ * Rendert een playlist als M3U8 (extended M3U in UTF-8)
+ * @param {Object} playlist - Object met title en entries
+ * @returns {string} M3U8 document
+ */
+const renderM3u8 = ({ title, entries }) => {
+  const lines = ['#EXTM3U', `#PLAYLIST:${singleLine(title)}`];
+
+  entries.forEach(entry => {
+    const label = entry.creator ? `${entry.creator} - ${entry.title}` : entry.title;
+    lines.push(`#EXTINF:${entry.duration},${singleLine(label)}`, singleLine(entry.location));
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Rendert een playlist als XSPF (XML Shareable Playlist Format, versie 1)
+ * @param {Object} playlist - Object met title, creator, annotation en entries
+ * @returns {string} XSPF document
+ */
+const renderXspf = ({ title, creator, annotation, entries }) => {
+  const tracks = entries.map(entry => [
+    '    <track>',
+    `      <location>${escapeXml(entry.location)}</location>`,
+    `      <title>${escapeXml(entry.title)}</title>`,
+    `      <creator>${escapeXml(entry.creator)}</creator>`,
+    `      <duration>${entry.duration * 1000}</duration>`,
+    '    </track>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <creator>${escapeXml(creator)}</creator>`,
+    `  <annotation>${escapeXml(annotation)}</annotation>`,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Rendert een playlist als JSPF (de JSON variant van XSPF)
+ * @param {Object} playlist - Object met title, creator, annotation en entries
+ * @returns {string} JSPF document
+ */
+const renderJspf = ({ title, creator, annotation, entries }) => {
+  return JSON.stringify({
+    playlist: {
+      title,
+      creator,
+      annotation,
+      track: entries.map(entry => ({
+        location: [entry.location],
+        title: entry.title,
+        creator: entry.creator,
+        duration: entry.duration * 1000
+      }))
+    }
+  }, null, 2);
+};
+
+/**
+ * Leest een M3U8 document in
+ * @param {string} text - M3U8 document
+ * @returns {Object} Playlist met title en entries
+ * @throws {Error} Als het document niet met #EXTM3U begint
+ */
+const parseM3u8 = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim());
+
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error('M3U8 playlist must start with #EXTM3U');
+  }
+
+  const playlist = { entries: [] };
+  let info = null;
+
+  lines.slice(1).forEach(line => {
+    if (line.startsWith('#PLAYLIST:')) {
+      playlist.title = line.slice('#PLAYLIST:'.length).trim();
+    } else if (line.startsWith('#EXTINF:')) {
+      const [duration, ...rest] = line.slice('#EXTINF:'.length).split(',');
+      const label = rest.join(',').trim();
+      const separator = label.indexOf(' - ');
+
+      info = {
+        duration: Math.max(0, Math.round(Number(duration))) || undefined,
+        creator: separator === -1 ? undefined : label.slice(0, separator).trim(),
+        title: separator === -1 ? label : label.slice(separator + 3).trim()
+      };
+    } else if (line !== '' && !line.startsWith('#')) {
+      playlist.entries.push({ ...(info || {}), location: line });
+      info = null;
+    }
+  });
+
+  return playlist;
+};
+
+/**
+ * Leest een XSPF document in
+ * @param {string} text - XSPF document
+ * @returns {Object} Playlist met title, creator, annotation en entries
+ * @throws {Error} Als het document geen XSPF playlist is
+ */
+const parseXspf = (text) => {
+  const playlist = parseXml(text);
+
+  if (!isXspfElement(playlist, 'playlist')) {
+    throw new Error('XSPF document must contain a <playlist> element');
+  }
+
+  const [trackList] = xspfChildren(playlist, 'trackList');
+
+  return {
+    title: xspfText(playlist, 'title'),
+    creator: xspfText(playlist, 'creator'),
+    annotation: xspfText(playlist, 'annotation'),
+    entries: xspfChildren(trackList, 'track').map(track => {
+      const duration = Number(xspfText(track, 'duration'));
+
+      return {
+        title: xspfText(track, 'title'),
+        creator: xspfText(track, 'creator'),
+        duration: duration > 0 ? Math.round(duration / 1000) : undefined,
+        location: xspfText(track, 'location')
+      };
+    })
+  };
+};
+
+/**
+ * Leest een JSPF document in
+ * @param {string|Object} document - JSPF document (tekst of al geparste JSON)
+ * @returns {Object} Playlist met title, creator, annotation en entries
+ * @throws {Error} Als het document geen JSPF playlist is
+ */
+const parseJspf = (document) => {
+  const json = typeof document === 'string' ? JSON.parse(document) : document;
+  const playlist = json && json.playlist;
+
+  if (!playlist || typeof playlist !== 'object' || (playlist.track !== undefined && !Array.isArray(playlist.track))) {
+    throw new Error('JSPF document must contain a playlist object with a track array');
+  }
+
+  const text = value => (typeof value === 'string' ? value.trim() : undefined);
+
+  return {
+    title: text(playlist.title),
+    creator: text(playlist.creator),
+    annotation: text(playlist.annotation),
+    entries: (playlist.track || []).map(track => ({
+      title: text(track.title),
+      creator: text(track.creator),
+      duration: track.duration > 0 ? Math.round(track.duration / 1000) : undefined,
+      location: text([].concat(track.location)[0])
+    }))
+  };
+};
+
+/**
+ * Render- en parsefuncties per formaat
+ * @type {Object<string, Object>}
+ */
+const CODECS = {
+  m3u8: { render: renderM3u8, parse: parseM3u8 },
+  xspf: { render: renderXspf, parse: parseXspf },
+  jspf: { render: renderJspf, parse: parseJspf }
+};
+
+/**
+ * Rendert een playlist in een formaat
+ * @param {string} format - 'm3u8', 'xspf' of 'jspf'
+ * @param {Object} playlist - Object met title, creator, annotation en entries (title, creator, duration in seconden, location)
+ * @returns {string} Document
+ */
+const renderPlaylist = (format, playlist) => {
+  return CODECS[format].render(playlist);
+};
+
+/**
+ * Leest een playlist in een formaat in
+ * @param {string} format - 'm3u8', 'xspf' of 'jspf'
+ * @param {string|Object} document - Document
+ * @returns {Object} Playlist met title, creator, annotation en entries (velden kunnen ontbreken)
+ * @throws {Error} Bij een ongeldig document
+ */
+const parsePlaylist = (format, document) => {
+  return CODECS[format].parse(document);
+};
+
+module.exports = {
+  PLAYLIST_FORMATS,
+  renderPlaylist,
+  parsePlaylist
+};
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Hulpfuncties voor foutresponses in het RFC 7807 (application/problem+json) formaat
+ * @description Elke foutresponse heeft dezelfde vorm: type, title, status, detail, een stabiele
+ * machine-leesbare code, instance (het pad van de request) en de request_id. Validatiefouten
+ * bevatten daarnaast alle details in errors, elk met het veldpad, de boodschap en een code.
+ * @module utils/problem
+ */
+
+const { STATUS_CODES } = require('http');
+
+/**
+ * Bouwt een probleem zonder het meteen te versturen, bv. voor een operatie in een bulk request
+ * @param {number} status - HTTP status code
+ * @param {string} code - Stabiele, machine-leesbare foutcode, bv. 'not_found'
+ * @param {string} detail - Leesbare uitleg voor deze specifieke fout
+ * @param {Object} [extensions={}] - Extra velden, bv. errors of data
+ * @returns {Object} Probleem met status, code, detail en de extra velden
+ */
+const buildProblem = (status, code, detail, extensions = {}) => {
+  return { status, code, detail, ...extensions };
+};
+
+/**
+ * Bouwt een 400 probleem met alle validatiefouten
+ * @param {Joi.ValidationError|Object[]} errors - Joi error (gevalideerd met abortEarly: false) of
+ * een lijst van { field, message, code } objecten
+ * @param {Object} [extensions={}] - Extra velden, bv. allowed_fields
+ * @returns {Object} Probleem met status 400, code 'validation_failed' en errors
+ */
+const buildValidationProblem = (errors, extensions = {}) => {
+  const details = Array.isArray(errors)
+    ? errors.map(error => ({ field: error.field, message: error.message, code: error.code || 'any.invalid' }))
+    : errors.details.map(detail => ({ field: detail.path.join('.'), message: detail.message, code: detail.type }));
+
+  return buildProblem(400, 'validation_failed', details.map(detail => detail.message).join('; '), {
+    errors: details,
+    ...extensions
+  });
+};
+
+/**
+ * Stuurt een problem+json response
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} code - Stabiele, machine-leesbare foutcode, bv. 'not_found'
+ * @param {string} detail - Leesbare uitleg voor deze specifieke fout
+ * @param {Object} [extensions={}] - Extra velden, bv. errors of allowed_fields
+ * @returns {Object} Express response
+ */
+const sendProblem = (res, status, code, detail, extensions = {}) => {
+  return res.status(status).type('application/problem+json').json({
+    type: 'about:blank',
+    title: STATUS_CODES[status],
+    status,
+    detail,
+    code,
+    instance: res.req.originalUrl,
+    request_id: res.req.id,
+    ...extensions
+  });
+};
+
+/**
+ * Stuurt een probleem uit buildProblem of buildValidationProblem
+ * @param {Object} res - Express response object
+ * @param {Object} problem - Probleem met status, code, detail en extra velden
+ * @returns {Object} Express response
+ */
+const sendBuiltProblem = (res, problem) => {
+  const { status, code, detail, ...extensions } = problem;
+  return sendProblem(res, status, code, detail, extensions);
+};
+
+/**
+ * Stuurt een 400 met alle validatiefouten
+ * @param {Object} res - Express response object
+ * @param {Joi.ValidationError|Object[]} errors - Joi error (gevalideerd met abortEarly: false) of
+ * een lijst van { field, message, code } objecten
+ * @param {Object} [extensions={}] - Extra velden, bv. allowed_fields
+ * @returns {Object} Express response
+ */
+const sendValidationProblem = (res, errors, extensions = {}) => {
+  return sendBuiltProblem(res, buildValidationProblem(errors, extensions));
+};
+
+/**
+ * Stuurt een 404 voor een onbekende (of onzichtbare) resource
+ * @param {Object} res - Express response object
+ * @param {string} detail - Welke resource niet gevonden werd, bv. 'Track 12 not found'
+ * @returns {Object} Express response
+ */
+const sendNotFound = (res, detail) => {
+  return sendProblem(res, 404, 'not_found', detail);
+};
+
+/**
+ * Stuurt een 500 zonder interne details prijs te geven
+ * @param {Object} res - Express response object
+ * @param {string} detail - Welke actie mislukte, bv. 'Error updating track'
+ * @returns {Object} Express response
+ */
+const sendServerError = (res, detail) => {
+  return sendProblem(res, 500, 'internal_error', detail);
+};
+
+module.exports = {
+  buildProblem,
+  buildValidationProblem,
+  sendProblem,
+  sendBuiltProblem,
+  sendValidationProblem,
+  sendNotFound,
+  sendServerError
+};
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Hulpfuncties voor full-text zoeken met relevantie ranking
+ * @description Scoort records op meerdere gewogen velden, tolereert tikfouten via de
+ * Levenshtein afstand en markeert de gevonden fragmenten met <em> tags
+ * @module utils/search
+ */
+
+/**
+ * Normaliseert tekst voor vergelijking: lowercase en zonder accenten
+ * @param {string} text - Te normaliseren tekst
+ * @returns {string} Genormaliseerde tekst
+ */
+const normalize = (text) => {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+/**
+ * Splitst tekst op in woorden (tokens)
+ * @param {string} text - Tekst
+ * @returns {string[]} Genormaliseerde woorden
+ */
+const tokenize = (text) => {
+  return normalize(text).split(/[^\p{L}\p{N}&]+/u).filter(token => token !== '');
+};
+
+/**
+ * Berekent de Levenshtein afstand tussen twee strings
+ * @param {string} a - Eerste string
+ * @param {string} b - Tweede string
+ * @returns {number} Minimum aantal bewerkingen om a in b om te zetten
+ */
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Aantal toegelaten tikfouten voor een zoekterm, afhankelijk van de lengte
+ * @param {string} term - Zoekterm
+ * @returns {number} Maximale Levenshtein afstand
+ */
+const allowedTypos = (term) => {
+  if (term.length >= 8) {
+    return 2;
+  }
+  return term.length >= 4 ? 1 : 0;
+};
+
+/**
+ * Scoort hoe goed een zoekterm overeenkomt met een woord
+ * @param {string} term - Genormaliseerde zoekterm
+ * @param {string} word - Genormaliseerd woord uit het record
+ * @returns {number} Score tussen 0 (geen match) en 1 (exacte match)
+ */
+const scoreWord = (term, word) => {
+  if (word === term) {
+    return 1;
+  }
+  if (word.startsWith(term)) {
+    return 0.8;
+  }
+  if (word.includes(term)) {
+    return 0.6;
+  }
+
+  const maxTypos = allowedTypos(term);
+  if (maxTypos === 0) {
+    return 0;
+  }
+
+  // Vergelijk ook met het begin van het woord, zodat 'bohemain' nog 'bohemian' vindt
+  const distance = Math.min(
+    levenshtein(term, word),
+    levenshtein(term, word.slice(0, term.length))
+  );
+
+  return distance <= maxTypos ? 0.5 * (1 - distance / (term.length + 1)) : 0;
+};
+
+/**
+ * Tekens die in HTML een betekenis hebben, met hun entity
+ * @type {Object<string, string>}
+ */
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+/**
+ * Escapet een tekst voor gebruik in HTML
+ * @param {string} text - Tekst
+ * @returns {string} Tekst met HTML entities
+ */
+const escapeHtml = (text) => {
+  return text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+};
+
+/**
+ * Markeert de woorden in een tekst die met een van de zoektermen overeenkomen. De tekst zelf wordt
+ * HTML-escaped, zodat enkel de <em> tags als markup overblijven.
+ * @param {string} text - Originele tekst
+ * @param {string[]} terms - Genormaliseerde zoektermen
+ * @returns {string|null} Escaped tekst met <em> tags, of null als er niets overeenkomt
+ */
+const highlight = (text, terms) => {
+  let matched = false;
+  const highlighted = String(text).replace(/([\p{L}\p{N}&]+)|[^\p{L}\p{N}&]+/gu, (part, word) => {
+    if (word && terms.some(term => scoreWord(term, normalize(word)) > 0)) {
+      matched = true;
+      return `<em>${escapeHtml(word)}</em>`;
+    }
+    return escapeHtml(part);
+  });
+
+  return matched ? highlighted : null;
+};
+
+/**
+ * Scoort een record op een zoekopdracht over meerdere gewogen velden
+ * @param {Object} record - Te scoren record
+ * @param {string} query - Zoekopdracht
+ * @param {Object} weights - Gewicht per veld, bv. { naam: 3, artiesten: 2 }
+ * @returns {Object} Object met score (0 = geen match) en highlights per veld
+ */
+const scoreRecord = (record, query, weights) => {
+  const terms = tokenize(query);
+  const phrase = normalize(query).trim();
+  const highlights = {};
+  let score = 0;
+  let matchedTerms = 0;
+
+  terms.forEach(term => {
+    let best = 0;
+
+    Object.entries(weights).forEach(([field, weight]) => {
+      [].concat(record[field] || []).forEach(value => {
+        tokenize(value).forEach(word => {
+          best = Math.max(best, scoreWord(term, word) * weight);
+        });
+      });
+    });
+
+    if (best > 0) {
+      matchedTerms++;
+      score += best;
+    }
+  });
+
+  if (score === 0) {
+    return { score: 0, highlights };
+  }
+
+  Object.entries(weights).forEach(([field, weight]) => {
+    const values = [].concat(record[field] || []);
+
+    // Bonus wanneer de volledige zoekopdracht letterlijk in een veld voorkomt
+    if (values.some(value => normalize(value).includes(phrase))) {
+      score += weight;
+    }
+
+    const fragments = values.map(value => highlight(value, terms)).filter(fragment => fragment !== null);
+    if (fragments.length > 0) {
+      highlights[field] = Array.isArray(record[field]) ? fragments : fragments[0];
+    }
+  });
+
+  // Records die alle termen bevatten wegen zwaarder door dan gedeeltelijke matches
+  score *= matchedTerms / terms.length;
+
+  return { score: Math.round(score * 1000) / 1000, highlights };
+};
+
+/**
+ * Zoekt en rangschikt records op relevantie
+ * @param {Array} records - Te doorzoeken records
+ * @param {string} query - Zoekopdracht
+ * @param {Object} weights - Gewicht per veld
+ * @returns {Array} Array van { record, score, highlights }, gesorteerd op score (aflopend) en id
+ */
+const search = (records, query, weights) => {
+  return records
+    .map(record => ({ record, ...scoreRecord(record, query, weights) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.record.id - b.record.id);
+};
+
+module.exports = {
+  normalize,
+  levenshtein,
+  search
+};
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Hulpfuncties voor het sorteren van lijst endpoints
+ * @description Ondersteunt een sort specificatie zoals 'sort=-jaar,naam' (een '-' betekent
+ * aflopend) en de oudere waarden 'asc' en 'desc' (op naam)
+ * @module utils/sort
+ */
+
+/**
+ * Vergelijkt twee veldwaarden: strings alfabetisch, andere waarden numeriek
+ * @param {*} a - Eerste waarde
+ * @param {*} b - Tweede waarde
+ * @returns {number} Negatief, 0 of positief
+ */
+const compareValues = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return 1;
+  }
+  if (b === undefined || b === null) {
+    return -1;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.localeCompare(b);
+  }
+  return a < b ? -1 : 1;
+};
+
+/**
+ * Zet een sort specificatie om naar een lijst van sorteersleutels
+ * @param {string} spec - Sort query parameter, bv. '-jaar,naam', 'asc' of 'desc'
+ * @param {string[]} allowedFields - Velden waarop gesorteerd mag worden
+ * @returns {Object} Object met error (string) en allowedFields, of value (array van { field, direction })
+ */
+const parseSort = (spec, allowedFields) => {
+  if (spec === 'asc' || spec === 'desc') {
+    return { value: [{ field: 'naam', direction: spec === 'asc' ? 1 : -1 }] };
+  }
+
+  if (typeof spec !== 'string' || spec.trim() === '') {
+    return { error: '"sort" must be a comma-separated list of fields', allowedFields };
+  }
+
+  const keys = spec.split(',').map(part => {
+    const trimmed = part.trim();
+    const descending = trimmed.startsWith('-');
+    const field = trimmed.replace(/^[-+]/, '');
+    return { field, direction: descending ? -1 : 1 };
+  });
+
+  const unknown = keys.filter(key => !allowedFields.includes(key.field)).map(key => key.field || '(empty)');
+
+  if (unknown.length > 0) {
+    return {
+      error: `"sort" contains unknown fields: ${unknown.join(', ')}. Allowed fields: ${allowedFields.join(', ')}`,
+      allowedFields
+    };
+  }
+
+  return { value: keys };
+};
+
+/**
+ * Sorteert items op meerdere sleutels, met een stabiele tiebreak op id
+ * @param {Array} items - Te sorteren items (wordt niet gewijzigd)
+ * @param {Array} keys - Sorteersleutels uit parseSort
+ * @returns {Array} Nieuwe, gesorteerde array
+ */
+const sortItems = (items, keys) => {
+  return [...items].sort((a, b) => {
+    for (const { field, direction } of keys) {
+      const result = compareValues(a[field], b[field]);
+
+      if (result !== 0) {
+        return result * direction;
+      }
+    }
+    return compareValues(a.id, b.id);
+  });
+};
+
+module.exports = {
+  parseSort,
+  sortItems
+};
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Hulpfuncties voor de Spotify links van tracks en playlists
+ * @description Een spotify_url mag een open.spotify.com link zijn (met of zonder https://, een intl-
+ * prefix of een query string zoals ?si=...) of een Spotify URI (spotify:track:<id>). Een track
+ * aanvaardt enkel track links, een playlist enkel playlist links. De URL wordt bewaard in de vorm
+ * https://open.spotify.com/<type>/<id> en de Spotify ID staat apart in spotify_id.
+ * @module utils/spotify
+ */
+
+const Joi = require('joi');
+
+/**
+ * Een Spotify ID: 22 base62 tekens
+ * @type {RegExp}
+ */
+const SPOTIFY_ID_PATTERN = /^[A-Za-z0-9]{22}$/;
+
+/**
+ * Spotify URI, bv. spotify:track:4uLU6hMCjMI75M1A2tKUQC
+ * @type {RegExp}
+ */
+const SPOTIFY_URI_PATTERN = /^spotify:([a-z]+):([^:]+)$/;
+
+/**
+ * Spotify link, bv. https://open.spotify.com/intl-nl/track/4uLU6hMCjMI75M1A2tKUQC?si=abc
+ * @type {RegExp}
+ */
+const SPOTIFY_LINK_PATTERN = /^(?:https?:\/\/)?open\.spotify\.com\/(?:intl-[a-z-]+\/)?([a-z]+)\/([^/?#]+)\/?(?:[?#].*)?$/i;
+
+/**
+ * Haalt de Spotify ID uit een link of URI van het gevraagde type
+ * @param {string} value - Spotify link of URI
+ * @param {string} type - 'track' of 'playlist'
+ * @returns {string|null} Spotify ID, of null als de waarde geen link of URI van dat type is
+ */
+const parseSpotifyId = (value, type) => {
+  const match = SPOTIFY_URI_PATTERN.exec(value) || SPOTIFY_LINK_PATTERN.exec(value);
+
+  if (!match || match[1].toLowerCase() !== type || !SPOTIFY_ID_PATTERN.test(match[2])) {
+    return null;
+  }
+  return match[2];
+};
+
+/**
+ * Bouwt de genormaliseerde link voor een Spotify ID
+ * @param {string} type - 'track' of 'playlist'
+ * @param {string} id - Spotify ID
+ * @returns {string} Link, bv. https://open.spotify.com/track/<id>
+ */
+const spotifyLink = (type, id) => {
+  return `https://open.spotify.com/${type}/${id}`;
+};
+
+/**
+ * Bouwt een Joi schema voor een spotify_url dat de waarde meteen normaliseert
+ * @param {string} type - 'track' of 'playlist'
+ * @returns {Joi.StringSchema} Schema voor een link of URI van dat type
+ */
+const spotifyUrlSchema = (type) => {
+  return Joi.string().trim().custom((value, helpers) => {
+    const id = parseSpotifyId(value, type);
+    return id ? spotifyLink(type, id) : helpers.error('string.spotifyUrl');
+  }).messages({
+    'string.spotifyUrl': `{{#label}} must be an open.spotify.com/${type}/<id> link or a spotify:${type}:<id> URI`
+  });
+};
+
+/**
+ * Bepaalt de bewaarde spotify_url en spotify_id voor een (gevalideerde) spotify_url. Een waarde die
+ * niet herkend wordt (bv. uit een revision van voor de validatie) blijft ongewijzigd, zonder ID.
+ * @param {string} type - 'track' of 'playlist'
+ * @param {string|null} [value] - Spotify link of URI ('', null of undefined voor geen link)
+ * @returns {Object} Object met spotify_url ('' zonder link) en spotify_id (null zonder geldige link)
+ */
+const spotifyFields = (type, value) => {
+  const id = value ? parseSpotifyId(value.trim(), type) : null;
+
+  if (!id) {
+    return { spotify_url: value || '', spotify_id: null };
+  }
+  return { spotify_url: spotifyLink(type, id), spotify_id: id };
+};
+
+module.exports = {
+  SPOTIFY_ID_PATTERN,
+  parseSpotifyId,
+  spotifyUrlSchema,
+  spotifyFields
+};
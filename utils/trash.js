@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Hulpfuncties voor soft deletes van tracks en playlists
+ * @description Een DELETE verwijdert een record niet meer uit de collectie maar zet een deleted_at
+ * marker. Verwijderde records zijn onzichtbaar voor de gewone endpoints, staan in de prullenbak
+ * (/api/trash) en kunnen hersteld worden tot ze na de bewaartermijn definitief verwijderd worden.
+ * De bewaartermijn komt uit MOCKIFY_TRASH_RETENTION_DAYS (standaard 30 dagen).
+ * @module utils/trash
+ */
+
+const { nextVersion } = require('./conditional');
+
+/**
+ * Standaard bewaartermijn in dagen
+ * @type {number}
+ */
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Aantal milliseconden in een dag
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Leest de bewaartermijn uit de environment
+ * @returns {number} Aantal dagen dat verwijderde records hersteld kunnen worden
+ */
+const retentionDays = () => {
+  const days = Number(process.env.MOCKIFY_TRASH_RETENTION_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Controleert of een record (soft) verwijderd is
+ * @param {Object} record - Track of playlist
+ * @returns {boolean} true als het record een deleted_at heeft
+ */
+const isDeleted = (record) => {
+  return Boolean(record.deleted_at);
+};
+
+/**
+ * Laat de verwijderde records weg, voor alle gewone leesoperaties
+ * @param {Array} records - Records van een collectie
+ * @returns {Array} Records zonder deleted_at
+ */
+const withoutDeleted = (records) => {
+  return records.filter(record => !isDeleted(record));
+};
+
+/**
+ * Markeert een record als verwijderd (en verhoogt de version en updated_at)
+ * @param {Object} record - Track of playlist
+ * @param {Date} [now=new Date()] - Tijdstip van de verwijdering
+ * @returns {Object} Kopie van het record met deleted_at
+ */
+const markDeleted = (record, now = new Date()) => {
+  return { ...record, deleted_at: now.toISOString(), updated_at: now.toISOString(), version: nextVersion(record) };
+};
+
+/**
+ * Haalt de deleted_at marker van een record weg (en verhoogt de version en updated_at)
+ * @param {Object} record - Verwijderde track of playlist
+ * @returns {Object} Kopie van het record zonder deleted_at
+ */
+const unmarkDeleted = (record) => {
+  const restored = { ...record, updated_at: new Date().toISOString(), version: nextVersion(record) };
+  delete restored.deleted_at;
+  return restored;
+};
+
+/**
+ * Bepaalt vanaf wanneer een verwijderd record definitief verwijderd mag worden
+ * @param {Object} record - Verwijderde track of playlist
+ * @param {number} days - Bewaartermijn in dagen
+ * @returns {Date} Einde van de bewaartermijn
+ */
+const purgeAfter = (record, days) => {
+  return new Date(new Date(record.deleted_at).getTime() + days * DAY_MS);
+};
+
+/**
+ * Controleert of de bewaartermijn van een verwijderd record verstreken is
+ * @param {Object} record - Track of playlist
+ * @param {number} days - Bewaartermijn in dagen
+ * @param {Date} [now=new Date()] - Huidig tijdstip
+ * @returns {boolean} true als het record verwijderd is en de termijn verstreken is
+ */
+const isExpired = (record, days, now = new Date()) => {
+  return isDeleted(record) && purgeAfter(record, days) <= now;
+};
+
+module.exports = {
+  retentionDays,
+  isDeleted,
+  withoutDeleted,
+  markDeleted,
+  unmarkDeleted,
+  purgeAfter,
+  isExpired
+};